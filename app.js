@@ -11,6 +11,10 @@ import { authenticate } from './middleware/auth.js';
 import poemRoutes from './routes/poems.js';
 import userRoutes from './routes/users.js';
 import adminRoutes from './routes/admin.js';
+import styleRoutes from './routes/styles.js';
+import captureSetRoutes from './routes/captureSets.js';
+import captureRoutes from './routes/captures.js';
+import deviceRoutes from './routes/devices.js';
 
 dotenv.config();
 
@@ -20,7 +24,12 @@ const app = express();
 configureSecurity(app);
 
 // 2. Body Parsing (JSON)
-app.use(express.json());
+// The raw bytes are kept for signed device requests, which cover a hash of the body
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 // 3. Authentication Middleware
 // Note: It skips public paths internally, but we can also mount it specifically if desired.
@@ -42,6 +51,18 @@ app.use('/', userRoutes);
 // Poem routes are mounted at root
 app.use('/', poemRoutes);
 
+// Custom poem style routes are mounted at root (e.g. /styles)
+app.use('/', styleRoutes);
+
+// Capture set routes (poem variants awaiting a choice)
+app.use('/', captureSetRoutes);
+
+// Stored capture images and thumbnails
+app.use('/', captureRoutes);
+
+// Paired devices and their pairing codes
+app.use('/', deviceRoutes);
+
 // 5. Global Error Handler
 app.use((err, req, res, next) => {
   console.error('Unhandled Error:', err);
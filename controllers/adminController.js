@@ -1,5 +1,9 @@
 import { db } from '../config/firebase.js';
 import { getAuth } from 'firebase-admin/auth';
+import { QUOTA_PERIODS } from '../services/usage.js';
+import { summarizeDevicesByUser, setFirmwareChannel } from '../services/devices.js';
+import { RELEASE_CHANNELS, DEFAULT_RELEASE_CHANNEL, isValidVersion, publishFirmware, listFirmware as fetchFirmware } from '../services/firmware.js';
+import { ApiError, sendApiError } from '../utils/errors.js';
 
 export const getUsers = async (req, res) => {
   try {
@@ -15,6 +19,7 @@ export const getUsers = async (req, res) => {
     const allowlistSnapshot = await allowlistRef.get();
     const allowedUsers = allowlistSnapshot.docs.map(doc => doc.data());
     const allowedUids = new Set(allowedUsers.map(u => u.uid));
+    const deviceSummaries = await summarizeDevicesByUser();
 
     // 2. Get all users from Firebase Auth
     const auth = getAuth();
@@ -39,6 +44,7 @@ export const getUsers = async (req, res) => {
         displayName: authUser ? authUser.displayName : null,
         lastSignInTime: authUser ? authUser.metadata.lastSignInTime : null,
         creationTime: authUser ? authUser.metadata.creationTime : null,
+        devices: deviceSummaries.get(allowedUser.uid) || { total: 0, active: 0, online: 0, lastSeenAt: null },
       });
     });
 
@@ -99,3 +105,190 @@ export const addUser = async (req, res) => {
     res.status(500).json({ error: 'Internal server error' });
   }
 };
+
+const isLimit = (value) => value === undefined || value === null || (Number.isInteger(value) && value >= 0);
+const isPeriodLimits = (limits) => limits && typeof limits === 'object' && !Array.isArray(limits)
+  && Object.keys(limits).every(key => QUOTA_PERIODS.includes(key)) && QUOTA_PERIODS.every(period => isLimit(limits[period]));
+
+/**
+ * Set a user's generation quotas: { daily, monthly, styles: { [styleId]:
+ * { daily, monthly } } }, each a non-negative integer or null for the server
+ * default. `quotas: null` clears them all.
+ */
+export const setQuotas = async (req, res) => {
+  try {
+    const { uid, quotas } = req.body;
+    const userid = req.user.uid; // Use verified UID from token
+    const ADMIN_UID = process.env.ADMIN_UID;
+
+    if (userid !== ADMIN_UID) {
+      return res.status(403).json({ error: 'Access denied: Unauthorized' });
+    }
+
+    if (!uid) {
+      return res.status(400).json({ error: 'Missing uid' });
+    }
+
+    if (quotas !== null) {
+      const { styles, ...overall } = quotas || {};
+      const validStyles = styles === undefined
+        || (styles && typeof styles === 'object' && !Array.isArray(styles) && Object.values(styles).every(isPeriodLimits));
+      if (!quotas || !isPeriodLimits(overall) || !validStyles) {
+        return res.status(400).json({ error: 'quotas must be { daily, monthly, styles: { [styleId]: { daily, monthly } } } with non-negative integer limits' });
+      }
+    }
+
+    const snapshot = await db.collection('allowlist').where('uid', '==', uid).limit(1).get();
+
+    if (snapshot.empty) {
+      return res.status(404).json({ error: 'User not found in allowlist' });
+    }
+
+    await snapshot.docs[0].ref.update({ quotas });
+
+    res.json({ success: true, uid, quotas });
+  } catch (error) {
+    console.error('Error setting quotas:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Grant a user generations on the server's GEMINI_API_KEY (and on the
+ * 'openai' provider when it runs on OPENAI_API_KEY):
+ * { uid, monthlyBudget } with a non-negative integer budget, or null to
+ * revoke access. Users opt in with their `apiKeySource` setting.
+ */
+export const grantSharedKey = async (req, res) => {
+  try {
+    const { uid, monthlyBudget } = req.body;
+    const userid = req.user.uid; // Use verified UID from token
+    const ADMIN_UID = process.env.ADMIN_UID;
+
+    if (userid !== ADMIN_UID) {
+      return res.status(403).json({ error: 'Access denied: Unauthorized' });
+    }
+
+    if (!uid) {
+      return res.status(400).json({ error: 'Missing uid' });
+    }
+
+    if (monthlyBudget !== null && !(Number.isInteger(monthlyBudget) && monthlyBudget >= 0)) {
+      return res.status(400).json({ error: 'monthlyBudget must be a non-negative integer, or null to revoke' });
+    }
+
+    if (monthlyBudget !== null && !process.env.GEMINI_API_KEY && !process.env.OPENAI_API_KEY) {
+      return res.status(400).json({ error: 'Neither GEMINI_API_KEY nor OPENAI_API_KEY is configured on this server' });
+    }
+
+    const snapshot = await db.collection('allowlist').where('uid', '==', uid).limit(1).get();
+
+    if (snapshot.empty) {
+      return res.status(404).json({ error: 'User not found in allowlist' });
+    }
+
+    await snapshot.docs[0].ref.update({ sharedKeyBudget: monthlyBudget });
+
+    res.json({ success: true, uid, monthlyBudget });
+  } catch (error) {
+    console.error('Error granting shared key:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const MAX_NOTES_LENGTH = 2000;
+// First byte of every ESP32 app image
+const ESP_IMAGE_MAGIC = 0xe9;
+
+/**
+ * Publish a firmware release: multipart form-data with the binary in
+ * `firmware` and fields `version`, `channel` (default stable), `sha256`
+ * (optional, checked against the upload) and `notes`.
+ */
+export const uploadFirmware = async (req, res) => {
+  try {
+    const { version, channel = DEFAULT_RELEASE_CHANNEL, sha256, notes } = req.body || {};
+    const userid = req.user.uid; // Use verified UID from token
+    const ADMIN_UID = process.env.ADMIN_UID;
+
+    if (userid !== ADMIN_UID) {
+      return res.status(403).json({ error: 'Access denied: Unauthorized' });
+    }
+
+    if (!req.file || !req.file.buffer.length) {
+      return res.status(400).json({ error: "Missing firmware binary in the 'firmware' field" });
+    }
+    if (req.file.buffer[0] !== ESP_IMAGE_MAGIC) {
+      return res.status(400).json({ error: 'firmware is not an ESP32 app image' });
+    }
+    if (!isValidVersion(version)) {
+      return res.status(400).json({ error: 'version must look like 1.4.0 or 1.5.0-rc.1' });
+    }
+    if (!RELEASE_CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: `channel must be one of: ${RELEASE_CHANNELS.join(', ')}` });
+    }
+    if (sha256 !== undefined && !/^[0-9a-fA-F]{64}$/.test(sha256)) {
+      return res.status(400).json({ error: 'sha256 must be 64 hex characters' });
+    }
+    if (notes !== undefined && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+      return res.status(400).json({ error: `notes must be a string of at most ${MAX_NOTES_LENGTH} characters` });
+    }
+
+    const release = await publishFirmware({ version, channel, data: req.file.buffer, sha256, notes, publishedBy: userid });
+    res.status(201).json(release);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error uploading firmware:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const listFirmware = async (req, res) => {
+  try {
+    const userid = req.user.uid; // Use verified UID from token
+    const ADMIN_UID = process.env.ADMIN_UID;
+
+    if (userid !== ADMIN_UID) {
+      return res.status(403).json({ error: 'Access denied: Unauthorized' });
+    }
+
+    const releases = await fetchFirmware();
+    res.json({ releases });
+  } catch (error) {
+    console.error('Error listing firmware:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Put a device on a firmware release channel: { deviceId, channel }.
+ */
+export const setDeviceChannel = async (req, res) => {
+  try {
+    const { deviceId, channel } = req.body;
+    const userid = req.user.uid; // Use verified UID from token
+    const ADMIN_UID = process.env.ADMIN_UID;
+
+    if (userid !== ADMIN_UID) {
+      return res.status(403).json({ error: 'Access denied: Unauthorized' });
+    }
+
+    if (!deviceId || typeof deviceId !== 'string') {
+      return res.status(400).json({ error: 'Missing deviceId' });
+    }
+    if (!RELEASE_CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: `channel must be one of: ${RELEASE_CHANNELS.join(', ')}` });
+    }
+
+    const device = await setFirmwareChannel(deviceId, channel);
+    res.json({ success: true, deviceId, channel: device.firmwareChannel });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error setting device channel:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,34 @@
+import { db } from '../config/firebase.js';
+import { getStorageBackend } from '../services/storage.js';
+
+export const getCapture = async (req, res) => {
+  try {
+    const { poemId, index, variant } = req.params;
+
+    const doc = await db.collection('poems').doc(poemId).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ error: 'Capture not found' });
+    }
+
+    // Signed requests were authorised for this exact capture by the middleware
+    if (!req.captureSigned && doc.data().userId !== req.user.uid) {
+      return res.status(403).json({ error: 'Unauthorized to view this capture' });
+    }
+
+    const capture = (doc.data().captures || [])[parseInt(index, 10)];
+    const file = capture && capture[variant];
+
+    if (!file) {
+      return res.status(404).json({ error: 'Capture not found' });
+    }
+
+    const data = await getStorageBackend().read(file.path);
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type(file.contentType).send(data);
+  } catch (error) {
+    console.error('Error fetching capture:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
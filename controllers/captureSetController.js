@@ -0,0 +1,41 @@
+import { ApiError, sendApiError } from '../utils/errors.js';
+import { getCaptureSet as fetchCaptureSet, commitCandidate } from '../services/captureSets.js';
+
+export const getCaptureSet = async (req, res) => {
+  try {
+    const captureSet = await fetchCaptureSet(req.params.id, req.user.uid);
+
+    if (!captureSet) {
+      return res.status(404).json({ error: 'Capture set not found' });
+    }
+
+    res.json(captureSet);
+  } catch (error) {
+    console.error('Error fetching capture set:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const chooseCandidate = async (req, res) => {
+  try {
+    const index = parseInt(req.body?.index, 10);
+
+    if (isNaN(index) || index < 0) {
+      return res.status(400).json({ error: 'Missing or invalid candidate index' });
+    }
+
+    const poem = await commitCandidate(req.params.id, {
+      index,
+      userId: req.user.uid,
+      committedBy: 'user',
+    });
+
+    res.json({ success: true, poem });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error choosing capture set candidate:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,389 @@
+import { ApiError, sendApiError } from '../utils/errors.js';
+import { getFirmwareManifest as fetchFirmwareManifest, getFirmwareRelease, isValidVersion } from '../services/firmware.js';
+import { getStorageBackend } from '../services/storage.js';
+import { parseByteRange } from '../utils/byteRange.js';
+import { CONTENT_PROFILES } from '../services/contentProfiles.js';
+import { listStylesForUser } from '../services/styleRegistry.js';
+import { createPairingCode as createCode, pairDevice as pair, listDevices as fetchDevices, renameDevice as rename, revokeDevice as revoke, recordHeartbeat, getDeviceStatus as fetchDeviceStatus, DEVICE_OUTPUTS, getDeviceConfig as configOf, deviceConfigETag, getOwnDeviceConfig, updateDeviceConfig as saveDeviceConfig } from '../services/devices.js';
+
+const MAX_NAME_LENGTH = 60;
+const MAX_FIRMWARE_VERSION_LENGTH = 32;
+const MAX_ERROR_LENGTH = 200;
+
+const isValidName = (name) => typeof name === 'string' && !!name.trim() && name.trim().length <= MAX_NAME_LENGTH;
+
+const isNumberBetween = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Validate heartbeat telemetry. Every field is optional; unknown fields are
+ * dropped.
+ * @param {object} body
+ * @returns {{ telemetry: object, error: string|null }}
+ */
+const validateTelemetry = (body) => {
+  const telemetry = {};
+  const { firmwareVersion, battery, rssi, freeHeap, lastError } = body || {};
+
+  if (firmwareVersion !== undefined) {
+    if (typeof firmwareVersion !== 'string' || !firmwareVersion.trim() || firmwareVersion.length > MAX_FIRMWARE_VERSION_LENGTH) {
+      return { telemetry, error: `firmwareVersion must be a non-empty string of at most ${MAX_FIRMWARE_VERSION_LENGTH} characters` };
+    }
+    telemetry.firmwareVersion = firmwareVersion.trim();
+  }
+
+  // Battery percentage; null for devices on mains power
+  if (battery !== undefined) {
+    if (battery !== null && !isNumberBetween(battery, 0, 100)) {
+      return { telemetry, error: 'battery must be a percentage between 0 and 100, or null' };
+    }
+    telemetry.battery = battery;
+  }
+
+  if (rssi !== undefined) {
+    if (!Number.isInteger(rssi) || !isNumberBetween(rssi, -150, 0)) {
+      return { telemetry, error: 'rssi must be an integer between -150 and 0 (dBm)' };
+    }
+    telemetry.rssi = rssi;
+  }
+
+  if (freeHeap !== undefined) {
+    if (!Number.isInteger(freeHeap) || freeHeap < 0) {
+      return { telemetry, error: 'freeHeap must be a non-negative integer (bytes)' };
+    }
+    telemetry.freeHeap = freeHeap;
+  }
+
+  if (lastError !== undefined) {
+    if (lastError !== null && typeof lastError !== 'string') {
+      return { telemetry, error: 'lastError must be a string or null' };
+    }
+    telemetry.lastError = lastError ? lastError.slice(0, MAX_ERROR_LENGTH) : null;
+  }
+
+  return { telemetry, error: null };
+};
+
+const MAX_BUTTONS = 8;
+const BUTTON_ID_PATTERN = /^[A-Za-z0-9_-]{1,16}$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate a device config update. Every field is optional and null resets
+ * it; styles have to be ones the user can generate with.
+ * @param {object} body
+ * @param {string} userId
+ * @returns {Promise<{ changes: object, error: string|null }>}
+ */
+const validateDeviceConfig = async (body, userId) => {
+  const changes = {};
+  const { defaultStyle, contentProfile, buttons, output, timezone } = body || {};
+
+  if (defaultStyle !== undefined) {
+    if (defaultStyle !== null && typeof defaultStyle !== 'string') {
+      return { changes, error: 'defaultStyle must be a style id or null' };
+    }
+    changes.defaultStyle = defaultStyle;
+  }
+
+  if (contentProfile !== undefined) {
+    if (contentProfile !== null && !CONTENT_PROFILES.includes(contentProfile)) {
+      return { changes, error: `contentProfile must be one of: ${CONTENT_PROFILES.join(', ')}, or null` };
+    }
+    changes.contentProfile = contentProfile;
+  }
+
+  // { "<button id>": "<style id>" }, e.g. { "A": "haiku", "B": "dirty-limerick" }
+  if (buttons !== undefined) {
+    const entries = buttons && typeof buttons === 'object' && !Array.isArray(buttons) ? Object.entries(buttons) : null;
+    if (buttons !== null && (!entries || entries.length > MAX_BUTTONS
+      || !entries.every(([button, style]) => BUTTON_ID_PATTERN.test(button) && typeof style === 'string'))) {
+      return { changes, error: `buttons must map up to ${MAX_BUTTONS} button ids (letters, digits, - or _) to style ids, or be null` };
+    }
+    changes.buttons = buttons;
+  }
+
+  if (output !== undefined) {
+    if (output !== null && !DEVICE_OUTPUTS.includes(output)) {
+      return { changes, error: `output must be one of: ${DEVICE_OUTPUTS.join(', ')}, or null` };
+    }
+    changes.output = output;
+  }
+
+  if (timezone !== undefined) {
+    if (timezone !== null && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+      return { changes, error: 'timezone must be an IANA time zone such as Europe/Berlin, or null' };
+    }
+    changes.timezone = timezone;
+  }
+
+  const styleIds = [changes.defaultStyle, ...Object.values(changes.buttons || {})].filter(Boolean);
+  if (styleIds.length) {
+    const available = new Set((await listStylesForUser(userId)).map(style => style.id));
+    const unknown = styleIds.find(id => !available.has(id));
+    if (unknown) {
+      return { changes, error: `Unknown style '${unknown}'` };
+    }
+  }
+
+  return { changes, error: null };
+};
+
+/**
+ * Create a one-time pairing code for a new device (web app).
+ */
+export const createPairingCode = async (req, res) => {
+  try {
+    const { name } = req.body || {};
+
+    if (name !== undefined && !isValidName(name)) {
+      return res.status(400).json({ error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+    }
+
+    const pairing = await createCode(req.user.uid, { name: name?.trim() });
+    res.status(201).json(pairing);
+  } catch (error) {
+    console.error('Error creating pairing code:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Pair a device with a code (device firmware, no other credentials). The
+ * response is the only time the device secret is shown.
+ */
+export const pairDevice = async (req, res) => {
+  try {
+    const { code, name } = req.body || {};
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ error: 'Missing pairing code' });
+    }
+    if (name !== undefined && !isValidName(name)) {
+      return res.status(400).json({ error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+    }
+
+    const device = await pair({ code, name: name?.trim() });
+    res.status(201).json(device);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error pairing device:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const listDevices = async (req, res) => {
+  try {
+    const devices = await fetchDevices(req.user.uid);
+    res.json({ devices });
+  } catch (error) {
+    console.error('Error listing devices:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const renameDevice = async (req, res) => {
+  try {
+    const { name } = req.body || {};
+
+    if (!isValidName(name)) {
+      return res.status(400).json({ error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+    }
+
+    const device = await rename(req.user.uid, req.params.id, name.trim());
+    res.json(device);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error renaming device:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const revokeDevice = async (req, res) => {
+  try {
+    const device = await revoke(req.user.uid, req.params.id);
+    res.json({ success: true, device });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error revoking device:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const getDeviceStatus = async (req, res) => {
+  try {
+    const device = await fetchDeviceStatus(req.user.uid, req.params.id);
+    res.json(device);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error fetching device status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Heartbeat from a paired device (requireDevice) with its telemetry.
+ */
+export const heartbeat = async (req, res) => {
+  try {
+    const { telemetry, error } = validateTelemetry(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { receivedAt } = await recordHeartbeat(req.device, telemetry);
+    res.json({ success: true, receivedAt });
+  } catch (error) {
+    console.error('Error recording heartbeat:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const getDeviceConfig = async (req, res) => {
+  try {
+    const config = await getOwnDeviceConfig(req.user.uid, req.params.id);
+    res.json(config);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error fetching device config:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Change a device's config (web app). The device picks it up from
+ * GET /device/config.
+ */
+export const updateDeviceConfig = async (req, res) => {
+  try {
+    const { changes, error } = await validateDeviceConfig(req.body, req.user.uid);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const config = await saveDeviceConfig(req.user.uid, req.params.id, changes);
+    res.json(config);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error updating device config:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Config for a paired device (requireDevice), with an ETag so the device can
+ * check for changes with If-None-Match before each capture.
+ */
+export const getConfig = async (req, res) => {
+  try {
+    const config = configOf(req.device);
+    const etag = deviceConfigETag(config);
+
+    res.set({ ETag: etag, 'Cache-Control': 'no-cache' });
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
+    }
+    res.json(config);
+  } catch (error) {
+    console.error('Error fetching device config:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Firmware manifest for a paired device (requireDevice): the newest release
+ * on its channel and whether it should install it. The device can pass
+ * `?currentVersion=`; otherwise the version from its last heartbeat is used.
+ */
+export const getFirmwareManifest = async (req, res) => {
+  try {
+    const { currentVersion } = req.query;
+
+    if (currentVersion !== undefined && !isValidVersion(currentVersion)) {
+      return res.status(400).json({ error: 'currentVersion must look like 1.4.0 or 1.5.0-rc.1' });
+    }
+
+    const manifest = await fetchFirmwareManifest(req.device, currentVersion);
+    res.set('Cache-Control', 'no-store');
+    res.json(manifest);
+  } catch (error) {
+    console.error('Error fetching firmware manifest:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Firmware binary for a paired device (requireDevice). Supports single
+ * `Range` requests (with `If-Range`) so an interrupted download can resume.
+ */
+export const downloadFirmware = async (req, res) => {
+  try {
+    const release = await getFirmwareRelease(req.params.version);
+    const etag = `"${release.sha256}"`;
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, max-age=86400',
+      ETag: etag,
+      'X-Firmware-Version': release.version,
+      'X-Firmware-SHA256': release.sha256,
+    });
+
+    // A resumed download of a binary that has since changed starts over
+    const ifRange = req.headers['if-range'];
+    const range = req.headers.range && (!ifRange || ifRange === etag)
+      ? parseByteRange(req.headers.range, release.size)
+      : undefined;
+
+    if (range === null) {
+      res.set('Content-Range', `bytes */${release.size}`);
+      return res.status(416).json({ error: 'Range not satisfiable' });
+    }
+
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${release.size}`);
+    }
+    res.type('application/octet-stream');
+    res.set('Content-Length', String(range ? range.end - range.start + 1 : release.size));
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const stream = getStorageBackend().createReadStream(release.storageKey, range);
+    stream.on('error', (error) => {
+      console.error('Error streaming firmware:', error);
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error downloading firmware:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -1,8 +1,85 @@
 import { db, storage } from '../config/firebase.js';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { basicPrompt, dirtyLimerickPrompt, haikuPrompt, sketchPrompt } from '../systemPrompts.js';
-import { formatDate } from '../utils/helpers.js';
-import { allowedUserIds } from '../middleware/auth.js';
+import { sketchPrompt } from '../systemPrompts.js';
+import { ApiError, sendApiError } from '../utils/errors.js';
+import { getUserSettings } from '../services/userSettings.js';
+import { getProviderForUser, providerConfigError } from '../services/providers/index.js';
+import { generatePoemForUser, prepareGeneration, streamPreparedPoem, savePoem } from '../services/poemGeneration.js';
+import { openEventStream } from '../utils/sse.js';
+import { createPoemJob, getJobById } from '../services/jobs.js';
+import { createCaptureSet, MAX_VARIANTS } from '../services/captureSets.js';
+import { withVersions, remixPoem as remixPoemVersion, selectPoemVersion } from '../services/poemVersions.js';
+import { withSignedCaptureUrls, withPublicCaptureUrls, removeCaptures } from '../services/captures.js';
+import { ingestImage } from '../services/imageIngest.js';
+import { displayPaletteFor } from '../services/imagePalette.js';
+import { SUPPORTED_LANGUAGES, normalizeLanguage } from '../utils/languages.js';
+import { BLOCKED_STYLE_ACTIONS } from '../services/contentProfiles.js';
+import { dedupeScopeFor, findDuplicatePoem, claimCapture, releaseCaptureClaim, waitForCaptureClaim } from '../services/captureHash.js';
+import { renderPoemReceipt, RECEIPT_PAPER_WIDTHS, RECEIPT_RASTERS } from '../services/receipts.js';
+import { CODEPAGES } from '../utils/escpos.js';
+import { combineHashes } from '../utils/imageHash.js';
+import { meterProvider, recordUsage, outcomeOf, reserveQuota, quotaHeaders, SKETCH_QUOTA_KEY } from '../services/usage.js';
+
+export const MIN_IMAGES = 2;
+export const MAX_IMAGES = 4;
+
+const RESPONSE_FORMATS = ['json', 'escpos'];
+
+/**
+ * Receipt options for `format=escpos` requests: `paper` (58 or 80 mm),
+ * `codepage` (see utils/escpos.js, default auto) and `raster` (none, sketch
+ * or palette).
+ * @returns {object|null} options for renderPoemReceipt, or null for JSON
+ * @throws {ApiError} 400 for an unknown format, paper width, code page or raster
+ */
+const getReceiptOptions = (req) => {
+  const { format = 'json', paper = '58', codepage = 'auto', raster = 'none' } = req.query;
+
+  if (!RESPONSE_FORMATS.includes(format)) {
+    throw new ApiError(400, `format must be one of: ${RESPONSE_FORMATS.join(', ')}`);
+  }
+  if (format !== 'escpos') {
+    return null;
+  }
+
+  const width = parseInt(paper, 10);
+  if (!RECEIPT_PAPER_WIDTHS.includes(width)) {
+    throw new ApiError(400, `paper must be one of: ${RECEIPT_PAPER_WIDTHS.join(', ')} (mm)`);
+  }
+  if (codepage !== 'auto' && !Object.hasOwn(CODEPAGES, codepage)) {
+    throw new ApiError(400, `codepage must be auto or one of: ${Object.keys(CODEPAGES).join(', ')}`);
+  }
+  if (!RECEIPT_RASTERS.includes(raster)) {
+    throw new ApiError(400, `raster must be one of: ${RECEIPT_RASTERS.join(', ')}`);
+  }
+
+  return { paper: width, codepage, raster };
+};
+
+// Send a poem as ESC/POS bytes, ready to pass straight to the printer
+const sendReceipt = async (res, poem, userData, options) => {
+  const { data, codepage } = await renderPoemReceipt(poem, userData, options);
+  res.set('X-Receipt-Codepage', codepage);
+  res.type('application/octet-stream').send(data);
+};
+
+// Shape a stored poem for API responses; userData picks the display palette
+const presentPoem = (poem, userData) => {
+  const presented = withSignedCaptureUrls(withVersions(poem));
+  return { ...presented, displayPalette: displayPaletteFor(presented, userData) };
+};
+
+// Shape a poem for the token-less public endpoints: anyone who knows a uid
+// can call them, so captures come as thumbnails only, and the capture
+// context's coordinates and the device id are left out
+const presentPublicPoem = (poem, userData) => {
+  const { context, deviceId, ...presented } = withPublicCaptureUrls(withVersions(poem));
+  const { location, ...publicContext } = context || {};
+  return {
+    ...presented,
+    ...(context ? { context: publicContext } : {}),
+    displayPalette: displayPaletteFor(presented, userData),
+  };
+};
 
 export const listPoems = async (req, res) => {
   try {
@@ -27,7 +104,8 @@ export const listPoems = async (req, res) => {
       .limit(limit)
       .get();
 
-    const docs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const userData = await getUserSettings(userId);
+    const docs = snapshot.docs.map(doc => presentPoem({ id: doc.id, ...doc.data() }, userData));
     res.json(docs);
   } catch (error) {
     console.error('DETAILED FIRESTORE ERROR:', error);
@@ -38,6 +116,7 @@ export const listPoems = async (req, res) => {
 export const getPoem = async (req, res) => {
   try {
     const userId = req.user.uid; // Use verified UID from token
+    const receipt = getReceiptOptions(req);
     let index = parseInt(req.query.index);
     if (isNaN(index) || index < 0) index = 0;
 
@@ -66,10 +145,14 @@ export const getPoem = async (req, res) => {
       .get();
 
     if (snapshot.empty) {
+      if (receipt) {
+        return res.status(404).json({ error: 'Poem not found' });
+      }
       return res.json({ currentPoem: null, nextPoem: null, previousPoem: null });
     }
 
-    const docs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const userData = await getUserSettings(userId);
+    const docs = snapshot.docs.map(doc => presentPoem({ id: doc.id, ...doc.data() }, userData));
 
     let currentPoem = null;
     let nextPoem = null;
@@ -85,9 +168,19 @@ export const getPoem = async (req, res) => {
       previousPoem = docs[2] ? { ...docs[2], index: index + 1 } : null;
     }
 
+    if (receipt) {
+      if (!currentPoem) {
+        return res.status(404).json({ error: 'Poem not found' });
+      }
+      return sendReceipt(res, currentPoem, userData, receipt);
+    }
+
     res.json({ currentPoem, nextPoem, previousPoem });
 
   } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
     console.error('Error fetching poem:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -130,7 +223,8 @@ export const getPublicPoem = async (req, res) => {
       return res.json({ currentPoem: null, nextPoem: null, previousPoem: null });
     }
 
-    const docs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const userData = await getUserSettings(userId);
+    const docs = snapshot.docs.map(doc => presentPublicPoem({ id: doc.id, ...doc.data() }, userData));
 
     let currentPoem = null;
     let nextPoem = null;
@@ -168,7 +262,8 @@ export const getWebDisplayPoem = async (req, res) => {
       return res.json({ currentPoem: null });
     }
 
-    const webDisplayPoemId = allowlistSnapshot.docs[0].data().webDisplayPoem;
+    const userData = allowlistSnapshot.docs[0].data();
+    const webDisplayPoemId = userData.webDisplayPoem;
 
     if (!webDisplayPoemId) {
       return res.json({ currentPoem: null });
@@ -180,7 +275,7 @@ export const getWebDisplayPoem = async (req, res) => {
       return res.json({ currentPoem: null });
     }
 
-    res.json({ currentPoem: { id: poemDoc.id, ...poemDoc.data() } });
+    res.json({ currentPoem: presentPublicPoem({ id: poemDoc.id, ...poemDoc.data() }, userData) });
   } catch (error) {
     console.error('Error fetching web display poem:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -246,12 +341,66 @@ export const deletePoem = async (req, res) => {
 
     await poemRef.delete();
     res.json({ success: true });
+
+    try {
+      await removeCaptures(doc.data());
+    } catch (storageError) {
+      console.error(`Error removing captures for poem ${id}:`, storageError);
+    }
   } catch (error) {
     console.error('Error deleting poem:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
 
+export const remixPoem = async (req, res) => {
+  try {
+    const { id, type, instruction } = req.body;
+
+    if (!id) {
+      return res.status(400).json({ error: 'Missing id' });
+    }
+
+    if (!type && !instruction) {
+      return res.status(400).json({ error: 'Provide a style (type) and/or an instruction' });
+    }
+
+    if (instruction !== undefined && (typeof instruction !== 'string' || instruction.length > 500)) {
+      return res.status(400).json({ error: 'instruction must be a string of at most 500 characters' });
+    }
+
+    const { poem, userData, quota } = await remixPoemVersion({ userId: req.user.uid, poemId: id, type, instruction });
+    res.set(quotaHeaders(quota));
+    res.json(presentPoem(poem, userData));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error remixing poem:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const selectVersion = async (req, res) => {
+  try {
+    const { id } = req.body;
+    const version = parseInt(req.body.version, 10);
+
+    if (!id || isNaN(version)) {
+      return res.status(400).json({ error: 'Missing id or version' });
+    }
+
+    const poem = await selectPoemVersion({ userId: req.user.uid, poemId: id, version });
+    res.json(presentPoem(poem, await getUserSettings(req.user.uid)));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error selecting poem version:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 export const generateSketch = async (req, res) => {
   try {
     const userId = req.user.uid;
@@ -273,57 +422,27 @@ export const generateSketch = async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized' });
     }
 
-    // Get API Key
-    let apiKey = null;
-    try {
-      const allowlistRef = db.collection('allowlist');
-      const snapshot = await allowlistRef.where('uid', '==', userId).limit(1).get();
-
-      if (!snapshot.empty) {
-        const userData = snapshot.docs[0].data();
-        if (userData.geminiApiKey) {
-          apiKey = userData.geminiApiKey;
-        }
-      }
-    } catch (keyError) {
-      console.error('Error fetching user settings:', keyError);
-    }
+    const userData = await getUserSettings(userId);
+    const provider = getProviderForUser(userData);
 
-    if (!apiKey) {
-      return res.status(400).json({
-        error: 'Gemini API Key is missing. Please configure it in your settings.'
-      });
+    if (!provider.isConfigured()) {
+      return res.status(400).json({ error: providerConfigError(provider, userData) });
     }
 
-    // Initialize Gemini with the selected key
-    const userGenAI = new GoogleGenerativeAI(apiKey);
-    const userModel = userGenAI.getGenerativeModel({
-      model: "gemini-2.5-flash-image",
-      systemInstruction: sketchPrompt
-    });
+    const { quota, reservedAt } = await reserveQuota({ userId, userData, styles: { [SKETCH_QUOTA_KEY]: 1 }, keySource: provider.keySource });
+    const { provider: metered, meter } = meterProvider(provider);
+    const usage = { userId, kind: 'sketch', quotaKey: SKETCH_QUOTA_KEY, provider: provider.name, keySource: provider.keySource, reservedAt, meter, startedAt: Date.now() };
 
     const prompt = `Title: ${title}\nPoem: ${poem}`;
 
-    const result = await userModel.generateContent(prompt);
-    const response = await result.response;
-
-    // Check for image in response candidates
-    // Typically image generation models return image data in parts
-    const candidates = response.candidates;
-    if (!candidates || candidates.length === 0) {
-       throw new Error("No content generated");
-    }
-
-    // Looking for inlineData which usually holds the image
-    const part = candidates[0].content.parts.find(p => p.inlineData);
-
-    if (!part || !part.inlineData) {
-        console.error("Response structure:", JSON.stringify(candidates, null, 2));
-        throw new Error("No image data found in response");
+    let buffer;
+    try {
+      ({ data: buffer } = await metered.generateImage({ systemPrompt: sketchPrompt, prompt }));
+    } catch (generationError) {
+      await recordUsage({ ...usage, outcome: outcomeOf(generationError) });
+      throw generationError;
     }
-
-    const base64Image = part.inlineData.data;
-    const buffer = Buffer.from(base64Image, 'base64');
+    await recordUsage({ ...usage, outcome: 'success' });
 
     // Upload to Firebase Storage
     const bucket = storage.bucket();
@@ -339,210 +458,362 @@ export const generateSketch = async (req, res) => {
     // Update Poem
     await poemRef.update({ sketchUrl: publicUrl });
 
+    res.set(quotaHeaders(quota));
     res.json({ sketchUrl: publicUrl });
 
   } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
     console.error('Error generating sketch:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
 
+/**
+ * Per-request generation options from the query string: `lang`, the device
+ * (the paired device that signed the request, otherwise `deviceId` or the
+ * X-Device-Id header, for per-device content profiles) and `onBlocked` (what
+ * to do with a style the content profile blocks).
+ * @returns {{ language?: string, deviceId?: string, onBlocked?: string }}
+ * @throws {ApiError} 400 for an unsupported lang or onBlocked value
+ */
+const getGenerationOptions = (req) => {
+  const options = {};
+
+  if (req.query.lang !== undefined) {
+    options.language = normalizeLanguage(req.query.lang);
+    if (!options.language) {
+      throw new ApiError(400, `Unsupported lang. Expected one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`, 'UNSUPPORTED_LANGUAGE');
+    }
+  }
+
+  const deviceId = req.device?.id || req.query.deviceId || req.get('X-Device-Id');
+  if (deviceId) options.deviceId = String(deviceId);
+
+  if (req.query.onBlocked !== undefined) {
+    if (!BLOCKED_STYLE_ACTIONS.includes(req.query.onBlocked)) {
+      throw new ApiError(400, `onBlocked must be one of: ${BLOCKED_STYLE_ACTIONS.join(', ')}`);
+    }
+    options.onBlocked = req.query.onBlocked;
+  }
+
+  return options;
+};
+
+/**
+ * Deduplicate a capture, so a device retrying after a timeout gets its poem
+ * back instead of a second generation: a recent poem from the same capture
+ * and scope (see dedupeScopeFor) is returned as `duplicate`. Otherwise the
+ * capture is claimed for this request; a retry that finds it claimed waits
+ * for that generation and looks again, or, for `async=true`, gets the job
+ * generating it. `force=true` skips all of this. A failed lookup never
+ * blocks generation.
+ * @returns {Promise<object>} { duplicate }, { jobId }, or { claimId } to
+ *   release once the poem is saved or generation fails (null if nothing
+ *   was claimed)
+ * @throws {ApiError} 409 CAPTURE_IN_PROGRESS if the claimed generation is
+ *   still running after the wait
+ */
+const dedupeCapture = async (req, userId, images, options) => {
+  if (req.query.force === 'true') {
+    return { claimId: null };
+  }
+  try {
+    const captureHash = combineHashes(images.map(image => image.hash));
+    const scope = await dedupeScopeFor({ userId, type: req.query.type, language: options.language, deviceId: options.deviceId });
+
+    // Twice at most: once more after waiting out another request's claim
+    for (let pass = 0; pass < 2; pass++) {
+      const duplicate = await findDuplicatePoem({ userId, captureHash, scope });
+      if (duplicate) {
+        console.log(JSON.stringify({ event: 'poem_duplicate_capture', userId, poemId: duplicate.id }));
+        return { duplicate };
+      }
+
+      const { claimId, claim } = await claimCapture({ userId, captureHash, scope });
+      if (!claim) {
+        return { claimId };
+      }
+      if (claim.jobId && req.query.async === 'true') {
+        return { jobId: claim.jobId };
+      }
+      console.log(JSON.stringify({ event: 'poem_capture_in_progress', userId, claimId }));
+      if (!(await waitForCaptureClaim(claimId))) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.error('Error checking for a duplicate capture:', error);
+    return { claimId: null };
+  }
+
+  const error = new ApiError(409, 'This capture is still being turned into a poem. Please try again shortly.', 'CAPTURE_IN_PROGRESS');
+  error.headers = { 'Retry-After': '5' };
+  throw error;
+};
+
+// 202 response for an async generation job
+const sendJobAccepted = (res, jobId, status = 'queued') => res.status(202).json({ jobId, status, statusUrl: `/jobs/${jobId}` });
+
+// Response body for a duplicate: the stored poem, shaped like getPoem's
+const presentDuplicate = async (poem, userId) => ({
+  ...presentPoem(poem, await getUserSettings(userId)),
+  duplicate: true,
+});
+
+/**
+ * Read the uploaded bytes from either multipart form-data or a raw body.
+ * The declared content type is ignored; see ingestImage.
+ * @returns {Buffer|null}
+ */
+const getUploadedBytes = (req) => {
+  if (req.file) {
+    return req.file.buffer;
+  }
+  if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+    return req.body;
+  }
+  return null;
+};
+
+/**
+ * Generate a poem for a capture dedupeCapture claimed and respond with it,
+ * or with its job for `async=true`, releasing the claim once the poem is
+ * saved (the job releases it for async requests) or generation fails.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string|null} claimId - from dedupeCapture
+ * @param {object} job - options for generatePoemForUser / createPoemJob
+ * @param {object|null} receipt - see getReceiptOptions
+ */
+const generateClaimed = async (req, res, claimId, job, receipt) => {
+  let handedToJob = false;
+  try {
+    // Async mode: hand the work to the job queue and let the device poll
+    if (req.query.async === 'true') {
+      const jobId = await createPoemJob({ ...job, captureClaimId: claimId });
+      handedToJob = true;
+      return sendJobAccepted(res, jobId);
+    }
+
+    const { poem, userData, quota } = await generatePoemForUser(job);
+
+    res.set(quotaHeaders(quota));
+    if (receipt) {
+      await sendReceipt(res, poem, userData, receipt);
+    } else {
+      res.json(poem);
+    }
+
+    try {
+      await savePoem(job.userId, poem, userData, job.images);
+    } catch (dbError) {
+      console.error('Error saving to Firestore:', dbError);
+    }
+  } finally {
+    if (!handedToJob) {
+      await releaseCaptureClaim(claimId);
+    }
+  }
+};
+
 export const generatePoem = async (req, res) => {
   try {
     console.log(`[${new Date().toISOString()}] Received request to /generate-poem`);
-    let imageBuffer;
-    let mimeType;
+    const userId = req.user.uid;
+    const upload = getUploadedBytes(req);
 
-    if (req.file) {
-      imageBuffer = req.file.buffer;
-      mimeType = req.file.mimetype;
-    } else if (Buffer.isBuffer(req.body) && req.body.length > 0) {
-      imageBuffer = req.body;
-      mimeType = 'image/jpeg';
+    if (!upload) {
+      return res.status(400).json({ error: 'No image file provided' });
     }
 
-    if (!imageBuffer) {
-      return res.status(400).json({ error: 'No image file provided' });
+    const options = getGenerationOptions(req);
+    const receipt = getReceiptOptions(req);
+    const image = await ingestImage(upload);
+
+    // Variants mode: several candidates held as a capture set until one is chosen
+    const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean) : [];
+    let variants = req.query.variants !== undefined ? parseInt(req.query.variants, 10) : types.length || 1;
+    if (isNaN(variants) || variants < 1 || variants > MAX_VARIANTS) {
+      return res.status(400).json({ error: `variants must be between 1 and ${MAX_VARIANTS}` });
     }
 
-    // Dual Authentication: Try token first (web), fallback to userid (Arduino)
-    let userId = null;
-    
-    // Try to get UID from verified token first (web clients)
-    // Note: This requires the correct middleware setup to populate req.user on this endpoint if a token is present,
-    // OR we need to manually verify inside here if we want to skip global middleware for this specific route.
-    // In server.js, /generate-poem was excluded from global middleware.
-    // So req.user might be undefined unless we run specific auth middleware here or manually parse.
-    
-    // Since we are refactoring, we'll assume we can use a flexible auth middleware or handle it manually here.
-    // For now, let's assume req.user is populated if token is present, 
-    // BUT since we are excluding it from global auth in `middleware/auth.js`, we need to handle token verification here if we want to support it.
-    
-    // Actually, the previous implementation had global auth middleware attempting to verify token, but skipping for /generate-poem.
-    // Meaning /generate-poem auth logic IS mostly manual or reliant on query param if global skipped it?
-    // Wait, lines 60-64 in original server.js:
-    // app.use(async (req, res, next) => {
-    //   if (publicPaths.includes(req.path)) { return next(); } ...
-    // So yes, global auth was SKIPPED for /generate-poem.
-    // So req.user would be undefined unless we do something else.
-    // BUT, lines 584: if (req.user && req.user.uid) ...
-    // This implies that EITHER the global middleware actually RAN (contradicting lines 60-64) OR there is some other mechanism.
-    // Looking closely at lines 60-64:
-    // const publicPaths = ['/', '/favicon.ico', '/generate-poem', '/public/getPoem'];
-    // ... return next();
-    // It returns next() immediately, so req.user is NOT populated by that middleware.
-    // So line 584 `if (req.user && req.user.uid)` in original `server.js` would likely always be false unless another middleware ran?
-    // Ah, wait. `app.use` runs in order. If `generate-poem` is hit, it skips auth.
-    // So logic at 584 seems dead code in the original server.js UNLESS I missed something.
-    // OR, maybe the user wants to support token auth for generate-poem now?
-    // "Dual Authentication: Try token first (web), fallback to userid (Arduino)"
-    // If I want to support this, I should probably try to verify token here if header exists.
-    
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-       // We can try to import getAuth and verify
-       try {
-         const { getAuth } = await import('firebase-admin/auth');
-         const idToken = authHeader.split('Bearer ')[1];
-         const decodedToken = await getAuth().verifyIdToken(idToken);
-         userId = decodedToken.uid;
-         console.log(`Using verified UID from token: ${userId}`);
-       } catch (e) {
-         console.warn("Token verification failed in generatePoem:", e);
-       }
-    }
-
-    if (!userId && req.query.userid) {
-      userId = req.query.userid;
-      console.log(`Using userid parameter (Arduino): ${userId}`);
-      
-      if (allowedUserIds.size > 0 && !allowedUserIds.has(userId)) {
-        console.log(`Blocked access attempt from unauthorized user: ${userId}`);
-        return res.status(403).json({ error: 'Access denied: User not on allowlist' });
-      }
+    if (receipt && (variants > 1 || req.query.async === 'true')) {
+      return res.status(400).json({ error: 'format=escpos cannot be combined with variants or async=true' });
     }
 
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required: Missing token or userid' });
-    }
-
-    // Determine which API Key to use and get timezone and pen name
-    let apiKey = null;
-    let userTimezone = null;
-    let penName = null;
-
-    if (userId) {
-      try {
-        const allowlistRef = db.collection('allowlist');
-        const snapshot = await allowlistRef.where('uid', '==', userId).limit(1).get();
-
-        if (!snapshot.empty) {
-          const userData = snapshot.docs[0].data();
-          if (userData.geminiApiKey) {
-            apiKey = userData.geminiApiKey;
-            console.log(`Using custom API key for user: ${userId}`);
-          }
-          if (userData.timezone) {
-            userTimezone = userData.timezone;
-          }
-          if (userData.penName) {
-            penName = userData.penName;
-          }
-        }
-      } catch (keyError) {
-        console.error('Error fetching user settings:', keyError);
+    if (variants > 1) {
+      if (req.query.async === 'true') {
+        return res.status(400).json({ error: 'variants cannot be combined with async=true' });
       }
-    }
 
-    if (!apiKey) {
-      console.error('No API Key found for user:', userId);
-      return res.status(400).json({
-        error: 'Gemini API Key is missing. Please configure it in your settings.'
+      // Devices without a screen can't pick, so their sets commit themselves on expiry
+      const autoCommit = req.query.autoCommit !== undefined
+        ? req.query.autoCommit === 'true'
+        : req.authMethod !== 'token';
+
+      const captureSet = await createCaptureSet({
+        userId,
+        images: [image],
+        variants,
+        types: types.length ? types : [req.query.type],
+        autoCommit,
+        ...options,
       });
+      return res.json(captureSet);
     }
 
-    // Initialize Gemini with the selected key and enable JSON mode
-    const userGenAI = new GoogleGenerativeAI(apiKey);
-    const userModel = userGenAI.getGenerativeModel({
-      model: "gemini-flash-latest",
-      generationConfig: {
-        responseMimeType: "application/json",
-        maxOutputTokens: 300,
-        thinkingConfig: {
-          thinkingBudget: 0
-        }
-      }
-    });
+    // A duplicate is returned straight away, even for async requests:
+    // there's nothing to queue
+    const { duplicate, jobId: claimedJobId, claimId } = await dedupeCapture(req, userId, [image], options);
+    if (duplicate) {
+      return receipt
+        ? sendReceipt(res, duplicate, await getUserSettings(userId), receipt)
+        : res.json(await presentDuplicate(duplicate, userId));
+    }
+    if (claimedJobId) {
+      return sendJobAccepted(res, claimedJobId, (await getJobById(claimedJobId))?.status);
+    }
 
-    const base64Image = imageBuffer.toString('base64');
+    await generateClaimed(req, res, claimId, { userId, images: [image], type: req.query.type, ...options }, receipt);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error generating poem:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
+/**
+ * Generate one poem from a set of 2-4 images (a diptych, triptych or
+ * quadtych), e.g. a camera burst or photos picked in the web app. Every image
+ * is stored as a capture of the poem and the image palette is merged across
+ * all of them.
+ */
+export const generateMultiImagePoem = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const files = req.files || [];
 
-    let prompt = basicPrompt;
-    if (req.query.type === 'dirty-limerick') {
-      prompt = dirtyLimerickPrompt;
-    } else if (req.query.type === 'dirty-haiku') {
-      prompt = haikuPrompt;
+    if (files.length < MIN_IMAGES || files.length > MAX_IMAGES) {
+      return res.status(400).json({ error: `Provide between ${MIN_IMAGES} and ${MAX_IMAGES} images in the 'images' field` });
     }
-    const result = await userModel.generateContent([
-      prompt,
-      {
-        inlineData: {
-          data: base64Image,
-          mimeType: mimeType,
-        },
-      },
-    ]);
 
-    const response = await result.response;
-    const text = response.text();
+    const options = getGenerationOptions(req);
+    const receipt = getReceiptOptions(req);
 
-    // Clean up the response to ensure it's valid JSON
-    let jsonString = text.replace(/```json/g, '').replace(/```/g, '').trim();
+    // Ingest in upload order: the model is told the images are a sequence
+    const images = [];
+    for (const file of files) {
+      images.push(await ingestImage(file.buffer));
+    }
 
-    let data;
-    try {
-      data = JSON.parse(jsonString);
-    } catch (parseError) {
-      console.error('Failed to parse JSON from Gemini:', text);
-      try {
-        const fixedJson = jsonString
-          .replace(/\n(?=([^"]*"[^"]*")*[^"]*$)/g, ' ') 
-          .replace(/\n/g, '\\n') 
-          .replace(/\r/g, '\\r');
-        data = JSON.parse(fixedJson);
-        console.log('Successfully parsed JSON after literal newline fix');
-      } catch (secondError) {
-        return res.status(500).json({ error: 'Failed to generate valid JSON' });
-      }
+    if (receipt && req.query.async === 'true') {
+      return res.status(400).json({ error: 'format=escpos cannot be combined with async=true' });
+    }
+
+    // As in generatePoem, a duplicate is returned even for async requests
+    const { duplicate, jobId: claimedJobId, claimId } = await dedupeCapture(req, userId, images, options);
+    if (duplicate) {
+      return receipt
+        ? sendReceipt(res, duplicate, await getUserSettings(userId), receipt)
+        : res.json(await presentDuplicate(duplicate, userId));
+    }
+    if (claimedJobId) {
+      return sendJobAccepted(res, claimedJobId, (await getJobById(claimedJobId))?.status);
+    }
+
+    await generateClaimed(req, res, claimId, { userId, images, type: req.query.type, ...options }, receipt);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error generating multi-image poem:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Streaming variant of generatePoem for web clients: progress, partial
+ * title/lines/palette and the final poem are pushed as Server-Sent Events.
+ */
+export const generatePoemStream = async (req, res) => {
+  const userId = req.user.uid;
+  const upload = getUploadedBytes(req);
+
+  if (!upload) {
+    return res.status(400).json({ error: 'No image file provided' });
+  }
+
+  // Everything that can fail before generation (including quota) fails as a
+  // plain HTTP response: once the stream is open the status is 200
+  let image;
+  let duplicate;
+  let claimId = null;
+  let prepared = null;
+  try {
+    const options = getGenerationOptions(req);
+    image = await ingestImage(upload);
+    ({ duplicate, claimId } = await dedupeCapture(req, userId, [image], options));
+    if (!duplicate) {
+      prepared = await prepareGeneration({ userId, type: req.query.type, ...options });
+      res.set(quotaHeaders(prepared.quota));
     }
+  } catch (error) {
+    await releaseCaptureClaim(claimId);
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Error preparing poem stream:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
 
-    const { dayOfWeek, date, month, year } = formatDate(userTimezone);
+  const stream = openEventStream(res);
+  stream.send('received', { bytes: upload.length, width: image.width, height: image.height });
 
-    const enrichedData = {
-      ...data,
-      dayOfWeek,
-      date,
-      month,
-      year
-    };
+  try {
+    if (duplicate) {
+      stream.send('done', await presentDuplicate(duplicate, userId));
+      return;
+    }
 
-    res.json(enrichedData);
+    const { poem, userData } = await streamPreparedPoem(prepared, [image], stream.send);
 
+    let id = null;
     try {
-      await db.collection('poems').add({
-        ...enrichedData,
-        userId: userId,
-        timestamp: new Date(),
-        isFavorite: false,
-        penName: penName || '' 
-      });
-      console.log('Poem saved to Firestore for user:', userId);
+      id = await savePoem(userId, poem, userData, [image]);
     } catch (dbError) {
       console.error('Error saving to Firestore:', dbError);
     }
 
+    stream.send('done', { id, ...poem });
   } catch (error) {
-    console.error('Error generating poem:', error);
+    if (error instanceof ApiError) {
+      stream.send('error', { error: error.message, code: error.code || null });
+    } else {
+      console.error('Error streaming poem:', error);
+      stream.send('error', { error: 'Internal server error', code: null });
+    }
+  } finally {
+    await releaseCaptureClaim(claimId);
+    stream.close();
+  }
+};
+
+export const getJob = async (req, res) => {
+  try {
+    const job = await getJobById(req.params.id);
+
+    if (!job || job.userId !== req.user.uid) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const { userId, ...jobData } = job;
+    res.json(jobData);
+  } catch (error) {
+    console.error('Error fetching job:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
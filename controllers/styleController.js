@@ -0,0 +1,164 @@
+import { db } from '../config/firebase.js';
+import { listStylesForUser, getBuiltInStyle, STYLE_VISIBILITIES } from '../services/styleRegistry.js';
+import { CONTENT_PROFILES, DEFAULT_STYLE_INTENSITY } from '../services/contentProfiles.js';
+import { FORM_RULES } from '../utils/poetics.js';
+
+const MAX_NAME_LENGTH = 60;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+const MAX_LINES_LIMIT = 30;
+const DEFAULT_MAX_LINES = 8;
+
+/**
+ * Validate style fields from a request body.
+ * @param {object} body
+ * @param {boolean} partial - true for updates, where every field is optional
+ * @returns {{ fields: object, error: string|null }}
+ */
+const validateStyleFields = (body, partial) => {
+  const fields = {};
+  const { name, instructions, maxLines, visibility, intensity, form } = body || {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+      return { fields, error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` };
+    }
+    fields.name = name.trim();
+  }
+
+  if (instructions !== undefined || !partial) {
+    if (typeof instructions !== 'string' || !instructions.trim() || instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      return { fields, error: `instructions must be a non-empty string of at most ${MAX_INSTRUCTIONS_LENGTH} characters` };
+    }
+    fields.instructions = instructions.trim();
+  }
+
+  if (maxLines !== undefined) {
+    const lines = Number(maxLines);
+    if (!Number.isInteger(lines) || lines < 1 || lines > MAX_LINES_LIMIT) {
+      return { fields, error: `maxLines must be an integer between 1 and ${MAX_LINES_LIMIT}` };
+    }
+    fields.maxLines = lines;
+  } else if (!partial) {
+    fields.maxLines = DEFAULT_MAX_LINES;
+  }
+
+  if (visibility !== undefined) {
+    if (!STYLE_VISIBILITIES.includes(visibility)) {
+      return { fields, error: `visibility must be one of: ${STYLE_VISIBILITIES.join(', ')}` };
+    }
+    fields.visibility = visibility;
+  } else if (!partial) {
+    fields.visibility = 'private';
+  }
+
+  if (intensity !== undefined) {
+    if (!CONTENT_PROFILES.includes(intensity)) {
+      return { fields, error: `intensity must be one of: ${CONTENT_PROFILES.join(', ')}` };
+    }
+    fields.intensity = intensity;
+  } else if (!partial) {
+    fields.intensity = DEFAULT_STYLE_INTENSITY;
+  }
+
+  // Optional fixed form the poems are scored against; null clears it
+  if (form !== undefined) {
+    if (form !== null && !Object.hasOwn(FORM_RULES, form)) {
+      return { fields, error: `form must be one of: ${Object.keys(FORM_RULES).join(', ')}` };
+    }
+    fields.form = form;
+  }
+
+  return { fields, error: null };
+};
+
+/**
+ * Load a custom style and check it belongs to the user.
+ * @returns {Promise<{ ref, data, status, error }>}
+ */
+const getOwnedStyle = async (id, userId) => {
+  if (getBuiltInStyle(id)) {
+    return { status: 403, error: 'Built-in styles cannot be modified' };
+  }
+
+  const ref = db.collection('styles').doc(id);
+  const doc = await ref.get();
+
+  if (!doc.exists) {
+    return { status: 404, error: 'Style not found' };
+  }
+
+  if (doc.data().userId !== userId) {
+    return { status: 403, error: 'Unauthorized to modify this style' };
+  }
+
+  return { ref, data: doc.data() };
+};
+
+export const listStyles = async (req, res) => {
+  try {
+    const styles = await listStylesForUser(req.user.uid);
+    res.json(styles);
+  } catch (error) {
+    console.error('Error listing styles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const createStyle = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { fields, error } = validateStyleFields(req.body, false);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const now = new Date();
+    const style = { ...fields, userId, createdAt: now, updatedAt: now };
+    const docRef = await db.collection('styles').add(style);
+
+    res.status(201).json({ id: docRef.id, ...style, builtIn: false });
+  } catch (error) {
+    console.error('Error creating style:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const updateStyle = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { fields, error } = validateStyleFields(req.body, true);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const owned = await getOwnedStyle(req.params.id, userId);
+    if (owned.error) {
+      return res.status(owned.status).json({ error: owned.error });
+    }
+
+    const updates = { ...fields, updatedAt: new Date() };
+    await owned.ref.update(updates);
+
+    res.json({ id: req.params.id, ...owned.data, ...updates, builtIn: false });
+  } catch (error) {
+    console.error('Error updating style:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const deleteStyle = async (req, res) => {
+  try {
+    const owned = await getOwnedStyle(req.params.id, req.user.uid);
+    if (owned.error) {
+      return res.status(owned.status).json({ error: owned.error });
+    }
+
+    await owned.ref.delete();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting style:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -1,4 +1,11 @@
 import { db } from '../config/firebase.js';
+import { SELECTABLE_PROVIDER_NAMES, API_KEY_SOURCES, getProviderForUser } from '../services/providers/index.js';
+import { PALETTE_SOURCES } from '../services/imagePalette.js';
+import { SUPPORTED_LANGUAGES, normalizeLanguage } from '../utils/languages.js';
+import { CONTENT_PROFILES } from '../services/contentProfiles.js';
+import { CONTEXT_FIELDS, HEMISPHERES } from '../services/captureContext.js';
+import { getUserSettings } from '../services/userSettings.js';
+import { getUsageHistory, quotaLimitsFor, getSharedKeyBudget } from '../services/usage.js';
 
 export const getSettings = async (req, res) => {
   try {
@@ -18,12 +25,17 @@ export const getSettings = async (req, res) => {
     const data = doc.data();
 
     // EXCLUDE geminiApiKey from response for security
-    const { geminiApiKey, ...safeSettings } = data;
+    const { geminiApiKey, sharedKeyBudget, ...safeSettings } = data;
 
-    // Return flag indicating if key is set
+    // Return flag indicating if key is set, and which key generation would use
     const responseData = {
       ...safeSettings,
-      hasGeminiApiKey: !!geminiApiKey && geminiApiKey.length > 0
+      hasGeminiApiKey: !!geminiApiKey && geminiApiKey.length > 0,
+      apiKeySource: API_KEY_SOURCES.includes(data.apiKeySource) ? data.apiKeySource : 'own',
+      activeKeySource: getProviderForUser(data).keySource,
+      sharedKey: await getSharedKeyBudget(userid, data),
+      // Bare `userid` authentication keeps working until the user turns it off
+      allowLegacyDevices: data.allowLegacyDevices !== false,
     };
 
     res.json(responseData);
@@ -42,6 +54,48 @@ export const updateSettings = async (req, res) => {
       return res.status(400).json({ error: 'Invalid settings' });
     }
 
+    if (settings.aiProvider !== undefined && settings.aiProvider !== null && !SELECTABLE_PROVIDER_NAMES.includes(settings.aiProvider)) {
+      return res.status(400).json({ error: `Invalid aiProvider. Expected one of: ${SELECTABLE_PROVIDER_NAMES.join(', ')}` });
+    }
+
+    if (settings.paletteSource !== undefined && !PALETTE_SOURCES.includes(settings.paletteSource)) {
+      return res.status(400).json({ error: `Invalid paletteSource. Expected one of: ${PALETTE_SOURCES.join(', ')}` });
+    }
+
+    if (settings.contentProfile !== undefined && settings.contentProfile !== null && !CONTENT_PROFILES.includes(settings.contentProfile)) {
+      return res.status(400).json({ error: `Invalid contentProfile. Expected one of: ${CONTENT_PROFILES.join(', ')}` });
+    }
+
+    // Privacy toggles for capture context: { timeOfDay: true, location: false, ... }
+    if (settings.contextSettings !== undefined && settings.contextSettings !== null) {
+      const toggles = settings.contextSettings;
+      if (typeof toggles !== 'object' || Array.isArray(toggles)
+        || !Object.entries(toggles).every(([field, on]) => CONTEXT_FIELDS.includes(field) && typeof on === 'boolean')) {
+        return res.status(400).json({ error: `contextSettings must map any of ${CONTEXT_FIELDS.join(', ')} to true or false` });
+      }
+    }
+
+    if (settings.allowLegacyDevices !== undefined && typeof settings.allowLegacyDevices !== 'boolean') {
+      return res.status(400).json({ error: 'allowLegacyDevices must be true or false' });
+    }
+
+    if (settings.apiKeySource !== undefined && settings.apiKeySource !== null && !API_KEY_SOURCES.includes(settings.apiKeySource)) {
+      return res.status(400).json({ error: `Invalid apiKeySource. Expected one of: ${API_KEY_SOURCES.join(', ')}` });
+    }
+
+    if (settings.hemisphere !== undefined && settings.hemisphere !== null && !HEMISPHERES.includes(settings.hemisphere)) {
+      return res.status(400).json({ error: `Invalid hemisphere. Expected one of: ${HEMISPHERES.join(', ')}` });
+    }
+
+    // Accepts a language code or a locale ('es-MX'); stored as the code, null clears it
+    let language = settings.language;
+    if (language !== undefined && language !== null) {
+      language = normalizeLanguage(language);
+      if (!language) {
+        return res.status(400).json({ error: `Invalid language. Expected one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}` });
+      }
+    }
+
     const allowlistRef = db.collection('allowlist');
     const snapshot = await allowlistRef.where('uid', '==', userid).limit(1).get();
 
@@ -57,6 +111,14 @@ export const updateSettings = async (req, res) => {
     if (settings.timezone !== undefined) updates.timezone = settings.timezone;
     if (settings.themeMode !== undefined) updates.themeMode = settings.themeMode;
     if (settings.penName !== undefined) updates.penName = settings.penName;
+    if (settings.aiProvider !== undefined) updates.aiProvider = settings.aiProvider;
+    if (settings.apiKeySource !== undefined) updates.apiKeySource = settings.apiKeySource;
+    if (settings.allowLegacyDevices !== undefined) updates.allowLegacyDevices = settings.allowLegacyDevices;
+    if (settings.paletteSource !== undefined) updates.paletteSource = settings.paletteSource;
+    if (language !== undefined) updates.language = language;
+    if (settings.contentProfile !== undefined) updates.contentProfile = settings.contentProfile;
+    if (settings.contextSettings !== undefined) updates.contextSettings = settings.contextSettings;
+    if (settings.hemisphere !== undefined) updates.hemisphere = settings.hemisphere;
 
     await doc.ref.update(updates);
 
@@ -67,6 +129,36 @@ export const updateSettings = async (req, res) => {
   }
 };
 
+/**
+ * The user's generations and tokens per day (`days`, default 30) and per
+ * month, plus their overall daily and monthly quotas.
+ */
+export const getUsage = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : undefined;
+
+    if (days !== undefined && (isNaN(days) || days < 1 || days > 90)) {
+      return res.status(400).json({ error: 'days must be between 1 and 90' });
+    }
+
+    const [history, userData] = await Promise.all([getUsageHistory(userId, { days }), getUserSettings(userId)]);
+    const current = { daily: history.daily[history.daily.length - 1], monthly: history.monthly[history.monthly.length - 1] };
+
+    // Per-style limits are reported on generation responses; here only the overall ones
+    const quota = {};
+    quotaLimitsFor(userData, null).filter(({ style }) => !style).forEach(({ period, limit }) => {
+      const used = current[period].generations;
+      quota[period] = { limit, used, remaining: Math.max(0, limit - used) };
+    });
+
+    res.json({ quota, ...history });
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 export const usesWebDisplay = (req, res) => {
   const uid = req.user.uid;
   res.json({ usesWebDisplay: uid === process.env.WEB_DISPLAY_USER });
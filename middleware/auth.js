@@ -1,20 +1,30 @@
 import { getAuth } from 'firebase-admin/auth';
 import { db } from '../config/firebase.js';
+import { authenticateDeviceRequest } from '../services/devices.js';
+import { ApiError, sendApiError } from '../utils/errors.js';
+import { hashDeviceBody } from '../utils/deviceAuth.js';
 
 // In-memory allowlist cache
 let allowedUserIds = new Set();
+// Users who turned off bare `userid` authentication (allowLegacyDevices: false)
+let legacyDisabledUserIds = new Set();
 
 // Subscribe to allowlist updates
 if (db) {
   db.collection('allowlist').onSnapshot(snapshot => {
     const newAllowlist = new Set();
+    const newLegacyDisabled = new Set();
     snapshot.forEach(doc => {
       const data = doc.data();
       if (data.uid) {
         newAllowlist.add(data.uid);
+        if (data.allowLegacyDevices === false) {
+          newLegacyDisabled.add(data.uid);
+        }
       }
     });
     allowedUserIds = newAllowlist;
+    legacyDisabledUserIds = newLegacyDisabled;
     console.log(`Updated allowlist: ${allowedUserIds.size} users`);
   }, error => {
     console.error("Error listening to allowlist:", error);
@@ -22,14 +32,25 @@ if (db) {
 }
 
 export const authenticate = async (req, res, next) => {
-  // Skip auth for root, favicon, /generate-poem (Arduino), and public endpoints (WebDisplay/Puppeteer)
-  // Note: /generate-poem and /public/getPoem handle their own auth or are public.
-  // However, in the original server.js, /generate-poem was excluded from the global auth middleware using this check.
-  const publicPaths = ['/', '/favicon.ico', '/generate-poem', '/public/getPoem', '/public/getWebDisplayPoem'];
-  if (publicPaths.includes(req.path)) {
+  // Skip auth for root, favicon, camera routes (Arduino), and public endpoints (WebDisplay/Puppeteer)
+  // Note: /generate-poem and /jobs/* run authenticateTokenOrUserId in their routes; /public/* are public.
+  const publicPaths = ['/', '/favicon.ico', '/generate-poem', '/generate-poem/multi', '/public/getPoem', '/public/getWebDisplayPoem'];
+  // Prefixes for routes that run their own auth (authenticateTokenOrUserId, signed URLs,
+  // pairing codes for devices)
+  const publicPrefixes = ['/jobs/', '/capture-sets/', '/captures/', '/device/'];
+  if (publicPaths.includes(req.path) || publicPrefixes.some(prefix => req.path.startsWith(prefix))) {
     return next();
   }
 
+  return requireToken(req, res, next);
+};
+
+/**
+ * Require a valid Firebase ID token from an allowlisted user. This is the
+ * check `authenticate` applies to every non-public path; routes that
+ * accept other credentials can fall back to it.
+ */
+export const requireToken = async (req, res, next) => {
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
@@ -67,5 +88,152 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
-// Export the allowlist for use in other controllers if needed (e.g. generate-poem which has its own auth logic)
+// Largest body a signed request may have: up to MAX_IMAGES uploads of 10 MB
+const MAX_SIGNED_BODY_BYTES = 48 * 1024 * 1024;
+
+// The raw body of a request: kept by express.json (see app.js), or read here
+// and left in req.rawBody for the body parsers after us (see routes/poems.js)
+const readRawBody = (req) => {
+  if (req.rawBody) {
+    return Promise.resolve(req.rawBody);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_SIGNED_BODY_BYTES) {
+        req.destroy();
+        reject(new ApiError(413, 'Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      req.rawBody = Buffer.concat(chunks);
+      resolve(req.rawBody);
+    });
+    req.on('error', reject);
+  });
+};
+
+// Check the device signature headers and populate req.user and req.device
+const authenticateDevice = async (req) => {
+  const bodyHash = String(req.headers['x-device-content-sha256'] || hashDeviceBody()).toLowerCase();
+  const device = await authenticateDeviceRequest({
+    deviceId: req.headers['x-device-id'],
+    timestamp: req.headers['x-device-timestamp'],
+    signature: req.headers['x-device-signature'],
+    bodyHash,
+    method: req.method,
+    url: req.originalUrl,
+  });
+
+  // The signature covers the hash the device sent; the body has to match it
+  if (hashDeviceBody(await readRawBody(req)) !== bodyHash) {
+    throw new ApiError(401, 'Invalid device signature', 'INVALID_DEVICE_SIGNATURE');
+  }
+
+  req.user = { uid: device.userId };
+  req.device = device;
+  req.authMethod = 'device';
+};
+
+const sendDeviceAuthError = (res, error) => {
+  if (error instanceof ApiError) {
+    return sendApiError(res, error);
+  }
+  console.error('Device authentication error:', error);
+  return res.status(500).json({ error: 'Internal server error' });
+};
+
+/**
+ * Require a signed request from a paired device (see services/devices.js),
+ * for device-only routes such as /device/heartbeat. Populates req.user,
+ * req.device and req.authMethod ('device').
+ */
+export const requireDevice = async (req, res, next) => {
+  if (!req.headers['x-device-signature']) {
+    return res.status(401).json({ error: 'Authentication required: Missing device signature', code: 'INVALID_DEVICE_SIGNATURE' });
+  }
+
+  try {
+    await authenticateDevice(req);
+  } catch (error) {
+    return sendDeviceAuthError(res, error);
+  }
+
+  if (allowedUserIds.size > 0 && !allowedUserIds.has(req.user.uid)) {
+    console.log(`Blocked access attempt from unauthorized user: ${req.user.uid}`);
+    return res.status(403).json({ error: 'Access denied: User not on allowlist' });
+  }
+
+  next();
+};
+
+/**
+ * Authentication for camera-facing routes: try a Firebase ID token first
+ * (web clients), then a device signature (paired devices, see
+ * services/devices.js), then fall back to the `userid` query parameter
+ * (legacy Arduino firmware), which is only checked against the allowlist
+ * and can be turned off per user with `allowLegacyDevices: false`.
+ * Populates req.user, req.authMethod ('token', 'device' or 'userid') and,
+ * for devices, req.device.
+ */
+export const authenticateTokenOrUserId = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      const idToken = authHeader.split('Bearer ')[1];
+      const decodedToken = await getAuth().verifyIdToken(idToken);
+      req.user = { uid: decodedToken.uid, email: decodedToken.email };
+      req.authMethod = 'token';
+    } catch (error) {
+      console.warn('Token verification failed, trying device or userid:', error.message);
+    }
+  }
+
+  if (!req.user && req.headers['x-device-signature']) {
+    try {
+      await authenticateDevice(req);
+    } catch (error) {
+      return sendDeviceAuthError(res, error);
+    }
+  }
+
+  if (!req.user && req.query.userid) {
+    if (legacyDisabledUserIds.has(req.query.userid)) {
+      return res.status(403).json({ error: 'userid authentication is turned off for this user. Pair the device instead.', code: 'LEGACY_DEVICES_DISABLED' });
+    }
+    req.user = { uid: req.query.userid };
+    req.authMethod = 'userid';
+  }
+
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required: Missing token, device signature or userid' });
+  }
+
+  const userId = req.user.uid;
+  if (allowedUserIds.size > 0 && !allowedUserIds.has(userId)) {
+    console.log(`Blocked access attempt from unauthorized user: ${userId}`);
+    return res.status(403).json({ error: 'Access denied: User not on allowlist' });
+  }
+
+  next();
+};
+
+/**
+ * Require the admin (ADMIN_UID). Mount it after `authenticate` and, for
+ * uploads, before the body parser, so other users can't make the server
+ * buffer a large body only to be refused.
+ */
+export const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.uid !== process.env.ADMIN_UID) {
+    return res.status(403).json({ error: 'Access denied: Unauthorized' });
+  }
+  next();
+};
+
+// Export the allowlist for use in other modules if needed
 export { allowedUserIds };
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { getIdempotencyStore } from '../services/idempotencyStore.js';
+import { ApiError, sendApiError } from '../utils/errors.js';
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const MAX_KEY_LENGTH = 255;
+
+const ttlFromEnv = () => {
+  const value = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10);
+  return isNaN(value) || value < 1 ? DEFAULT_TTL_SECONDS : value;
+};
+
+const sha256 = (...parts) => {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(part).update('\0'));
+  return hash.digest('hex');
+};
+
+// What the request asks for: method, path, query and body (JSON, raw or uploaded files)
+const fingerprintOf = (req) => {
+  const query = JSON.stringify(Object.keys(req.query).sort().map(key => [key, req.query[key]]));
+  const files = [].concat(req.file || [], req.files || []).map(file => file.buffer);
+
+  let body = '';
+  if (Buffer.isBuffer(req.body)) body = req.body;
+  else if (req.body && Object.keys(req.body).length) body = JSON.stringify(req.body);
+
+  return sha256(req.method, req.path, query, body, ...files);
+};
+
+/**
+ * Idempotency-Key handling for endpoints with side effects. Mount it after
+ * authentication and body parsing. Without the header the request passes
+ * straight through. With it, the first response (status and JSON or binary
+ * body) is stored for IDEMPOTENCY_TTL_SECONDS (default 24 hours) and replayed, with an
+ * `Idempotent-Replayed: true` header, for any retry with the same key. Keys
+ * are scoped to the user and endpoint. 5xx responses aren't stored, so those
+ * can be retried with the same key; neither are responses the client
+ * disconnected from part way through (e.g. a stream).
+ *
+ * Responds 409 with code IDEMPOTENCY_KEY_REUSED when the key comes back with
+ * a different payload, and IDEMPOTENCY_REQUEST_IN_PROGRESS while the first
+ * request is still running. Responds 503 with code IDEMPOTENCY_STORE_FULL when
+ * the memory store can't take another key.
+ */
+export const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters` });
+  }
+
+  try {
+    const store = getIdempotencyStore();
+    const id = sha256(req.user?.uid || '', req.method, req.path, key);
+    const fingerprint = fingerprintOf(req);
+    const expiresAt = new Date(Date.now() + ttlFromEnv() * 1000);
+
+    if (!(await store.create(id, { fingerprint, state: 'pending' }, expiresAt))) {
+      const existing = await store.get(id);
+
+      if (existing && existing.fingerprint !== fingerprint) {
+        return res.status(409).json({ error: 'Idempotency-Key was already used with a different request', code: 'IDEMPOTENCY_KEY_REUSED' });
+      }
+      if (!existing || existing.state === 'pending') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress', code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      if (existing.encoding === 'base64') {
+        return res.status(existing.status).type(existing.contentType).send(Buffer.from(existing.body, 'base64'));
+      }
+      return res.status(existing.status).json(existing.body);
+    }
+
+    // Capture the response as it's sent, then store or release the key.
+    // Binary bodies (ESC/POS receipts) are kept base64 encoded with their
+    // content type; res.json sends a string, so it doesn't count as binary
+    let captured = null;
+    let settled = false;
+    let closedEarly = false;
+
+    const settle = () => {
+      if (settled) return;
+      settled = true;
+      const saved = captured && captured.status < 500
+        ? store.set(id, { fingerprint, state: 'done', ...captured }, expiresAt)
+        : store.remove(id);
+      saved.catch(error => console.error('Error storing idempotent response:', error));
+    };
+
+    const json = res.json.bind(res);
+    const send = res.send.bind(res);
+    res.json = (body) => {
+      captured = { status: res.statusCode, body };
+      if (closedEarly) settle();
+      return json(body);
+    };
+    res.send = (body) => {
+      if (Buffer.isBuffer(body)) {
+        captured = { status: res.statusCode, contentType: res.get('Content-Type'), encoding: 'base64', body: body.toString('base64') };
+      }
+      if (closedEarly) settle();
+      return send(body);
+    };
+
+    res.on('finish', settle);
+    // The client went away before the response finished ('finish' won't
+    // fire). Store what was sent, or once the handler gets round to
+    // responding, so a retry replays it instead of hitting a pending key
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      closedEarly = true;
+      if (captured || res.headersSent) settle();
+    });
+
+    next();
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return sendApiError(res, error);
+    }
+    console.error('Idempotency store error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -1,10 +1,32 @@
 import express from 'express';
-import { getUsers, addUser } from '../controllers/adminController.js';
+import multer from 'multer';
+import { getUsers, addUser, setQuotas, grantSharedKey, uploadFirmware, listFirmware, setDeviceChannel } from '../controllers/adminController.js';
+import { requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// ESP32-S3 app partitions top out well below this
+const MAX_FIRMWARE_BYTES = 16 * 1024 * 1024;
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FIRMWARE_BYTES } });
+
+// Multipart form-data with the binary in the `firmware` field
+const parseFirmwareUpload = (req, res, next) => {
+  upload.single('firmware')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  });
+};
+
 // Admin Routes
 router.get('/users', getUsers);
 router.post('/add-user', addUser);
+router.post('/set-quotas', setQuotas);
+router.post('/grant-shared-key', grantSharedKey);
+router.get('/firmware', listFirmware);
+router.post('/firmware', requireAdmin, parseFirmwareUpload, uploadFirmware);
+router.post('/set-device-channel', setDeviceChannel);
 
 export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getCaptureSet, chooseCandidate } from '../controllers/captureSetController.js';
+import { authenticateTokenOrUserId } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Capture Set Routes (token or userid, like /generate-poem)
+router.get('/capture-sets/:id', authenticateTokenOrUserId, getCaptureSet);
+router.post('/capture-sets/:id/choose', authenticateTokenOrUserId, chooseCandidate);
+
+export default router;
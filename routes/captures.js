@@ -0,0 +1,30 @@
+import express from 'express';
+import { getCapture } from '../controllers/captureController.js';
+import { requireToken } from '../middleware/auth.js';
+import { CAPTURE_VARIANTS, verifyCaptureSignature } from '../services/captures.js';
+
+const router = express.Router();
+
+// Captures can be fetched with the owner's token or a signed URL
+const authenticateCaptureAccess = (req, res, next) => {
+  const { poemId, index, variant } = req.params;
+
+  if (!CAPTURE_VARIANTS.includes(variant)) {
+    return res.status(404).json({ error: 'Capture not found' });
+  }
+
+  if (req.query.sig) {
+    if (!verifyCaptureSignature(poemId, index, variant, req.query.expires, req.query.sig)) {
+      return res.status(403).json({ error: 'Invalid or expired signature' });
+    }
+    req.captureSigned = true;
+    return next();
+  }
+
+  return requireToken(req, res, next);
+};
+
+// Capture Routes
+router.get('/captures/:poemId/:index/:variant', authenticateCaptureAccess, getCapture);
+
+export default router;
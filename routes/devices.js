@@ -0,0 +1,23 @@
+import express from 'express';
+import { createPairingCode, pairDevice, listDevices, renameDevice, revokeDevice, getDeviceStatus, heartbeat, getFirmwareManifest, downloadFirmware, getDeviceConfig, updateDeviceConfig, getConfig } from '../controllers/deviceController.js';
+import { requireDevice } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Device Routes (web app, Firebase token)
+router.get('/devices', listDevices);
+router.post('/devices/pairing-code', createPairingCode);
+router.get('/devices/:id/status', getDeviceStatus);
+router.get('/devices/:id/config', getDeviceConfig);
+router.put('/devices/:id/config', updateDeviceConfig);
+router.put('/devices/:id', renameDevice);
+router.delete('/devices/:id', revokeDevice);
+
+// Device-facing routes live under /device/ and authenticate themselves
+router.post('/device/pair', pairDevice);
+router.post('/device/heartbeat', requireDevice, heartbeat);
+router.get('/device/config', requireDevice, getConfig);
+router.get('/device/firmware/manifest', requireDevice, getFirmwareManifest);
+router.get('/device/firmware/:version', requireDevice, downloadFirmware);
+
+export default router;
@@ -1,11 +1,17 @@
 import express from 'express';
 import multer from 'multer';
-import { listPoems, getPoem, getPublicPoem, getWebDisplayPoem, toggleFavorite, deletePoem, generatePoem, generateSketch } from '../controllers/poemController.js';
+import { Readable } from 'stream';
+import { listPoems, getPoem, getPublicPoem, getWebDisplayPoem, toggleFavorite, deletePoem, generatePoem, generateMultiImagePoem, MAX_IMAGES, generateSketch, getJob, generatePoemStream, remixPoem, selectVersion } from '../controllers/poemController.js';
+import { authenticateTokenOrUserId } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { ApiError, sendApiError } from '../utils/errors.js';
 
 const router = express.Router();
 
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
 // Configure Multer for memory storage
-const upload = multer({ storage: multer.memoryStorage() });
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES } });
 
 // Poem Routes
 router.get('/poemList', listPoems);
@@ -13,17 +19,66 @@ router.get('/getPoem', getPoem);
 router.get('/public/getPoem', getPublicPoem);
 router.get('/public/getWebDisplayPoem', getWebDisplayPoem);
 
-router.post('/generate-poem', (req, res, next) => {
+// Oversized uploads get a 413 here rather than falling through to the
+// global error handler
+const handleUploadError = (res, next) => (error) => {
+  if (error?.type === 'entity.too.large' || error?.code === 'LIMIT_FILE_SIZE') {
+    return sendApiError(res, new ApiError(413, `Images must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`, 'UPLOAD_TOO_LARGE'));
+  }
+  next(error);
+};
+
+// Signed device requests have their body read during authentication (to check
+// it against the signature); parse that copy instead of the spent stream
+const parseBuffered = (parser) => (req, res, next) => {
+  if (!req.rawBody || !req.readableEnded) {
+    return parser(req, res, next);
+  }
+
+  const replay = Object.assign(Readable.from([req.rawBody]), { headers: req.headers });
+  parser(replay, res, (error) => {
+    ['body', 'file', 'files'].forEach(field => {
+      if (replay[field] !== undefined) req[field] = replay[field];
+    });
+    next(error);
+  });
+};
+
+// Accept either a raw image body (Arduino) or multipart form-data with an `image` field.
+// The real format is detected from the bytes by the controller.
+const parseImageUpload = (req, res, next) => {
   const contentType = req.headers['content-type'] || '';
-  if (contentType.includes('image/jpeg')) {
-    express.raw({ type: 'image/jpeg', limit: '10mb' })(req, res, next);
+  if (contentType.startsWith('image/') || contentType.startsWith('application/octet-stream')) {
+    express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES })(req, res, handleUploadError(res, next));
   } else {
-    upload.single('image')(req, res, next);
+    upload.single('image')(req, res, handleUploadError(res, next));
   }
-}, generatePoem);
+};
+
+// Multipart form-data with 2-4 files in the `images` field
+const parseImageSet = (req, res, next) => {
+  upload.array('images', MAX_IMAGES)(req, res, handleUploadError(res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `Provide at most ${MAX_IMAGES} images in the 'images' field`
+        : error.message;
+      return res.status(400).json({ error: message });
+    }
+    next(error);
+  }));
+};
+
+// Idempotency-Key handling runs after parsing: the payload is part of the key's fingerprint
+router.post('/generate-poem', authenticateTokenOrUserId, parseBuffered(parseImageUpload), idempotent, generatePoem);
+router.post('/generate-poem/multi', authenticateTokenOrUserId, parseBuffered(parseImageSet), idempotent, generateMultiImagePoem);
+router.post('/generate-poem/stream', parseImageUpload, generatePoemStream);
+
+router.get('/jobs/:id', authenticateTokenOrUserId, getJob);
 
-router.post('/generate-sketch', generateSketch);
-router.post('/toggleFavorite', toggleFavorite);
+router.post('/generate-sketch', idempotent, generateSketch);
+router.post('/toggleFavorite', idempotent, toggleFavorite);
+router.post('/remix-poem', remixPoem);
+router.post('/select-poem-version', selectVersion);
 router.delete('/deletePoem', deletePoem);
 
 export default router;
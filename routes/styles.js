@@ -0,0 +1,12 @@
+import express from 'express';
+import { listStyles, createStyle, updateStyle, deleteStyle } from '../controllers/styleController.js';
+
+const router = express.Router();
+
+// Poem Style Routes
+router.get('/styles', listStyles);
+router.post('/styles', createStyle);
+router.put('/styles/:id', updateStyle);
+router.delete('/styles/:id', deleteStyle);
+
+export default router;
@@ -1,11 +1,12 @@
 import express from 'express';
-import { getSettings, updateSettings, usesWebDisplay, setWebDisplayPoem } from '../controllers/userController.js';
+import { getSettings, updateSettings, getUsage, usesWebDisplay, setWebDisplayPoem } from '../controllers/userController.js';
 
 const router = express.Router();
 
 // User Routes
 router.get('/get-settings', getSettings);
 router.post('/update-settings', updateSettings);
+router.get('/usage', getUsage);
 router.get('/uses-web-display', usesWebDisplay);
 router.post('/set-web-display-poem', setWebDisplayPoem);
 
@@ -1,5 +1,7 @@
 // all of the server configuration and logic is in app.js for easier testing
 import app from './app.js';
+import { startCaptureSetSweeper } from './services/captureSets.js';
+import { failInterruptedJobs } from './services/jobs.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -8,4 +10,6 @@ const port = process.env.PORT || 3109;
 
 app.listen(port, () => {
   console.log(`Server is running at http://localhost:${port}`);
+  startCaptureSetSweeper();
+  failInterruptedJobs().catch(error => console.error('Error failing interrupted jobs:', error));
 });
@@ -0,0 +1,149 @@
+import sharp from 'sharp';
+import { readExif } from '../utils/exif.js';
+
+// Each piece of context is opt-in through the user's `contextSettings`
+// ({ timeOfDay: true, location: false, ... }); anything not enabled is
+// neither read nor sent to the model.
+export const CONTEXT_FIELDS = ['timeOfDay', 'weekday', 'season', 'captureTime', 'location'];
+export const HEMISPHERES = ['northern', 'southern'];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const NORTHERN_SEASONS = ['winter', 'winter', 'spring', 'spring', 'spring', 'summer', 'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter'];
+const OPPOSITE_SEASON = { winter: 'summer', spring: 'autumn', summer: 'winter', autumn: 'spring' };
+
+// Coordinates are rounded to about a kilometre before they reach the model
+const LOCATION_DECIMALS = 2;
+
+const timeOfDayFor = (hour) => {
+  if (hour < 5) return 'night';
+  if (hour < 12) return 'morning';
+  if (hour < 17) return 'afternoon';
+  if (hour < 21) return 'evening';
+  return 'night';
+};
+
+/**
+ * Meteorological season for a month.
+ * @param {number} month - 1-12
+ * @param {string} [hemisphere] - 'northern' (default) or 'southern'
+ * @returns {string} 'winter', 'spring', 'summer' or 'autumn'
+ */
+export const seasonFor = (month, hemisphere = 'northern') => {
+  const season = NORTHERN_SEASONS[month - 1];
+  return hemisphere === 'southern' ? OPPOSITE_SEASON[season] : season;
+};
+
+// Hour, weekday and month of `now` on the user's wall clock
+const localParts = (now, timezone) => {
+  if (timezone) {
+    try {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        hour: 'numeric',
+        weekday: 'long',
+        month: 'numeric',
+      }).formatToParts(now);
+      const getPart = (type) => parts.find(p => p.type === type).value;
+      return { hour: parseInt(getPart('hour'), 10), weekday: getPart('weekday'), month: parseInt(getPart('month'), 10) };
+    } catch (e) {
+      console.error(`Invalid timezone '${timezone}', falling back to server time.`);
+    }
+  }
+  return { hour: now.getHours(), weekday: WEEKDAYS[now.getDay()], month: now.getMonth() + 1 };
+};
+
+// EXIF times are the camera's wall clock: "2024:05:12 08:30:00"
+const parseExifTime = (value, offset) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!match) return null;
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  if (isNaN(weekday) || month < 1 || month > 12 || hour > 23) return null;
+
+  return {
+    capturedAt: `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${offset || ''}`,
+    parts: { hour, weekday: WEEKDAYS[weekday], month },
+  };
+};
+
+// The first image with usable EXIF. Uploads are re-encoded without metadata,
+// so this reads the original bytes.
+const readImagesExif = async (images) => {
+  for (const image of images) {
+    try {
+      const { exif } = await sharp(image.original?.data || image.data).metadata();
+      const data = readExif(exif);
+      if (data.dateTimeOriginal || data.latitude !== null) return data;
+    } catch (error) {
+      console.warn('Could not read image metadata:', error.message);
+    }
+  }
+  return null;
+};
+
+const round = (value) => Number(value.toFixed(LOCATION_DECIMALS));
+
+/**
+ * Build the context a poem is written in, limited to what the user's
+ * `contextSettings` allow. Time of day, weekday and season come from the
+ * photo's EXIF capture time when `captureTime` is enabled and one is present,
+ * otherwise from the current time in the user's timezone. The hemisphere is
+ * taken from the EXIF latitude when `location` is enabled, then the user's
+ * `hemisphere` setting, then northern.
+ * @param {object} options
+ * @param {object|null} options.userData - the user's settings
+ * @param {Array} [options.images] - [{ data, mimeType, original }]
+ * @param {Date} [options.now]
+ * @returns {Promise<object|null>} e.g. { timeOfDay, weekday, season, hemisphere,
+ *   capturedAt, location: { latitude, longitude } }, or null when nothing is enabled
+ */
+export const buildCaptureContext = async ({ userData, images = [], now = new Date() }) => {
+  const enabled = userData?.contextSettings || {};
+  if (!CONTEXT_FIELDS.some(field => enabled[field] === true)) return null;
+
+  const exif = (enabled.captureTime || enabled.location) && images.length ? await readImagesExif(images) : null;
+  const context = {};
+
+  const captured = enabled.captureTime ? parseExifTime(exif?.dateTimeOriginal, exif?.offsetTimeOriginal) : null;
+  if (captured) context.capturedAt = captured.capturedAt;
+
+  const hasLocation = enabled.location && exif?.latitude !== null && exif?.latitude !== undefined && exif.longitude !== null;
+  if (hasLocation) context.location = { latitude: round(exif.latitude), longitude: round(exif.longitude) };
+
+  const parts = captured?.parts || localParts(now, userData?.timezone);
+  if (enabled.timeOfDay) context.timeOfDay = timeOfDayFor(parts.hour);
+  if (enabled.weekday) context.weekday = parts.weekday;
+  if (enabled.season) {
+    context.hemisphere = hasLocation
+      ? (exif.latitude < 0 ? 'southern' : 'northern')
+      : (HEMISPHERES.includes(userData?.hemisphere) ? userData.hemisphere : 'northern');
+    context.season = seasonFor(parts.month, context.hemisphere);
+  }
+
+  return Object.keys(context).length ? context : null;
+};
+
+/**
+ * Prompt text describing a capture context to the model.
+ * @param {object|null} context - result of buildCaptureContext
+ * @returns {string|undefined} undefined when there's no context
+ */
+export const contextPrompt = (context) => {
+  if (!context) return undefined;
+
+  const lines = [];
+  if (context.weekday || context.timeOfDay) {
+    lines.push(`- It is ${[context.weekday, context.timeOfDay].filter(Boolean).join(' ')}.`);
+  }
+  if (context.season) lines.push(`- It is ${context.season} (${context.hemisphere} hemisphere).`);
+  if (context.capturedAt) lines.push(`- The photo was taken at ${context.capturedAt.replace('T', ' ')}.`);
+  if (context.location) {
+    lines.push(`- The photo was taken near latitude ${context.location.latitude}, longitude ${context.location.longitude}.`);
+  }
+
+  return `
+Context for this photo. Let it colour the poem where it fits naturally; don't list it:
+${lines.join('\n')}
+`;
+};
@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import { db } from '../config/firebase.js';
+import { hammingDistance } from '../utils/imageHash.js';
+import { DEFAULT_LANGUAGE, normalizeLanguage } from '../utils/languages.js';
+import { DEFAULT_STYLE_ID } from './styleRegistry.js';
+import { resolveContentProfile } from './contentProfiles.js';
+import { getUserSettings } from './userSettings.js';
+import { getDeviceConfigForGeneration } from './devices.js';
+
+const DEFAULT_DEDUPE_WINDOW_SECONDS = 300;
+const DEFAULT_DEDUPE_MAX_DISTANCE = 4;
+// Recent poems checked for a duplicate; retries land within seconds
+const DEDUPE_SCAN_LIMIT = 20;
+// A claim outlives its generation by this much at most, in case the server
+// dies mid-generation
+const CLAIM_PENDING_SECONDS = 120;
+// How long a retry waits for the claimed generation, polling every CLAIM_POLL_MS
+const CLAIM_WAIT_MS = 25 * 1000;
+const CLAIM_POLL_MS = 500;
+
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : new Date(value));
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 0 ? fallback : value;
+};
+
+/**
+ * Whether two capture hashes are the same capture: identical bytes, or each
+ * image's dHash within DEDUPE_MAX_DISTANCE bits (default 4 of 64).
+ * @returns {boolean}
+ */
+export const isSameCapture = (a, b) => {
+  if (!a || !b) return false;
+  if (a.sha256 === b.sha256) return true;
+
+  const partsA = String(a.dHash).split('-');
+  const partsB = String(b.dHash).split('-');
+  const maxDistance = intFromEnv('DEDUPE_MAX_DISTANCE', DEFAULT_DEDUPE_MAX_DISTANCE);
+  return partsA.length === partsB.length
+    && partsA.every((part, i) => hammingDistance(part, partsB[i]) <= maxDistance);
+};
+
+/**
+ * What a request would generate, as far as deduplication cares: the same
+ * capture only counts as a retry if it asked for the same style, language and
+ * content profile from the same device. Resolved the way prepareGeneration
+ * resolves them.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {string} [options.type] - requested style id; the device's
+ *   `defaultStyle` otherwise
+ * @param {string} [options.language] - per-request language override
+ * @param {string} [options.deviceId] - requesting device
+ * @returns {Promise<object>} { style, language, contentProfile, deviceId }
+ */
+export const dedupeScopeFor = async ({ userId, type, language, deviceId }) => {
+  const userData = await getUserSettings(userId);
+  const deviceConfig = await getDeviceConfigForGeneration(userId, deviceId);
+  return {
+    style: type || deviceConfig?.defaultStyle || DEFAULT_STYLE_ID,
+    language: normalizeLanguage(language) || normalizeLanguage(userData?.language) || DEFAULT_LANGUAGE,
+    contentProfile: resolveContentProfile(userData, deviceConfig),
+    deviceId: deviceId || null,
+  };
+};
+
+/**
+ * Find a poem the user generated from the same capture, in the same scope,
+ * within the last DEDUPE_WINDOW_SECONDS (default 300; 0 disables). This is
+ * what makes a device retrying after a timeout get its poem back instead of
+ * a second generation.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {object|null} options.captureHash - see combineHashes (utils/imageHash.js)
+ * @param {object} options.scope - see dedupeScopeFor
+ * @returns {Promise<object|null>} the stored poem with its `id`, or null
+ */
+export const findDuplicatePoem = async ({ userId, captureHash, scope }) => {
+  const windowSeconds = intFromEnv('DEDUPE_WINDOW_SECONDS', DEFAULT_DEDUPE_WINDOW_SECONDS);
+  if (!captureHash || windowSeconds === 0) return null;
+
+  const since = Date.now() - windowSeconds * 1000;
+
+  const snapshot = await db.collection('poems')
+    .where('userId', '==', userId)
+    .orderBy('timestamp', 'desc')
+    .limit(DEDUPE_SCAN_LIMIT)
+    .get();
+
+  const match = snapshot.docs.find(doc => {
+    const poem = doc.data();
+    return poem.timestamp && toDate(poem.timestamp).getTime() >= since
+      // A downgraded poem was still asked for in the original style
+      && (poem.downgradedFrom || poem.style) === scope.style
+      && (poem.language || DEFAULT_LANGUAGE) === scope.language
+      && poem.contentProfile === scope.contentProfile
+      && (poem.deviceId || null) === scope.deviceId
+      && isSameCapture(poem.captureHash, captureHash);
+  });
+
+  return match ? { id: match.id, ...match.data() } : null;
+};
+
+/**
+ * Claim a capture while it's being generated, so a retry that arrives before
+ * the poem is saved waits for it (waitForCaptureClaim) instead of generating
+ * a second one. Claims are kept in the `captureClaims` collection, keyed by
+ * the capture's exact bytes and scope; release the claim once the poem is
+ * saved or generation fails. Nothing is claimed when deduplication is off.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {object|null} options.captureHash - see combineHashes (utils/imageHash.js)
+ * @param {object} options.scope - see dedupeScopeFor
+ * @returns {Promise<object>} { claimId, claim }: claim is null when this
+ *   request holds the claim (claimId null if nothing was claimed), otherwise
+ *   the live claim another request holds ({ userId, jobId })
+ */
+export const claimCapture = async ({ userId, captureHash, scope }) => {
+  if (!captureHash || intFromEnv('DEDUPE_WINDOW_SECONDS', DEFAULT_DEDUPE_WINDOW_SECONDS) === 0) {
+    return { claimId: null, claim: null };
+  }
+
+  const claimId = crypto.createHash('sha256')
+    .update(JSON.stringify([userId, captureHash.sha256, scope.style, scope.language, scope.contentProfile, scope.deviceId]))
+    .digest('hex');
+  const ref = db.collection('captureClaims').doc(claimId);
+
+  const claim = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (doc.exists && toDate(doc.data().expiresAt).getTime() > Date.now()) {
+      return doc.data();
+    }
+    transaction.set(ref, { userId, jobId: null, expiresAt: new Date(Date.now() + CLAIM_PENDING_SECONDS * 1000) });
+    return null;
+  });
+
+  return { claimId, claim };
+};
+
+/**
+ * Record the async job generating a claimed capture, so a retry can be
+ * pointed at it. A failure is only logged: a retry then waits for the job
+ * like it would for a request.
+ * @param {string} claimId
+ * @param {string} jobId
+ */
+export const attachJobToCaptureClaim = async (claimId, jobId) => {
+  try {
+    await db.collection('captureClaims').doc(claimId).update({ jobId });
+  } catch (error) {
+    console.error(`Error attaching job ${jobId} to capture claim ${claimId}:`, error);
+  }
+};
+
+/**
+ * Release a claim. A failure is only logged: the claim expires anyway.
+ * @param {string|null} claimId
+ */
+export const releaseCaptureClaim = async (claimId) => {
+  if (!claimId) return;
+  try {
+    await db.collection('captureClaims').doc(claimId).delete();
+  } catch (error) {
+    console.error(`Error releasing capture claim ${claimId}:`, error);
+  }
+};
+
+/**
+ * Wait for another request's claim to be released.
+ * @param {string} claimId
+ * @returns {Promise<boolean>} false if it's still held after CLAIM_WAIT_MS
+ */
+export const waitForCaptureClaim = async (claimId) => {
+  const ref = db.collection('captureClaims').doc(claimId);
+  const deadline = Date.now() + CLAIM_WAIT_MS;
+
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, CLAIM_POLL_MS));
+    const doc = await ref.get();
+    if (!doc.exists || toDate(doc.data().expiresAt).getTime() <= Date.now()) {
+      return true;
+    }
+  }
+  return false;
+};
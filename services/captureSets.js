@@ -0,0 +1,290 @@
+import { db } from '../config/firebase.js';
+import { ApiError } from '../utils/errors.js';
+import { prepareGeneration, generatePreparedPoem, savePoem } from './poemGeneration.js';
+import { reserveQuota } from './usage.js';
+
+export const MAX_VARIANTS = 4;
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_PENDING = 100;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+// A set left `committing` this long lost the process that was saving it
+const COMMIT_TIMEOUT_MS = 2 * 60 * 1000;
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 1 ? fallback : value;
+};
+
+const ttlFromEnv = () => intFromEnv('CAPTURE_SET_TTL_MS', DEFAULT_TTL_MS);
+
+// Source images of pending sets, kept in memory until a candidate is
+// committed so the capture can be stored under the final poem id. Entries
+// are dropped once their set is well past expiry, and new sets are refused
+// while the map is full. Sets that outlive a restart or their entry are
+// committed without their capture.
+const pendingImages = new Map();
+
+const pruneExpiredImages = () => {
+  const cutoff = Date.now() - COMMIT_TIMEOUT_MS;
+  pendingImages.forEach(({ expiresAt }, id) => {
+    if (expiresAt <= cutoff) pendingImages.delete(id);
+  });
+};
+
+const makeRoomForImages = () => {
+  const maxPending = intFromEnv('CAPTURE_SET_MAX_PENDING', DEFAULT_MAX_PENDING);
+  if (pendingImages.size < maxPending) return;
+  pruneExpiredImages();
+  if (pendingImages.size >= maxPending) {
+    const error = new ApiError(503, 'Too many capture sets are waiting for a choice. Please try again later.', 'CAPTURE_SETS_FULL');
+    error.headers = { 'Retry-After': '60' };
+    throw error;
+  }
+};
+
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : new Date(value));
+
+const isStaleCommit = (set) => set.status === 'committing'
+  && (!set.committingAt || toDate(set.committingAt) <= new Date(Date.now() - COMMIT_TIMEOUT_MS));
+
+const reopenStaleCommit = async (captureSetId) => {
+  await db.collection('captureSets').doc(captureSetId)
+    .update({ status: 'pending', chosenIndex: null, committedBy: null, committingAt: null });
+  console.warn(JSON.stringify({ event: 'capture_set_commit_reopened', captureSetId }));
+};
+
+/**
+ * Generate several candidate poems for one capture. Candidate `i` uses
+ * `types[i % types.length]`, so a single type gives N takes on one style and
+ * a list mixes styles. Quota for every candidate is reserved at once, so a
+ * user can't get more variants than they have generations left. Candidates
+ * that fail are dropped (and their quota handed back); if all fail the
+ * first error is thrown.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {Array} options.images - [{ data, mimeType }]
+ * @param {number} options.variants - number of candidates
+ * @param {Array<string|undefined>} options.types - style ids
+ * @param {string} [options.language] - language override
+ * @param {string} [options.deviceId] - requesting device, for its content profile
+ * @param {string} [options.onBlocked] - 'downgrade' or 'reject' a blocked style
+ * @returns {Promise<{ candidates: object[], userData: object|null }>}
+ */
+const generateCandidates = async ({ userId, images, variants, types, language, deviceId, onBlocked }) => {
+  const preparations = await Promise.allSettled(
+    Array.from({ length: variants }, (_, i) =>
+      prepareGeneration({ userId, type: types[i % types.length], language, deviceId, onBlocked, reserve: false }))
+  );
+
+  const prepared = preparations.filter(result => result.status === 'fulfilled').map(result => result.value);
+  if (prepared.length === 0) {
+    throw preparations[0].reason;
+  }
+
+  const styles = {};
+  prepared.forEach(({ style }) => {
+    styles[style.id] = (styles[style.id] || 0) + 1;
+  });
+  const { reservedAt } = await reserveQuota({ userId, userData: prepared[0].userData, styles, keySource: prepared[0].provider.keySource });
+
+  const results = [
+    ...preparations.filter(result => result.status === 'rejected'),
+    ...await Promise.allSettled(prepared.map(candidate => generatePreparedPoem({ ...candidate, reservedAt }, images))),
+  ];
+
+  const fulfilled = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+  if (fulfilled.length === 0) {
+    throw results[0].reason;
+  }
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Variant generation failed:', result.reason));
+
+  return {
+    candidates: fulfilled.map(({ poem }, index) => ({ index, ...poem })),
+    userData: fulfilled[0].userData,
+  };
+};
+
+/**
+ * Commit one candidate of a pending capture set to the `poems` collection.
+ * Runs in a transaction so a user's choice and the auto-commit timer can't
+ * both commit the same set. A set stuck `committing` for longer than
+ * COMMIT_TIMEOUT_MS is treated as pending again.
+ * @param {string} captureSetId
+ * @param {object} options
+ * @param {number} options.index - candidate index
+ * @param {string} [options.userId] - required owner; omit for the auto-commit timer
+ * @param {string} options.committedBy - 'user' or 'timeout'
+ * @returns {Promise<object>} the saved poem with its id
+ * @throws {ApiError}
+ */
+export const commitCandidate = async (captureSetId, { index, userId, committedBy }) => {
+  const setRef = db.collection('captureSets').doc(captureSetId);
+
+  const { set, candidate } = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(setRef);
+
+    if (!doc.exists || (userId && doc.data().userId !== userId)) {
+      throw new ApiError(404, 'Capture set not found');
+    }
+
+    const data = doc.data();
+    if (data.status !== 'pending' && !isStaleCommit(data)) {
+      throw new ApiError(409, `Capture set already ${data.status}`, 'CAPTURE_SET_CLOSED');
+    }
+
+    const chosen = data.candidates[index];
+    if (!chosen) {
+      throw new ApiError(400, `Invalid candidate index. Expected 0 to ${data.candidates.length - 1}`);
+    }
+
+    transaction.update(setRef, { status: 'committing', chosenIndex: index, committedBy, committingAt: new Date() });
+    return { set: data, candidate: chosen };
+  });
+
+  const { index: _index, ...poem } = candidate;
+
+  let poemId;
+  try {
+    poemId = await savePoem(set.userId, poem, { penName: set.penName }, pendingImages.get(captureSetId)?.images);
+    pendingImages.delete(captureSetId);
+  } catch (error) {
+    await setRef.update({ status: 'pending', chosenIndex: null, committedBy: null, committingAt: null });
+    throw error;
+  }
+
+  await setRef.update({ status: 'committed', poemId, committedAt: new Date() });
+  return { id: poemId, ...poem };
+};
+
+/**
+ * Close a capture set whose time ran out: devices that can't show a picker
+ * get their first candidate committed, everyone else's set just expires.
+ * @param {string} captureSetId
+ * @param {object} set - capture set data
+ */
+const closeExpiredSet = async (captureSetId, set) => {
+  try {
+    if (set.autoCommit) {
+      await commitCandidate(captureSetId, { index: 0, committedBy: 'timeout' });
+      console.log(`Auto-committed capture set ${captureSetId}`);
+    } else {
+      await db.collection('captureSets').doc(captureSetId).update({ status: 'expired' });
+      pendingImages.delete(captureSetId);
+    }
+  } catch (error) {
+    if (error.status !== 409) {
+      console.error(`Error closing capture set ${captureSetId}:`, error);
+    }
+  }
+};
+
+/**
+ * Generate candidates for a capture and hold them as a pending capture set.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {Array} options.images - [{ data, mimeType }]
+ * @param {number} options.variants - 1..MAX_VARIANTS
+ * @param {Array<string|undefined>} options.types - style ids to rotate through
+ * @param {boolean} options.autoCommit - commit the first candidate on expiry
+ * @param {string} [options.language] - language override
+ * @param {string} [options.deviceId] - requesting device, for its content profile
+ * @param {string} [options.onBlocked] - 'downgrade' or 'reject' a blocked style
+ * @returns {Promise<object>} { captureSetId, status, expiresAt, candidates }
+ * @throws {ApiError} 503 CAPTURE_SETS_FULL when too many sets are pending
+ */
+export const createCaptureSet = async ({ userId, images, variants, types, autoCommit, language, deviceId, onBlocked }) => {
+  makeRoomForImages();
+  const { candidates, userData } = await generateCandidates({ userId, images, variants, types, language, deviceId, onBlocked });
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlFromEnv());
+  const set = {
+    userId,
+    status: 'pending',
+    autoCommit,
+    penName: userData?.penName || '',
+    candidates,
+    createdAt: now,
+    expiresAt,
+  };
+
+  const setRef = await db.collection('captureSets').add(set);
+  pendingImages.set(setRef.id, { images, expiresAt: expiresAt.getTime() });
+
+  const timer = setTimeout(() => closeExpiredSet(setRef.id, set), expiresAt - now);
+  timer.unref();
+
+  return { captureSetId: setRef.id, status: 'pending', expiresAt, candidates };
+};
+
+/**
+ * Fetch a capture set owned by a user, reopening a stale commit and closing
+ * it first if it has expired.
+ * @param {string} captureSetId
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+export const getCaptureSet = async (captureSetId, userId) => {
+  const setRef = db.collection('captureSets').doc(captureSetId);
+  let doc = await setRef.get();
+
+  if (!doc.exists || doc.data().userId !== userId) {
+    return null;
+  }
+
+  if (isStaleCommit(doc.data())) {
+    await reopenStaleCommit(captureSetId);
+    doc = await setRef.get();
+  }
+
+  if (doc.data().status === 'pending' && toDate(doc.data().expiresAt) <= new Date()) {
+    await closeExpiredSet(captureSetId, doc.data());
+    doc = await setRef.get();
+  }
+
+  const { userId: _userId, penName, ...set } = doc.data();
+  return { id: doc.id, ...set };
+};
+
+/**
+ * Periodically close capture sets whose in-process timer was lost (e.g. the
+ * server restarted before they expired), reopen sets whose commit died
+ * part-way and drop images of sets long past expiry.
+ * @returns {NodeJS.Timeout} interval handle
+ */
+export const startCaptureSetSweeper = () => {
+  const sweep = async () => {
+    try {
+      pruneExpiredImages();
+
+      const stale = await db.collection('captureSets')
+        .where('status', '==', 'committing')
+        .where('committingAt', '<=', new Date(Date.now() - COMMIT_TIMEOUT_MS))
+        .get();
+      await Promise.all(stale.docs.map(async (doc) => {
+        try {
+          await reopenStaleCommit(doc.id);
+        } catch (error) {
+          console.error(`Error reopening capture set ${doc.id}:`, error);
+        }
+      }));
+
+      const snapshot = await db.collection('captureSets')
+        .where('status', '==', 'pending')
+        .where('expiresAt', '<=', new Date())
+        .get();
+      await Promise.all(snapshot.docs.map(doc => closeExpiredSet(doc.id, doc.data())));
+    } catch (error) {
+      console.error('Error sweeping capture sets:', error);
+    }
+  };
+
+  sweep();
+  const interval = setInterval(sweep, SWEEP_INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getStorageBackend } from './storage.js';
+
+export const CAPTURE_VARIANTS = ['original', 'small', 'medium'];
+
+// Longest edge, in pixels, of each thumbnail
+const THUMBNAIL_SIZES = { small: 160, medium: 640 };
+
+const DEFAULT_SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif',
+};
+
+let fallbackSecret = null;
+
+const urlSecret = () => {
+  if (process.env.CAPTURE_URL_SECRET) {
+    return process.env.CAPTURE_URL_SECRET;
+  }
+  if (!fallbackSecret) {
+    console.warn('CAPTURE_URL_SECRET not set; signed capture URLs will not survive a restart');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+};
+
+/**
+ * API path a capture is served from. Access requires the owner's token or a
+ * signature (see signCaptureUrl); the storage object itself is never public.
+ */
+export const captureUrl = (poemId, index, variant) =>
+  `${process.env.PUBLIC_BASE_URL || ''}/captures/${poemId}/${index}/${variant}`;
+
+const signature = (poemId, index, variant, expires) =>
+  crypto.createHmac('sha256', urlSecret()).update(`${poemId}/${index}/${variant}:${expires}`).digest('hex');
+
+/**
+ * Time-limited URL for clients that can't send a token (e.g. <img> tags).
+ * @returns {string}
+ */
+export const signCaptureUrl = (poemId, index, variant, ttlSeconds = DEFAULT_SIGNED_URL_TTL_SECONDS) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${captureUrl(poemId, index, variant)}?expires=${expires}&sig=${signature(poemId, index, variant, expires)}`;
+};
+
+/**
+ * Check a signature produced by signCaptureUrl.
+ * @returns {boolean}
+ */
+export const verifyCaptureSignature = (poemId, index, variant, expires, sig) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!sig || isNaN(expiresAt) || expiresAt < Date.now() / 1000) {
+    return false;
+  }
+  const expected = Buffer.from(signature(poemId, index, variant, expiresAt));
+  const given = Buffer.from(String(sig));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// The upload in its own format, with EXIF (GPS included) and other metadata
+// removed and its orientation applied. If that fails, the normalised copy
+// ingestImage made (already without metadata) is kept instead
+const withoutMetadata = async (source, image) => {
+  try {
+    const data = await sharp(source.data, { animated: true }).rotate().toBuffer();
+    return { data, mimeType: source.mimeType };
+  } catch (error) {
+    console.error('Error removing capture metadata:', error.message);
+    return { data: image.data, mimeType: image.mimeType };
+  }
+};
+
+/**
+ * Store the source image(s) of a poem with small and medium JPEG thumbnails.
+ * An image from ingestImage keeps the upload's format (`original`), without
+ * its metadata; thumbnails are made from the normalised copy. A thumbnail
+ * that can't be generated is skipped; the original is always kept.
+ * @param {string} poemId
+ * @param {Array} images - [{ data, mimeType, original? }]
+ * @returns {Promise<Array>} one entry per image, each
+ *   { original, small?, medium? } with { path, contentType, url }
+ */
+export const storeCaptures = async (poemId, images) => {
+  const backend = getStorageBackend();
+
+  return Promise.all(images.map(async (image, index) => {
+    const source = await withoutMetadata(image.original || image, image);
+    const extension = EXTENSIONS[source.mimeType] || 'bin';
+    const originalPath = `captures/${poemId}/${index}/original.${extension}`;
+    await backend.save(originalPath, source.data, source.mimeType);
+
+    const capture = {
+      original: { path: originalPath, contentType: source.mimeType, url: captureUrl(poemId, index, 'original') },
+    };
+
+    for (const [variant, size] of Object.entries(THUMBNAIL_SIZES)) {
+      try {
+        const thumbnail = await sharp(image.data)
+          .rotate()
+          .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+          .jpeg({ quality: 80 })
+          .toBuffer();
+        const thumbnailPath = `captures/${poemId}/${index}/${variant}.jpg`;
+        await backend.save(thumbnailPath, thumbnail, 'image/jpeg');
+        capture[variant] = { path: thumbnailPath, contentType: 'image/jpeg', url: captureUrl(poemId, index, variant) };
+      } catch (error) {
+        console.error(`Error generating ${variant} thumbnail for poem ${poemId}:`, error.message);
+      }
+    }
+
+    return capture;
+  }));
+};
+
+/**
+ * Load a poem's stored source images as uploaded (see ingestImage to
+ * normalise them for another model call).
+ * @param {object} poem - poem document data
+ * @returns {Promise<Array>} [{ data, mimeType }]
+ */
+export const loadCaptureImages = async (poem) => {
+  if (!Array.isArray(poem.captures) || poem.captures.length === 0) {
+    return [];
+  }
+
+  const backend = getStorageBackend();
+  return Promise.all(poem.captures.map(async (capture) => ({
+    data: await backend.read(capture.original.path),
+    mimeType: capture.original.contentType,
+  })));
+};
+
+/**
+ * Delete every stored file of a poem's captures.
+ * @param {object} poem - poem document data
+ */
+export const removeCaptures = async (poem) => {
+  if (!Array.isArray(poem.captures)) return;
+
+  const backend = getStorageBackend();
+  const paths = poem.captures.flatMap(capture =>
+    CAPTURE_VARIANTS.filter(variant => capture[variant]).map(variant => capture[variant].path));
+  await Promise.all(paths.map(key => backend.remove(key)));
+};
+
+/**
+ * Add short-lived signed URLs to a poem's captures for token-less clients.
+ * @param {object} poem - poem with id
+ * @returns {object}
+ */
+export const withSignedCaptureUrls = (poem) => {
+  if (!poem || !Array.isArray(poem.captures)) {
+    return poem;
+  }
+
+  return {
+    ...poem,
+    captures: poem.captures.map((capture, index) => {
+      const signed = {};
+      CAPTURE_VARIANTS.filter(variant => capture[variant]).forEach(variant => {
+        signed[variant] = { ...capture[variant], signedUrl: signCaptureUrl(poem.id, index, variant) };
+      });
+      return signed;
+    }),
+  };
+};
+
+/**
+ * Captures as the token-less public endpoints show them: the thumbnails
+ * only, each with a signed URL and no storage path. Originals are left out.
+ * @param {object} poem - poem with id
+ * @returns {object}
+ */
+export const withPublicCaptureUrls = (poem) => {
+  if (!poem || !Array.isArray(poem.captures)) {
+    return poem;
+  }
+
+  return {
+    ...poem,
+    captures: poem.captures.map((capture, index) => {
+      const thumbnails = {};
+      CAPTURE_VARIANTS.filter(variant => variant !== 'original' && capture[variant]).forEach(variant => {
+        thumbnails[variant] = { contentType: capture[variant].contentType, signedUrl: signCaptureUrl(poem.id, index, variant) };
+      });
+      return thumbnails;
+    }),
+  };
+};
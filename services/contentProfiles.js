@@ -0,0 +1,75 @@
+import { ApiError } from '../utils/errors.js';
+
+// Ordered from most to least restrictive. A profile allows every style whose
+// intensity is at or below its own rank.
+export const CONTENT_PROFILES = ['clean', 'cheeky', 'uncensored'];
+
+// Existing users keep today's behaviour until they pick a profile
+export const DEFAULT_CONTENT_PROFILE = 'uncensored';
+
+// Custom styles saved before intensities existed, or created without one
+export const DEFAULT_STYLE_INTENSITY = 'cheeky';
+
+export const BLOCKED_STYLE_ACTIONS = ['downgrade', 'reject'];
+
+const rank = (profile) => CONTENT_PROFILES.indexOf(profile);
+
+const defaultProfile = () => (CONTENT_PROFILES.includes(process.env.DEFAULT_CONTENT_PROFILE)
+  ? process.env.DEFAULT_CONTENT_PROFILE
+  : DEFAULT_CONTENT_PROFILE);
+
+/**
+ * Pick the content profile for a request: the profile in the device's config
+ * (the only place a per-device profile is kept), then the user's profile,
+ * then DEFAULT_CONTENT_PROFILE (or env DEFAULT_CONTENT_PROFILE).
+ * @param {object|null} userData - the user's settings
+ * @param {object|null} [deviceConfig] - the device's config (services/devices.js)
+ * @returns {string} profile
+ */
+export const resolveContentProfile = (userData, deviceConfig = null) => {
+  if (CONTENT_PROFILES.includes(deviceConfig?.contentProfile)) return deviceConfig.contentProfile;
+  if (CONTENT_PROFILES.includes(userData?.contentProfile)) return userData.contentProfile;
+  return defaultProfile();
+};
+
+/**
+ * @param {object} style
+ * @param {string} profile
+ * @returns {boolean} whether the profile allows the style
+ */
+export const isStyleAllowed = (style, profile) => rank(style.intensity || DEFAULT_STYLE_INTENSITY) <= rank(profile);
+
+/**
+ * Apply a content profile to the requested style. A blocked style is either
+ * swapped for `fallback` (action 'downgrade') or refused (action 'reject').
+ * @param {object} style - requested style
+ * @param {string} profile
+ * @param {object} options
+ * @param {object} options.fallback - style to use when downgrading
+ * @param {string} [options.action] - 'downgrade' (default) or 'reject'
+ * @returns {{ style: object, downgradedFrom: string|null }}
+ * @throws {ApiError} 403 STYLE_BLOCKED when rejecting
+ */
+export const enforceContentProfile = (style, profile, { fallback, action = 'downgrade' }) => {
+  if (isStyleAllowed(style, profile)) {
+    return { style, downgradedFrom: null };
+  }
+
+  console.warn(JSON.stringify({
+    event: 'content_profile_blocked',
+    style: style.id,
+    contentProfile: profile,
+    action,
+    fallback: action === 'reject' ? null : fallback.id,
+  }));
+
+  if (action === 'reject') {
+    throw new ApiError(
+      403,
+      `Style '${style.id}' is ${style.intensity || DEFAULT_STYLE_INTENSITY} and not allowed by the '${profile}' content profile`,
+      'STYLE_BLOCKED'
+    );
+  }
+
+  return { style: fallback, downgradedFrom: style.id };
+};
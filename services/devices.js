@@ -0,0 +1,383 @@
+import crypto from 'crypto';
+import { db } from '../config/firebase.js';
+import { ApiError } from '../utils/errors.js';
+import { generateDeviceSecret, signingKeyFor, sealSigningKey, openSigningKey, verifyDeviceSignature } from '../utils/deviceAuth.js';
+import { getIdempotencyStore } from './idempotencyStore.js';
+
+// Cameras and displays paired to a user. A device pairs with a short-lived
+// code the user creates in the web app and gets a secret it signs requests
+// with (see utils/deviceAuth.js). `devices` docs hold the signing key, never
+// the secret, but the key can sign requests too: it's encrypted when
+// DEVICE_KEY_SECRET is set and never leaves this module. Pending codes live in
+// `devicePairingCodes`, keyed by their hash.
+// Heartbeats update `lastSeenAt`, `lastHeartbeat` and a rolling `heartbeats`
+// history on the device doc, and its settings live in a `config` map.
+
+const DEFAULT_PAIRING_CODE_TTL_SECONDS = 10 * 60;
+const DEFAULT_SIGNATURE_MAX_SKEW_SECONDS = 5 * 60;
+const DEFAULT_HEARTBEAT_HISTORY = 48;
+// A device that hasn't sent a heartbeat for this long counts as offline
+const DEFAULT_ONLINE_SECONDS = 10 * 60;
+
+export const DEVICE_OUTPUTS = ['print', 'display', 'both'];
+
+// null means "use the user's setting"
+export const DEFAULT_DEVICE_CONFIG = {
+  defaultStyle: null,
+  contentProfile: null,
+  buttons: {},
+  output: 'both',
+  timezone: null,
+};
+
+// No 0/O, 1/I/L: codes are typed in by hand
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PAIRING_CODE_LENGTH = 8;
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 1 ? fallback : value;
+};
+
+const toMillis = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : new Date(value).getTime());
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Case and dashes don't matter: 'abcd-2345' is 'ABCD2345'
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const present = (doc) => {
+  const { signingKey, ...device } = doc.data();
+  return { id: doc.id, ...device };
+};
+
+/**
+ * Whether a device has sent a heartbeat in the last DEVICE_ONLINE_SECONDS
+ * (default 600).
+ * @param {object} device - device data
+ * @param {number} [now] - ms since epoch
+ * @returns {boolean}
+ */
+export const isOnline = (device, now = Date.now()) => !device.revokedAt && !!device.lastSeenAt
+  && now - toMillis(device.lastSeenAt) <= intFromEnv('DEVICE_ONLINE_SECONDS', DEFAULT_ONLINE_SECONDS) * 1000;
+
+// Device list entries leave the heartbeat history out
+const summarize = ({ heartbeats, ...device }) => ({ ...device, online: isOnline(device) });
+
+/**
+ * Create a pairing code for one of the user's devices. The code is valid for
+ * DEVICE_PAIRING_CODE_TTL_SECONDS (default 600) and can be used once.
+ * @param {string} userId
+ * @param {object} [options] - { name } for the device that pairs with it
+ * @returns {Promise<{ code: string, expiresAt: Date }>}
+ */
+export const createPairingCode = async (userId, { name } = {}) => {
+  let code = '';
+  crypto.randomBytes(PAIRING_CODE_LENGTH).forEach(byte => {
+    code += PAIRING_CODE_ALPHABET[byte % PAIRING_CODE_ALPHABET.length];
+  });
+
+  const expiresAt = new Date(Date.now() + intFromEnv('DEVICE_PAIRING_CODE_TTL_SECONDS', DEFAULT_PAIRING_CODE_TTL_SECONDS) * 1000);
+  await db.collection('devicePairingCodes').doc(hashCode(code)).set({
+    userId,
+    name: name || null,
+    createdAt: new Date(),
+    expiresAt,
+  });
+
+  return { code, expiresAt };
+};
+
+/**
+ * Pair a device with a code from createPairingCode. The code is used up in
+ * the same transaction, so it can only pair one device.
+ * @param {object} options
+ * @param {string} options.code - pairing code
+ * @param {string} [options.name] - device name; the name given with the
+ *   code wins, then 'Poetry Camera'
+ * @returns {Promise<{ deviceId: string, deviceSecret: string, name: string }>}
+ *   deviceSecret is only ever returned here
+ * @throws {ApiError} 400 INVALID_PAIRING_CODE for an unknown, used or expired code
+ */
+export const pairDevice = async ({ code, name }) => {
+  const codeRef = db.collection('devicePairingCodes').doc(hashCode(normalizeCode(code)));
+  const deviceRef = db.collection('devices').doc();
+  const deviceSecret = generateDeviceSecret();
+
+  const device = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(codeRef);
+    if (!doc.exists || toMillis(doc.data().expiresAt) <= Date.now()) {
+      throw new ApiError(400, 'Invalid or expired pairing code', 'INVALID_PAIRING_CODE');
+    }
+
+    const now = new Date();
+    const pairing = doc.data();
+    const data = {
+      userId: pairing.userId,
+      name: pairing.name || name || 'Poetry Camera',
+      signingKey: sealSigningKey(signingKeyFor(deviceSecret)),
+      createdAt: now,
+      revokedAt: null,
+    };
+    transaction.delete(codeRef);
+    transaction.set(deviceRef, data);
+    return data;
+  });
+
+  return { deviceId: deviceRef.id, deviceSecret, name: device.name };
+};
+
+/**
+ * A user's devices, newest first, including revoked ones.
+ * @param {string} userId
+ * @returns {Promise<Array>} [{ id, name, createdAt, revokedAt, lastSeenAt,
+ *   lastHeartbeat, online, ... }]
+ */
+export const listDevices = async (userId) => {
+  const snapshot = await db.collection('devices').where('userId', '==', userId).get();
+  return snapshot.docs.map(doc => summarize(present(doc))).sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
+};
+
+const ownDeviceRef = async (userId, deviceId) => {
+  const ref = db.collection('devices').doc(deviceId);
+  const doc = await ref.get();
+  if (!doc.exists || doc.data().userId !== userId) {
+    throw new ApiError(404, 'Device not found');
+  }
+  return { ref, doc };
+};
+
+/**
+ * Rename one of the user's devices.
+ * @param {string} userId
+ * @param {string} deviceId
+ * @param {string} name
+ * @returns {Promise<object>} the updated device
+ * @throws {ApiError} 404 if the user has no such device
+ */
+export const renameDevice = async (userId, deviceId, name) => {
+  const { ref, doc } = await ownDeviceRef(userId, deviceId);
+  await ref.update({ name });
+  return { ...present(doc), name };
+};
+
+/**
+ * Revoke one of the user's devices. Its signature stops working at once; the
+ * record is kept so the device still shows up as revoked.
+ * @param {string} userId
+ * @param {string} deviceId
+ * @returns {Promise<object>} the revoked device
+ * @throws {ApiError} 404 if the user has no such device
+ */
+export const revokeDevice = async (userId, deviceId) => {
+  const { ref, doc } = await ownDeviceRef(userId, deviceId);
+  const revokedAt = doc.data().revokedAt || new Date();
+  await ref.update({ revokedAt });
+  return { ...present(doc), revokedAt };
+};
+
+/**
+ * Put a device on a firmware release channel (admin).
+ * @param {string} deviceId
+ * @param {string} channel - one of RELEASE_CHANNELS (services/firmware.js)
+ * @returns {Promise<object>} the updated device
+ * @throws {ApiError} 404 if there is no such device
+ */
+export const setFirmwareChannel = async (deviceId, channel) => {
+  const ref = db.collection('devices').doc(deviceId);
+  const doc = await ref.get();
+  if (!doc.exists) {
+    throw new ApiError(404, 'Device not found');
+  }
+  await ref.update({ firmwareChannel: channel });
+  return { ...present(doc), firmwareChannel: channel };
+};
+
+/**
+ * Authenticate a signed device request. The timestamp has to be within
+ * DEVICE_SIGNATURE_MAX_SKEW_SECONDS (default 300) of the server clock, and
+ * each signature is accepted once: a replay inside that window is rejected.
+ * Seen signatures are kept in the idempotency store (see
+ * services/idempotencyStore.js). The caller checks the body against bodyHash.
+ * @param {object} request
+ * @param {string} request.deviceId - X-Device-Id
+ * @param {string} request.timestamp - X-Device-Timestamp
+ * @param {string} request.signature - X-Device-Signature
+ * @param {string} request.bodyHash - X-Device-Content-SHA256
+ * @param {string} request.method
+ * @param {string} request.url - path and query string as sent
+ * @returns {Promise<object>} the device, with `id` and `userId`
+ * @throws {ApiError} 401 INVALID_DEVICE_SIGNATURE, DEVICE_SIGNATURE_REPLAYED
+ *   or DEVICE_REVOKED; 503 IDEMPOTENCY_STORE_FULL when the memory store is full
+ */
+export const authenticateDeviceRequest = async ({ deviceId, timestamp, signature, bodyHash, method, url }) => {
+  const invalid = () => new ApiError(401, 'Invalid device signature', 'INVALID_DEVICE_SIGNATURE');
+
+  const seconds = parseInt(timestamp, 10);
+  const maxSkew = intFromEnv('DEVICE_SIGNATURE_MAX_SKEW_SECONDS', DEFAULT_SIGNATURE_MAX_SKEW_SECONDS);
+  if (!deviceId || !signature || isNaN(seconds) || Math.abs(Date.now() / 1000 - seconds) > maxSkew) {
+    throw invalid();
+  }
+
+  const doc = await db.collection('devices').doc(String(deviceId)).get();
+  if (!doc.exists || !verifyDeviceSignature({ signingKey: openSigningKey(doc.data().signingKey), method, url, timestamp, bodyHash, signature })) {
+    throw invalid();
+  }
+  if (doc.data().revokedAt) {
+    throw new ApiError(401, 'This device has been revoked', 'DEVICE_REVOKED');
+  }
+
+  // Only checked once the signature is valid, so strangers can't fill the store
+  const seenId = crypto.createHash('sha256').update(`device-signature\0${deviceId}\0${seconds}\0${signature}`).digest('hex');
+  const expiresAt = new Date((seconds + maxSkew) * 1000);
+  if (!(await getIdempotencyStore().create(seenId, { fingerprint: String(deviceId), state: 'done' }, expiresAt))) {
+    throw new ApiError(401, 'This signed request was already used', 'DEVICE_SIGNATURE_REPLAYED');
+  }
+
+  return present(doc);
+};
+
+/**
+ * Store a heartbeat from an authenticated device. The last
+ * DEVICE_HEARTBEAT_HISTORY (default 48) heartbeats are kept.
+ * @param {object} device - from authenticateDeviceRequest
+ * @param {object} telemetry - { firmwareVersion, battery, rssi, freeHeap, lastError }, all optional
+ * @returns {Promise<object>} the stored heartbeat, with `receivedAt`
+ */
+export const recordHeartbeat = async (device, telemetry) => {
+  const heartbeat = { ...telemetry, receivedAt: new Date() };
+  const ref = db.collection('devices').doc(device.id);
+
+  // Append to the history as stored, not as read when the request was
+  // authenticated: overlapping heartbeats would drop each other's entries
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const history = [...(doc.data().heartbeats || []), heartbeat].slice(-intFromEnv('DEVICE_HEARTBEAT_HISTORY', DEFAULT_HEARTBEAT_HISTORY));
+
+    const updates = { lastSeenAt: heartbeat.receivedAt, lastHeartbeat: heartbeat, heartbeats: history };
+    if (telemetry.firmwareVersion) {
+      updates.firmwareVersion = telemetry.firmwareVersion;
+    }
+    transaction.update(ref, updates);
+  });
+
+  return heartbeat;
+};
+
+/**
+ * One of the user's devices with its heartbeat history, oldest first.
+ * @param {string} userId
+ * @param {string} deviceId
+ * @returns {Promise<object>} device with `online` and `heartbeats`
+ * @throws {ApiError} 404 if the user has no such device
+ */
+export const getDeviceStatus = async (userId, deviceId) => {
+  const { doc } = await ownDeviceRef(userId, deviceId);
+  const device = present(doc);
+  return { ...summarize(device), heartbeats: device.heartbeats || [] };
+};
+
+/**
+ * Device counts per user, for the admin API.
+ * @returns {Promise<Map<string, { total: number, active: number, online: number, lastSeenAt: Date|null }>>}
+ *   active excludes revoked devices; lastSeenAt is the latest heartbeat of any device
+ */
+export const summarizeDevicesByUser = async () => {
+  const snapshot = await db.collection('devices').get();
+  const summaries = new Map();
+
+  snapshot.docs.forEach(doc => {
+    const device = doc.data();
+    if (!device.userId) return;
+
+    const summary = summaries.get(device.userId) || { total: 0, active: 0, online: 0, lastSeenAt: null };
+    summary.total++;
+    if (!device.revokedAt) summary.active++;
+    if (isOnline(device)) summary.online++;
+    if (device.lastSeenAt && (!summary.lastSeenAt || toMillis(device.lastSeenAt) > toMillis(summary.lastSeenAt))) {
+      summary.lastSeenAt = device.lastSeenAt;
+    }
+    summaries.set(device.userId, summary);
+  });
+
+  return summaries;
+};
+
+/**
+ * A device's config, with defaults for everything not set.
+ * @param {object} device - from authenticateDeviceRequest, or a device doc's data
+ * @returns {object} { defaultStyle, contentProfile, buttons, output, timezone }
+ */
+export const getDeviceConfig = (device) => ({ ...DEFAULT_DEVICE_CONFIG, ...(device.config || {}) });
+
+/**
+ * ETag for a device config; changes whenever any setting does.
+ * @param {object} config - from getDeviceConfig
+ * @returns {string} quoted strong ETag
+ */
+export const deviceConfigETag = (config) => {
+  // Firestore doesn't keep map keys in order, so hash a canonical form
+  const canonical = Object.keys(DEFAULT_DEVICE_CONFIG).map(key => (key === 'buttons'
+    ? Object.entries(config.buttons).sort(([a], [b]) => (a < b ? -1 : 1))
+    : config[key]));
+  return `"${crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex').slice(0, 32)}"`;
+};
+
+/**
+ * One of the user's devices' config.
+ * @param {string} userId
+ * @param {string} deviceId
+ * @returns {Promise<object>} see getDeviceConfig
+ * @throws {ApiError} 404 if the user has no such device
+ */
+export const getOwnDeviceConfig = async (userId, deviceId) => {
+  const { doc } = await ownDeviceRef(userId, deviceId);
+  return getDeviceConfig(doc.data());
+};
+
+/**
+ * Change some of a device's settings. Fields left out keep their value; null
+ * resets one to its default. `buttons` is replaced as a whole.
+ * @param {string} userId
+ * @param {string} deviceId
+ * @param {object} changes - validated subset of DEFAULT_DEVICE_CONFIG
+ * @returns {Promise<object>} the new config, see getDeviceConfig
+ * @throws {ApiError} 404 if the user has no such device
+ */
+export const updateDeviceConfig = async (userId, deviceId, changes) => {
+  const { ref, doc } = await ownDeviceRef(userId, deviceId);
+  const config = { ...(doc.data().config || {}) };
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === null) {
+      delete config[key];
+    } else {
+      config[key] = value;
+    }
+  });
+
+  await ref.update({ config, configUpdatedAt: new Date() });
+  return getDeviceConfig({ config });
+};
+
+/**
+ * The config generation should apply for a request from one of the user's
+ * devices. Errors are logged and treated as "no config", like
+ * getUserSettings.
+ * @param {string} userId
+ * @param {string} [deviceId]
+ * @returns {Promise<object|null>} see getDeviceConfig; null without a
+ *   deviceId or for unknown, foreign or revoked devices
+ */
+export const getDeviceConfigForGeneration = async (userId, deviceId) => {
+  if (!deviceId) return null;
+  try {
+    const doc = await db.collection('devices').doc(String(deviceId)).get();
+    if (!doc.exists || doc.data().userId !== userId || doc.data().revokedAt) {
+      return null;
+    }
+    return getDeviceConfig(doc.data());
+  } catch (error) {
+    console.error('Error fetching device config:', error);
+    return null;
+  }
+};
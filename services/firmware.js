@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import { db } from '../config/firebase.js';
+import { ApiError } from '../utils/errors.js';
+import { getStorageBackend } from './storage.js';
+
+// Over-the-air firmware for the camera. Each release is a `firmwareReleases`
+// doc keyed by its version, with the binary in storage under
+// `firmware/<version>.bin`. Devices follow a release channel: `stable`
+// devices only see stable releases, `beta` devices the newest of either.
+// A release is marked `uploading` until its binary is stored, and hidden
+// until then.
+
+export const RELEASE_CHANNELS = ['stable', 'beta'];
+export const DEFAULT_RELEASE_CHANNEL = 'stable';
+
+// major.minor.patch with an optional pre-release, e.g. 1.4.0 or 1.5.0-rc.1
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+
+/**
+ * @param {string} version
+ * @returns {boolean}
+ */
+export const isValidVersion = (version) => typeof version === 'string' && version.length <= 32 && VERSION_PATTERN.test(version);
+
+const compareIdentifiers = (a, b) => {
+  const numeric = /^\d+$/;
+  if (numeric.test(a) && numeric.test(b)) return Number(a) - Number(b);
+  if (numeric.test(a)) return -1;
+  if (numeric.test(b)) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Compare two versions by semver precedence: 1.10.0 > 1.9.0, and a
+ * pre-release is older than its release (1.5.0-rc.1 < 1.5.0).
+ * @returns {number} negative, zero or positive
+ */
+export const compareVersions = (a, b) => {
+  const [coreA, preA] = a.split(/-(.*)/);
+  const [coreB, preB] = b.split(/-(.*)/);
+
+  const partsA = coreA.split('.');
+  const partsB = coreB.split('.');
+  for (let i = 0; i < 3; i++) {
+    const diff = Number(partsA[i]) - Number(partsB[i]);
+    if (diff) return diff;
+  }
+
+  if (!preA || !preB) return (preA ? -1 : 0) + (preB ? 1 : 0);
+
+  const idsA = preA.split('.');
+  const idsB = preB.split('.');
+  for (let i = 0; i < Math.min(idsA.length, idsB.length); i++) {
+    const diff = compareIdentifiers(idsA[i], idsB[i]);
+    if (diff) return diff;
+  }
+  return idsA.length - idsB.length;
+};
+
+/**
+ * API path a release is downloaded from (signed device requests only).
+ */
+export const firmwareUrl = (version) => `${process.env.PUBLIC_BASE_URL || ''}/device/firmware/${version}`;
+
+// Firestore's gRPC status when create() finds the document already there
+const ALREADY_EXISTS = 6;
+
+const isPublished = (doc) => !doc.data().uploading;
+
+const present = (doc) => {
+  const { storageKey, ...release } = doc.data();
+  return { ...release, url: firmwareUrl(release.version) };
+};
+
+/**
+ * Store a firmware binary and publish it on a channel.
+ * @param {object} release
+ * @param {string} release.version - see isValidVersion; can't be reused
+ * @param {string} release.channel - one of RELEASE_CHANNELS
+ * @param {Buffer} release.data - the app image
+ * @param {string} [release.sha256] - hex checksum the upload must match
+ * @param {string} [release.notes] - release notes
+ * @param {string} release.publishedBy - uid of the admin
+ * @returns {Promise<object>} the release, with `size`, `sha256` and `url`
+ * @throws {ApiError} 400 FIRMWARE_CHECKSUM_MISMATCH, 409 FIRMWARE_VERSION_EXISTS
+ */
+export const publishFirmware = async ({ version, channel, data, sha256, notes, publishedBy }) => {
+  const checksum = crypto.createHash('sha256').update(data).digest('hex');
+  if (sha256 && sha256.toLowerCase() !== checksum) {
+    throw new ApiError(400, `Checksum mismatch: the upload's sha256 is ${checksum}`, 'FIRMWARE_CHECKSUM_MISMATCH');
+  }
+
+  const ref = db.collection('firmwareReleases').doc(version);
+  const storageKey = `firmware/${version}.bin`;
+  const release = {
+    version,
+    channel,
+    size: data.length,
+    sha256: checksum,
+    notes: notes || null,
+    storageKey,
+    publishedAt: new Date(),
+    publishedBy,
+  };
+
+  // Claim the version before writing the binary: create() fails when the doc
+  // exists, so two uploads of one version can't overwrite each other's binary
+  try {
+    await ref.create({ ...release, uploading: true });
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) {
+      throw new ApiError(409, `Firmware ${version} already exists`, 'FIRMWARE_VERSION_EXISTS');
+    }
+    throw error;
+  }
+
+  try {
+    await getStorageBackend().save(storageKey, data, 'application/octet-stream');
+  } catch (error) {
+    // Release the version so the upload can be retried
+    await ref.delete().catch(deleteError => console.error(`Error releasing firmware ${version}:`, deleteError));
+    throw error;
+  }
+  await ref.set(release);
+
+  return present({ data: () => release });
+};
+
+/**
+ * All releases, newest version first.
+ * @returns {Promise<Array>}
+ */
+export const listFirmware = async () => {
+  const snapshot = await db.collection('firmwareReleases').get();
+  return snapshot.docs.filter(isPublished).map(present).sort((a, b) => compareVersions(b.version, a.version));
+};
+
+/**
+ * A release with the storage key of its binary, for downloads.
+ * @param {string} version
+ * @returns {Promise<object>}
+ * @throws {ApiError} 404 if there is no such release
+ */
+export const getFirmwareRelease = async (version) => {
+  const doc = isValidVersion(version) ? await db.collection('firmwareReleases').doc(version).get() : null;
+  if (!doc || !doc.exists || !isPublished(doc)) {
+    throw new ApiError(404, 'Firmware not found');
+  }
+  return doc.data();
+};
+
+/**
+ * What a device should be running.
+ * @param {object} device - from authenticateDeviceRequest
+ * @param {string} [currentVersion] - as reported by the device; defaults to
+ *   the version from its last heartbeat
+ * @returns {Promise<object>} { channel, currentVersion, updateAvailable,
+ *   release } where release is the newest release on the device's channel,
+ *   or null if there is none. A device that hasn't reported a version is
+ *   always offered the release.
+ */
+export const getFirmwareManifest = async (device, currentVersion) => {
+  const channel = device.firmwareChannel || DEFAULT_RELEASE_CHANNEL;
+  const channels = channel === 'beta' ? ['stable', 'beta'] : ['stable'];
+  const snapshot = await db.collection('firmwareReleases').where('channel', 'in', channels).get();
+
+  const latest = snapshot.docs.filter(isPublished).map(present).sort((a, b) => compareVersions(b.version, a.version))[0] || null;
+  const current = currentVersion || device.firmwareVersion || null;
+
+  return {
+    channel,
+    currentVersion: current,
+    updateAvailable: !!latest && (!current || !isValidVersion(current) || compareVersions(latest.version, current) > 0),
+    release: latest,
+  };
+};
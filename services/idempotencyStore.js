@@ -0,0 +1,142 @@
+import { db } from '../config/firebase.js';
+import { ApiError } from '../utils/errors.js';
+
+// Stored responses for Idempotency-Key handling. Two backends share one
+// interface: an in-process map (one server) or Firestore (several servers
+// or restarts):
+//   create(id, record, expiresAt) => true, or false if a live record exists
+//   get(id) => record | null, set(id, record, expiresAt), remove(id)
+// Records are { fingerprint, state: 'pending' | 'done', status?, body? },
+// plus { contentType, encoding: 'base64' } when body is a binary response.
+// services/devices.js also records seen device signatures here.
+
+const COLLECTION = 'idempotencyKeys';
+// Most records the memory store holds. When full it drops expired records;
+// live ones are never dropped (that would let a pending request run twice or
+// a seen device signature be replayed), so new keys are refused instead
+const DEFAULT_MEMORY_MAX_ENTRIES = 10000;
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 1 ? fallback : value;
+};
+
+const isLive = (entry) => entry && entry.expiresAt > Date.now();
+
+/**
+ * A fresh in-memory store (the default store is shared per process).
+ * `create` throws a 503 ApiError with code IDEMPOTENCY_STORE_FULL while
+ * `maxEntries` live records are held.
+ * @param {object} [options]
+ * @param {number} [options.maxEntries] - defaults to env
+ *   IDEMPOTENCY_MEMORY_MAX_ENTRIES (10000)
+ */
+export const createMemoryStore = ({ maxEntries = intFromEnv('IDEMPOTENCY_MEMORY_MAX_ENTRIES', DEFAULT_MEMORY_MAX_ENTRIES) } = {}) => {
+  const entries = new Map();
+
+  const makeRoom = () => {
+    if (entries.size < maxEntries) return;
+    entries.forEach((entry, key) => {
+      if (!isLive(entry)) entries.delete(key);
+    });
+    if (entries.size >= maxEntries) {
+      const error = new ApiError(503, 'Too many requests are being tracked. Please try again later.', 'IDEMPOTENCY_STORE_FULL');
+      error.headers = { 'Retry-After': '60' };
+      throw error;
+    }
+  };
+
+  const live = (id) => {
+    const entry = entries.get(id);
+    if (entry && !isLive(entry)) entries.delete(id);
+    return isLive(entry) ? entry : null;
+  };
+
+  return {
+    name: 'memory',
+
+    create: async (id, record, expiresAt) => {
+      if (live(id)) return false;
+      makeRoom();
+      entries.set(id, { record, expiresAt: expiresAt.getTime() });
+      return true;
+    },
+
+    get: async (id) => live(id)?.record || null,
+
+    // Only settles a record create() made room for
+    set: async (id, record, expiresAt) => {
+      entries.set(id, { record, expiresAt: expiresAt.getTime() });
+    },
+
+    remove: async (id) => {
+      entries.delete(id);
+    },
+  };
+};
+
+const toMillis = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : new Date(value).getTime());
+
+// Bodies are kept as JSON strings: Firestore rejects undefined fields
+const toDoc = (record, expiresAt) => ({
+  fingerprint: record.fingerprint,
+  state: record.state,
+  status: record.status ?? null,
+  body: record.body === undefined ? null : JSON.stringify(record.body),
+  contentType: record.contentType ?? null,
+  encoding: record.encoding ?? null,
+  expiresAt,
+});
+
+const fromDoc = (data) => ({
+  fingerprint: data.fingerprint,
+  state: data.state,
+  status: data.status ?? undefined,
+  body: data.body === null ? undefined : JSON.parse(data.body),
+  contentType: data.contentType ?? undefined,
+  encoding: data.encoding ?? undefined,
+});
+
+const firestoreStore = {
+  name: 'firestore',
+
+  // A transaction, so two servers can't both claim the same key
+  create: (id, record, expiresAt) => db.runTransaction(async (transaction) => {
+    const ref = db.collection(COLLECTION).doc(id);
+    const doc = await transaction.get(ref);
+    if (doc.exists && toMillis(doc.data().expiresAt) > Date.now()) return false;
+    transaction.set(ref, toDoc(record, expiresAt));
+    return true;
+  }),
+
+  get: async (id) => {
+    const doc = await db.collection(COLLECTION).doc(id).get();
+    if (!doc.exists || toMillis(doc.data().expiresAt) <= Date.now()) return null;
+    return fromDoc(doc.data());
+  },
+
+  set: async (id, record, expiresAt) => {
+    await db.collection(COLLECTION).doc(id).set(toDoc(record, expiresAt));
+  },
+
+  remove: async (id) => {
+    await db.collection(COLLECTION).doc(id).delete();
+  },
+};
+
+let memoryStore = null;
+
+/**
+ * The configured idempotency store: IDEMPOTENCY_STORE=firestore for the
+ * `idempotencyKeys` collection (expired records are ignored; add a Firestore
+ * TTL policy on `expiresAt` to delete them), otherwise in memory.
+ */
+export const getIdempotencyStore = () => {
+  if (process.env.IDEMPOTENCY_STORE === 'firestore') {
+    return firestoreStore;
+  }
+  if (!memoryStore) {
+    memoryStore = createMemoryStore();
+  }
+  return memoryStore;
+};
@@ -0,0 +1,95 @@
+import sharp from 'sharp';
+import { ApiError } from '../utils/errors.js';
+import { hashCapture } from '../utils/imageHash.js';
+
+const DEFAULT_MAX_EDGE = 1024;
+const DEFAULT_JPEG_QUALITY = 85;
+
+// ISO-BMFF brands (bytes 8-12 after 'ftyp') used by HEIC/HEIF and AVIF files
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 1 ? fallback : value;
+};
+
+/**
+ * Detect an image format from its magic bytes, ignoring whatever the client
+ * claimed in headers.
+ * @param {Buffer} buffer
+ * @returns {string|null} 'jpeg' | 'png' | 'webp' | 'gif' | 'heic' | 'avif', or null
+ */
+export const detectImageFormat = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) return 'gif';
+
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (HEIF_BRANDS.includes(brand)) return 'heic';
+    if (AVIF_BRANDS.includes(brand)) return 'avif';
+  }
+
+  return null;
+};
+
+// Formats ingestImage accepts. HEIC is detected only to give a clear
+// error: the prebuilt sharp binaries ship libheif without an HEVC decoder
+export const FORMAT_MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  avif: 'image/avif',
+};
+
+/**
+ * Normalise an uploaded image before it goes to the model: verify it really
+ * is an image, apply EXIF orientation, downscale so the longest edge is at
+ * most IMAGE_MAX_EDGE (default 1024) and re-encode as JPEG. The upload is
+ * hashed on the way (see hashCapture) so repeats can be recognised.
+ * @param {Buffer} buffer - uploaded bytes
+ * @returns {Promise<object>} { data, mimeType: 'image/jpeg', width, height,
+ *   original: { data, mimeType }, hash: { sha256, dHash } } where `original`
+ *   is the upload as received
+ * @throws {ApiError} 415 if the bytes aren't a supported image (including HEIC)
+ */
+export const ingestImage = async (buffer) => {
+  const format = detectImageFormat(buffer);
+
+  if (format === 'heic') {
+    throw new ApiError(415, 'HEIC images are not supported: upload a JPEG, PNG, WebP, GIF or AVIF image', 'UNSUPPORTED_MEDIA_TYPE');
+  }
+
+  if (!FORMAT_MIME_TYPES[format]) {
+    throw new ApiError(415, 'Unsupported media type: upload a JPEG, PNG, WebP, GIF or AVIF image', 'UNSUPPORTED_MEDIA_TYPE');
+  }
+
+  const maxEdge = intFromEnv('IMAGE_MAX_EDGE', DEFAULT_MAX_EDGE);
+  const quality = Math.min(intFromEnv('IMAGE_JPEG_QUALITY', DEFAULT_JPEG_QUALITY), 100);
+
+  try {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width: maxEdge, height: maxEdge, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      data,
+      mimeType: 'image/jpeg',
+      width: info.width,
+      height: info.height,
+      original: { data: buffer, mimeType: FORMAT_MIME_TYPES[format] },
+      hash: await hashCapture(buffer),
+    };
+  } catch (error) {
+    console.error(`Error decoding ${format} upload:`, error.message);
+    throw new ApiError(415, `Could not decode ${format.toUpperCase()} image`, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+};
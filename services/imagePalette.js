@@ -0,0 +1,188 @@
+import sharp from 'sharp';
+import { rgbToHex, shade, readableTextColor } from '../utils/color.js';
+import { MIN_PALETTE_SIZE, MAX_PALETTE_SIZE, normalizeHex } from '../utils/poemValidation.js';
+
+// Pixels are sampled from a thumbnail; more would only slow k-means down
+const SAMPLE_EDGE = 64;
+const MAX_ITERATIONS = 12;
+// Clusters whose centres are closer than this (RGB distance) are merged
+const MERGE_DISTANCE = 24;
+
+const distanceSq = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+// Deterministic seeding: start from the most common coarse colour, then
+// repeatedly take the pixel furthest from every centre chosen so far.
+const seedCentres = (pixels, k) => {
+  const bins = new Map();
+  let seed = pixels[0];
+  let best = 0;
+  for (const pixel of pixels) {
+    const key = (pixel[0] >> 4) << 8 | (pixel[1] >> 4) << 4 | pixel[2] >> 4;
+    const count = (bins.get(key) || 0) + 1;
+    bins.set(key, count);
+    if (count > best) {
+      best = count;
+      seed = pixel;
+    }
+  }
+
+  const centres = [seed];
+  const nearest = pixels.map(pixel => distanceSq(pixel, seed));
+  while (centres.length < k) {
+    let furthest = 0;
+    for (let i = 1; i < pixels.length; i++) {
+      if (nearest[i] > nearest[furthest]) furthest = i;
+    }
+    if (nearest[furthest] === 0) break; // fewer distinct colours than k
+    const centre = pixels[furthest];
+    centres.push(centre);
+    pixels.forEach((pixel, i) => {
+      nearest[i] = Math.min(nearest[i], distanceSq(pixel, centre));
+    });
+  }
+  return centres.map(c => [...c]);
+};
+
+const kMeans = (pixels, k) => {
+  let centres = seedCentres(pixels, k);
+  const assignments = new Array(pixels.length).fill(0);
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    let changed = false;
+    pixels.forEach((pixel, i) => {
+      let closest = 0;
+      for (let c = 1; c < centres.length; c++) {
+        if (distanceSq(pixel, centres[c]) < distanceSq(pixel, centres[closest])) closest = c;
+      }
+      if (assignments[i] !== closest) {
+        assignments[i] = closest;
+        changed = true;
+      }
+    });
+
+    const sums = centres.map(() => [0, 0, 0, 0]);
+    pixels.forEach((pixel, i) => {
+      const sum = sums[assignments[i]];
+      sum[0] += pixel[0];
+      sum[1] += pixel[1];
+      sum[2] += pixel[2];
+      sum[3]++;
+    });
+    centres = sums.map((sum, c) => sum[3] ? [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]] : centres[c]);
+
+    if (!changed && iteration > 0) break;
+  }
+
+  const counts = centres.map(() => 0);
+  assignments.forEach(c => counts[c]++);
+  return centres.map((centre, c) => ({ centre, count: counts[c] })).filter(cluster => cluster.count > 0);
+};
+
+// Fold near-identical clusters into the larger one
+const mergeClusters = (clusters) => {
+  const merged = [];
+  [...clusters].sort((a, b) => b.count - a.count).forEach(cluster => {
+    const target = merged.find(m => distanceSq(m.centre, cluster.centre) < MERGE_DISTANCE ** 2);
+    if (target) {
+      const total = target.count + cluster.count;
+      target.centre = target.centre.map((v, i) => (v * target.count + cluster.centre[i] * cluster.count) / total);
+      target.count = total;
+    } else {
+      merged.push({ centre: [...cluster.centre], count: cluster.count });
+    }
+  });
+  return merged;
+};
+
+const paletteEntry = (hex, proportion) => ({ hex, proportion, ...readableTextColor(hex) });
+
+// Downscale an image and return its pixels as [r, g, b] triples
+const samplePixels = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: SAMPLE_EDGE, height: SAMPLE_EDGE, fit: 'inside' })
+    .flatten({ background: '#ffffff' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixels = [];
+  for (let i = 0; i < data.length; i += info.channels) {
+    pixels.push([data[i], data[i + 1], data[i + 2]]);
+  }
+  return pixels;
+};
+
+const paletteFromPixels = (pixels, maxColors) => {
+  const k = Math.max(MIN_PALETTE_SIZE, Math.min(maxColors, MAX_PALETTE_SIZE));
+  const clusters = mergeClusters(kMeans(pixels, k)).sort((a, b) => b.count - a.count);
+  const palette = clusters.map(({ centre, count }) => paletteEntry(
+    rgbToHex(centre),
+    Math.round((count / pixels.length) * 1000) / 1000,
+  ));
+
+  const seeds = palette.map(entry => entry.hex);
+  for (let i = 0; palette.length < MIN_PALETTE_SIZE && i < seeds.length * 2; i++) {
+    const candidate = shade(seeds[i % seeds.length], i < seeds.length ? 0.35 : -0.35);
+    if (!palette.some(entry => entry.hex === candidate)) palette.push(paletteEntry(candidate, 0));
+  }
+
+  return palette;
+};
+
+/**
+ * Compute the dominant colours of one or more images with k-means over
+ * downscaled copies. Several images are clustered together, so the result
+ * is a single merged palette. The result is deterministic for the same pixels.
+ * @param {Buffer|Buffer[]} buffers - any image(s) sharp can decode
+ * @param {object} [options] - { maxColors } (MIN_PALETTE_SIZE..MAX_PALETTE_SIZE, default 5)
+ * @returns {Promise<Array>} [{ hex, proportion, textColor, contrast }] sorted
+ *   by proportion; images with too few distinct colours are padded with
+ *   lighter/darker shades at proportion 0
+ */
+export const extractImagePalette = async (buffers, { maxColors = MAX_PALETTE_SIZE } = {}) => {
+  const samples = await Promise.all([].concat(buffers).map(samplePixels));
+  return paletteFromPixels(samples.flat(), maxColors);
+};
+
+/**
+ * Best-effort imagePalette for a generation: merged across every image, or
+ * null if there are none or they can't be decoded.
+ * @param {Array} images - [{ data, mimeType }]
+ * @returns {Promise<Array|null>}
+ */
+export const imagePaletteFor = async (images = []) => {
+  if (!images.length) return null;
+  try {
+    return await extractImagePalette(images.map(image => image.data));
+  } catch (error) {
+    console.error('Error extracting image palette:', error.message);
+    return null;
+  }
+};
+
+export const PALETTE_SOURCES = ['model', 'image'];
+
+/**
+ * The palette a display should render for a poem, following the user's
+ * `paletteSource` setting ('model' by default). Falls back to the model
+ * palette for poems without an imagePalette.
+ * @param {object} poem
+ * @param {object|null} userData - the user's settings
+ * @returns {{ source: string, colors: Array<{ hex: string, textColor: string, contrast: number }> }}
+ */
+export const displayPaletteFor = (poem, userData) => {
+  if (userData?.paletteSource === 'image' && Array.isArray(poem.imagePalette) && poem.imagePalette.length) {
+    return {
+      source: 'image',
+      colors: poem.imagePalette.map(({ hex, textColor, contrast }) => ({ hex, textColor, contrast })),
+    };
+  }
+  return {
+    source: 'model',
+    colors: (Array.isArray(poem.palette) ? poem.palette : [])
+      .map(normalizeHex)
+      .filter(Boolean)
+      .map(hex => ({ hex, ...readableTextColor(hex) })),
+  };
+};
@@ -0,0 +1,43 @@
+/**
+ * Minimal in-process work queue that runs at most `concurrency` tasks at a
+ * time, in FIFO order. Tasks are async functions; their errors are the
+ * caller's responsibility (the queue only logs them).
+ * @param {object} options
+ * @param {number} options.concurrency - maximum tasks running at once
+ * @param {number} [options.maxPending] - maximum tasks waiting to run
+ */
+export const createJobQueue = ({ concurrency, maxPending = Infinity }) => {
+  const pending = [];
+  let running = 0;
+
+  const runNext = () => {
+    while (running < concurrency && pending.length > 0) {
+      const task = pending.shift();
+      running++;
+      Promise.resolve()
+        .then(task)
+        .catch(error => console.error('Unhandled job queue error:', error))
+        .finally(() => {
+          running--;
+          runNext();
+        });
+    }
+  };
+
+  return {
+    /**
+     * Add a task to the queue, unless it's full.
+     * @param {Function} task - async function to run
+     * @returns {boolean} false if the task was refused
+     */
+    enqueue: (task) => {
+      if (pending.length >= maxPending) return false;
+      pending.push(task);
+      runNext();
+      return true;
+    },
+    isFull: () => pending.length >= maxPending,
+    size: () => pending.length,
+    running: () => running,
+  };
+};
@@ -0,0 +1,135 @@
+import { db } from '../config/firebase.js';
+import { createJobQueue } from './jobQueue.js';
+import { generatePoemForUser, savePoem } from './poemGeneration.js';
+import { attachJobToCaptureClaim, releaseCaptureClaim } from './captureHash.js';
+import { ApiError } from '../utils/errors.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'done', 'failed'];
+
+const DEFAULT_CONCURRENCY = 2;
+// Queued jobs hold their images in memory, so only this many may wait
+const DEFAULT_MAX_QUEUED = 20;
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 1 ? fallback : value;
+};
+
+const queue = createJobQueue({
+  concurrency: intFromEnv('JOB_CONCURRENCY', DEFAULT_CONCURRENCY),
+  maxPending: intFromEnv('JOB_QUEUE_MAX', DEFAULT_MAX_QUEUED),
+});
+
+// Jobs created before this process started can't be in its queue
+const startedAt = Date.now();
+
+const toMillis = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : new Date(value).getTime());
+
+const updateJob = (jobRef, fields) => jobRef.update({ ...fields, updatedAt: new Date() });
+
+const queueFullError = () => {
+  const error = new ApiError(503, 'Too many generation jobs are waiting. Please try again later.', 'JOB_QUEUE_FULL');
+  error.headers = { 'Retry-After': '30' };
+  return error;
+};
+
+/**
+ * Create a generation job and queue it. The image stays in memory until the
+ * worker picks the job up; job state lives in the `jobs` collection so the
+ * device can poll it.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {Array} options.images - [{ data, mimeType }]
+ * @param {string} [options.type] - style id
+ * @param {string} [options.language] - language override
+ * @param {string} [options.deviceId] - requesting device, for its content profile
+ * @param {string} [options.onBlocked] - 'downgrade' or 'reject' a blocked style
+ * @param {string} [options.captureClaimId] - the capture's claim (see
+ *   claimCapture), released once the job finishes
+ * @returns {Promise<string>} job id
+ * @throws {ApiError} 503 JOB_QUEUE_FULL when JOB_QUEUE_MAX jobs are waiting
+ */
+export const createPoemJob = async ({ userId, images, type, language, deviceId, onBlocked, captureClaimId }) => {
+  if (queue.isFull()) {
+    throw queueFullError();
+  }
+
+  const now = new Date();
+  const jobRef = await db.collection('jobs').add({
+    userId,
+    kind: 'poem',
+    type: type || null,
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  // Before the job can run, so a retry finds it until the claim is released
+  if (captureClaimId) {
+    await attachJobToCaptureClaim(captureClaimId, jobRef.id);
+  }
+
+  const queued = queue.enqueue(async () => {
+    try {
+      await updateJob(jobRef, { status: 'running', startedAt: new Date() });
+
+      const { poem, userData } = await generatePoemForUser({ userId, images, type, language, deviceId, onBlocked });
+      const poemId = await savePoem(userId, poem, userData, images);
+
+      await updateJob(jobRef, { status: 'done', poemId, poem: { id: poemId, ...poem }, finishedAt: new Date() });
+    } catch (error) {
+      console.error(`Job ${jobRef.id} failed:`, error);
+      await updateJob(jobRef, {
+        status: 'failed',
+        error: error.status ? error.message : 'Internal server error',
+        code: error.code || null,
+        finishedAt: new Date(),
+      }).catch(updateError => console.error(`Error marking job ${jobRef.id} failed:`, updateError));
+    } finally {
+      await releaseCaptureClaim(captureClaimId);
+    }
+  });
+
+  // The queue filled up while the job was being created
+  if (!queued) {
+    await updateJob(jobRef, { status: 'failed', error: 'Job queue is full', code: 'JOB_QUEUE_FULL', finishedAt: new Date() });
+    throw queueFullError();
+  }
+
+  return jobRef.id;
+};
+
+/**
+ * Fail jobs a previous run of the server left queued or running: their
+ * images were only held in memory, so they can't be resumed. Run once on
+ * startup.
+ * @returns {Promise<number>} number of jobs marked failed
+ */
+export const failInterruptedJobs = async () => {
+  const snapshot = await db.collection('jobs').where('status', 'in', ['queued', 'running']).get();
+  const interrupted = snapshot.docs.filter(doc => toMillis(doc.data().createdAt) < startedAt);
+
+  for (const doc of interrupted) {
+    await updateJob(doc.ref, {
+      status: 'failed',
+      error: 'The server restarted before the job finished. Please try again.',
+      code: 'JOB_INTERRUPTED',
+      finishedAt: new Date(),
+    });
+  }
+
+  return interrupted.length;
+};
+
+/**
+ * Fetch a job.
+ * @param {string} jobId
+ * @returns {Promise<object|null>} job data with id, or null if it doesn't exist
+ */
+export const getJobById = async (jobId) => {
+  const doc = await db.collection('jobs').doc(jobId).get();
+  if (!doc.exists) {
+    return null;
+  }
+  return { id: doc.id, ...doc.data() };
+};
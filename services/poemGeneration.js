@@ -0,0 +1,489 @@
+import { db } from '../config/firebase.js';
+import { parseModelJson, validatePoem } from '../utils/poemValidation.js';
+import { createPartialPoemParser } from '../utils/partialPoemParser.js';
+import { formatDate } from '../utils/helpers.js';
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage } from '../utils/languages.js';
+import { ApiError } from '../utils/errors.js';
+import { getUserSettings } from './userSettings.js';
+import { getProviderForUser, providerConfigError } from './providers/index.js';
+import { resolveStyle, buildSystemPrompt, getBuiltInStyle, DEFAULT_STYLE_ID } from './styleRegistry.js';
+import { storeCaptures } from './captures.js';
+import { imagePaletteFor } from './imagePalette.js';
+import { multiImagePrompt } from '../systemPrompts.js';
+import { resolveContentProfile, enforceContentProfile } from './contentProfiles.js';
+import { getDeviceConfigForGeneration } from './devices.js';
+import { filterPoem, filterText } from '../utils/contentFilter.js';
+import { scoreForm } from '../utils/poetics.js';
+import { buildCaptureContext, contextPrompt } from './captureContext.js';
+import { combineHashes } from '../utils/imageHash.js';
+import { meterProvider, recordUsage, outcomeOf, reserveQuota } from './usage.js';
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_FORM_MIN_SCORE = 0.6;
+const DEFAULT_FORM_MAX_REPROMPTS = 1;
+
+const maxAttemptsFromEnv = () => {
+  const value = parseInt(process.env.POEM_MAX_ATTEMPTS, 10);
+  return isNaN(value) || value < 1 ? DEFAULT_MAX_ATTEMPTS : value;
+};
+
+// A poem scoring below this against its form counts as badly broken
+const formMinScoreFromEnv = () => {
+  const value = parseFloat(process.env.FORM_MIN_SCORE);
+  return isNaN(value) || value < 0 || value > 1 ? DEFAULT_FORM_MIN_SCORE : value;
+};
+
+// How many of the attempts may be spent re-prompting for form (0 = score only)
+const formMaxRepromptsFromEnv = () => {
+  const value = parseInt(process.env.FORM_MAX_REPROMPTS, 10);
+  return isNaN(value) || value < 0 ? DEFAULT_FORM_MAX_REPROMPTS : value;
+};
+
+const correctivePrompt = (errors) => `
+Your previous response was rejected for the following reasons:
+${errors.map(e => `- ${e.field}: ${e.reason}`).join('\n')}
+Respond again with ONLY a JSON object containing a non-empty "title" string, a non-empty "poem" string and a "palette" array of 3 to 5 hex colours such as "#a1b2c3".
+`;
+
+const formFeedbackPrompt = (form, issues) => `
+Your previous poem did not follow the ${form} form:
+${issues.map(issue => `- ${issue}`).join('\n')}
+Write the poem again, fixing these problems, and respond in the same JSON format.
+`;
+
+/**
+ * Ask the provider for a poem and keep asking, with a corrective prompt
+ * describing what was wrong, until the output validates or we run out of
+ * attempts. With a `form`, valid poems are also scored against it; a badly
+ * broken one (below FORM_MIN_SCORE) is re-prompted with the specific issues
+ * up to FORM_MAX_REPROMPTS times, and the best-scoring poem is kept.
+ * @param {object} options
+ * @param {object} options.provider - AI provider (see services/providers)
+ * @param {string} options.systemPrompt - style prompt
+ * @param {string} [options.prompt] - extra user prompt sent with every attempt
+ * @param {Array} [options.images] - [{ data, mimeType }]
+ * @param {number} [options.maxLines] - line limit for the style
+ * @param {number} [options.maxAttempts] - defaults to POEM_MAX_ATTEMPTS or 3
+ * @param {string} [options.contentProfile] - passed to the provider for its safety settings
+ * @param {string} [options.form] - key of FORM_RULES (utils/poetics.js) to score against
+ * @returns {Promise<object>} validated { title, poem, palette }, plus
+ *   { formScore, formIssues } when a form was given
+ * @throws {Error} with code 'INVALID_MODEL_OUTPUT' when every attempt fails
+ */
+export const generateValidatedPoem = async ({ provider, systemPrompt, prompt: basePrompt, images = [], maxLines, maxAttempts, contentProfile, form }) => {
+  const attempts = maxAttempts || maxAttemptsFromEnv();
+  let prompt = basePrompt;
+  let errors = [];
+  let best = null;
+  let formReprompts = 0;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const { text } = await provider.generatePoem({ systemPrompt, prompt, images, contentProfile });
+
+    let data;
+    try {
+      data = parseModelJson(text);
+    } catch (parseError) {
+      errors = [{ field: 'root', reason: 'response was not valid JSON' }];
+    }
+
+    if (data !== undefined) {
+      const result = validatePoem(data, { maxLines });
+      if (result.poem && !form) {
+        return result.poem;
+      }
+
+      if (result.poem) {
+        const { score, issues } = scoreForm(result.poem.poem, form);
+        if (!best || score > best.formScore) {
+          best = { ...result.poem, formScore: score, formIssues: issues };
+        }
+        if (score >= formMinScoreFromEnv() || formReprompts >= formMaxRepromptsFromEnv() || attempt === attempts) {
+          return best;
+        }
+
+        console.warn(JSON.stringify({
+          event: 'poem_form_broken',
+          provider: provider.name,
+          attempt,
+          form,
+          score,
+          issues,
+        }));
+
+        formReprompts++;
+        prompt = [basePrompt, formFeedbackPrompt(form, issues)].filter(Boolean).join('\n');
+        continue;
+      }
+      errors = result.errors;
+    }
+
+    console.warn(JSON.stringify({
+      event: 'poem_validation_failed',
+      provider: provider.name,
+      attempt,
+      maxAttempts: attempts,
+      reasons: errors,
+      output: String(text).slice(0, 500),
+    }));
+
+    prompt = [basePrompt, correctivePrompt(errors)].filter(Boolean).join('\n');
+  }
+
+  // A poem that broke its form beats no poem at all
+  if (best) {
+    return best;
+  }
+
+  const error = new Error('Failed to generate valid JSON');
+  error.code = 'INVALID_MODEL_OUTPUT';
+  error.reasons = errors;
+  throw error;
+};
+
+/**
+ * Load a user's settings and resolve the provider, style, language and
+ * content profile a generation request will use. A style the content profile
+ * doesn't allow is downgraded to the default style or rejected. One
+ * generation is reserved against the user's quotas for the style (and shared
+ * key budget, if it uses the server's key), and the provider is metered for
+ * the usage ledger (see trackUsage, which settles the reservation).
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {string} [options.type] - style id from the request; the device's
+ *   `defaultStyle` otherwise
+ * @param {string} [options.language] - per-request language override; the
+ *   user's `language` setting, then English, otherwise
+ * @param {string} [options.deviceId] - requesting device, for its config and
+ *   per-device content profiles
+ * @param {string} [options.onBlocked] - 'downgrade' (default) or 'reject' a blocked style
+ * @param {boolean} [options.reserve] - false when the caller reserves quota
+ *   itself (see reserveQuota), e.g. for several variants at once
+ * @returns {Promise<object>} { userId, deviceId, userData, provider, meter, quota,
+ *   reservedAt, style, language, contentProfile, downgradedFrom, form, systemPrompt }
+ * @throws {ApiError} if the provider can't be used, the style is rejected or
+ *   a quota or the shared key budget is used up (429)
+ */
+export const prepareGeneration = async ({ userId, type, language: requestedLanguage, deviceId, onBlocked, reserve = true }) => {
+  const settings = await getUserSettings(userId);
+  const provider = getProviderForUser(settings);
+
+  if (!provider.isConfigured()) {
+    console.error(`AI provider '${provider.name}' not usable for user:`, userId);
+    throw new ApiError(400, providerConfigError(provider, settings));
+  }
+
+  const deviceConfig = await getDeviceConfigForGeneration(userId, deviceId);
+  // The device's timezone applies wherever the user's would (dates, capture context)
+  const userData = deviceConfig?.timezone ? { ...settings, timezone: deviceConfig.timezone } : settings;
+
+  const contentProfile = resolveContentProfile(userData, deviceConfig);
+  const { style, downgradedFrom } = enforceContentProfile(await resolveStyle(type || deviceConfig?.defaultStyle, userId), contentProfile, {
+    fallback: getBuiltInStyle(DEFAULT_STYLE_ID),
+    action: onBlocked,
+  });
+  const language = normalizeLanguage(requestedLanguage) || normalizeLanguage(userData?.language) || DEFAULT_LANGUAGE;
+  const { quota, reservedAt } = reserve
+    ? await reserveQuota({ userId, userData, styles: { [style.id]: 1 }, keySource: provider.keySource })
+    : { quota: [], reservedAt: null };
+  const metered = meterProvider(provider);
+
+  return {
+    userId,
+    deviceId,
+    userData,
+    provider: metered.provider,
+    meter: metered.meter,
+    quota,
+    reservedAt,
+    style,
+    language,
+    contentProfile,
+    downgradedFrom,
+    // The poetics heuristics only understand English
+    form: language === 'en' ? style.form : undefined,
+    systemPrompt: buildSystemPrompt(style, { language }),
+  };
+};
+
+/**
+ * Run a generation and record it in the usage ledger with its outcome,
+ * whether it succeeds or throws. A failed generation's reserved quota is
+ * handed back.
+ * @param {object} prepared - result of prepareGeneration
+ * @param {string} kind - 'poem' or 'remix'
+ * @param {Function} generate - async () => result
+ * @returns {Promise<*>} the result of generate
+ */
+export const trackUsage = async (prepared, kind, generate) => {
+  const entry = {
+    userId: prepared.userId,
+    deviceId: prepared.deviceId,
+    kind,
+    quotaKey: prepared.style.id,
+    provider: prepared.provider.name,
+    keySource: prepared.provider.keySource,
+    reservedAt: prepared.reservedAt,
+    meter: prepared.meter,
+    startedAt: Date.now(),
+  };
+
+  try {
+    const result = await generate();
+    await recordUsage({ ...entry, outcome: 'success' });
+    return result;
+  } catch (error) {
+    await recordUsage({ ...entry, outcome: outcomeOf(error) });
+    throw error;
+  }
+};
+
+/**
+ * Add the date metadata every poem carries.
+ * @param {object} data - validated { title, poem, palette }
+ * @param {object|null} userData - the user's settings (for timezone)
+ * @param {string} [language] - language code; names the day and month in that language
+ * @returns {object} enriched poem
+ */
+export const enrichPoem = (data, userData, language = DEFAULT_LANGUAGE) => {
+  const { dayOfWeek, date, month, year } = formatDate(userData?.timezone || null, SUPPORTED_LANGUAGES[language].locale);
+
+  return {
+    ...data,
+    language,
+    dayOfWeek,
+    date,
+    month,
+    year
+  };
+};
+
+/**
+ * Mask words the content profile doesn't allow and assemble the poem body
+ * returned to clients and saved.
+ * @param {object} data - validated { title, poem, palette }
+ * @param {object} prepared - result of prepareGeneration
+ * @param {Array} images - source images
+ * @param {Promise<Array|null>} imagePalette - see imagePaletteFor
+ * @param {object|null} context - see buildCaptureContext
+ * @returns {Promise<object>} poem
+ */
+const finishPoem = async (data, prepared, images, imagePalette, context) => {
+  const { userData, style, language, contentProfile, downgradedFrom } = prepared;
+  const { poem, filtered } = filterPoem(data, contentProfile);
+
+  if (filtered.length) {
+    console.warn(JSON.stringify({ event: 'poem_content_filtered', contentProfile, words: filtered.length }));
+  }
+
+  return {
+    ...enrichPoem(poem, userData, language),
+    imagePalette: await imagePalette,
+    imageCount: images.length,
+    style: style.id,
+    contentProfile,
+    // Kept so a retry from another device isn't mistaken for a duplicate
+    ...(prepared.deviceId ? { deviceId: prepared.deviceId } : {}),
+    ...(context ? { context } : {}),
+    ...(downgradedFrom ? { downgradedFrom } : {}),
+    ...(filtered.length ? { contentFiltered: true } : {}),
+  };
+};
+
+// Several images get an extra prompt asking for one poem that links them;
+// any capture context the user allows is appended
+const promptForImages = (images = [], context = null) => [
+  images.length > 1 ? multiImagePrompt(images.length) : undefined,
+  contextPrompt(context),
+].filter(Boolean).join('\n') || undefined;
+
+// Capture context is a nicety: a failure to build it never fails a poem
+const captureContextFor = async (images, userData) => {
+  try {
+    return await buildCaptureContext({ userData, images });
+  } catch (error) {
+    console.error('Error building capture context:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Run the full generation pipeline for a user: load their settings, pick
+ * provider and style, generate a validated poem and add date metadata and
+ * whatever capture context the user's privacy settings allow.
+ * Nothing is persisted; see savePoem.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {Array} options.images - [{ data, mimeType }]; several images
+ *   produce one poem linking them
+ * @param {string} [options.type] - style id from the request
+ * @param {string} [options.language] - language override (see prepareGeneration)
+ * @param {string} [options.deviceId] - requesting device (see prepareGeneration)
+ * @param {string} [options.onBlocked] - blocked style action (see prepareGeneration)
+ * @returns {Promise<{ poem: object, userData: object|null, style: object, quota: Array }>}
+ *   poem is the enriched response body; userData the user's settings; quota
+ *   the quota state before this generation (see quotaHeaders)
+ * @throws {ApiError}
+ */
+export const generatePoemForUser = async ({ userId, images, type, language, deviceId, onBlocked }) => {
+  const prepared = await prepareGeneration({ userId, type, language, deviceId, onBlocked });
+  return generatePreparedPoem(prepared, images);
+};
+
+/**
+ * The generation half of generatePoemForUser, for callers that prepare
+ * generations themselves (e.g. to reserve quota for several at once).
+ * @param {object} prepared - result of prepareGeneration
+ * @param {Array} images - [{ data, mimeType }]
+ * @returns {Promise<{ poem: object, userData: object|null, style: object, quota: Array }>}
+ * @throws {ApiError}
+ */
+export const generatePreparedPoem = async (prepared, images) => {
+  const { userData, provider, style, systemPrompt, contentProfile, form } = prepared;
+  const imagePalette = imagePaletteFor(images);
+  const context = await captureContextFor(images, userData);
+
+  let data;
+  try {
+    data = await trackUsage(prepared, 'poem', () => generateValidatedPoem({
+      provider,
+      systemPrompt,
+      prompt: promptForImages(images, context),
+      images,
+      maxLines: style.maxLines,
+      contentProfile,
+      form,
+    }));
+  } catch (generationError) {
+    if (generationError.code === 'INVALID_MODEL_OUTPUT') {
+      throw new ApiError(500, 'Failed to generate valid JSON');
+    }
+    throw generationError;
+  }
+
+  return { poem: await finishPoem(data, prepared, images, imagePalette, context), userData, style, quota: prepared.quota };
+};
+
+/**
+ * Streaming variant of generatePreparedPoem. Partial fields are reported
+ * through `onEvent` as the model produces them ('analyzing', 'title',
+ * 'line', 'palette'); if the streamed output fails validation, or badly
+ * breaks the style's form, it falls back to the regular validated
+ * generation ('retrying'). Prepare first, so setup errors (such as a used-up
+ * quota) can still be sent as a plain HTTP response.
+ * @param {object} prepared - result of prepareGeneration
+ * @param {Array} images - [{ data, mimeType }]
+ * @param {Function} onEvent - (event, data) => void
+ * @returns {Promise<{ poem: object, userData: object|null, style: object, quota: Array }>}
+ * @throws {ApiError}
+ */
+export const streamPreparedPoem = async (prepared, images, onEvent) => {
+  const { userData, provider, style, systemPrompt, contentProfile, form } = prepared;
+
+  onEvent('analyzing', { provider: provider.name, style: style.id, contentProfile, downgradedFrom: prepared.downgradedFrom });
+  const imagePalette = imagePaletteFor(images);
+
+  // Partial title and lines are masked as they arrive, like the final poem
+  const parser = createPartialPoemParser();
+  const context = await captureContextFor(images, userData);
+  const prompt = promptForImages(images, context);
+  const validated = await trackUsage(prepared, 'poem', async () => {
+    for await (const chunk of provider.streamPoem({ systemPrompt, prompt, images, contentProfile })) {
+      parser.push(chunk).forEach(({ type: event, ...data }) => {
+        if (event === 'title') data.title = filterText(data.title, contentProfile).text;
+        if (event === 'line') data.text = filterText(data.text, contentProfile).text;
+        onEvent(event, data);
+      });
+    }
+
+    let result;
+    try {
+      result = validatePoem(parseModelJson(parser.text()), { maxLines: style.maxLines });
+    } catch (parseError) {
+      result = { poem: null, errors: [{ field: 'root', reason: 'response was not valid JSON' }] };
+    }
+
+    let data = result.poem;
+    if (!data) {
+      console.warn(JSON.stringify({
+        event: 'poem_validation_failed',
+        provider: provider.name,
+        stream: true,
+        reasons: result.errors,
+        output: parser.text().slice(0, 500),
+      }));
+      onEvent('retrying', { reasons: result.errors });
+
+      try {
+        data = await generateValidatedPoem({ provider, systemPrompt, prompt, images, maxLines: style.maxLines, contentProfile, form });
+      } catch (generationError) {
+        if (generationError.code === 'INVALID_MODEL_OUTPUT') {
+          throw new ApiError(500, 'Failed to generate valid JSON');
+        }
+        throw generationError;
+      }
+    } else if (form) {
+      const { score, issues } = scoreForm(data.poem, form);
+      data = { ...data, formScore: score, formIssues: issues };
+
+      // Badly broken form: one regular re-prompt with the issues, keeping whichever scores better
+      if (score < formMinScoreFromEnv() && formMaxRepromptsFromEnv() > 0) {
+        onEvent('retrying', { form, issues });
+        try {
+          const retried = await generateValidatedPoem({
+            provider,
+            systemPrompt,
+            prompt: [prompt, formFeedbackPrompt(form, issues)].filter(Boolean).join('\n'),
+            images,
+            maxLines: style.maxLines,
+            contentProfile,
+            form,
+            maxAttempts: 1,
+          });
+          if (retried.formScore > score) data = retried;
+        } catch (retryError) {
+          console.error('Form re-prompt failed, keeping the streamed poem:', retryError.message);
+        }
+      }
+    }
+
+    return data;
+  });
+
+  return { poem: await finishPoem(validated, prepared, images, imagePalette, context), userData, style, quota: prepared.quota };
+};
+
+/**
+ * Persist a generated poem to the `poems` collection, then store its source
+ * image(s) and thumbnails keyed by the new poem id. Capture storage is
+ * best-effort: a storage failure is logged and the poem is kept. Poems from
+ * ingested images record their `captureHash` (see findDuplicatePoem).
+ * @param {string} userId
+ * @param {object} poem - enriched poem from generatePoemForUser
+ * @param {object|null} userData - the user's settings (for pen name)
+ * @param {Array} [images] - source images [{ data, mimeType, hash? }]
+ * @returns {Promise<string>} new poem id
+ */
+export const savePoem = async (userId, poem, userData, images = []) => {
+  const captureHash = combineHashes(images.map(image => image.hash));
+  const docRef = await db.collection('poems').add({
+    ...poem,
+    ...(captureHash ? { captureHash } : {}),
+    userId: userId,
+    timestamp: new Date(),
+    isFavorite: false,
+    penName: userData?.penName || ''
+  });
+  console.log('Poem saved to Firestore for user:', userId);
+
+  if (images.length > 0) {
+    try {
+      const captures = await storeCaptures(docRef.id, images);
+      await docRef.update({ captures });
+    } catch (storageError) {
+      console.error(`Error storing captures for poem ${docRef.id}:`, storageError);
+    }
+  }
+
+  return docRef.id;
+};
@@ -0,0 +1,199 @@
+import { db } from '../config/firebase.js';
+import { ApiError } from '../utils/errors.js';
+import { generateValidatedPoem, prepareGeneration, trackUsage } from './poemGeneration.js';
+import { loadCaptureImages } from './captures.js';
+import { ingestImage } from './imageIngest.js';
+import { filterPoem } from '../utils/contentFilter.js';
+
+export const MAX_VERSIONS = 20;
+
+// Fields that belong to a version; the poem document mirrors the selected one
+const VERSION_FIELDS = ['title', 'poem', 'palette', 'style', 'formScore', 'formIssues'];
+
+/**
+ * Make sure a poem exposes `versions` and `currentVersion`. Poems saved
+ * before remixing existed get their own content as version 0.
+ * @param {object} poem - poem document data (with id)
+ * @returns {object}
+ */
+export const withVersions = (poem) => {
+  if (!poem || Array.isArray(poem.versions)) {
+    return poem;
+  }
+
+  return {
+    ...poem,
+    versions: [{
+      version: 0,
+      title: poem.title,
+      poem: poem.poem,
+      palette: poem.palette,
+      style: poem.style || null,
+      formScore: poem.formScore ?? null,
+      formIssues: poem.formIssues ?? null,
+      instruction: null,
+      createdAt: poem.timestamp || null,
+    }],
+    currentVersion: 0,
+  };
+};
+
+const ownedPoem = (doc, userId) => {
+  if (!doc.exists) {
+    throw new ApiError(404, 'Poem not found');
+  }
+
+  if (doc.data().userId !== userId) {
+    throw new ApiError(403, 'Unauthorized to modify this poem');
+  }
+
+  return withVersions({ id: doc.id, ...doc.data() });
+};
+
+const getOwnedPoem = async (poemId, userId) => {
+  const poemRef = db.collection('poems').doc(poemId);
+  return { poemRef, poem: ownedPoem(await poemRef.get(), userId) };
+};
+
+const checkVersionLimit = (poem) => {
+  if (poem.versions.length >= MAX_VERSIONS) {
+    throw new ApiError(400, `A poem can have at most ${MAX_VERSIONS} versions`);
+  }
+};
+
+const mirrorVersion = (version) =>
+  Object.fromEntries(VERSION_FIELDS.map(field => [field, version[field] ?? null]));
+
+/**
+ * The image(s) a poem was generated from, for re-running generation.
+ * Poems saved before captures were stored (or whose capture can't be read)
+ * fall back to remixing from the previous poem's text.
+ * @param {object} poem
+ * @returns {Promise<Array>} [{ data, mimeType }]
+ */
+const getSourceImages = async (poem) => {
+  try {
+    const captures = await loadCaptureImages(poem);
+    return await Promise.all(captures.map(capture => ingestImage(capture.data)));
+  } catch (error) {
+    console.error(`Error loading captures for poem ${poem.id}:`, error);
+    return [];
+  }
+};
+
+const remixPrompt = (current, instruction, hasImages) => {
+  const lines = [
+    hasImages
+      ? 'Here is the original image again. Write a new poem for it.'
+      : 'The original image is not available. Write a new poem based on the previous poem below.',
+    '',
+    'Previous poem:',
+    `Title: ${current.title}`,
+    current.poem,
+  ];
+  if (instruction) {
+    lines.push('', `Follow this instruction for the new version: ${instruction}`);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Regenerate a saved poem in another style and/or with a free-text
+ * instruction. The result is appended as a new version and selected; earlier
+ * versions are kept.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {string} options.poemId
+ * @param {string} [options.type] - style id; defaults to the current version's style
+ * @param {string} [options.instruction] - e.g. "make it a limerick"
+ * @returns {Promise<{ poem: object, userData: object|null, quota: Array }>}
+ *   the updated poem, the user's settings and the quota state before the
+ *   remix (see quotaHeaders)
+ * @throws {ApiError}
+ */
+export const remixPoem = async ({ userId, poemId, type, instruction }) => {
+  const { poemRef, poem } = await getOwnedPoem(poemId, userId);
+  checkVersionLimit(poem);
+
+  const current = poem.versions[poem.currentVersion] || poem;
+  // Remixes come from the app, so a blocked style is refused rather than swapped
+  const prepared = await prepareGeneration({
+    userId,
+    type: type || current.style,
+    language: poem.language,
+    onBlocked: 'reject',
+  });
+  const { provider, style, systemPrompt, contentProfile, form } = prepared;
+  const images = await getSourceImages(poem);
+
+  // Append to the poem as it is now, not as it was before generating:
+  // concurrent remixes each keep their version and can't pass MAX_VERSIONS.
+  // Appending counts as part of the remix, so one refused here hands its
+  // reserved quota back
+  const appendVersion = (filtered) => db.runTransaction(async (transaction) => {
+    const latest = ownedPoem(await transaction.get(poemRef), userId);
+    checkVersionLimit(latest);
+
+    const version = {
+      version: latest.versions.length,
+      ...filtered,
+      style: style.id,
+      instruction: instruction || null,
+      createdAt: new Date(),
+    };
+    const updates = { versions: [...latest.versions, version], currentVersion: version.version, ...mirrorVersion(version) };
+    transaction.update(poemRef, updates);
+    return { ...latest, ...updates };
+  });
+
+  let updated;
+  try {
+    updated = await trackUsage(prepared, 'remix', async () => {
+      const data = await generateValidatedPoem({
+        provider,
+        systemPrompt,
+        prompt: remixPrompt(current, instruction, images.length > 0),
+        images,
+        maxLines: style.maxLines,
+        contentProfile,
+        form,
+      });
+      return appendVersion(filterPoem(data, contentProfile).poem);
+    });
+  } catch (generationError) {
+    if (generationError.code === 'INVALID_MODEL_OUTPUT') {
+      throw new ApiError(500, 'Failed to generate valid JSON');
+    }
+    throw generationError;
+  }
+
+  return { poem: updated, userData: prepared.userData, quota: prepared.quota };
+};
+
+/**
+ * Select which version of a poem is shown.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {string} options.poemId
+ * @param {number} options.version - index into `versions`
+ * @returns {Promise<object>} the updated poem
+ * @throws {ApiError}
+ */
+export const selectPoemVersion = async ({ userId, poemId, version }) => {
+  const poemRef = db.collection('poems').doc(poemId);
+
+  // `versions` is written back, so read it in the same transaction as a remix would
+  return db.runTransaction(async (transaction) => {
+    const poem = ownedPoem(await transaction.get(poemRef), userId);
+    const selected = poem.versions[version];
+
+    if (!selected) {
+      throw new ApiError(400, `Invalid version. Expected 0 to ${poem.versions.length - 1}`);
+    }
+
+    const updates = { versions: poem.versions, currentVersion: version, ...mirrorVersion(selected) };
+    transaction.update(poemRef, updates);
+
+    return { ...poem, ...updates };
+  });
+};
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+
+// Deterministic provider for tests and offline development: the same input
+// always produces the same poem, and no network calls are made.
+
+// 1x1 grey PNG
+const PLACEHOLDER_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAAAAAA6fptVAAAACklEQVR4nGNoAAAAggCBd81ytgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+const digest = (parts) => {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(part));
+  return hash.digest('hex');
+};
+
+const fakePoemText = ({ systemPrompt, prompt, images = [] }) => {
+  const hex = digest([systemPrompt || '', prompt || '', ...images.map(image => image.data)]);
+  const palette = [0, 6, 12].map(offset => `#${hex.slice(offset, offset + 6)}`);
+
+  return JSON.stringify({
+    title: `Still Life ${hex.slice(0, 4)}`,
+    poem: 'A quiet frame of borrowed light\nheld still for one small breath\nbefore the shutter lets it go',
+    palette,
+  });
+};
+
+// Rough token counts (about four characters a token, a flat 258 per image)
+const fakeUsage = ({ systemPrompt, prompt, images = [] }, text) => ({
+  inputTokens: Math.ceil(((systemPrompt || '').length + (prompt || '').length) / 4) + images.length * 258,
+  outputTokens: Math.ceil(text.length / 4),
+});
+
+export const createFakeProvider = () => ({
+  name: 'fake',
+  requiresApiKey: false,
+  isConfigured: () => true,
+
+  generatePoem: async (request) => {
+    const text = fakePoemText(request);
+    return { text, model: 'fake', usage: fakeUsage(request, text) };
+  },
+
+  // Emits the same text as generatePoem in small fixed-size chunks
+  streamPoem: async function* (request) {
+    const text = fakePoemText(request);
+    for (let i = 0; i < text.length; i += 16) {
+      yield text.slice(i, i + 16);
+    }
+    if (request.onUsage) {
+      request.onUsage({ model: 'fake', usage: fakeUsage(request, text) });
+    }
+  },
+
+  generateImage: async (request) => ({ data: PLACEHOLDER_PNG, mimeType: 'image/png', model: 'fake', usage: fakeUsage(request, '') }),
+});
@@ -0,0 +1,125 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+const DEFAULT_POEM_MODEL = 'gemini-flash-latest';
+const DEFAULT_IMAGE_MODEL = 'gemini-2.5-flash-image';
+
+const poemParts = ({ systemPrompt, prompt, images }) => {
+  const parts = [systemPrompt];
+  if (prompt) parts.push(prompt);
+  images.forEach(image => {
+    parts.push({
+      inlineData: {
+        data: image.data.toString('base64'),
+        mimeType: image.mimeType,
+      },
+    });
+  });
+  return parts;
+};
+
+const HARM_CATEGORIES = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT',
+];
+
+// 'uncensored' keeps the model's default thresholds
+const SAFETY_THRESHOLDS = {
+  clean: 'BLOCK_LOW_AND_ABOVE',
+  cheeky: 'BLOCK_MEDIUM_AND_ABOVE',
+};
+
+// Token counts from a response's usageMetadata
+const usageOf = (response) => ({
+  inputTokens: response?.usageMetadata?.promptTokenCount || 0,
+  outputTokens: response?.usageMetadata?.candidatesTokenCount || 0,
+});
+
+const safetySettingsFor = (contentProfile) => {
+  const threshold = SAFETY_THRESHOLDS[contentProfile];
+  return threshold ? HARM_CATEGORIES.map(category => ({ category, threshold })) : undefined;
+};
+
+export const createGeminiProvider = ({ apiKey } = {}) => {
+  const poemModelName = process.env.GEMINI_POEM_MODEL || DEFAULT_POEM_MODEL;
+  const imageModelName = process.env.GEMINI_IMAGE_MODEL || DEFAULT_IMAGE_MODEL;
+
+  const getPoemModel = (contentProfile) => {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const safetySettings = safetySettingsFor(contentProfile);
+    return genAI.getGenerativeModel({
+      model: poemModelName,
+      generationConfig: {
+        responseMimeType: "application/json",
+        maxOutputTokens: 300,
+        thinkingConfig: {
+          thinkingBudget: 0
+        }
+      },
+      ...(safetySettings ? { safetySettings } : {}),
+    });
+  };
+
+  return {
+    name: 'gemini',
+    requiresApiKey: true,
+    isConfigured: () => !!apiKey,
+
+    generatePoem: async ({ systemPrompt, prompt, images = [], contentProfile }) => {
+      const model = getPoemModel(contentProfile);
+      const result = await model.generateContent(poemParts({ systemPrompt, prompt, images }));
+      const response = await result.response;
+      return { text: response.text(), model: poemModelName, usage: usageOf(response) };
+    },
+
+    streamPoem: async function* ({ systemPrompt, prompt, images = [], contentProfile, onUsage }) {
+      const model = getPoemModel(contentProfile);
+      const result = await model.generateContentStream(poemParts({ systemPrompt, prompt, images }));
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+      if (onUsage) {
+        onUsage({ model: poemModelName, usage: usageOf(await result.response) });
+      }
+    },
+
+    generateImage: async ({ systemPrompt, prompt }) => {
+      const genAI = new GoogleGenerativeAI(apiKey);
+      const model = genAI.getGenerativeModel({
+        model: imageModelName,
+        systemInstruction: systemPrompt
+      });
+
+      const result = await model.generateContent(prompt);
+      const response = await result.response;
+
+      // Image generation models return image data in the parts of the first candidate
+      const candidates = response.candidates;
+      if (response.promptFeedback?.blockReason) {
+        throw new Error(`Response was blocked due to ${response.promptFeedback.blockReason}`);
+      }
+      if (!candidates || candidates.length === 0) {
+        throw new Error("No content generated");
+      }
+      if (!candidates[0].content && candidates[0].finishReason && candidates[0].finishReason !== 'STOP') {
+        throw new Error(`Candidate was blocked due to ${candidates[0].finishReason}`);
+      }
+
+      const part = candidates[0].content.parts.find(p => p.inlineData);
+
+      if (!part || !part.inlineData) {
+        console.error("Response structure:", JSON.stringify(candidates, null, 2));
+        throw new Error("No image data found in response");
+      }
+
+      return {
+        data: Buffer.from(part.inlineData.data, 'base64'),
+        mimeType: part.inlineData.mimeType || 'image/png',
+        model: imageModelName,
+        usage: usageOf(response),
+      };
+    },
+  };
+};
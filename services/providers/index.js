@@ -0,0 +1,133 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+import { createFakeProvider } from './fake.js';
+import { withResilience } from './resilience.js';
+
+// Every provider getProvider can build
+export const PROVIDER_NAMES = ['gemini', 'openai', 'fake'];
+
+// Providers users can pick in their settings and AI_PROVIDER can name
+export const SELECTABLE_PROVIDER_NAMES = ['gemini', 'openai'];
+
+// `fake` serves canned poems with no key check, so it's only honoured in
+// tests (NODE_ENV=test) or with ALLOW_FAKE_PROVIDER=true for development
+const fakeAllowed = () => process.env.NODE_ENV === 'test' || process.env.ALLOW_FAKE_PROVIDER === 'true';
+
+const isUsableProviderName = (name) => SELECTABLE_PROVIDER_NAMES.includes(name) || (name === 'fake' && fakeAllowed());
+
+const factories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  fake: createFakeProvider,
+};
+
+/**
+ * Resolve which provider to use: the user's `aiProvider` setting wins,
+ * then the server-wide AI_PROVIDER, then Gemini. `fake` is ignored outside
+ * tests unless ALLOW_FAKE_PROVIDER=true.
+ * @param {object} [userData] - allowlist document data
+ * @returns {string} provider name
+ */
+export const resolveProviderName = (userData = {}) => {
+  if (isUsableProviderName(userData.aiProvider)) {
+    return userData.aiProvider;
+  }
+  if (isUsableProviderName(process.env.AI_PROVIDER)) {
+    return process.env.AI_PROVIDER;
+  }
+  return 'gemini';
+};
+
+/**
+ * Build a provider instance.
+ * Every provider exposes:
+ *   - name, requiresApiKey, isConfigured()
+ *   - usesServerKey: true when calls run on a server credential (see getProviderForUser)
+ *   - generatePoem({ systemPrompt, prompt, images, contentProfile }) => { text, model, usage }
+ *   - streamPoem({ systemPrompt, prompt, images, contentProfile, onUsage }) => async iterable of text chunks;
+ *     onUsage({ model, usage }) is called once the stream ends
+ * contentProfile ('clean' | 'cheeky' | 'uncensored') maps to the provider's
+ * own safety settings where it has any.
+ *   - generateImage({ systemPrompt, prompt }) => { data: Buffer, mimeType, model, usage }
+ * usage is { inputTokens, outputTokens } (0 when the backend doesn't report it).
+ * @param {string} name - one of PROVIDER_NAMES
+ * @param {object} [options] - { apiKey }
+ */
+export const getProvider = (name, options = {}) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider '${name}'`);
+  }
+  return factory(options);
+};
+
+// Where a user's Gemini key comes from: their own saved key, the server's
+// GEMINI_API_KEY (an admin grants it with a monthly budget, see
+// reserveQuota), or their own key falling back to the shared one
+export const API_KEY_SOURCES = ['own', 'shared', 'fallback'];
+
+const hasSharedKeyGrant = (settings) => Number.isInteger(settings.sharedKeyBudget) && !!process.env.GEMINI_API_KEY;
+
+// The server's other credentials (OPENAI_API_KEY) need the same grant
+const hasServerKeyGrant = (settings) => Number.isInteger(settings?.sharedKeyBudget);
+
+/**
+ * Pick the API key a user generates with, following their `apiKeySource`
+ * setting (default 'own').
+ * @param {object|null} userData - allowlist document data
+ * @returns {{ apiKey: string|null, keySource: 'own'|'shared'|null }}
+ */
+export const resolveApiKey = (userData) => {
+  const settings = userData || {};
+  const source = API_KEY_SOURCES.includes(settings.apiKeySource) ? settings.apiKeySource : 'own';
+
+  if (source !== 'shared' && settings.geminiApiKey) {
+    return { apiKey: settings.geminiApiKey, keySource: 'own' };
+  }
+  if (source !== 'own' && hasSharedKeyGrant(settings)) {
+    return { apiKey: process.env.GEMINI_API_KEY, keySource: 'shared' };
+  }
+  return { apiKey: null, keySource: null };
+};
+
+/**
+ * Build the provider a user should generate with, using the key picked by
+ * resolveApiKey. Its calls are retried and mapped to ApiErrors (see
+ * withResilience). Providers that need a key carry its `keySource`.
+ * Providers running on a server credential are treated like the shared
+ * Gemini key: only configured with an admin grant, and counted against its
+ * budget (`keySource: 'shared'`).
+ * @param {object|null} userData - allowlist document data
+ */
+export const getProviderForUser = (userData) => {
+  const { apiKey, keySource } = resolveApiKey(userData);
+  const provider = getProvider(resolveProviderName(userData || {}), { apiKey });
+
+  if (provider.usesServerKey) {
+    const granted = hasServerKeyGrant(userData);
+    return {
+      ...withResilience(provider),
+      isConfigured: () => granted && provider.isConfigured(),
+      keySource: granted ? 'shared' : null,
+    };
+  }
+  return { ...withResilience(provider), keySource: provider.requiresApiKey ? keySource : null };
+};
+
+/**
+ * Human readable reason a provider can't be used, for 400 responses.
+ * @param {object} provider
+ * @param {object|null} [userData] - allowlist document data
+ */
+export const providerConfigError = (provider, userData) => {
+  if (provider.requiresApiKey && userData?.apiKeySource === 'shared') {
+    return "You don't have access to the shared Gemini API key. Ask an admin for access, or configure your own key in your settings.";
+  }
+  if (provider.requiresApiKey) {
+    return 'Gemini API Key is missing. Please configure it in your settings.';
+  }
+  if (provider.usesServerKey && !hasServerKeyGrant(userData)) {
+    return `You don't have access to AI provider '${provider.name}' on this server. Ask an admin for access.`;
+  }
+  return `AI provider '${provider.name}' is not configured on this server.`;
+};
@@ -0,0 +1,127 @@
+// Talks to any server implementing the OpenAI chat completions and image
+// generation APIs (OpenAI itself, llama.cpp server, Ollama, vLLM, ...).
+// The endpoint is server configuration only; users can select the provider
+// but never point it at an arbitrary URL.
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+const post = async (url, apiKey, body) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    const error = new Error(`OpenAI-compatible request failed with ${response.status}: ${detail}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+};
+
+// Chat completions report prompt/completion tokens, image generation input/output tokens
+const usageOf = (usage) => ({
+  inputTokens: usage?.prompt_tokens ?? usage?.input_tokens ?? 0,
+  outputTokens: usage?.completion_tokens ?? usage?.output_tokens ?? 0,
+});
+
+export const createOpenAICompatibleProvider = () => {
+  const baseUrl = process.env.OPENAI_BASE_URL ? trimSlash(process.env.OPENAI_BASE_URL) : null;
+  const apiKey = process.env.OPENAI_API_KEY || null;
+  const poemModelName = process.env.OPENAI_POEM_MODEL || 'gpt-4o-mini';
+  const imageModelName = process.env.OPENAI_IMAGE_MODEL || 'gpt-image-1';
+
+  const chatBody = ({ systemPrompt, prompt, images }) => {
+    const content = [{ type: 'text', text: prompt || 'Here is the image.' }];
+    images.forEach(image => {
+      content.push({
+        type: 'image_url',
+        image_url: { url: `data:${image.mimeType};base64,${image.data.toString('base64')}` },
+      });
+    });
+
+    return {
+      model: poemModelName,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content },
+      ],
+      response_format: { type: 'json_object' },
+      max_tokens: 300,
+    };
+  };
+
+  return {
+    name: 'openai',
+    requiresApiKey: false,
+    // Calls are billed to the server's OPENAI_API_KEY, not to the user
+    usesServerKey: !!apiKey,
+    isConfigured: () => !!baseUrl,
+
+    generatePoem: async ({ systemPrompt, prompt, images = [] }) => {
+      const response = await post(`${baseUrl}/chat/completions`, apiKey, chatBody({ systemPrompt, prompt, images }));
+      const data = await response.json();
+
+      const text = data.choices?.[0]?.message?.content;
+      if (!text) {
+        throw new Error('No content generated');
+      }
+      return { text, model: poemModelName, usage: usageOf(data.usage) };
+    },
+
+    streamPoem: async function* ({ systemPrompt, prompt, images = [], onUsage }) {
+      const response = await post(`${baseUrl}/chat/completions`, apiKey, {
+        ...chatBody({ systemPrompt, prompt, images }),
+        stream: true,
+        // Servers that support it send token usage in a final chunk
+        stream_options: { include_usage: true },
+      });
+
+      let usage = null;
+
+      // The body is a stream of `data: {...}` lines terminated by `data: [DONE]`
+      const decoder = new TextDecoder();
+      let buffered = '';
+      for await (const bytes of response.body) {
+        buffered += decoder.decode(bytes, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+          const payload = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !payload || payload === '[DONE]') continue;
+          const data = JSON.parse(payload);
+          if (data.usage) usage = data.usage;
+          const text = data.choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+      if (onUsage) {
+        onUsage({ model: poemModelName, usage: usageOf(usage) });
+      }
+    },
+
+    generateImage: async ({ systemPrompt, prompt }) => {
+      const response = await post(`${baseUrl}/images/generations`, apiKey, {
+        model: imageModelName,
+        prompt: `${systemPrompt.trim()}\n\n${prompt}`,
+        response_format: 'b64_json',
+        n: 1,
+      });
+      const data = await response.json();
+
+      const base64Image = data.data?.[0]?.b64_json;
+      if (!base64Image) {
+        throw new Error('No image data found in response');
+      }
+      return { data: Buffer.from(base64Image, 'base64'), mimeType: 'image/png', model: imageModelName, usage: usageOf(data.usage) };
+    },
+  };
+};
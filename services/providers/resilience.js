@@ -0,0 +1,218 @@
+import { ApiError } from '../../utils/errors.js';
+
+// Model calls fail in a handful of ways the device should tell apart, so
+// provider errors are mapped to ApiErrors with a stable `code`:
+//   401 INVALID_API_KEY          the provider rejected the (user's) key
+//   429 PROVIDER_QUOTA_EXCEEDED  the key's quota or rate limit is used up
+//   422 CONTENT_BLOCKED          the provider's safety filters blocked it
+//   503 PROVIDER_UNAVAILABLE     outage, after retries, or the circuit is open
+// Transient failures (5xx, network errors) are retried with jittered
+// exponential backoff. Other errors pass through untouched.
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+const DEFAULT_RETRY_MAX_MS = 8000;
+const DEFAULT_CIRCUIT_THRESHOLD = 5;
+const DEFAULT_CIRCUIT_COOLDOWN_SECONDS = 30;
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// Gemini's block messages ('Candidate was blocked due to SAFETY') and OpenAI's moderation errors
+const SAFETY_BLOCK = /blocked due to (SAFETY|BLOCKLIST|PROHIBITED_CONTENT|SPII|IMAGE_SAFETY)|content_policy_violation|safety system/i;
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 0 ? fallback : value;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const detailReasons = (error) => (Array.isArray(error.errorDetails) ? error.errorDetails : [])
+  .map(detail => detail?.reason)
+  .filter(Boolean);
+
+// Gemini suggests a wait for 429s as RetryInfo { retryDelay: '36s' }
+const retryDelaySeconds = (error) => {
+  const info = (Array.isArray(error.errorDetails) ? error.errorDetails : []).find(detail => detail?.retryDelay);
+  const seconds = info ? parseInt(info.retryDelay, 10) : NaN;
+  return isNaN(seconds) ? null : seconds;
+};
+
+/**
+ * What kind of failure a provider error is: 'auth', 'quota', 'safety',
+ * 'transient' or null (anything else, e.g. an unusable response).
+ * Understands Gemini SDK errors (status, errorDetails, block messages) and
+ * the OpenAI-compatible provider's errors (status and response body).
+ * @param {Error} error
+ * @returns {string|null}
+ */
+export const classifyProviderError = (error) => {
+  if (!error || error instanceof ApiError) return null;
+
+  const status = error.status;
+  const message = String(error.message || '');
+
+  if (detailReasons(error).includes('API_KEY_INVALID') || /API key not valid/i.test(message)) return 'auth';
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'quota';
+  if (SAFETY_BLOCK.test(message)) return 'safety';
+  if (status >= 500) return 'transient';
+  if (!status && (NETWORK_ERROR_CODES.includes(error.code || error.cause?.code) || /fetch failed/i.test(message))) return 'transient';
+  return null;
+};
+
+/**
+ * The ApiError a classified provider error is reported as.
+ * @param {Error} error
+ * @param {string} kind - from classifyProviderError
+ * @param {string} providerName
+ * @returns {ApiError}
+ */
+export const providerApiError = (error, kind, providerName) => {
+  let apiError;
+  if (kind === 'auth') {
+    apiError = new ApiError(401, 'The AI provider rejected the API key. Please check it in your settings.', 'INVALID_API_KEY');
+  } else if (kind === 'quota') {
+    apiError = new ApiError(429, 'The AI provider quota for this API key is used up. Please try again later.', 'PROVIDER_QUOTA_EXCEEDED');
+    const retryAfter = retryDelaySeconds(error);
+    if (retryAfter !== null) apiError.headers = { 'Retry-After': String(retryAfter) };
+  } else if (kind === 'safety') {
+    apiError = new ApiError(422, 'The AI provider blocked this request for safety reasons.', 'CONTENT_BLOCKED');
+  } else {
+    apiError = new ApiError(503, `AI provider '${providerName}' is unavailable. Please try again later.`, 'PROVIDER_UNAVAILABLE');
+  }
+  apiError.cause = error;
+  return apiError;
+};
+
+/**
+ * A circuit breaker: after CIRCUIT_FAILURE_THRESHOLD (default 5) outages in
+ * a row it opens for CIRCUIT_COOLDOWN_SECONDS (default 30) and calls fail
+ * fast. Then one trial call is let through; success closes it again.
+ * @returns {{ allow: Function, succeeded: Function, failed: Function, retryAfter: Function }}
+ */
+export const createCircuitBreaker = () => {
+  let failures = 0;
+  let openUntil = 0;
+  let trialRunning = false;
+
+  return {
+    // Whether a call may go ahead now
+    allow: () => {
+      if (failures < intFromEnv('CIRCUIT_FAILURE_THRESHOLD', DEFAULT_CIRCUIT_THRESHOLD)) return true;
+      if (Date.now() < openUntil || trialRunning) return false;
+      trialRunning = true;
+      return true;
+    },
+
+    succeeded: () => {
+      failures = 0;
+      trialRunning = false;
+    },
+
+    failed: () => {
+      failures++;
+      trialRunning = false;
+      if (failures >= intFromEnv('CIRCUIT_FAILURE_THRESHOLD', DEFAULT_CIRCUIT_THRESHOLD)) {
+        openUntil = Date.now() + intFromEnv('CIRCUIT_COOLDOWN_SECONDS', DEFAULT_CIRCUIT_COOLDOWN_SECONDS) * 1000;
+      }
+    },
+
+    // Seconds until a trial call is allowed
+    retryAfter: () => Math.max(1, Math.ceil((openUntil - Date.now()) / 1000)),
+  };
+};
+
+// One breaker per provider, shared by every user of it
+const breakers = new Map();
+
+const breakerFor = (name) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, createCircuitBreaker());
+  }
+  return breakers.get(name);
+};
+
+// Full jitter: a random wait up to base * 2^attempt, capped
+const backoffDelay = (attempt) => {
+  const cap = Math.min(
+    intFromEnv('MODEL_RETRY_MAX_MS', DEFAULT_RETRY_MAX_MS),
+    intFromEnv('MODEL_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS) * 2 ** attempt,
+  );
+  return Math.floor(Math.random() * cap);
+};
+
+/**
+ * Wrap a provider so every model call goes through its circuit breaker,
+ * retries transient failures up to MODEL_RETRIES times (default 2) with
+ * jittered exponential backoff (MODEL_RETRY_BASE_MS, default 500, capped at
+ * MODEL_RETRY_MAX_MS, default 8000) and throws the ApiErrors listed above.
+ * A stream is only retried if it fails before its first chunk.
+ * @param {object} provider - see services/providers
+ * @param {object} [options] - { breaker } (defaults to the provider's shared one)
+ * @returns {object} provider with the same interface
+ */
+export const withResilience = (provider, { breaker = breakerFor(provider.name) } = {}) => {
+  const unavailable = () => {
+    const error = new ApiError(503, `AI provider '${provider.name}' is unavailable. Please try again later.`, 'PROVIDER_UNAVAILABLE');
+    error.headers = { 'Retry-After': String(breaker.retryAfter()) };
+    return error;
+  };
+
+  // Settle one failed attempt: true to retry it, otherwise throws
+  const handleFailure = async (error, attempt, canRetry) => {
+    const kind = classifyProviderError(error);
+    if (kind === 'transient') {
+      breaker.failed();
+      if (canRetry && attempt < intFromEnv('MODEL_RETRIES', DEFAULT_RETRIES) && breaker.allow()) {
+        console.warn(JSON.stringify({ event: 'model_call_retry', provider: provider.name, attempt: attempt + 1, status: error.status || null, reason: error.message }));
+        await sleep(backoffDelay(attempt));
+        return true;
+      }
+    } else {
+      // Anything but an outage shows the provider is up
+      breaker.succeeded();
+    }
+    throw kind ? providerApiError(error, kind, provider.name) : error;
+  };
+
+  const call = (method) => async (request) => {
+    if (!breaker.allow()) throw unavailable();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await provider[method](request);
+        breaker.succeeded();
+        return result;
+      } catch (error) {
+        await handleFailure(error, attempt, true);
+      }
+    }
+  };
+
+  return {
+    ...provider,
+
+    generatePoem: call('generatePoem'),
+
+    generateImage: call('generateImage'),
+
+    streamPoem: async function* (request) {
+      if (!breaker.allow()) throw unavailable();
+
+      for (let attempt = 0; ; attempt++) {
+        let started = false;
+        try {
+          for await (const chunk of provider.streamPoem(request)) {
+            started = true;
+            yield chunk;
+          }
+          breaker.succeeded();
+          return;
+        } catch (error) {
+          await handleFailure(error, attempt, !started);
+        }
+      }
+    },
+  };
+};
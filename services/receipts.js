@@ -0,0 +1,69 @@
+import sharp from 'sharp';
+import { storage } from '../config/firebase.js';
+import { displayPaletteFor } from './imagePalette.js';
+import { PAPER_WIDTHS, buildReceipt, rasterImage, paletteSwatches } from '../utils/escpos.js';
+
+// Poems as ESC/POS receipts for thermal printers attached to the camera
+// (see utils/escpos.js).
+
+export const RECEIPT_PAPER_WIDTHS = Object.keys(PAPER_WIDTHS).map(Number);
+export const RECEIPT_RASTERS = ['none', 'sketch', 'palette'];
+
+// A sketch prints at most this tall, in dots
+const MAX_SKETCH_HEIGHT = 640;
+
+const sketchRaster = async (poem, width) => {
+  if (!poem.id || !poem.sketchUrl) return null;
+  try {
+    const [png] = await storage.bucket().file(`sketches/${poem.id}.png`).download();
+    const { data, info } = await sharp(png)
+      .flatten({ background: '#ffffff' })
+      .resize({ width, height: MAX_SKETCH_HEIGHT, fit: 'inside' })
+      .grayscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return rasterImage(data, info.width, info.height);
+  } catch (error) {
+    // A receipt without its picture beats no receipt
+    console.error(`Error rendering sketch for poem ${poem.id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Render a poem as an ESC/POS receipt: title, poem, pen name and date, with
+ * the poem's sketch above the title or its palette as swatches below.
+ * Poems without a sketch print without one.
+ * @param {object} poem - stored or freshly generated poem
+ * @param {object|null} userData - the user's settings (pen name, palette source)
+ * @param {object} [options]
+ * @param {number} [options.paper] - paper width in mm, one of RECEIPT_PAPER_WIDTHS (default 58)
+ * @param {string} [options.codepage] - key of CODEPAGES, or 'auto' (default)
+ * @param {string} [options.raster] - one of RECEIPT_RASTERS (default 'none')
+ * @returns {Promise<{ data: Buffer, codepage: string }>}
+ */
+export const renderPoemReceipt = async (poem, userData, { paper = 58, codepage = 'auto', raster = 'none' } = {}) => {
+  const { dots } = PAPER_WIDTHS[paper];
+
+  let header = null;
+  let trailer = null;
+  if (raster === 'sketch') {
+    header = await sketchRaster(poem, dots);
+  } else if (raster === 'palette') {
+    const colors = displayPaletteFor(poem, userData).colors.map(color => color.hex);
+    if (colors.length) {
+      trailer = rasterImage(paletteSwatches(colors, dots), dots, 48);
+    }
+  }
+
+  const date = poem.dayOfWeek ? `${poem.dayOfWeek}, ${poem.date} ${poem.month} ${poem.year}` : null;
+
+  return buildReceipt({
+    title: poem.title || '',
+    body: poem.poem || '',
+    byline: poem.penName || userData?.penName || null,
+    footer: date,
+    header,
+    trailer,
+  }, { paper, codepage });
+};
@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import { storage } from '../config/firebase.js';
+
+// Object storage for captures and other binaries. Two backends share one
+// interface so the server can run against Firebase Storage or, standalone,
+// the local filesystem:
+//   save(key, buffer, contentType), read(key) => Buffer,
+//   stat(key) => { size, contentType } | null,
+//   createReadStream(key, { start, end }), remove(key)
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.bin': 'application/octet-stream',
+};
+
+const firebaseBackend = {
+  name: 'firebase',
+
+  save: async (key, buffer, contentType) => {
+    await storage.bucket().file(key).save(buffer, { metadata: { contentType } });
+  },
+
+  read: async (key) => {
+    const [data] = await storage.bucket().file(key).download();
+    return data;
+  },
+
+  stat: async (key) => {
+    const file = storage.bucket().file(key);
+    const [exists] = await file.exists();
+    if (!exists) return null;
+    const [metadata] = await file.getMetadata();
+    return { size: Number(metadata.size), contentType: metadata.contentType };
+  },
+
+  createReadStream: (key, range) => storage.bucket().file(key).createReadStream(range || {}),
+
+  remove: async (key) => {
+    await storage.bucket().file(key).delete({ ignoreNotFound: true });
+  },
+};
+
+const localRoot = () => path.resolve(process.env.LOCAL_STORAGE_DIR || 'data');
+
+// Keys are generated by the server, but never let one escape the root
+const localPath = (key) => {
+  const root = localRoot();
+  const resolved = path.resolve(root, key);
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key '${key}'`);
+  }
+  return resolved;
+};
+
+const localBackend = {
+  name: 'local',
+
+  save: async (key, buffer) => {
+    const filePath = localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  },
+
+  read: (key) => fs.promises.readFile(localPath(key)),
+
+  stat: async (key) => {
+    try {
+      const stats = await fs.promises.stat(localPath(key));
+      return {
+        size: stats.size,
+        contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  createReadStream: (key, range) => fs.createReadStream(localPath(key), range || {}),
+
+  remove: (key) => fs.promises.rm(localPath(key), { force: true }),
+};
+
+/**
+ * The configured storage backend: STORAGE_BACKEND=local for the filesystem
+ * (under LOCAL_STORAGE_DIR, default ./data), otherwise Firebase Storage.
+ */
+export const getStorageBackend = () => (process.env.STORAGE_BACKEND === 'local' ? localBackend : firebaseBackend);
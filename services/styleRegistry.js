@@ -0,0 +1,100 @@
+import { db } from '../config/firebase.js';
+import { builtInStyles, outputInstructions } from '../systemPrompts.js';
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from '../utils/languages.js';
+import { DEFAULT_STYLE_INTENSITY } from './contentProfiles.js';
+
+export const DEFAULT_STYLE_ID = 'basic';
+export const STYLE_VISIBILITIES = ['private', 'public'];
+
+const builtIns = builtInStyles.map(style => ({
+  ...style,
+  visibility: 'public',
+  builtIn: true,
+}));
+
+// A custom style's intensity is declared by its author, so it's only trusted
+// on the user's own styles: someone else's public style is 'uncensored'
+const fromDoc = (doc, userId) => {
+  const style = { id: doc.id, intensity: DEFAULT_STYLE_INTENSITY, ...doc.data(), builtIn: false };
+  return style.userId === userId ? style : { ...style, intensity: 'uncensored' };
+};
+
+/**
+ * Find a built-in style by id.
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+export const getBuiltInStyle = (id) => builtIns.find(style => style.id === id);
+
+/**
+ * Every style a user can generate with: built-ins, their own styles and
+ * styles other users have made public.
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+export const listStylesForUser = async (userId) => {
+  const stylesRef = db.collection('styles');
+  const [ownSnapshot, publicSnapshot] = await Promise.all([
+    stylesRef.where('userId', '==', userId).get(),
+    stylesRef.where('visibility', '==', 'public').get(),
+  ]);
+
+  const custom = ownSnapshot.docs.map(doc => fromDoc(doc, userId));
+  publicSnapshot.docs.forEach(doc => {
+    if (!custom.some(style => style.id === doc.id)) {
+      custom.push(fromDoc(doc, userId));
+    }
+  });
+
+  return [...builtIns, ...custom];
+};
+
+/**
+ * Resolve a `type` value against the built-in styles and the user's
+ * custom (or public) styles. Unknown types fall back to the default style,
+ * as the firmware has always relied on.
+ * @param {string} [type] - style id from the request
+ * @param {string} userId
+ * @returns {Promise<object>} style
+ */
+export const resolveStyle = async (type, userId) => {
+  if (!type) {
+    return getBuiltInStyle(DEFAULT_STYLE_ID);
+  }
+
+  const builtIn = getBuiltInStyle(type);
+  if (builtIn) {
+    return builtIn;
+  }
+
+  try {
+    const doc = await db.collection('styles').doc(type).get();
+    if (doc.exists) {
+      const style = fromDoc(doc, userId);
+      if (style.userId === userId || style.visibility === 'public') {
+        return style;
+      }
+    }
+  } catch (error) {
+    console.error(`Error resolving style '${type}':`, error);
+  }
+
+  console.warn(`Unknown style '${type}' for user ${userId}, using '${DEFAULT_STYLE_ID}'`);
+  return getBuiltInStyle(DEFAULT_STYLE_ID);
+};
+
+/**
+ * Compose the full system prompt for a style: its own instructions, the line
+ * limit, the output language and the shared JSON output instructions.
+ * @param {object} style
+ * @param {object} [options] - { language } code from SUPPORTED_LANGUAGES (default English)
+ * @returns {string}
+ */
+export const buildSystemPrompt = (style, { language = DEFAULT_LANGUAGE } = {}) => [
+  style.instructions.trim(),
+  `The poem should be no more than ${style.maxLines} lines long.`,
+  language !== DEFAULT_LANGUAGE
+    ? `Write the title and the poem in ${SUPPORTED_LANGUAGES[language].name}. Keep the JSON keys in English.`
+    : null,
+  outputInstructions.trim(),
+].filter(Boolean).join('\n\n') + '\n';
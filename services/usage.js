@@ -0,0 +1,344 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { db } from '../config/firebase.js';
+import { ApiError } from '../utils/errors.js';
+
+// Every generation writes one entry to the `usage` ledger, and successful
+// ones also bump per-day and per-month counters in `usageCounters`
+// (doc id `${userId}_${period}`, period '2026-10-19' or '2026-10', UTC).
+// Generations made with the server's shared Gemini key are also counted as
+// `sharedKeyGenerations`, which the user's monthly `sharedKeyBudget` is
+// checked against. When a quota or budget applies, generations are counted
+// up front in a transaction (reserveQuota) and handed back if they fail, so
+// concurrent requests can't go past a limit.
+
+export const USAGE_KINDS = ['poem', 'remix', 'sketch'];
+// Quota key sketches are counted under, alongside style ids
+export const SKETCH_QUOTA_KEY = 'sketch';
+export const QUOTA_PERIODS = ['daily', 'monthly'];
+
+const DEFAULT_HISTORY_DAYS = 30;
+const MAX_HISTORY_DAYS = 90;
+const HISTORY_MONTHS = 12;
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+const periodKey = (period, date) => (period === 'daily' ? dayKey(date) : monthKey(date));
+
+// Start of the next UTC day or month
+const resetTime = (period, date) => (period === 'daily'
+  ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1))
+  : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)));
+
+/**
+ * Wrap a provider so the model and token usage of every call it makes are
+ * added up in `meter`. Providers report usage as
+ * { model, usage: { inputTokens, outputTokens } }; streamPoem reports it
+ * through an `onUsage` callback once the stream ends.
+ * @param {object} provider - see services/providers
+ * @returns {{ provider: object, meter: { calls: number, model: string|null,
+ *   inputTokens: number, outputTokens: number } }}
+ */
+export const meterProvider = (provider) => {
+  const meter = { calls: 0, model: null, inputTokens: 0, outputTokens: 0 };
+
+  const add = ({ model, usage } = {}) => {
+    if (model) meter.model = model;
+    meter.inputTokens += usage?.inputTokens || 0;
+    meter.outputTokens += usage?.outputTokens || 0;
+  };
+
+  const metered = {
+    ...provider,
+
+    generatePoem: async (request) => {
+      meter.calls++;
+      const result = await provider.generatePoem(request);
+      add(result);
+      return result;
+    },
+
+    streamPoem: (request) => {
+      meter.calls++;
+      return provider.streamPoem({ ...request, onUsage: add });
+    },
+
+    generateImage: async (request) => {
+      meter.calls++;
+      const result = await provider.generateImage(request);
+      add(result);
+      return result;
+    },
+  };
+
+  return { provider: metered, meter };
+};
+
+/**
+ * Outcome recorded for a generation that threw.
+ * @param {Error} error
+ * @returns {string} 'invalid_output', 'blocked' or 'error'
+ */
+export const outcomeOf = (error) => {
+  if (error.code === 'INVALID_MODEL_OUTPUT' || error.message === 'Failed to generate valid JSON') return 'invalid_output';
+  if (error.code === 'STYLE_BLOCKED' || error.code === 'CONTENT_BLOCKED') return 'blocked';
+  return 'error';
+};
+
+/**
+ * Record a generation in the usage ledger and, when it succeeded, count it
+ * towards the user's quotas; a reserved generation (see reserveQuota) is
+ * already counted, and handed back when it failed. Best-effort: failures are
+ * logged, never thrown.
+ * @param {object} entry
+ * @param {string} entry.userId
+ * @param {string} entry.kind - one of USAGE_KINDS
+ * @param {string} entry.quotaKey - style id, or SKETCH_QUOTA_KEY
+ * @param {string} entry.provider - provider name
+ * @param {object} entry.meter - from meterProvider
+ * @param {number} entry.startedAt - Date.now() when generation started
+ * @param {string} entry.outcome - 'success', or see outcomeOf
+ * @param {string} [entry.deviceId]
+ * @param {string} [entry.keySource] - 'own' or 'shared' (see resolveApiKey)
+ * @param {Date} [entry.reservedAt] - from reserveQuota, if it reserved this generation
+ */
+export const recordUsage = async ({ userId, kind, quotaKey, provider, meter, startedAt, outcome, deviceId, keySource, reservedAt }) => {
+  const now = new Date();
+  const tokens = { inputTokens: meter.inputTokens, outputTokens: meter.outputTokens };
+
+  try {
+    await db.collection('usage').doc().set({
+      userId,
+      deviceId: deviceId || null,
+      kind,
+      style: quotaKey,
+      provider,
+      keySource: keySource || null,
+      model: meter.model,
+      calls: meter.calls,
+      ...tokens,
+      latencyMs: Date.now() - startedAt,
+      outcome,
+      createdAt: now,
+    });
+
+    // Failed generations still cost tokens, but only successes use up quota
+    const success = outcome === 'success';
+    const counted = reservedAt ? (success ? 0 : -1) : (success ? 1 : 0);
+    // Reserved generations are settled in the periods they were reserved in
+    const countedAt = reservedAt || now;
+    await Promise.all(QUOTA_PERIODS.map(period => db.collection('usageCounters').doc(`${userId}_${periodKey(period, countedAt)}`).set({
+      userId,
+      period: periodKey(period, countedAt),
+      generations: FieldValue.increment(counted),
+      inputTokens: FieldValue.increment(tokens.inputTokens),
+      outputTokens: FieldValue.increment(tokens.outputTokens),
+      styles: { [quotaKey]: FieldValue.increment(counted) },
+      sharedKeyGenerations: FieldValue.increment(keySource === 'shared' ? counted : 0),
+      updatedAt: now,
+    }, { merge: true })));
+  } catch (error) {
+    console.error('Error recording usage:', error);
+  }
+};
+
+const limitFrom = (value) => (Number.isInteger(value) && value >= 0 ? value : null);
+
+// Server-wide per-style limits, e.g. QUOTA_STYLE_LIMITS={"dirty-limerick":{"daily":5}}
+const styleLimitsFromEnv = () => {
+  if (!process.env.QUOTA_STYLE_LIMITS) return {};
+  try {
+    return JSON.parse(process.env.QUOTA_STYLE_LIMITS) || {};
+  } catch (error) {
+    console.error('Invalid QUOTA_STYLE_LIMITS, ignoring it:', error.message);
+    return {};
+  }
+};
+
+/**
+ * The quota limits that apply to a user and style. The user's `quotas`
+ * ({ daily, monthly, styles: { [styleId]: { daily, monthly } } }, set by an
+ * admin) win over QUOTA_DAILY, QUOTA_MONTHLY and QUOTA_STYLE_LIMITS.
+ * Unset means unlimited.
+ * @param {object|null} userData
+ * @param {string} quotaKey - style id, or SKETCH_QUOTA_KEY
+ * @returns {Array<{ period: string, style: string|null, limit: number }>}
+ */
+export const quotaLimitsFor = (userData, quotaKey) => {
+  const quotas = userData?.quotas || {};
+  const styleQuotas = quotas.styles?.[quotaKey] || {};
+  const envStyleQuotas = styleLimitsFromEnv()[quotaKey] || {};
+  const limits = [];
+
+  QUOTA_PERIODS.forEach(period => {
+    const envName = period === 'daily' ? 'QUOTA_DAILY' : 'QUOTA_MONTHLY';
+    const userLimit = limitFrom(quotas[period]) ?? limitFrom(parseInt(process.env[envName], 10));
+    if (userLimit !== null) limits.push({ period, style: null, limit: userLimit });
+
+    const styleLimit = limitFrom(styleQuotas[period]) ?? limitFrom(envStyleQuotas[period]);
+    if (styleLimit !== null) limits.push({ period, style: quotaKey, limit: styleLimit });
+  });
+
+  return limits;
+};
+
+/**
+ * A user's monthly budget of generations on the shared server key, and how
+ * much of it is used.
+ * @param {string} userId
+ * @param {object|null} userData - allowlist document data
+ * @returns {Promise<object|null>} { monthlyBudget, used, remaining, resetAt },
+ *   or null when no admin has granted the user the shared key
+ */
+export const getSharedKeyBudget = async (userId, userData) => {
+  const monthlyBudget = limitFrom(userData?.sharedKeyBudget);
+  if (monthlyBudget === null) return null;
+
+  const now = new Date();
+  const doc = await db.collection('usageCounters').doc(`${userId}_${monthKey(now)}`).get();
+  const used = (doc.exists ? doc.data().sharedKeyGenerations : 0) || 0;
+
+  return { monthlyBudget, used, remaining: Math.max(0, monthlyBudget - used), resetAt: resetTime('monthly', now) };
+};
+
+const quotaExceeded = (entry, count, quota, now) => {
+  const scope = entry.style ? `${entry.period} quota for '${entry.style}'` : `${entry.period} quota`;
+  const message = entry.used >= entry.limit
+    ? `You have used your ${scope} (${entry.limit})`
+    : `Only ${entry.limit - entry.used} of your ${scope} (${entry.limit}) left, not enough for ${count}`;
+  const error = new ApiError(429, message, 'QUOTA_EXCEEDED');
+  error.headers = {
+    ...quotaHeaders(quota, 0),
+    'Retry-After': String(Math.ceil((entry.resetAt - now) / 1000)),
+  };
+  return error;
+};
+
+/**
+ * Reserve generations against a user's quotas (and shared key budget, for
+ * generations on the server's key) before running them. Checking and counting
+ * happen in one transaction, so concurrent requests can't both take the last
+ * generation. Pass the returned `reservedAt` to recordUsage, which hands back
+ * generations that fail. Without limits nothing is reserved; successes are
+ * counted by recordUsage.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {object|null} options.userData
+ * @param {object} options.styles - quota key (style id or SKETCH_QUOTA_KEY)
+ *   => number of generations, e.g. { basic: 2, haiku: 1 } for variants
+ * @param {string|null} [options.keySource] - the provider's (see resolveApiKey)
+ * @returns {Promise<{ quota: Array, reservedAt: Date|null }>} quota is
+ *   [{ period, style, limit, used, resetAt }] for each limit that applies,
+ *   as used before this reservation (see quotaHeaders)
+ * @throws {ApiError} 429 QUOTA_EXCEEDED or SHARED_KEY_BUDGET_EXCEEDED when
+ *   there isn't enough left for every generation
+ */
+export const reserveQuota = async ({ userId, userData, styles, keySource }) => {
+  const quotaKeys = Object.keys(styles);
+  const count = quotaKeys.reduce((sum, quotaKey) => sum + styles[quotaKey], 0);
+  const limits = quotaKeys.flatMap((quotaKey, index) => quotaLimitsFor(userData, quotaKey)
+    // Limits on all generations are the same for every style
+    .filter(limit => limit.style || index === 0));
+  const sharedKeyBudget = keySource === 'shared' ? limitFrom(userData?.sharedKeyBudget) : null;
+
+  if (!limits.length && sharedKeyBudget === null) {
+    return { quota: [], reservedAt: null };
+  }
+
+  const now = new Date();
+  const refs = Object.fromEntries(QUOTA_PERIODS.map(period =>
+    [period, db.collection('usageCounters').doc(`${userId}_${periodKey(period, now)}`)]));
+
+  const quota = await db.runTransaction(async (transaction) => {
+    const counters = {};
+    for (const period of QUOTA_PERIODS) {
+      const doc = await transaction.get(refs[period]);
+      counters[period] = doc.exists ? doc.data() : {};
+    }
+
+    const entries = limits.map(({ period, style, limit }) => ({
+      period,
+      style,
+      limit,
+      used: (style ? counters[period].styles?.[style] : counters[period].generations) || 0,
+      resetAt: resetTime(period, now),
+    }));
+
+    const exceeded = entries.find(entry => entry.used + (entry.style ? styles[entry.style] : count) > entry.limit);
+    if (exceeded) {
+      throw quotaExceeded(exceeded, exceeded.style ? styles[exceeded.style] : count, entries, now);
+    }
+
+    if (sharedKeyBudget !== null && (counters.monthly.sharedKeyGenerations || 0) + count > sharedKeyBudget) {
+      const error = new ApiError(429, `You have used this month's budget (${sharedKeyBudget}) on the shared API key`, 'SHARED_KEY_BUDGET_EXCEEDED');
+      error.headers = { 'Retry-After': String(Math.ceil((resetTime('monthly', now) - now) / 1000)) };
+      throw error;
+    }
+
+    QUOTA_PERIODS.forEach(period => transaction.set(refs[period], {
+      userId,
+      period: periodKey(period, now),
+      generations: FieldValue.increment(count),
+      styles: Object.fromEntries(quotaKeys.map(quotaKey => [quotaKey, FieldValue.increment(styles[quotaKey])])),
+      sharedKeyGenerations: FieldValue.increment(keySource === 'shared' ? count : 0),
+      updatedAt: now,
+    }, { merge: true }));
+
+    return entries;
+  });
+
+  return { quota, reservedAt: now };
+};
+
+/**
+ * Response headers describing quota state, e.g. X-Quota-Daily-Limit and
+ * X-Quota-Daily-Remaining, or X-Quota-Style-Monthly-Remaining for a
+ * per-style limit.
+ * @param {Array} quota - from reserveQuota
+ * @param {number} [consumed] - generations this response used (default 1)
+ * @returns {object} header name => value
+ */
+export const quotaHeaders = (quota = [], consumed = 1) => {
+  const headers = {};
+  quota.forEach(({ period, style, limit, used, resetAt }) => {
+    const prefix = `X-Quota-${style ? 'Style-' : ''}${period === 'daily' ? 'Daily' : 'Monthly'}`;
+    headers[`${prefix}-Limit`] = String(limit);
+    headers[`${prefix}-Remaining`] = String(Math.max(0, limit - used - consumed));
+    headers[`${prefix}-Reset`] = resetAt.toISOString();
+  });
+  return headers;
+};
+
+const emptyPeriod = (period) => ({ period, generations: 0, inputTokens: 0, outputTokens: 0, styles: {} });
+
+const presentCounter = ({ period, generations = 0, inputTokens = 0, outputTokens = 0, styles = {} }) =>
+  ({ period, generations, inputTokens, outputTokens, styles });
+
+/**
+ * A user's consumption per day (last `days` days) and per month (last 12),
+ * oldest first, with zeros for periods without usage.
+ * @param {string} userId
+ * @param {object} [options] - { days } (1-90, default 30)
+ * @returns {Promise<{ daily: Array, monthly: Array }>} entries are
+ *   { period, generations, inputTokens, outputTokens, styles: { [styleId]: count } }
+ */
+export const getUsageHistory = async (userId, { days = DEFAULT_HISTORY_DAYS } = {}) => {
+  const count = Math.min(Math.max(1, days), MAX_HISTORY_DAYS);
+  const snapshot = await db.collection('usageCounters').where('userId', '==', userId).get();
+  const byPeriod = new Map(snapshot.docs.map(doc => [doc.data().period, doc.data()]));
+
+  const now = new Date();
+  const daily = [];
+  for (let i = count - 1; i >= 0; i--) {
+    const period = dayKey(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - i)));
+    daily.push(byPeriod.has(period) ? presentCounter(byPeriod.get(period)) : emptyPeriod(period));
+  }
+
+  const monthly = [];
+  for (let i = HISTORY_MONTHS - 1; i >= 0; i--) {
+    const period = monthKey(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1)));
+    monthly.push(byPeriod.has(period) ? presentCounter(byPeriod.get(period)) : emptyPeriod(period));
+  }
+
+  return { daily, monthly };
+};
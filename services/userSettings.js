@@ -0,0 +1,21 @@
+import { db } from '../config/firebase.js';
+
+/**
+ * Fetch a user's allowlist document (which doubles as their settings).
+ * Errors are logged and treated as "no settings" so generation can still
+ * report a meaningful error (e.g. missing API key) instead of a 500.
+ * @param {string} userId
+ * @returns {Promise<object|null>} document data, or null if not found
+ */
+export const getUserSettings = async (userId) => {
+  try {
+    const snapshot = await db.collection('allowlist').where('uid', '==', userId).limit(1).get();
+    if (snapshot.empty) {
+      return null;
+    }
+    return snapshot.docs[0].data();
+  } catch (error) {
+    console.error('Error fetching user settings:', error);
+    return null;
+  }
+};
@@ -1,9 +1,6 @@
-export const basicPrompt = `
-You are a poet and an artist. You will be given an image.
-Your task is to generate a short, evocative poem inspired by the image.
-Capture the mood, the lighting, and the hidden details.
-The tone of the poem should be appropriate for the subject of the image. Avoid unnecessary gloomy tones, and do not reference "fading day" or "sunset" unless it is explicitly visible in the image.
-
+// Appended to every poem style (built-in or user-defined) so the model always
+// returns the shape the validator expects.
+export const outputInstructions = `
 In addition to the poem, you must extract a color palette of 3 to 5 distinct hex colors from the image.
 These colors should represent the dominant or most striking tones in the image. OR they should capture the mood of the image.
 
@@ -14,44 +11,46 @@ Return ONLY a JSON object with the following structure:
   "palette": ["#hex1", "#hex2", "#hex3", "#hex4"]
 }
 Do not include any markdown formatting or code blocks. Just the raw JSON string.
-The poem should be no more than 6 lines long.
+`;
+
+export const basicPrompt = `
+You are a poet and an artist. You will be given an image.
+Your task is to generate a short, evocative poem inspired by the image.
+Capture the mood, the lighting, and the hidden details.
+The tone of the poem should be appropriate for the subject of the image. Avoid unnecessary gloomy tones, and do not reference "fading day" or "sunset" unless it is explicitly visible in the image.
 `;
 
 export const dirtyLimerickPrompt = `
 You are a poet and an artist. You will be given an image.
 Your task is to generate a kind of dirty, kind of insulting limerick inspired by the image.
 Capture the mood, the lighting, and the hidden details.
-
-In addition to the poem, you must extract a color palette of 3 to 5 distinct hex colors from the image.
-These colors should represent the dominant or most striking tones in the image. OR they should capture the mood of the image.
-
-Return ONLY a JSON object with the following structure:
-{
-  "title": "The title of the poem",
-  "poem": "The text of the poem, with \n for linebreaks...",
-  "palette": ["#hex1", "#hex2", "#hex3", "#hex4"]
-}
-Do not include any markdown formatting or code blocks. Just the raw JSON string.
+A limerick has exactly five lines rhyming AABBA: lines 1, 2 and 5 have 8 to 10 syllables, lines 3 and 4 have 5 to 7.
 `;
 
 export const haikuPrompt = `
 You are a poet and an artist. You will be given an image.
 Your task is to generate a kind of dirty, kind of mean haiku inspired by the image.
-The poem should be no more than 5 lines long.
 Capture the mood, the lighting, and the hidden details.
+A haiku has exactly three lines of 5, 7 and 5 syllables.
+`;
 
-In addition to the poem, you must extract a color palette of 3 to 5 distinct hex colors from the image.
-These colors should represent the dominant or most striking tones in the image. OR they should capture the mood of the image.
-
-Return ONLY a JSON object with the following structure:
-{
-  "title": "The title of the poem",
-  "poem": "The text of the poem, with \n for linebreaks...",
-  "palette": ["#hex1", "#hex2", "#hex3", "#hex4"]
-}
-Do not include any markdown formatting or code blocks. Just the raw JSON string.
+// Added to the prompt when a poem is generated from several images at once
+export const multiImagePrompt = (count) => `
+You will be given ${count} images, in order, taken together (for example a burst from the camera or a set chosen by the user).
+Write ONE poem that links them: find what connects them or how one leads to the next, rather than describing each image separately.
+The palette should draw on all of the images.
 `;
 
 export const sketchPrompt = `
 I am going to give you a poem. Generate a drawing that best represents what you think the poem is visually about. Use a hand drawn, charcoal style, after Rembrandt or Hopper. Do not include any text in the image.
 `;
+
+// Seed entries for the style registry (services/styleRegistry.js).
+// The id is the value clients pass as `?type=`; intensity is the least
+// restrictive content profile needed to use the style; form names the rules
+// in utils/poetics.js the poem is scored against.
+export const builtInStyles = [
+  { id: 'basic', name: 'Classic', instructions: basicPrompt, maxLines: 6, intensity: 'clean' },
+  { id: 'dirty-limerick', name: 'Dirty Limerick', instructions: dirtyLimerickPrompt, maxLines: 5, intensity: 'cheeky', form: 'limerick' },
+  { id: 'dirty-haiku', name: 'Dirty Haiku', instructions: haikuPrompt, maxLines: 5, intensity: 'cheeky', form: 'haiku' },
+];
@@ -101,6 +101,33 @@ describe('Admin Routes Integration', () => {
       expect(res.body.others.length).toBe(1);
     });
 
+    test('should include device counts and last-seen times', async () => {
+      const lastSeenAt = new Date();
+      mockGet
+        .mockResolvedValueOnce({
+          docs: [
+            { data: () => ({ uid: 'user1' }) },
+            { data: () => ({ uid: 'user2' }) },
+          ],
+        })
+        .mockResolvedValueOnce({
+          docs: [
+            { data: () => ({ userId: 'user1', lastSeenAt, revokedAt: null }) },
+            { data: () => ({ userId: 'user1', lastSeenAt: new Date('2025-01-01'), revokedAt: null }) },
+            { data: () => ({ userId: 'user1', revokedAt: new Date('2025-02-01') }) },
+          ],
+        });
+      mockListUsers.mockResolvedValue({ users: [] });
+
+      const res = await request(app)
+        .get('/admin/users')
+        .set('Authorization', 'Bearer validtoken');
+
+      expect(res.status).toBe(200);
+      expect(res.body.allowed[0].devices).toEqual({ total: 3, active: 2, online: 1, lastSeenAt: lastSeenAt.toISOString() });
+      expect(res.body.allowed[1].devices).toEqual({ total: 0, active: 0, online: 0, lastSeenAt: null });
+    });
+
     test('should return 403 for non-admin user', async () => {
       mockVerifyIdToken.mockResolvedValue({ uid: 'regularUser' });
 
@@ -154,4 +181,70 @@ describe('Admin Routes Integration', () => {
       expect(mockAdd).not.toHaveBeenCalled();
     });
   });
+
+  describe('POST /admin/set-quotas', () => {
+    test('should store quotas on the user', async () => {
+      const mockUpdate = jest.fn();
+      mockGet.mockResolvedValue({ empty: false, docs: [{ ref: { update: mockUpdate } }] });
+      const quotas = { daily: 10, styles: { 'dirty-limerick': { daily: 2, monthly: 20 } } };
+
+      const res = await request(app)
+        .post('/admin/set-quotas')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ uid: 'user1', quotas });
+
+      expect(res.status).toBe(200);
+      expect(mockUpdate).toHaveBeenCalledWith({ quotas });
+    });
+
+    test('should reject invalid limits', async () => {
+      const res = await request(app)
+        .post('/admin/set-quotas')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ uid: 'user1', quotas: { daily: -1 } });
+
+      expect(res.status).toBe(400);
+      expect(mockGet).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /admin/grant-shared-key', () => {
+    let adminEnv;
+
+    beforeEach(() => {
+      adminEnv = process.env;
+    });
+
+    afterEach(() => {
+      process.env = adminEnv;
+    });
+
+    test('should store the monthly budget on the user', async () => {
+      process.env = { ...adminEnv, GEMINI_API_KEY: 'server-key' };
+      const mockUpdate = jest.fn();
+      mockGet.mockResolvedValue({ empty: false, docs: [{ ref: { update: mockUpdate } }] });
+
+      const res = await request(app)
+        .post('/admin/grant-shared-key')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ uid: 'user1', monthlyBudget: 100 });
+
+      expect(res.status).toBe(200);
+      expect(mockUpdate).toHaveBeenCalledWith({ sharedKeyBudget: 100 });
+    });
+
+    test('should reject a grant without a server key', async () => {
+      process.env = { ...adminEnv };
+      delete process.env.GEMINI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+
+      const res = await request(app)
+        .post('/admin/grant-shared-key')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ uid: 'user1', monthlyBudget: 100 });
+
+      expect(res.status).toBe(400);
+      expect(mockGet).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,311 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import sharp from 'sharp';
+import { FieldValue } from 'firebase-admin/firestore';
+
+// In-memory stand-in for the `captureSets` collection
+const testImage = await sharp({
+  create: { width: 32, height: 24, channels: 3, background: '#336699' },
+}).jpeg().toBuffer();
+
+const sets = new Map();
+let setCounter = 0;
+
+const mockSetDoc = (id) => ({
+  id,
+  get: jest.fn(async () => ({ exists: sets.has(id), id, data: () => sets.get(id) })),
+  update: jest.fn(async (fields) => {
+    sets.set(id, { ...sets.get(id), ...fields });
+  }),
+});
+
+const mockPoemsAdd = jest.fn();
+const mockCounterGet = jest.fn();
+const mockCounterSet = jest.fn();
+const mockAllowlistData = jest.fn();
+
+const mockCollection = jest.fn((name) => {
+  if (name === 'captureSets') {
+    return {
+      add: jest.fn(async (data) => {
+        const id = `set${++setCounter}`;
+        sets.set(id, data);
+        return mockSetDoc(id);
+      }),
+      doc: (id) => mockSetDoc(id),
+    };
+  }
+  if (name === 'poems') {
+    return { add: mockPoemsAdd };
+  }
+  if (name === 'allowlist') {
+    return {
+      where: () => ({
+        limit: () => ({
+          get: async () => ({ empty: false, docs: [{ data: mockAllowlistData }] }),
+        }),
+      }),
+      onSnapshot: jest.fn(),
+    };
+  }
+  if (name === 'usageCounters') {
+    return {
+      doc: () => ({ get: mockCounterGet, set: mockCounterSet }),
+    };
+  }
+  return { onSnapshot: jest.fn() };
+});
+
+const mockRunTransaction = jest.fn(async (fn) => fn({
+  get: (ref) => ref.get(),
+  update: (ref, fields) => ref.update(fields),
+  set: (ref, data, options) => ref.set(data, options),
+}));
+
+const mockGetAuth = jest.fn();
+const mockVerifyIdToken = jest.fn();
+
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  db: { collection: mockCollection, runTransaction: mockRunTransaction },
+  storage: { bucket: jest.fn() },
+}));
+
+jest.unstable_mockModule('firebase-admin/auth', () => ({
+  getAuth: mockGetAuth,
+}));
+
+const { default: app } = await import('../../app.js');
+
+describe('Poem variants and capture sets', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sets.clear();
+    setCounter = 0;
+    mockGetAuth.mockReturnValue({ verifyIdToken: mockVerifyIdToken });
+    mockVerifyIdToken.mockResolvedValue({ uid: 'testUser', email: 'test@example.com' });
+    mockAllowlistData.mockReturnValue({ aiProvider: 'fake', penName: 'Anon' });
+    mockPoemsAdd.mockResolvedValue({ id: 'poem1' });
+    mockCounterGet.mockResolvedValue({ exists: false });
+  });
+
+  test('should return candidates in the requested styles without saving', async () => {
+    const res = await request(app)
+      .post('/generate-poem?types=basic,dirty-haiku&variants=3')
+      .set('Authorization', 'Bearer validtoken')
+      .attach('image', testImage, 'test.jpg');
+
+    expect(res.status).toBe(200);
+    expect(res.body.captureSetId).toBe('set1');
+    expect(res.body.status).toBe('pending');
+    expect(res.body.candidates.map(c => [c.index, c.style])).toEqual([
+      [0, 'basic'], [1, 'dirty-haiku'], [2, 'basic'],
+    ]);
+    expect(mockPoemsAdd).not.toHaveBeenCalled();
+    expect(sets.get('set1').autoCommit).toBe(false);
+  });
+
+  test('should not generate more variants than the quota has left', async () => {
+    mockAllowlistData.mockReturnValue({ aiProvider: 'fake', quotas: { daily: 5 } });
+    mockCounterGet.mockResolvedValue({ exists: true, data: () => ({ generations: 4 }) });
+
+    const res = await request(app)
+      .post('/generate-poem?variants=3')
+      .set('Authorization', 'Bearer validtoken')
+      .attach('image', testImage, 'test.jpg');
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('QUOTA_EXCEEDED');
+    expect(sets.size).toBe(0);
+  });
+
+  test('should reserve quota for every variant at once', async () => {
+    mockAllowlistData.mockReturnValue({ aiProvider: 'fake', quotas: { daily: 5 } });
+    mockCounterGet.mockResolvedValue({ exists: true, data: () => ({ generations: 2 }) });
+
+    const res = await request(app)
+      .post('/generate-poem?types=basic,dirty-haiku&variants=3')
+      .set('Authorization', 'Bearer validtoken')
+      .attach('image', testImage, 'test.jpg');
+
+    expect(res.status).toBe(200);
+    expect(res.body.candidates).toHaveLength(3);
+    expect(mockRunTransaction).toHaveBeenCalledTimes(1);
+    const reservation = mockCounterSet.mock.calls[0][0];
+    expect(reservation.generations).toEqual(FieldValue.increment(3));
+    expect(reservation.styles).toEqual({ basic: FieldValue.increment(2), 'dirty-haiku': FieldValue.increment(1) });
+  });
+
+  test('should reject out of range variant counts', async () => {
+    const res = await request(app)
+      .post('/generate-poem?variants=9')
+      .set('Authorization', 'Bearer validtoken')
+      .attach('image', testImage, 'test.jpg');
+
+    expect(res.status).toBe(400);
+  });
+
+  test('should commit the chosen candidate once', async () => {
+    const created = await request(app)
+      .post('/generate-poem?variants=2&type=dirty-limerick')
+      .set('Authorization', 'Bearer validtoken')
+      .attach('image', testImage, 'test.jpg');
+
+    const res = await request(app)
+      .post(`/capture-sets/${created.body.captureSetId}/choose`)
+      .set('Authorization', 'Bearer validtoken')
+      .send({ index: 1 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.poem.id).toBe('poem1');
+    expect(mockPoemsAdd).toHaveBeenCalledTimes(1);
+    expect(mockPoemsAdd).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'testUser',
+      style: 'dirty-limerick',
+      penName: 'Anon',
+    }));
+    expect(mockPoemsAdd.mock.calls[0][0]).not.toHaveProperty('index');
+    expect(sets.get('set1')).toMatchObject({ status: 'committed', chosenIndex: 1, committedBy: 'user', poemId: 'poem1' });
+
+    const again = await request(app)
+      .post('/capture-sets/set1/choose')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ index: 0 });
+
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('CAPTURE_SET_CLOSED');
+  });
+
+  test('should reject invalid candidate indexes', async () => {
+    await request(app)
+      .post('/generate-poem?variants=2')
+      .set('Authorization', 'Bearer validtoken')
+      .attach('image', testImage, 'test.jpg');
+
+    const res = await request(app)
+      .post('/capture-sets/set1/choose')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ index: 5 });
+
+    expect(res.status).toBe(400);
+    expect(sets.get('set1').status).toBe('pending');
+  });
+
+  test('should auto-commit the first candidate of an expired device set', async () => {
+    await request(app)
+      .post('/generate-poem?variants=2&userid=deviceUser')
+      .set('Content-Type', 'image/jpeg')
+      .send(testImage);
+
+    expect(sets.get('set1').autoCommit).toBe(true);
+    sets.set('set1', { ...sets.get('set1'), expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await request(app).get('/capture-sets/set1?userid=deviceUser');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'committed', chosenIndex: 0, committedBy: 'timeout' });
+    expect(res.body).not.toHaveProperty('userId');
+    expect(mockPoemsAdd).toHaveBeenCalledWith(expect.objectContaining({ userId: 'deviceUser' }));
+  });
+
+  test('should only expire an abandoned web set', async () => {
+    await request(app)
+      .post('/generate-poem?variants=2')
+      .set('Authorization', 'Bearer validtoken')
+      .attach('image', testImage, 'test.jpg');
+
+    sets.set('set1', { ...sets.get('set1'), expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await request(app)
+      .get('/capture-sets/set1')
+      .set('Authorization', 'Bearer validtoken');
+
+    expect(res.body.status).toBe('expired');
+    expect(mockPoemsAdd).not.toHaveBeenCalled();
+  });
+
+  test('should reopen a set whose commit died part-way and close it', async () => {
+    await request(app)
+      .post('/generate-poem?variants=2&userid=deviceUser')
+      .set('Content-Type', 'image/jpeg')
+      .send(testImage);
+
+    sets.set('set1', {
+      ...sets.get('set1'),
+      status: 'committing',
+      chosenIndex: 1,
+      committedBy: 'user',
+      committingAt: new Date(Date.now() - 3 * 60 * 1000),
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    const res = await request(app).get('/capture-sets/set1?userid=deviceUser');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'committed', chosenIndex: 0, committedBy: 'timeout' });
+    expect(mockPoemsAdd).toHaveBeenCalledTimes(1);
+  });
+
+  test('should only let a stale commit be retried', async () => {
+    await request(app)
+      .post('/generate-poem?variants=2')
+      .set('Authorization', 'Bearer validtoken')
+      .attach('image', testImage, 'test.jpg');
+
+    sets.set('set1', { ...sets.get('set1'), status: 'committing', committingAt: new Date() });
+
+    const busy = await request(app)
+      .post('/capture-sets/set1/choose')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ index: 0 });
+
+    expect(busy.status).toBe(409);
+    expect(busy.body.code).toBe('CAPTURE_SET_CLOSED');
+
+    sets.set('set1', { ...sets.get('set1'), committingAt: new Date(Date.now() - 3 * 60 * 1000) });
+
+    const retried = await request(app)
+      .post('/capture-sets/set1/choose')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ index: 0 });
+
+    expect(retried.status).toBe(200);
+    expect(sets.get('set1')).toMatchObject({ status: 'committed', chosenIndex: 0 });
+  });
+
+  test('should refuse new sets while too many are pending', async () => {
+    process.env.CAPTURE_SET_MAX_PENDING = '1';
+    // Age out images left behind by earlier tests
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60 * 60 * 1000);
+    try {
+      const first = await request(app)
+        .post('/generate-poem?variants=2')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+      expect(first.status).toBe(200);
+      now.mockRestore();
+
+      const second = await request(app)
+        .post('/generate-poem?variants=2')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(second.status).toBe(503);
+      expect(second.body.code).toBe('CAPTURE_SETS_FULL');
+      expect(second.headers['retry-after']).toBe('60');
+      expect(sets.size).toBe(1);
+    } finally {
+      now.mockRestore();
+      delete process.env.CAPTURE_SET_MAX_PENDING;
+    }
+  });
+
+  test('should hide other users\' capture sets', async () => {
+    sets.set('setX', { userId: 'someoneElse', status: 'pending', candidates: [] });
+
+    const res = await request(app)
+      .get('/capture-sets/setX')
+      .set('Authorization', 'Bearer validtoken');
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,109 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockGet = jest.fn();
+const mockCollection = jest.fn(() => ({
+  doc: () => ({ get: mockGet }),
+  onSnapshot: jest.fn(),
+}));
+
+const mockGetAuth = jest.fn();
+const mockVerifyIdToken = jest.fn();
+
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  db: { collection: mockCollection },
+  storage: { bucket: jest.fn() },
+}));
+
+jest.unstable_mockModule('firebase-admin/auth', () => ({
+  getAuth: mockGetAuth,
+}));
+
+const { default: app } = await import('../../app.js');
+const { signCaptureUrl } = await import('../../services/captures.js');
+
+describe('GET /captures/:poemId/:index/:variant', () => {
+  const originalEnv = process.env;
+  let dir;
+
+  const poemWithCapture = (userId) => ({
+    exists: true,
+    data: () => ({
+      userId,
+      captures: [{ small: { path: 'captures/poem1/0/small.jpg', contentType: 'image/jpeg' } }],
+    }),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'captures-'));
+    process.env = { ...originalEnv, STORAGE_BACKEND: 'local', LOCAL_STORAGE_DIR: dir, CAPTURE_URL_SECRET: 'secret' };
+    fs.mkdirSync(path.join(dir, 'captures/poem1/0'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'captures/poem1/0/small.jpg'), 'jpeg-bytes');
+
+    mockGetAuth.mockReturnValue({ verifyIdToken: mockVerifyIdToken });
+    mockVerifyIdToken.mockResolvedValue({ uid: 'testUser', email: 'test@example.com' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.env = originalEnv;
+  });
+
+  test('should serve the owner\'s capture with a token', async () => {
+    mockGet.mockResolvedValue(poemWithCapture('testUser'));
+
+    const res = await request(app)
+      .get('/captures/poem1/0/small')
+      .set('Authorization', 'Bearer validtoken');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/jpeg');
+    expect(res.body.toString()).toBe('jpeg-bytes');
+  });
+
+  test('should refuse other users', async () => {
+    mockGet.mockResolvedValue(poemWithCapture('otherUser'));
+
+    const res = await request(app)
+      .get('/captures/poem1/0/small')
+      .set('Authorization', 'Bearer validtoken');
+
+    expect(res.status).toBe(403);
+  });
+
+  test('should require a token or a signature', async () => {
+    const res = await request(app).get('/captures/poem1/0/small');
+    expect(res.status).toBe(401);
+  });
+
+  test('should serve a signed URL without a token', async () => {
+    mockGet.mockResolvedValue(poemWithCapture('otherUser'));
+
+    const res = await request(app).get(signCaptureUrl('poem1', 0, 'small'));
+
+    expect(res.status).toBe(200);
+    expect(mockVerifyIdToken).not.toHaveBeenCalled();
+  });
+
+  test('should reject a tampered signature', async () => {
+    const url = signCaptureUrl('poem1', 0, 'small').replace('/small?', '/original?');
+
+    const res = await request(app).get(url);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('should 404 for variants that were not stored', async () => {
+    mockGet.mockResolvedValue(poemWithCapture('testUser'));
+
+    const res = await request(app)
+      .get('/captures/poem1/0/medium')
+      .set('Authorization', 'Bearer validtoken');
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,430 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+// Define Mocks
+const mockCollection = jest.fn();
+const mockDoc = jest.fn();
+const mockWhere = jest.fn();
+const mockGet = jest.fn();
+const mockSet = jest.fn();
+const mockUpdate = jest.fn();
+const mockOnSnapshot = jest.fn();
+const mockTransaction = { get: jest.fn(), set: jest.fn(), update: jest.fn(), delete: jest.fn() };
+
+const mockDb = {
+  collection: mockCollection,
+  runTransaction: jest.fn((callback) => callback(mockTransaction)),
+};
+
+// Chainable mock setup
+mockCollection.mockReturnValue({
+  doc: mockDoc,
+  where: mockWhere,
+  get: mockGet,
+  onSnapshot: mockOnSnapshot,
+});
+
+mockDoc.mockImplementation((id = 'device1') => ({
+  id,
+  get: mockGet,
+  set: mockSet,
+  update: mockUpdate,
+}));
+
+mockWhere.mockReturnValue({
+  get: mockGet,
+});
+
+const mockGetAuth = jest.fn();
+const mockVerifyIdToken = jest.fn();
+
+// Setup mocks via unstable_mockModule BEFORE importing app
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  db: mockDb,
+  storage: { bucket: jest.fn() },
+}));
+
+jest.unstable_mockModule('firebase-admin/auth', () => ({
+  getAuth: mockGetAuth,
+}));
+
+// Import App
+const { default: app } = await import('../../app.js');
+const { signingKeyFor, signDeviceRequest, hashDeviceBody } = await import('../../utils/deviceAuth.js');
+
+describe('Device Routes Integration', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockGetAuth.mockReturnValue({
+      verifyIdToken: mockVerifyIdToken,
+    });
+    mockVerifyIdToken.mockResolvedValue({ uid: 'testUser', email: 'test@example.com' });
+  });
+
+  describe('pairing', () => {
+    test('should pair a device with a code and store only its signing key', async () => {
+      const codeRes = await request(app)
+        .post('/devices/pairing-code')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ name: 'Kitchen camera' });
+
+      expect(codeRes.status).toBe(201);
+      expect(codeRes.body.code).toMatch(/^[A-HJKMNP-Z2-9]{8}$/);
+      const pairing = mockSet.mock.calls[0][0];
+      expect(pairing).toMatchObject({ userId: 'testUser', name: 'Kitchen camera' });
+
+      mockTransaction.get.mockResolvedValue({ exists: true, data: () => pairing });
+
+      // No token: the code is the device's only credential
+      const res = await request(app)
+        .post('/device/pair')
+        .send({ code: codeRes.body.code.toLowerCase() });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toEqual({ deviceId: 'device1', deviceSecret: expect.stringMatching(/^[0-9a-f]{64}$/), name: 'Kitchen camera' });
+      expect(mockTransaction.delete).toHaveBeenCalled();
+
+      const stored = mockTransaction.set.mock.calls[0][1];
+      expect(stored).toMatchObject({ userId: 'testUser', signingKey: signingKeyFor(res.body.deviceSecret), revokedAt: null });
+      expect(JSON.stringify(stored)).not.toContain(res.body.deviceSecret);
+    });
+
+    test('should store the signing key encrypted with DEVICE_KEY_SECRET', async () => {
+      const originalEnv = process.env;
+      process.env = { ...originalEnv, DEVICE_KEY_SECRET: 'server-secret' };
+      mockTransaction.get.mockResolvedValue({ exists: true, data: () => ({ userId: 'testUser', expiresAt: new Date(Date.now() + 60000) }) });
+
+      const pair = await request(app).post('/device/pair').send({ code: 'ABCD2345' });
+      const stored = mockTransaction.set.mock.calls[0][1];
+      const signingKey = signingKeyFor(pair.body.deviceSecret);
+      expect(stored.signingKey).toMatch(/^sealed:v1:/);
+      expect(stored.signingKey).not.toContain(signingKey);
+
+      // The device signs with its key as before
+      mockGet.mockResolvedValue({ exists: true, id: 'device1', data: () => ({ userId: 'testUser', signingKey: stored.signingKey, revokedAt: null }) });
+      const signedConfig = (timestamp) => request(app)
+        .get('/device/config')
+        .set('X-Device-Id', 'device1')
+        .set('X-Device-Timestamp', String(timestamp))
+        .set('X-Device-Signature', signDeviceRequest({ signingKey, method: 'GET', url: '/device/config', timestamp }));
+      const now = Math.floor(Date.now() / 1000);
+
+      const res = await signedConfig(now - 60);
+      process.env = { ...originalEnv, DEVICE_KEY_SECRET: 'another-secret' };
+      const wrongSecret = await signedConfig(now - 61);
+      process.env = originalEnv;
+
+      expect(res.status).toBe(200);
+      expect(wrongSecret.status).toBe(401);
+      expect(wrongSecret.body.code).toBe('INVALID_DEVICE_SIGNATURE');
+    });
+
+    test('should reject an unknown or expired code', async () => {
+      mockTransaction.get.mockResolvedValue({ exists: true, data: () => ({ userId: 'testUser', expiresAt: new Date(Date.now() - 1000) }) });
+
+      const res = await request(app)
+        .post('/device/pair')
+        .send({ code: 'ABCD2345' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_PAIRING_CODE');
+      expect(mockTransaction.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /devices', () => {
+    test('should list the user devices without their keys', async () => {
+      mockGet.mockResolvedValue({
+        docs: [
+          { id: 'old', data: () => ({ userId: 'testUser', name: 'Old', signingKey: 'k1', createdAt: new Date('2025-01-01'), revokedAt: new Date('2025-06-01') }) },
+          { id: 'new', data: () => ({ userId: 'testUser', name: 'New', signingKey: 'k2', createdAt: new Date('2025-07-01'), revokedAt: null }) },
+        ],
+      });
+
+      const res = await request(app)
+        .get('/devices')
+        .set('Authorization', 'Bearer validtoken');
+
+      expect(res.status).toBe(200);
+      expect(res.body.devices.map(device => device.id)).toEqual(['new', 'old']);
+      expect(res.body.devices[0]).not.toHaveProperty('signingKey');
+      expect(mockWhere).toHaveBeenCalledWith('userId', '==', 'testUser');
+    });
+  });
+
+  describe('PUT /devices/:id', () => {
+    test('should rename a device', async () => {
+      mockGet.mockResolvedValue({ exists: true, id: 'device1', data: () => ({ userId: 'testUser', name: 'Old name', signingKey: 'k' }) });
+
+      const res = await request(app)
+        .put('/devices/device1')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ name: '  Hallway  ' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ id: 'device1', userId: 'testUser', name: 'Hallway' });
+      expect(mockUpdate).toHaveBeenCalledWith({ name: 'Hallway' });
+    });
+
+    test("should not touch another user's device", async () => {
+      mockGet.mockResolvedValue({ exists: true, data: () => ({ userId: 'otherUser', name: 'Theirs' }) });
+
+      const res = await request(app)
+        .put('/devices/device1')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ name: 'Mine now' });
+
+      expect(res.status).toBe(404);
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /devices/:id', () => {
+    test('should revoke a device', async () => {
+      mockGet.mockResolvedValue({ exists: true, id: 'device1', data: () => ({ userId: 'testUser', name: 'Camera', revokedAt: null }) });
+
+      const res = await request(app)
+        .delete('/devices/device1')
+        .set('Authorization', 'Bearer validtoken');
+
+      expect(res.status).toBe(200);
+      expect(res.body.device.revokedAt).toBeTruthy();
+      expect(mockUpdate).toHaveBeenCalledWith({ revokedAt: expect.any(Date) });
+    });
+  });
+
+  describe('POST /device/heartbeat', () => {
+    const signingKey = signingKeyFor('device-secret');
+    const timestamp = () => Math.floor(Date.now() / 1000);
+
+    const signedHeartbeat = (body, { now = timestamp(), bodyHash = hashDeviceBody(JSON.stringify(body)) } = {}) => request(app)
+      .post('/device/heartbeat')
+      .set('X-Device-Id', 'device1')
+      .set('X-Device-Timestamp', String(now))
+      .set('X-Device-Content-SHA256', bodyHash)
+      .set('X-Device-Signature', signDeviceRequest({ signingKey, method: 'POST', url: '/device/heartbeat', timestamp: now, bodyHash }))
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify(body));
+
+    const device = {
+      userId: 'testUser',
+      name: 'Camera',
+      signingKey,
+      revokedAt: null,
+      heartbeats: [{ firmwareVersion: '1.0.0', receivedAt: new Date('2025-01-01') }],
+    };
+
+    beforeEach(() => {
+      mockGet.mockResolvedValue({ exists: true, id: 'device1', data: () => device });
+      mockTransaction.get.mockImplementation(ref => ref.get());
+      mockTransaction.update.mockImplementation((ref, fields) => ref.update(fields));
+    });
+
+    test('should store telemetry and append it to the history', async () => {
+      const res = await signedHeartbeat({ firmwareVersion: '1.2.0', battery: 81.5, rssi: -67, freeHeap: 120344, lastError: 'camera init failed', extra: 'ignored' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      const updates = mockUpdate.mock.calls[0][0];
+      expect(updates.firmwareVersion).toBe('1.2.0');
+      expect(updates.lastHeartbeat).toEqual({
+        firmwareVersion: '1.2.0',
+        battery: 81.5,
+        rssi: -67,
+        freeHeap: 120344,
+        lastError: 'camera init failed',
+        receivedAt: expect.any(Date),
+      });
+      expect(updates.heartbeats).toHaveLength(2);
+      expect(updates.heartbeats[1]).toBe(updates.lastHeartbeat);
+    });
+
+    test('should append to the stored history, not the one read at authentication', async () => {
+      mockGet
+        .mockResolvedValueOnce({ exists: true, id: 'device1', data: () => device })
+        // Another heartbeat landed in between
+        .mockResolvedValueOnce({
+          exists: true,
+          id: 'device1',
+          data: () => ({ ...device, heartbeats: [...device.heartbeats, { rssi: -70, receivedAt: new Date() }] }),
+        });
+
+      const res = await signedHeartbeat({ rssi: -55 });
+
+      expect(res.status).toBe(200);
+      expect(mockUpdate.mock.calls[0][0].heartbeats.map(h => h.rssi)).toEqual([undefined, -70, -55]);
+    });
+
+    test('should keep only the most recent heartbeats', async () => {
+      const originalEnv = process.env;
+      process.env = { ...originalEnv, DEVICE_HEARTBEAT_HISTORY: '1' };
+
+      const res = await signedHeartbeat({ rssi: -50 });
+
+      process.env = originalEnv;
+      expect(res.status).toBe(200);
+      expect(mockUpdate.mock.calls[0][0].heartbeats).toEqual([expect.objectContaining({ rssi: -50 })]);
+    });
+
+    test('should reject invalid telemetry', async () => {
+      const res = await signedHeartbeat({ rssi: 20 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/rssi/);
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should reject a body the signature does not cover', async () => {
+      const now = timestamp();
+      const bodyHash = hashDeviceBody(JSON.stringify({ battery: 90 }));
+
+      const res = await request(app)
+        .post('/device/heartbeat')
+        .set('X-Device-Id', 'device1')
+        .set('X-Device-Timestamp', String(now))
+        .set('X-Device-Content-SHA256', bodyHash)
+        .set('X-Device-Signature', signDeviceRequest({ signingKey, method: 'POST', url: '/device/heartbeat', timestamp: now, bodyHash }))
+        .send({ battery: 5 });
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('INVALID_DEVICE_SIGNATURE');
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should accept each signed request only once', async () => {
+      const now = timestamp() - 1;
+
+      const first = await signedHeartbeat({ battery: 42 }, { now });
+      const replay = await signedHeartbeat({ battery: 42 }, { now });
+
+      expect(first.status).toBe(200);
+      expect(replay.status).toBe(401);
+      expect(replay.body.code).toBe('DEVICE_SIGNATURE_REPLAYED');
+      expect(mockUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    test('should require a device signature', async () => {
+      const res = await request(app)
+        .post('/device/heartbeat')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ rssi: -50 });
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('INVALID_DEVICE_SIGNATURE');
+    });
+  });
+
+  describe('GET /devices/:id/status', () => {
+    test('should report whether the device is online, with its history', async () => {
+      const lastSeenAt = new Date(Date.now() - 60 * 1000);
+      mockGet.mockResolvedValue({
+        exists: true,
+        id: 'device1',
+        data: () => ({
+          userId: 'testUser',
+          name: 'Camera',
+          signingKey: 'k',
+          revokedAt: null,
+          lastSeenAt,
+          lastHeartbeat: { rssi: -60, receivedAt: lastSeenAt },
+          heartbeats: [{ rssi: -70 }, { rssi: -60, receivedAt: lastSeenAt }],
+        }),
+      });
+
+      const res = await request(app)
+        .get('/devices/device1/status')
+        .set('Authorization', 'Bearer validtoken');
+
+      expect(res.status).toBe(200);
+      expect(res.body.online).toBe(true);
+      expect(res.body.lastHeartbeat.rssi).toBe(-60);
+      expect(res.body.heartbeats).toHaveLength(2);
+      expect(res.body).not.toHaveProperty('signingKey');
+    });
+  });
+
+  describe('device config', () => {
+    const deviceDoc = (config) => ({
+      exists: true,
+      id: 'device1',
+      data: () => ({ userId: 'testUser', name: 'Camera', signingKey: signingKeyFor('device-secret'), revokedAt: null, config }),
+    });
+
+    test('should update the settings given and keep the rest', async () => {
+      mockGet
+        .mockResolvedValueOnce({ docs: [] }) // the user's own styles
+        .mockResolvedValueOnce({ docs: [] }) // public styles
+        .mockResolvedValueOnce(deviceDoc({ output: 'print', timezone: 'Europe/Berlin' }));
+
+      const res = await request(app)
+        .put('/devices/device1/config')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ defaultStyle: 'dirty-haiku', buttons: { A: 'basic', B: 'dirty-limerick' }, timezone: null });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        defaultStyle: 'dirty-haiku',
+        contentProfile: null,
+        buttons: { A: 'basic', B: 'dirty-limerick' },
+        output: 'print',
+        timezone: null,
+      });
+      expect(mockUpdate).toHaveBeenCalledWith({
+        config: { output: 'print', defaultStyle: 'dirty-haiku', buttons: { A: 'basic', B: 'dirty-limerick' } },
+        configUpdatedAt: expect.any(Date),
+      });
+    });
+
+    test('should reject styles the user cannot generate with', async () => {
+      mockGet.mockResolvedValue({ docs: [] });
+
+      const res = await request(app)
+        .put('/devices/device1/config')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ buttons: { A: 'someone-elses-style' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/someone-elses-style/);
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should reject an unknown timezone', async () => {
+      const res = await request(app)
+        .put('/devices/device1/config')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ timezone: 'Mars/Olympus_Mons' });
+
+      expect(res.status).toBe(400);
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should serve the device its config with an ETag', async () => {
+      mockGet.mockResolvedValue(deviceDoc({ defaultStyle: 'dirty-haiku', buttons: { A: 'basic' } }));
+      // Each request signs a different second: a signature is accepted once
+      let secondsAgo = 0;
+      const signedGet = (url) => {
+        const timestamp = Math.floor(Date.now() / 1000) - secondsAgo++;
+        return request(app)
+          .get(url)
+          .set('X-Device-Id', 'device1')
+          .set('X-Device-Timestamp', String(timestamp))
+          .set('X-Device-Signature', signDeviceRequest({ signingKey: signingKeyFor('device-secret'), method: 'GET', url, timestamp }));
+      };
+
+      const res = await signedGet('/device/config');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ defaultStyle: 'dirty-haiku', contentProfile: null, buttons: { A: 'basic' }, output: 'both', timezone: null });
+      expect(res.headers.etag).toMatch(/^"[0-9a-f]{32}"$/);
+
+      const unchanged = await signedGet('/device/config').set('If-None-Match', res.headers.etag);
+      expect(unchanged.status).toBe(304);
+
+      mockGet.mockResolvedValue(deviceDoc({ defaultStyle: 'basic', buttons: { A: 'basic' } }));
+      const changed = await signedGet('/device/config').set('If-None-Match', res.headers.etag);
+      expect(changed.status).toBe(200);
+      expect(changed.body.defaultStyle).toBe('basic');
+    });
+  });
+});
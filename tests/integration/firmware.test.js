@@ -0,0 +1,263 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Define Mocks
+const mockDeviceGet = jest.fn();
+const mockDeviceUpdate = jest.fn();
+const mockReleaseGet = jest.fn();
+const mockReleaseSet = jest.fn();
+const mockReleaseCreate = jest.fn();
+const mockReleaseDelete = jest.fn();
+const mockReleasesGet = jest.fn();
+
+const collections = {
+  devices: {
+    doc: () => ({ get: mockDeviceGet, update: mockDeviceUpdate }),
+  },
+  firmwareReleases: {
+    doc: () => ({ get: mockReleaseGet, set: mockReleaseSet, create: mockReleaseCreate, delete: mockReleaseDelete }),
+    where: () => ({ get: mockReleasesGet }),
+    get: mockReleasesGet,
+  },
+  allowlist: {
+    onSnapshot: jest.fn(),
+  },
+};
+
+const mockGetAuth = jest.fn();
+const mockVerifyIdToken = jest.fn();
+
+// Setup mocks via unstable_mockModule BEFORE importing app
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  db: { collection: (name) => collections[name] },
+  storage: { bucket: jest.fn() },
+}));
+
+jest.unstable_mockModule('firebase-admin/auth', () => ({
+  getAuth: mockGetAuth,
+}));
+
+// Import App
+const { default: app } = await import('../../app.js');
+const { signingKeyFor, signDeviceRequest } = await import('../../utils/deviceAuth.js');
+
+// An ESP32 app image starts with 0xE9
+const firmware = Buffer.concat([Buffer.from([0xe9]), Buffer.from('poetry-cam firmware 1.3.0')]);
+const checksum = crypto.createHash('sha256').update(firmware).digest('hex');
+
+describe('Firmware Routes Integration', () => {
+  const originalEnv = process.env;
+  const signingKey = signingKeyFor('device-secret');
+  let dir;
+
+  // Each request signs a different second: a signature is accepted once
+  let secondsAgo = 0;
+  const signed = (method, url) => {
+    const timestamp = Math.floor(Date.now() / 1000) - secondsAgo++;
+    return request(app)[method.toLowerCase()](url)
+      .set('X-Device-Id', 'device1')
+      .set('X-Device-Timestamp', String(timestamp))
+      .set('X-Device-Signature', signDeviceRequest({ signingKey, method, url, timestamp }));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'firmware-'));
+    process.env = { ...originalEnv, ADMIN_UID: 'adminUser', STORAGE_BACKEND: 'local', LOCAL_STORAGE_DIR: dir };
+
+    mockGetAuth.mockReturnValue({ verifyIdToken: mockVerifyIdToken });
+    mockVerifyIdToken.mockResolvedValue({ uid: 'adminUser', email: 'admin@example.com' });
+    mockDeviceGet.mockResolvedValue({
+      exists: true,
+      id: 'device1',
+      data: () => ({ userId: 'testUser', name: 'Camera', signingKey, revokedAt: null, firmwareVersion: '1.2.0' }),
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.env = originalEnv;
+  });
+
+  describe('POST /admin/firmware', () => {
+    const upload = (fields, data = firmware) => {
+      const req = request(app)
+        .post('/admin/firmware')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('firmware', data, 'firmware.bin');
+      Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+      return req;
+    };
+
+    test('should store the binary and publish the release', async () => {
+      const res = await upload({ version: '1.3.0', channel: 'beta', sha256: checksum, notes: 'Faster boot' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({ version: '1.3.0', channel: 'beta', size: firmware.length, sha256: checksum, notes: 'Faster boot', url: '/device/firmware/1.3.0' });
+      // The version is claimed before the binary is written
+      expect(mockReleaseCreate).toHaveBeenCalledWith(expect.objectContaining({ version: '1.3.0', uploading: true }));
+      expect(mockReleaseSet).toHaveBeenCalledWith(expect.not.objectContaining({ uploading: true }));
+      expect(mockReleaseSet).toHaveBeenCalledWith(expect.objectContaining({ storageKey: 'firmware/1.3.0.bin', publishedBy: 'adminUser' }));
+      expect(fs.readFileSync(path.join(dir, 'firmware/1.3.0.bin'))).toEqual(firmware);
+    });
+
+    test('should reject an upload that does not match its checksum', async () => {
+      const res = await upload({ version: '1.3.0', sha256: '0'.repeat(64) });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('FIRMWARE_CHECKSUM_MISMATCH');
+      expect(mockReleaseSet).not.toHaveBeenCalled();
+    });
+
+    test('should not replace an existing version', async () => {
+      mockReleaseCreate.mockRejectedValueOnce(Object.assign(new Error('6 ALREADY_EXISTS: Document already exists'), { code: 6 }));
+
+      const res = await upload({ version: '1.3.0' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('FIRMWARE_VERSION_EXISTS');
+      expect(mockReleaseSet).not.toHaveBeenCalled();
+      expect(fs.existsSync(path.join(dir, 'firmware/1.3.0.bin'))).toBe(false);
+    });
+
+    test('should reject files that are not firmware', async () => {
+      const res = await upload({ version: '1.3.0' }, Buffer.from('not firmware'));
+
+      expect(res.status).toBe(400);
+      expect(mockReleaseCreate).not.toHaveBeenCalled();
+    });
+
+    test('should return 403 for non-admin user', async () => {
+      mockVerifyIdToken.mockResolvedValue({ uid: 'regularUser' });
+
+      const res = await upload({ version: '1.3.0' });
+
+      expect(res.status).toBe(403);
+    });
+
+    test('should refuse non-admin users before reading the upload', async () => {
+      mockVerifyIdToken.mockResolvedValue({ uid: 'regularUser' });
+
+      // A body multer would fail on, were it parsed
+      const res = await request(app)
+        .post('/admin/firmware')
+        .set('Authorization', 'Bearer validtoken')
+        .set('Content-Type', 'multipart/form-data; boundary=nope')
+        .send('not multipart at all');
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /admin/set-device-channel', () => {
+    test('should put the device on a channel', async () => {
+      const res = await request(app)
+        .post('/admin/set-device-channel')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ deviceId: 'device1', channel: 'beta' });
+
+      expect(res.status).toBe(200);
+      expect(mockDeviceUpdate).toHaveBeenCalledWith({ firmwareChannel: 'beta' });
+    });
+
+    test('should reject unknown channels', async () => {
+      const res = await request(app)
+        .post('/admin/set-device-channel')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ deviceId: 'device1', channel: 'nightly' });
+
+      expect(res.status).toBe(400);
+      expect(mockDeviceUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /device/firmware/manifest', () => {
+    test('should tell the device an update is due', async () => {
+      mockReleasesGet.mockResolvedValue({
+        docs: [{ data: () => ({ version: '1.3.0', channel: 'stable', size: firmware.length, sha256: checksum, storageKey: 'firmware/1.3.0.bin' }) }],
+      });
+
+      const res = await signed('GET', '/device/firmware/manifest');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ channel: 'stable', currentVersion: '1.2.0', updateAvailable: true, release: { version: '1.3.0', sha256: checksum } });
+    });
+
+    test('should not offer a release whose binary is still uploading', async () => {
+      mockReleasesGet.mockResolvedValue({
+        docs: [{ data: () => ({ version: '1.3.0', channel: 'stable', size: firmware.length, sha256: checksum, storageKey: 'firmware/1.3.0.bin', uploading: true }) }],
+      });
+
+      const res = await signed('GET', '/device/firmware/manifest');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ updateAvailable: false, release: null });
+    });
+
+    test('should require a device signature', async () => {
+      const res = await request(app).get('/device/firmware/manifest');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('GET /device/firmware/:version', () => {
+    beforeEach(() => {
+      fs.mkdirSync(path.join(dir, 'firmware'));
+      fs.writeFileSync(path.join(dir, 'firmware/1.3.0.bin'), firmware);
+      mockReleaseGet.mockResolvedValue({
+        exists: true,
+        data: () => ({ version: '1.3.0', channel: 'stable', size: firmware.length, sha256: checksum, storageKey: 'firmware/1.3.0.bin' }),
+      });
+    });
+
+    test('should serve the whole binary', async () => {
+      const res = await signed('GET', '/device/firmware/1.3.0').buffer(true);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['accept-ranges']).toBe('bytes');
+      expect(res.headers['x-firmware-sha256']).toBe(checksum);
+      expect(res.body).toEqual(firmware);
+    });
+
+    test('should resume from a byte offset', async () => {
+      const res = await signed('GET', '/device/firmware/1.3.0')
+        .set('Range', 'bytes=10-')
+        .set('If-Range', `"${checksum}"`)
+        .buffer(true);
+
+      expect(res.status).toBe(206);
+      expect(res.headers['content-range']).toBe(`bytes 10-${firmware.length - 1}/${firmware.length}`);
+      expect(res.body).toEqual(firmware.subarray(10));
+    });
+
+    test('should start over if the binary changed', async () => {
+      const res = await signed('GET', '/device/firmware/1.3.0')
+        .set('Range', 'bytes=10-')
+        .set('If-Range', '"stale"')
+        .buffer(true);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(firmware);
+    });
+
+    test('should return 416 for a range past the end', async () => {
+      const res = await signed('GET', '/device/firmware/1.3.0').set('Range', `bytes=${firmware.length}-`);
+
+      expect(res.status).toBe(416);
+      expect(res.headers['content-range']).toBe(`bytes */${firmware.length}`);
+    });
+
+    test('should return 404 for an unknown version', async () => {
+      mockReleaseGet.mockResolvedValue({ exists: false });
+
+      const res = await signed('GET', '/device/firmware/9.9.9');
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,281 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import sharp from 'sharp';
+import { hashCapture, combineHashes } from '../../utils/imageHash.js';
+
+// In-memory stand-in for the `jobs` collection
+const testImage = await sharp({
+  create: { width: 32, height: 24, channels: 3, background: '#336699' },
+}).jpeg().toBuffer();
+
+const jobs = new Map();
+let jobCounter = 0;
+
+const mockJobDoc = (id) => ({
+  id,
+  get: jest.fn(async () => ({
+    exists: jobs.has(id),
+    id,
+    data: () => jobs.get(id),
+  })),
+  update: jest.fn(async (fields) => {
+    jobs.set(id, { ...jobs.get(id), ...fields });
+  }),
+});
+
+const mockPoemsAdd = jest.fn();
+// Recent poems, as findDuplicatePoem queries them
+const mockRecentPoems = jest.fn();
+
+// In-memory stand-in for the `captureClaims` collection
+const claims = new Map();
+const mockClaimDoc = (id) => ({
+  id,
+  get: async () => ({ exists: claims.has(id), data: () => claims.get(id) }),
+  set: async (data) => { claims.set(id, data); },
+  update: async (fields) => { claims.set(id, { ...claims.get(id), ...fields }); },
+  delete: async () => { claims.delete(id); },
+});
+
+const mockCollection = jest.fn((name) => {
+  if (name === 'jobs') {
+    return {
+      add: jest.fn(async (data) => {
+        const id = `job${++jobCounter}`;
+        jobs.set(id, data);
+        return mockJobDoc(id);
+      }),
+      doc: (id) => mockJobDoc(id),
+    };
+  }
+  if (name === 'captureClaims') {
+    return { doc: (id) => mockClaimDoc(id) };
+  }
+  if (name === 'poems') {
+    return {
+      add: mockPoemsAdd,
+      where: () => ({ orderBy: () => ({ limit: () => ({ get: async () => ({ docs: mockRecentPoems() }) }) }) }),
+    };
+  }
+  if (name === 'allowlist') {
+    return {
+      where: () => ({
+        limit: () => ({
+          get: async () => ({
+            empty: false,
+            docs: [{ data: () => ({ aiProvider: 'fake', penName: 'Anon' }) }],
+          }),
+        }),
+      }),
+      onSnapshot: jest.fn(),
+    };
+  }
+  return { onSnapshot: jest.fn() };
+});
+
+const mockGetAuth = jest.fn();
+const mockVerifyIdToken = jest.fn();
+
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  db: {
+    collection: mockCollection,
+    runTransaction: async (callback) => callback({
+      get: (ref) => ref.get(),
+      set: (ref, data) => ref.set(data),
+    }),
+  },
+  storage: { bucket: jest.fn() },
+}));
+
+jest.unstable_mockModule('firebase-admin/auth', () => ({
+  getAuth: mockGetAuth,
+}));
+
+const { default: app } = await import('../../app.js');
+
+const waitForJob = async (id, status) => {
+  // Image processing runs on libuv's threadpool, so poll on a timer
+  for (let i = 0; i < 200; i++) {
+    if (jobs.get(id)?.status === status) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Async generation jobs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jobs.clear();
+    claims.clear();
+    mockGetAuth.mockReturnValue({ verifyIdToken: mockVerifyIdToken });
+    mockPoemsAdd.mockResolvedValue({ id: 'poem1' });
+    mockRecentPoems.mockReturnValue([]);
+  });
+
+  test('should queue a job and attach the poem when done', async () => {
+    const res = await request(app)
+      .post('/generate-poem?async=true&userid=deviceUser')
+      .set('Content-Type', 'image/jpeg')
+      .send(testImage);
+
+    expect(res.status).toBe(202);
+    expect(res.body).toEqual({ jobId: 'job1', status: 'queued', statusUrl: '/jobs/job1' });
+
+    await waitForJob('job1', 'done');
+
+    const poll = await request(app).get('/jobs/job1?userid=deviceUser');
+
+    expect(poll.status).toBe(200);
+    expect(poll.body.status).toBe('done');
+    expect(poll.body.poemId).toBe('poem1');
+    expect(poll.body.poem.title).toMatch(/^Still Life/);
+    expect(poll.body).not.toHaveProperty('userId');
+    expect(mockPoemsAdd).toHaveBeenCalledWith(expect.objectContaining({ userId: 'deviceUser', penName: 'Anon' }));
+  });
+
+  test('should mark the job failed when generation fails', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockPoemsAdd.mockRejectedValue(new Error('firestore down'));
+
+    const res = await request(app)
+      .post('/generate-poem?async=true&userid=deviceUser')
+      .set('Content-Type', 'image/jpeg')
+      .send(testImage);
+
+    await waitForJob(res.body.jobId, 'failed');
+
+    const poll = await request(app).get(`/jobs/${res.body.jobId}?userid=deviceUser`);
+    expect(poll.body.status).toBe('failed');
+    expect(poll.body.error).toBe('Internal server error');
+    errorSpy.mockRestore();
+  });
+
+  describe('duplicate captures', () => {
+    const recentPoem = (captureHash) => ({
+      id: 'existingPoem',
+      data: () => ({
+        userId: 'deviceUser',
+        title: 'Already Here',
+        poem: 'one',
+        style: 'basic',
+        language: 'en',
+        contentProfile: 'uncensored',
+        captureHash,
+        timestamp: new Date(),
+      }),
+    });
+
+    test('should return a duplicate instead of queueing a job', async () => {
+      mockRecentPoems.mockReturnValue([recentPoem(await hashCapture(testImage))]);
+
+      const res = await request(app)
+        .post('/generate-poem?async=true&userid=deviceUser')
+        .set('Content-Type', 'image/jpeg')
+        .send(testImage);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ id: 'existingPoem', duplicate: true });
+      expect(jobs.size).toBe(0);
+    });
+
+    test('should return a multi-image duplicate instead of queueing a job', async () => {
+      const hash = await hashCapture(testImage);
+      mockRecentPoems.mockReturnValue([recentPoem(combineHashes([hash, hash]))]);
+
+      const res = await request(app)
+        .post('/generate-poem/multi?async=true&userid=deviceUser')
+        .attach('images', testImage, 'a.jpg')
+        .attach('images', testImage, 'b.jpg');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ id: 'existingPoem', duplicate: true });
+      expect(jobs.size).toBe(0);
+    });
+
+    test('should not treat the same capture in another language as a duplicate', async () => {
+      mockRecentPoems.mockReturnValue([recentPoem(await hashCapture(testImage))]);
+
+      const res = await request(app)
+        .post('/generate-poem?async=true&lang=fr&userid=deviceUser')
+        .set('Content-Type', 'image/jpeg')
+        .send(testImage);
+
+      expect(res.status).toBe(202);
+      await waitForJob(res.body.jobId, 'done');
+    });
+  });
+
+  describe('captures still being generated', () => {
+    // Hold savePoem until released, keeping the first generation in flight
+    const holdSave = () => {
+      let release;
+      const saved = [];
+      mockPoemsAdd.mockImplementation(data => new Promise(resolve => {
+        release = () => {
+          saved.push({ id: 'poem1', data: () => data });
+          resolve({ id: 'poem1', update: jest.fn() });
+        };
+      }));
+      mockRecentPoems.mockImplementation(() => saved);
+      return () => release();
+    };
+
+    test('should point an async retry at the job already generating the capture', async () => {
+      const release = holdSave();
+
+      const first = await request(app)
+        .post('/generate-poem?async=true&userid=deviceUser')
+        .set('Content-Type', 'image/jpeg')
+        .send(testImage);
+      await waitForJob(first.body.jobId, 'running');
+
+      const retry = await request(app)
+        .post('/generate-poem?async=true&userid=deviceUser')
+        .set('Content-Type', 'image/jpeg')
+        .send(testImage);
+
+      expect(retry.status).toBe(202);
+      expect(retry.body).toEqual({ jobId: first.body.jobId, status: 'running', statusUrl: `/jobs/${first.body.jobId}` });
+      expect(jobs.size).toBe(1);
+
+      release();
+      await waitForJob(first.body.jobId, 'done');
+      expect(claims.size).toBe(0);
+    });
+
+    test('should make a retry wait for the poem instead of generating another', async () => {
+      const release = holdSave();
+
+      const first = await request(app)
+        .post('/generate-poem?userid=deviceUser')
+        .set('Content-Type', 'image/jpeg')
+        .send(testImage);
+      expect(first.status).toBe(200);
+
+      const retry = request(app)
+        .post('/generate-poem?userid=deviceUser')
+        .set('Content-Type', 'image/jpeg')
+        .send(testImage)
+        .then(res => res);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      release();
+
+      const res = await retry;
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ id: 'poem1', duplicate: true });
+      expect(mockPoemsAdd).toHaveBeenCalledTimes(1);
+      expect(claims.size).toBe(0);
+    });
+  });
+
+  test('should not expose another user\'s job', async () => {
+    jobs.set('jobX', { userId: 'someoneElse', status: 'queued' });
+
+    const res = await request(app).get('/jobs/jobX?userid=deviceUser');
+    expect(res.status).toBe(404);
+  });
+
+  test('should require authentication to poll', async () => {
+    const res = await request(app).get('/jobs/job1');
+    expect(res.status).toBe(401);
+  });
+});
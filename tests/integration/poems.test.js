@@ -1,7 +1,16 @@
 import { jest } from '@jest/globals';
 import request from 'supertest';
+import sharp from 'sharp';
+import { hashCapture } from '../../utils/imageHash.js';
 
 // Define Mocks
+const testImage = await sharp({
+  create: { width: 32, height: 24, channels: 3, background: '#336699' },
+}).jpeg().toBuffer();
+const redImage = await sharp({
+  create: { width: 32, height: 24, channels: 3, background: '#ff0000' },
+}).png().toBuffer();
+
 const mockCollection = jest.fn();
 const mockDoc = jest.fn();
 const mockWhere = jest.fn();
@@ -14,8 +23,10 @@ const mockUpdate = jest.fn();
 const mockDelete = jest.fn();
 const mockOnSnapshot = jest.fn();
 
+const mockTransactionSet = jest.fn();
 const mockDb = {
   collection: mockCollection,
+  runTransaction: jest.fn((callback) => callback({ get: mockGet, set: mockTransactionSet })),
 };
 
 // Chainable mock setup
@@ -68,6 +79,7 @@ const mockVerifyIdToken = jest.fn();
 // Mock Gemini
 const mockGenerativeModel = {
   generateContent: jest.fn(),
+  generateContentStream: jest.fn(),
 };
 const mockGetGenerativeModel = jest.fn(() => mockGenerativeModel);
 const mockGoogleGenerativeAI = jest.fn(() => ({
@@ -90,6 +102,7 @@ jest.unstable_mockModule('@google/generative-ai', () => ({
 
 // Import App
 const { default: app } = await import('../../app.js');
+const { signingKeyFor, signDeviceRequest, hashDeviceBody } = await import('../../utils/deviceAuth.js');
 
 describe('Poem Routes Integration', () => {
   beforeEach(() => {
@@ -159,6 +172,72 @@ describe('Poem Routes Integration', () => {
       expect(res.body.currentPoem.title).toBe('Poem 1');
       expect(res.body.previousPoem.title).toBe('Poem 0');
       expect(res.body.nextPoem).toBeNull();
+      // Poems saved before remixing expose their content as version 0
+      expect(res.body.currentPoem.versions).toEqual([expect.objectContaining({ version: 0, title: 'Poem 1' })]);
+      expect(res.body.currentPoem.currentVersion).toBe(0);
+    });
+
+    test('should render the current poem as an ESC/POS receipt', async () => {
+      mockGet.mockResolvedValue({
+        docs: [{
+          id: 'poem1',
+          data: () => ({
+            title: 'Café', poem: 'Steam on the window\nthe spoon rings twice', penName: 'Bashō',
+            dayOfWeek: 'Monday', date: 5, month: 'January', year: 2026, palette: ['#336699', '#ffcc00'],
+            userId: 'testUser', timestamp: 100,
+          }),
+        }],
+        empty: false,
+      });
+
+      const res = await request(app)
+        .get('/getPoem?index=0&format=escpos&paper=80&raster=palette')
+        .set('Authorization', 'Bearer validtoken')
+        .buffer(true);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/octet-stream');
+      expect(res.headers['x-receipt-codepage']).toBe('cp437');
+      const bytes = res.body;
+      expect(bytes.subarray(0, 5)).toEqual(Buffer.from([0x1b, 0x40, 0x1b, 0x74, 0]));
+      // é is 0x82 in cp437
+      expect(bytes.includes(Buffer.from([0x43, 0x61, 0x66, 0x82]))).toBe(true);
+      expect(bytes.includes(Buffer.from('Steam on the window\nthe spoon rings twice\n'))).toBe(true);
+      expect(bytes.includes(Buffer.from('Monday, 5 January 2026'))).toBe(true);
+      // Palette swatches: one 576-dot (72-byte) wide, 48-row raster
+      expect(bytes.includes(Buffer.from([0x1d, 0x76, 0x30, 0, 72, 0, 48, 0]))).toBe(true);
+    });
+
+    test('should reject an unsupported paper width', async () => {
+      const res = await request(app)
+        .get('/getPoem?format=escpos&paper=110')
+        .set('Authorization', 'Bearer validtoken');
+
+      expect(res.status).toBe(400);
+      expect(mockGet).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /toggleFavorite', () => {
+    test('should flip a favourite once for a retried Idempotency-Key', async () => {
+      mockGet.mockResolvedValue({
+        exists: true,
+        data: () => ({ userId: 'testUser', isFavorite: false }),
+      });
+
+      const send = () => request(app)
+        .post('/toggleFavorite')
+        .set('Authorization', 'Bearer validtoken')
+        .set('Idempotency-Key', 'toggle-retry-1')
+        .send({ id: 'poem1' });
+
+      const first = await send();
+      const retry = await send();
+
+      expect(first.body).toEqual({ success: true, isFavorite: true });
+      expect(retry.body).toEqual(first.body);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(mockUpdate).toHaveBeenCalledTimes(1);
     });
   });
 
@@ -192,6 +271,35 @@ describe('Poem Routes Integration', () => {
     });
   });
 
+  const capture = {
+    original: { path: 'captures/poem1/0/original.jpg', contentType: 'image/jpeg', url: '/captures/poem1/0/original' },
+    small: { path: 'captures/poem1/0/small.jpg', contentType: 'image/jpeg', url: '/captures/poem1/0/small' },
+  };
+
+  describe('GET /public/getPoem', () => {
+    test('should return poems with their thumbnails but not the originals', async () => {
+      mockGet.mockResolvedValue({
+        docs: [
+          { id: 'poem1', data: () => ({ title: 'Poem 1', userId: 'testUser', timestamp: 100, captures: [capture] }) },
+          { id: 'poem2', data: () => ({ title: 'Poem 2', userId: 'testUser', timestamp: 90, captures: [capture] }) },
+        ],
+        empty: false,
+      });
+
+      const res = await request(app).get('/public/getPoem?userid=testUser&index=0');
+
+      expect(res.status).toBe(200);
+      expect(res.body.currentPoem.title).toBe('Poem 1');
+      expect(res.body.currentPoem.captures).toEqual([{
+        small: { contentType: 'image/jpeg', signedUrl: expect.stringMatching(/^\/captures\/poem1\/0\/small\?expires=\d+&sig=/) },
+      }]);
+      expect(res.body.previousPoem.captures).toEqual([{
+        small: { contentType: 'image/jpeg', signedUrl: expect.stringMatching(/^\/captures\/poem2\/0\/small\?/) },
+      }]);
+      expect(JSON.stringify(res.body)).not.toContain('original');
+    });
+  });
+
   describe('GET /public/getWebDisplayPoem', () => {
     test('should return the web display poem', async () => {
       mockGet
@@ -212,6 +320,74 @@ describe('Poem Routes Integration', () => {
       expect(res.body.currentPoem.id).toBe('poem123');
     });
 
+    test('should render the image palette when the user prefers it', async () => {
+      mockGet
+        .mockResolvedValueOnce({
+          empty: false,
+          docs: [{ data: () => ({ uid: 'testUser', webDisplayPoem: 'poem123', paletteSource: 'image' }) }],
+        })
+        .mockResolvedValueOnce({
+          exists: true,
+          id: 'poem123',
+          data: () => ({
+            userId: 'testUser',
+            title: 'My Poem',
+            palette: ['#ffffff'],
+            imagePalette: [{ hex: '#102030', proportion: 1, textColor: '#ffffff', contrast: 15.8 }],
+          }),
+        });
+
+      const res = await request(app).get('/public/getWebDisplayPoem?userid=testUser');
+
+      expect(res.body.currentPoem.displayPalette).toEqual({
+        source: 'image',
+        colors: [{ hex: '#102030', textColor: '#ffffff', contrast: 15.8 }],
+      });
+    });
+
+    test('should return the thumbnails but not the originals', async () => {
+      mockGet
+        .mockResolvedValueOnce({
+          empty: false,
+          docs: [{ data: () => ({ uid: 'testUser', webDisplayPoem: 'poem123' }) }],
+        })
+        .mockResolvedValueOnce({
+          exists: true,
+          id: 'poem123',
+          data: () => ({ userId: 'testUser', title: 'My Poem', captures: [capture] }),
+        });
+
+      const res = await request(app).get('/public/getWebDisplayPoem?userid=testUser');
+
+      expect(res.body.currentPoem.title).toBe('My Poem');
+      expect(res.body.currentPoem.captures).toEqual([{
+        small: { contentType: 'image/jpeg', signedUrl: expect.stringMatching(/^\/captures\/poem123\/0\/small\?/) },
+      }]);
+      expect(JSON.stringify(res.body)).not.toContain('original');
+    });
+
+    test('should leave the capture location out of the context', async () => {
+      mockGet
+        .mockResolvedValueOnce({
+          empty: false,
+          docs: [{ data: () => ({ uid: 'testUser', webDisplayPoem: 'poem123' }) }],
+        })
+        .mockResolvedValueOnce({
+          exists: true,
+          id: 'poem123',
+          data: () => ({
+            userId: 'testUser',
+            title: 'My Poem',
+            context: { timeOfDay: 'evening', season: 'autumn', location: { latitude: 52.52, longitude: 13.405 } },
+          }),
+        });
+
+      const res = await request(app).get('/public/getWebDisplayPoem?userid=testUser');
+
+      expect(res.body.currentPoem.context).toEqual({ timeOfDay: 'evening', season: 'autumn' });
+      expect(JSON.stringify(res.body)).not.toContain('latitude');
+    });
+
     test('should return 400 if userid is missing', async () => {
       const res = await request(app).get('/public/getWebDisplayPoem');
       expect(res.status).toBe(400);
@@ -299,7 +475,7 @@ describe('Poem Routes Integration', () => {
       const res = await request(app)
         .post('/generate-poem')
         .set('Authorization', 'Bearer validtoken')
-        .attach('image', Buffer.from('fakeimage'), 'test.jpg');
+        .attach('image', testImage, 'test.jpg');
 
       expect(res.status).toBe(200);
       expect(res.body.title).toBe('Generated Poem');
@@ -314,5 +490,760 @@ describe('Poem Routes Integration', () => {
         }
       }));
     });
+
+    test('should generate with the provider selected in user settings', async () => {
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ aiProvider: 'fake', timezone: 'UTC' })
+        }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(200);
+      expect(res.body.title).toMatch(/^Still Life/);
+      // The capture is a single (JPEG-compressed) colour
+      expect(res.body.imagePalette[0]).toEqual(expect.objectContaining({ hex: expect.stringMatching(/^#33/), proportion: 1 }));
+      expect(mockGoogleGenerativeAI).not.toHaveBeenCalled();
+    });
+
+    test('should return the new poem as a receipt with format=escpos', async () => {
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{ data: () => ({ aiProvider: 'fake', timezone: 'UTC', penName: 'The Camera' }) }],
+      });
+
+      const res = await request(app)
+        .post('/generate-poem?format=escpos')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg')
+        .buffer(true);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/octet-stream');
+      expect(res.body.includes(Buffer.from('Still Life'))).toBe(true);
+      expect(res.body.includes(Buffer.from('- The Camera'))).toBe(true);
+      expect(mockAdd).toHaveBeenCalled();
+    });
+
+    test('should return 500 when the model never returns a valid poem', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockGenerativeModel.generateContent.mockResolvedValue({
+        response: { text: () => '{"title": "No poem here"}' }
+      });
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ geminiApiKey: 'fake-api-key' })
+        }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('Failed to generate valid JSON');
+      expect(mockGenerativeModel.generateContent).toHaveBeenCalledTimes(3);
+      expect(mockAdd).not.toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+
+    test('should generate with the shared server key when the user has been granted it', async () => {
+      const originalEnv = process.env;
+      process.env = { ...originalEnv, GEMINI_API_KEY: 'server-key' };
+      mockGenerativeModel.generateContent.mockResolvedValue({
+        response: { text: () => JSON.stringify({ title: 'Shared', poem: 'Line 1\nLine 2', palette: ['#000000'] }) }
+      });
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ apiKeySource: 'shared', sharedKeyBudget: 5 })
+        }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      process.env = originalEnv;
+      expect(res.status).toBe(200);
+      expect(mockGoogleGenerativeAI).toHaveBeenCalledWith('server-key');
+    });
+
+    test('should return 400 when the user opted into a shared key they were not granted', async () => {
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ apiKeySource: 'shared', geminiApiKey: 'fake-api-key' })
+        }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/shared Gemini API key/);
+      expect(mockGoogleGenerativeAI).not.toHaveBeenCalled();
+    });
+
+    test('should return 401 INVALID_API_KEY when Gemini rejects the key', async () => {
+      mockGenerativeModel.generateContent.mockRejectedValue(Object.assign(
+        new Error('[400 Bad Request] API key not valid. Please pass a valid API key.'),
+        { status: 400, errorDetails: [{ reason: 'API_KEY_INVALID' }] },
+      ));
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ geminiApiKey: 'wrong-api-key' })
+        }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe('INVALID_API_KEY');
+      expect(mockGenerativeModel.generateContent).toHaveBeenCalledTimes(1);
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    test('should retry a Gemini outage, then return 503 PROVIDER_UNAVAILABLE', async () => {
+      const originalEnv = process.env;
+      process.env = { ...originalEnv, MODEL_RETRY_BASE_MS: '1' };
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockGenerativeModel.generateContent.mockRejectedValue(Object.assign(
+        new Error('[503 Service Unavailable] The model is overloaded.'),
+        { status: 503 },
+      ));
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ geminiApiKey: 'fake-api-key' })
+        }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(503);
+      expect(res.body.code).toBe('PROVIDER_UNAVAILABLE');
+      expect(mockGenerativeModel.generateContent).toHaveBeenCalledTimes(3);
+      process.env = originalEnv;
+      warnSpy.mockRestore();
+    });
+
+    test('should return 422 CONTENT_BLOCKED when Gemini blocks the poem', async () => {
+      mockGenerativeModel.generateContent.mockResolvedValue({
+        response: {
+          text: () => {
+            throw new Error('[GoogleGenerativeAI Error]: Text not available. Candidate was blocked due to SAFETY');
+          },
+        },
+      });
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ geminiApiKey: 'fake-api-key' })
+        }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(422);
+      expect(res.body.code).toBe('CONTENT_BLOCKED');
+    });
+
+    test('should return 400 if the Gemini API key is missing', async () => {
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ timezone: 'UTC' })
+        }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/API Key is missing/);
+    });
+
+    test('should write in the language from ?lang= over the user setting', async () => {
+      mockGenerativeModel.generateContent.mockResolvedValue({
+        response: {
+          text: () => JSON.stringify({ title: 'Sombras', poem: 'Línea uno', palette: ['#000000'] })
+        }
+      });
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ geminiApiKey: 'fake-api-key', timezone: 'UTC', language: 'de' })
+        }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem?lang=es')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(200);
+      expect(res.body.language).toBe('es');
+      const [systemPrompt] = mockGenerativeModel.generateContent.mock.calls[0][0];
+      expect(systemPrompt).toContain('Write the title and the poem in Spanish.');
+    });
+
+    test('should send and save the capture context the user allows', async () => {
+      mockGenerativeModel.generateContent.mockResolvedValue({
+        response: { text: () => JSON.stringify({ title: 'Dawn', poem: 'Light', palette: ['#000000'] }) }
+      });
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({
+            geminiApiKey: 'fake-api-key',
+            timezone: 'UTC',
+            contextSettings: { timeOfDay: true, season: true, captureTime: true, location: false },
+          })
+        }]
+      });
+      const exifImage = await sharp(testImage)
+        .withExifMerge({ IFD2: { DateTimeOriginal: '2024:07:04 21:15:00' } })
+        .toBuffer();
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', exifImage, 'test.jpg');
+
+      expect(res.status).toBe(200);
+      expect(res.body.context).toEqual({
+        capturedAt: '2024-07-04T21:15:00',
+        timeOfDay: 'night',
+        season: 'summer',
+        hemisphere: 'northern',
+      });
+      const [, prompt] = mockGenerativeModel.generateContent.mock.calls[0][0];
+      expect(prompt).toContain('The photo was taken at 2024-07-04 21:15:00.');
+      expect(prompt).not.toContain('latitude');
+    });
+
+    // The stored poem doubles as the user's settings in this mock
+    const existingPoem = async (extra = {}) => {
+      const captureHash = await hashCapture(testImage);
+      return {
+        empty: false,
+        docs: [{
+          id: 'existingPoem',
+          data: () => ({
+            userId: 'testUser',
+            aiProvider: 'fake',
+            title: 'Already Written',
+            poem: 'Once',
+            palette: ['#000000'],
+            style: 'basic',
+            language: 'en',
+            contentProfile: 'uncensored',
+            captureHash,
+            timestamp: new Date(),
+            ...extra,
+          }),
+        }],
+      };
+    };
+
+    test('should return the existing poem for a repeat of a recent capture', async () => {
+      mockGet.mockResolvedValue(await existingPoem());
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ id: 'existingPoem', title: 'Already Written', duplicate: true });
+      expect(mockGenerativeModel.generateContent).not.toHaveBeenCalled();
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    test('should not return a poem from another device as a duplicate', async () => {
+      mockGet.mockResolvedValue(await existingPoem({ deviceId: 'otherDevice' }));
+      mockAdd.mockResolvedValue({ id: 'newPoem', update: jest.fn() });
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(200);
+      expect(res.body.duplicate).toBeUndefined();
+      expect(mockAdd).toHaveBeenCalledTimes(1);
+    });
+
+    test('should generate a new poem with force=true and store its captureHash', async () => {
+      mockGet.mockResolvedValue({ empty: false, docs: [{ data: () => ({ aiProvider: 'fake', timezone: 'UTC' }) }] });
+      mockAdd.mockResolvedValue({ id: 'newPoem', update: jest.fn() });
+
+      const res = await request(app)
+        .post('/generate-poem?force=true')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(200);
+      expect(res.body.duplicate).toBeUndefined();
+      // Only the settings lookup: no duplicate check
+      expect(mockWhere).not.toHaveBeenCalledWith('userId', '==', 'testUser');
+      expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({
+        captureHash: await hashCapture(testImage),
+      }));
+    });
+
+    test('should report the remaining quota in headers', async () => {
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{ data: () => ({ aiProvider: 'fake', quotas: { daily: 3 } }) }],
+      });
+
+      const res = await request(app)
+        .post('/generate-poem?force=true')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['x-quota-daily-limit']).toBe('3');
+      expect(res.headers['x-quota-daily-remaining']).toBe('2');
+      expect(res.headers['x-quota-monthly-limit']).toBeUndefined();
+    });
+
+    test('should return 429 once the daily quota is used up', async () => {
+      mockGet
+        .mockResolvedValueOnce({ empty: false, docs: [{ data: () => ({ aiProvider: 'fake', quotas: { daily: 3 } }) }] })
+        .mockResolvedValue({ exists: true, data: () => ({ generations: 3 }) });
+
+      const res = await request(app)
+        .post('/generate-poem?force=true')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(429);
+      expect(res.body.code).toBe('QUOTA_EXCEEDED');
+      expect(res.headers['x-quota-daily-remaining']).toBe('0');
+      expect(res.headers['retry-after']).toBeDefined();
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    test('should reject an unsupported lang', async () => {
+      const res = await request(app)
+        .post('/generate-poem?lang=xx')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('UNSUPPORTED_LANGUAGE');
+    });
+
+    test('should downgrade a style the content profile blocks', async () => {
+      mockGenerativeModel.generateContent.mockResolvedValue({
+        response: {
+          text: () => JSON.stringify({ title: 'Party', poem: 'What a damn fine cake', palette: ['#000000'] })
+        }
+      });
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({
+            geminiApiKey: 'fake-api-key',
+            contentProfile: 'uncensored',
+          })
+        }],
+        // The party-cam device doc
+        exists: true,
+        data: () => ({ userId: 'testUser', config: { contentProfile: 'clean' } }),
+      });
+
+      const res = await request(app)
+        .post('/generate-poem?type=dirty-limerick')
+        .set('Authorization', 'Bearer validtoken')
+        .set('X-Device-Id', 'party-cam')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({
+        style: 'basic',
+        downgradedFrom: 'dirty-limerick',
+        contentProfile: 'clean',
+        contentFiltered: true,
+        poem: 'What a d*** fine cake',
+      }));
+      expect(mockGetGenerativeModel).toHaveBeenCalledWith(expect.objectContaining({
+        safetySettings: expect.arrayContaining([
+          { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_LOW_AND_ABOVE' },
+        ]),
+      }));
+    });
+
+    test('should reject a blocked style when asked to', async () => {
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{ data: () => ({ aiProvider: 'fake', contentProfile: 'clean' }) }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem?type=dirty-haiku&onBlocked=reject')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('STYLE_BLOCKED');
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    test("should apply the device's config when the request names no style", async () => {
+      // One snapshot stands in for both the user's settings and the device doc
+      mockGet.mockResolvedValue({
+        empty: false,
+        exists: true,
+        docs: [{ data: () => ({ aiProvider: 'fake', contentProfile: 'clean' }) }],
+        data: () => ({ userId: 'testUser', revokedAt: null, config: { defaultStyle: 'dirty-haiku', contentProfile: 'cheeky' } }),
+      });
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .set('X-Device-Id', 'kitchen-cam')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(expect.objectContaining({ style: 'dirty-haiku', contentProfile: 'cheeky' }));
+      expect(mockDoc).toHaveBeenCalledWith('kitchen-cam');
+    });
+
+    test('should return 415 for a body that is not an image', async () => {
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ aiProvider: 'fake', timezone: 'UTC' })
+        }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .set('Content-Type', 'image/jpeg')
+        .send(Buffer.from('this is not a jpeg at all'));
+
+      expect(res.status).toBe(415);
+      expect(res.body.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+    });
+
+    test('should reject an oversized raw image body with 413', async () => {
+      const res = await request(app)
+        .post('/generate-poem?userid=testUser')
+        .set('Content-Type', 'image/jpeg')
+        .send(Buffer.alloc(11 * 1024 * 1024));
+
+      expect(res.status).toBe(413);
+      expect(res.body).toEqual({ error: 'Images must be at most 10 MB', code: 'UPLOAD_TOO_LARGE' });
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    test('should reject an oversized multipart image with 413', async () => {
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', Buffer.alloc(11 * 1024 * 1024), 'big.jpg');
+
+      expect(res.status).toBe(413);
+      expect(res.body.code).toBe('UPLOAD_TOO_LARGE');
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    describe('signed by a paired device', () => {
+      const signingKey = signingKeyFor('device-secret');
+      let secondsAgo = 0;
+
+      const signedUpload = (body, contentType) => {
+        const timestamp = Math.floor(Date.now() / 1000) - secondsAgo++;
+        const bodyHash = hashDeviceBody(body);
+        return request(app)
+          .post('/generate-poem')
+          .set('X-Device-Id', 'device1')
+          .set('X-Device-Timestamp', String(timestamp))
+          .set('X-Device-Content-SHA256', bodyHash)
+          .set('X-Device-Signature', signDeviceRequest({ signingKey, method: 'POST', url: '/generate-poem', timestamp, bodyHash }))
+          .set('Content-Type', contentType)
+          .send(body);
+      };
+
+      beforeEach(() => {
+        // One snapshot stands in for both the user's settings and the device doc
+        mockGet.mockResolvedValue({
+          empty: false,
+          exists: true,
+          docs: [{ data: () => ({ aiProvider: 'fake', timezone: 'UTC' }) }],
+          data: () => ({ userId: 'testUser', signingKey, revokedAt: null }),
+        });
+      });
+
+      test('should accept a raw image', async () => {
+        const res = await signedUpload(testImage, 'image/jpeg');
+
+        expect(res.status).toBe(200);
+        expect(res.body.title).toMatch(/^Still Life/);
+      });
+
+      test('should accept a multipart upload', async () => {
+        const boundary = 'poetrycamboundary';
+        const body = Buffer.concat([
+          Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="image"; filename="test.jpg"\r\nContent-Type: image/jpeg\r\n\r\n`),
+          testImage,
+          Buffer.from(`\r\n--${boundary}--\r\n`),
+        ]);
+
+        const res = await signedUpload(body, `multipart/form-data; boundary=${boundary}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.title).toMatch(/^Still Life/);
+      });
+
+      test('should reject an image the signature does not cover', async () => {
+        const timestamp = Math.floor(Date.now() / 1000) - secondsAgo++;
+        const bodyHash = hashDeviceBody(redImage);
+
+        const res = await request(app)
+          .post('/generate-poem')
+          .set('X-Device-Id', 'device1')
+          .set('X-Device-Timestamp', String(timestamp))
+          .set('X-Device-Content-SHA256', bodyHash)
+          .set('X-Device-Signature', signDeviceRequest({ signingKey, method: 'POST', url: '/generate-poem', timestamp, bodyHash }))
+          .set('Content-Type', 'image/jpeg')
+          .send(testImage);
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('INVALID_DEVICE_SIGNATURE');
+        expect(mockAdd).not.toHaveBeenCalled();
+      });
+    });
+
+    test('should accept a PNG sent as application/octet-stream', async () => {
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ aiProvider: 'fake', timezone: 'UTC' })
+        }]
+      });
+      const png = await sharp({ create: { width: 8, height: 8, channels: 4, background: '#ffffff' } }).png().toBuffer();
+
+      const res = await request(app)
+        .post('/generate-poem')
+        .set('Authorization', 'Bearer validtoken')
+        .set('Content-Type', 'application/octet-stream')
+        .send(png);
+
+      expect(res.status).toBe(200);
+      expect(res.body.title).toMatch(/^Still Life/);
+    });
+  });
+
+  describe('POST /generate-poem/multi', () => {
+    test('should generate one poem linking every image', async () => {
+      mockGenerativeModel.generateContent.mockResolvedValue({
+        response: {
+          text: () => JSON.stringify({ title: 'Pair', poem: 'Blue, then red', palette: ['#336699', '#ff0000', '#000000'] })
+        }
+      });
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{ data: () => ({ geminiApiKey: 'fake-api-key', timezone: 'UTC' }) }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem/multi')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('images', testImage, 'one.jpg')
+        .attach('images', redImage, 'two.png');
+
+      expect(res.status).toBe(200);
+      expect(res.body.title).toBe('Pair');
+      expect(res.body.imageCount).toBe(2);
+
+      const parts = mockGenerativeModel.generateContent.mock.calls[0][0];
+      expect(parts.filter(part => part.inlineData)).toHaveLength(2);
+      expect(parts.some(part => typeof part === 'string' && part.includes('You will be given 2 images'))).toBe(true);
+
+      // The image palette is merged across both (JPEG re-encoded) captures
+      const hexes = res.body.imagePalette.map(entry => entry.hex);
+      expect(hexes.some(hex => hex.startsWith('#f'))).toBe(true);
+      expect(hexes.some(hex => hex.startsWith('#33'))).toBe(true);
+    });
+
+    test('should reject a single image', async () => {
+      const res = await request(app)
+        .post('/generate-poem/multi')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('images', testImage, 'one.jpg');
+
+      expect(res.status).toBe(400);
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    test('should reject more than four images', async () => {
+      let req = request(app)
+        .post('/generate-poem/multi')
+        .set('Authorization', 'Bearer validtoken');
+      for (let i = 0; i < 5; i++) {
+        req = req.attach('images', testImage, `${i}.jpg`);
+      }
+
+      const res = await req;
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/at most 4/);
+    });
+
+    test('should reject an oversized image with 413', async () => {
+      const res = await request(app)
+        .post('/generate-poem/multi')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('images', testImage, 'one.jpg')
+        .attach('images', Buffer.alloc(11 * 1024 * 1024), 'two.jpg');
+
+      expect(res.status).toBe(413);
+      expect(res.body.code).toBe('UPLOAD_TOO_LARGE');
+    });
+  });
+
+  describe('POST /generate-poem/stream', () => {
+    const parseEvents = (text) => text.trim().split('\n\n').map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+    });
+
+    test('should stream progress, partial fields and the saved poem', async () => {
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ aiProvider: 'fake', timezone: 'UTC' })
+        }]
+      });
+      mockAdd.mockResolvedValue({ id: 'newPoem' });
+
+      const res = await request(app)
+        .post('/generate-poem/stream')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+
+      const events = parseEvents(res.text);
+      const names = events.map(e => e.event);
+      expect(names).toEqual(['received', 'analyzing', 'title', 'line', 'line', 'line', 'palette', 'done']);
+
+      const done = events[events.length - 1].data;
+      expect(done.id).toBe('newPoem');
+      expect(done.title).toBe(events[2].data.title);
+      expect(done.poem.split('\n')).toEqual(events.filter(e => e.event === 'line').map(e => e.data.text));
+      expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({ title: done.title, userId: 'testUser' }));
+    });
+
+    test('should report generation errors as an error event', async () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockGenerativeModel.generateContentStream.mockRejectedValue(new Error('connection reset'));
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ geminiApiKey: 'fake-api-key', timezone: 'UTC' })
+        }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem/stream?force=true')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(200);
+      const events = parseEvents(res.text);
+      expect(events.map(e => e.event)).toEqual(['received', 'analyzing', 'error']);
+      expect(mockAdd).not.toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+
+    test('should fail setup errors as a plain HTTP response', async () => {
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          data: () => ({ timezone: 'UTC' })
+        }]
+      });
+
+      const res = await request(app)
+        .post('/generate-poem/stream')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(400);
+      expect(res.headers['content-type']).toMatch(/application\/json/);
+      expect(res.body.error).toMatch(/API Key is missing/);
+    });
+
+    test('should report the remaining quota in headers', async () => {
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{ data: () => ({ aiProvider: 'fake', quotas: { daily: 3 } }) }],
+      });
+
+      const res = await request(app)
+        .post('/generate-poem/stream?force=true')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['x-quota-daily-limit']).toBe('3');
+      expect(res.headers['x-quota-daily-remaining']).toBe('2');
+    });
+
+    test('should return 429 before opening the stream once the quota is used up', async () => {
+      mockGet
+        .mockResolvedValueOnce({ empty: false, docs: [{ data: () => ({ aiProvider: 'fake', quotas: { daily: 3 } }) }] })
+        .mockResolvedValue({ exists: true, data: () => ({ generations: 3 }) });
+
+      const res = await request(app)
+        .post('/generate-poem/stream?force=true')
+        .set('Authorization', 'Bearer validtoken')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(429);
+      expect(res.headers['content-type']).not.toMatch(/text\/event-stream/);
+      expect(res.body.code).toBe('QUOTA_EXCEEDED');
+      expect(res.headers['x-quota-daily-remaining']).toBe('0');
+      expect(res.headers['retry-after']).toBeDefined();
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    test('should require a bearer token', async () => {
+      const res = await request(app)
+        .post('/generate-poem/stream?userid=testUser')
+        .attach('image', testImage, 'test.jpg');
+
+      expect(res.status).toBe(401);
+    });
   });
 });
@@ -0,0 +1,220 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+// In-memory stand-in for the `poems` collection
+const poems = new Map();
+
+const mockPoemDoc = (id) => ({
+  id,
+  get: jest.fn(async () => ({ exists: poems.has(id), id, data: () => poems.get(id) })),
+  update: jest.fn(async (fields) => {
+    poems.set(id, { ...poems.get(id), ...fields });
+  }),
+});
+
+const mockCollection = jest.fn((name) => {
+  if (name === 'poems') {
+    return { doc: (id) => mockPoemDoc(id) };
+  }
+  if (name === 'allowlist') {
+    return {
+      where: () => ({
+        limit: () => ({
+          get: async () => ({ empty: false, docs: [{ data: () => ({ aiProvider: 'fake' }) }] }),
+        }),
+      }),
+      onSnapshot: jest.fn(),
+    };
+  }
+  if (name === 'usage') {
+    return { doc: () => ({ set: mockUsageSet }) };
+  }
+  // usage counters
+  return { doc: () => ({ set: jest.fn() }), onSnapshot: jest.fn() };
+});
+
+const mockUsageSet = jest.fn();
+
+const mockGetAuth = jest.fn();
+const mockVerifyIdToken = jest.fn();
+
+// Transactions run against the same map; that's enough to check what's read and written in one
+const mockRunTransaction = jest.fn(async (callback) => callback({
+  get: (ref) => ref.get(),
+  update: (ref, fields) => ref.update(fields),
+}));
+
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  db: { collection: mockCollection, runTransaction: mockRunTransaction },
+  storage: { bucket: jest.fn() },
+}));
+
+jest.unstable_mockModule('firebase-admin/auth', () => ({
+  getAuth: mockGetAuth,
+}));
+
+const { default: app } = await import('../../app.js');
+
+const original = {
+  userId: 'testUser',
+  title: 'Original',
+  poem: 'first\nsecond',
+  palette: ['#000000', '#111111', '#222222'],
+  style: 'basic',
+  timestamp: new Date('2025-01-01T00:00:00Z'),
+};
+
+describe('Poem remixing and versions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    poems.clear();
+    poems.set('poem1', { ...original });
+    mockGetAuth.mockReturnValue({ verifyIdToken: mockVerifyIdToken });
+    mockVerifyIdToken.mockResolvedValue({ uid: 'testUser', email: 'test@example.com' });
+  });
+
+  test('should add a new selected version and keep the original', async () => {
+    const res = await request(app)
+      .post('/remix-poem')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ id: 'poem1', type: 'dirty-limerick', instruction: 'less mean' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.currentVersion).toBe(1);
+    expect(res.body.versions).toHaveLength(2);
+    expect(res.body.versions[0]).toMatchObject({ version: 0, title: 'Original', style: 'basic', instruction: null });
+    expect(res.body.versions[1]).toMatchObject({ version: 1, style: 'dirty-limerick', instruction: 'less mean' });
+
+    const stored = poems.get('poem1');
+    expect(stored.title).toBe(res.body.versions[1].title);
+    expect(stored.style).toBe('dirty-limerick');
+  });
+
+  test('should keep every version when remixes overlap', async () => {
+    const remix = (instruction) => request(app)
+      .post('/remix-poem')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ id: 'poem1', instruction });
+
+    const [first, second] = await Promise.all([remix('make it rhyme'), remix('make it sad')]);
+
+    expect([first.status, second.status]).toEqual([200, 200]);
+    const stored = poems.get('poem1');
+    expect(stored.versions.map(v => v.version)).toEqual([0, 1, 2]);
+    expect(stored.versions.map(v => v.instruction)).toEqual(expect.arrayContaining(['make it rhyme', 'make it sad']));
+    expect(mockRunTransaction).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not count a remix refused at the version limit as a success', async () => {
+    const versions = Array.from({ length: 19 }, (_, version) => ({ version, title: `v${version}`, poem: 'p', style: 'basic' }));
+    poems.set('poem1', { ...original, versions, currentVersion: 18 });
+    // Another remix takes the last version while this one is generating
+    mockRunTransaction.mockImplementationOnce(async (callback) => {
+      const poem = poems.get('poem1');
+      poems.set('poem1', { ...poem, versions: [...poem.versions, { version: 19, title: 'v19', poem: 'p', style: 'basic' }] });
+      return callback({ get: (ref) => ref.get(), update: (ref, fields) => ref.update(fields) });
+    });
+
+    const res = await request(app)
+      .post('/remix-poem')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ id: 'poem1', instruction: 'make it rhyme' });
+
+    expect(res.status).toBe(400);
+    expect(poems.get('poem1').versions).toHaveLength(20);
+    expect(mockUsageSet).toHaveBeenCalledWith(expect.objectContaining({ kind: 'remix', outcome: 'error' }));
+  });
+
+  test('should mirror the form check of the selected version', async () => {
+    poems.set('poem1', { ...original, formScore: 0.5, formIssues: ['line 3 has 9 syllables, needs 5'] });
+
+    const remixed = await request(app)
+      .post('/remix-poem')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ id: 'poem1', type: 'basic', instruction: 'less mean' });
+
+    expect(remixed.body.formIssues).toBeNull();
+    expect(poems.get('poem1').formIssues).toBeNull();
+
+    await request(app)
+      .post('/select-poem-version')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ id: 'poem1', version: 0 });
+
+    expect(poems.get('poem1')).toMatchObject({ formScore: 0.5, formIssues: ['line 3 has 9 syllables, needs 5'] });
+  });
+
+  test('should present the remixed poem like any other', async () => {
+    const res = await request(app)
+      .post('/remix-poem')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ id: 'poem1', instruction: 'less mean' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.displayPalette).toMatchObject({ source: 'model', colors: expect.any(Array) });
+  });
+
+  test('should feed the instruction to the model and keep the current style', async () => {
+    // The fake provider derives its title from the prompt, so different
+    // instructions must produce different titles
+    const first = await request(app)
+      .post('/remix-poem')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ id: 'poem1', instruction: 'make it rhyme' });
+
+    poems.set('poem1', { ...original });
+    const second = await request(app)
+      .post('/remix-poem')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ id: 'poem1', instruction: 'make it sad' });
+
+    expect(first.body.versions[1].title).not.toBe(second.body.versions[1].title);
+    expect(first.body.versions[1].style).toBe('basic');
+  });
+
+  test('should require a style or an instruction', async () => {
+    const res = await request(app)
+      .post('/remix-poem')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ id: 'poem1' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('should not remix another user\'s poem', async () => {
+    poems.set('poem1', { ...original, userId: 'otherUser' });
+
+    const res = await request(app)
+      .post('/remix-poem')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ id: 'poem1', instruction: 'less mean' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('should switch back to an earlier version', async () => {
+    await request(app)
+      .post('/remix-poem')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ id: 'poem1', instruction: 'less mean' });
+
+    const res = await request(app)
+      .post('/select-poem-version')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ id: 'poem1', version: 0 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.currentVersion).toBe(0);
+    expect(poems.get('poem1')).toMatchObject({ title: 'Original', poem: 'first\nsecond', currentVersion: 0 });
+    expect(poems.get('poem1').versions).toHaveLength(2);
+  });
+
+  test('should reject unknown versions', async () => {
+    const res = await request(app)
+      .post('/select-poem-version')
+      .set('Authorization', 'Bearer validtoken')
+      .send({ id: 'poem1', version: 3 });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -181,6 +181,53 @@ describe('POST /generate-sketch', () => {
     });
   });
 
+  test('should return 429 PROVIDER_QUOTA_EXCEEDED when the Gemini quota is used up', async () => {
+    mockCollection.mockImplementation((name) => {
+      if (name === 'poems') {
+        return {
+          doc: () => ({
+             get: jest.fn().mockResolvedValue({
+               exists: true,
+               data: () => ({ userId: 'testUser' })
+             }),
+             update: mockUpdate
+          })
+        };
+      }
+      if (name === 'allowlist') {
+        return {
+          where: () => ({
+            limit: () => ({
+              get: jest.fn().mockResolvedValue({
+                empty: false,
+                docs: [{ data: () => ({ geminiApiKey: 'fake-api-key' }) }]
+              })
+            })
+          })
+        };
+      }
+      return {};
+    });
+    mockGenerativeModel.generateContent.mockRejectedValue(Object.assign(
+      new Error('[429 Too Many Requests] Resource has been exhausted (e.g. check quota).'),
+      { status: 429, errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '42s' }] },
+    ));
+
+    const res = await request(app)
+      .post('/generate-sketch')
+      .set('Authorization', 'Bearer validtoken')
+      .send({
+        id: 'poem1',
+        title: 'Poem Title',
+        poem: 'Poem content'
+      });
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('PROVIDER_QUOTA_EXCEEDED');
+    expect(res.headers['retry-after']).toBe('42');
+    expect(mockUpdate).not.toHaveBeenCalled();
+  });
+
   test('should return 403 if user is not owner', async () => {
       mockCollection.mockImplementation((name) => {
       if (name === 'poems') {
@@ -0,0 +1,251 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+// Define Mocks
+const mockCollection = jest.fn();
+const mockDoc = jest.fn();
+const mockWhere = jest.fn();
+const mockGet = jest.fn();
+const mockAdd = jest.fn();
+const mockUpdate = jest.fn();
+const mockDelete = jest.fn();
+const mockOnSnapshot = jest.fn();
+
+const mockDb = {
+  collection: mockCollection,
+};
+
+// Chainable mock setup
+mockCollection.mockReturnValue({
+  doc: mockDoc,
+  where: mockWhere,
+  get: mockGet,
+  add: mockAdd,
+  onSnapshot: mockOnSnapshot,
+});
+
+mockDoc.mockReturnValue({
+  get: mockGet,
+  update: mockUpdate,
+  delete: mockDelete,
+});
+
+mockWhere.mockReturnValue({
+  get: mockGet,
+});
+
+const mockGetAuth = jest.fn();
+const mockVerifyIdToken = jest.fn();
+
+// Setup mocks via unstable_mockModule BEFORE importing app
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  db: mockDb,
+  storage: { bucket: jest.fn() },
+}));
+
+jest.unstable_mockModule('firebase-admin/auth', () => ({
+  getAuth: mockGetAuth,
+}));
+
+// Import App
+const { default: app } = await import('../../app.js');
+const { resolveStyle, buildSystemPrompt } = await import('../../services/styleRegistry.js');
+
+describe('Style Routes Integration', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockGetAuth.mockReturnValue({
+      verifyIdToken: mockVerifyIdToken,
+    });
+    mockVerifyIdToken.mockResolvedValue({ uid: 'testUser', email: 'test@example.com' });
+  });
+
+  describe('GET /styles', () => {
+    test('should list built-in, own and public styles without duplicates', async () => {
+      const ownStyle = { id: 'mine', data: () => ({ name: 'Mine', userId: 'testUser', visibility: 'public' }) };
+      const sharedStyle = { id: 'shared', data: () => ({ name: 'Shared', userId: 'otherUser', visibility: 'public' }) };
+
+      mockGet
+        .mockResolvedValueOnce({ docs: [ownStyle] })
+        .mockResolvedValueOnce({ docs: [ownStyle, sharedStyle] });
+
+      const res = await request(app)
+        .get('/styles')
+        .set('Authorization', 'Bearer validtoken');
+
+      expect(res.status).toBe(200);
+      const ids = res.body.map(style => style.id);
+      expect(ids).toEqual(['basic', 'dirty-limerick', 'dirty-haiku', 'mine', 'shared']);
+      expect(res.body[0].builtIn).toBe(true);
+      expect(res.body[3].builtIn).toBe(false);
+    });
+  });
+
+  describe('POST /styles', () => {
+    test('should create a private style with defaults', async () => {
+      mockAdd.mockResolvedValue({ id: 'newStyle' });
+
+      const res = await request(app)
+        .post('/styles')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ name: ' Sonnet ', instructions: 'Write a sonnet about the image.' });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({
+        id: 'newStyle',
+        name: 'Sonnet',
+        maxLines: 8,
+        visibility: 'private',
+        intensity: 'cheeky',
+        userId: 'testUser',
+      });
+      expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({ name: 'Sonnet', userId: 'testUser' }));
+    });
+
+    test('should reject invalid fields', async () => {
+      const res = await request(app)
+        .post('/styles')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ name: 'Ok', instructions: 'Fine', maxLines: 0 });
+
+      expect(res.status).toBe(400);
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    test('should reject an unknown intensity', async () => {
+      const res = await request(app)
+        .post('/styles')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ name: 'Ok', instructions: 'Fine', intensity: 'spicy' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/intensity/);
+    });
+  });
+
+  describe('PUT /styles/:id', () => {
+    test('should update an owned style', async () => {
+      mockGet.mockResolvedValue({
+        exists: true,
+        data: () => ({ name: 'Old', instructions: 'x', maxLines: 4, userId: 'testUser' }),
+      });
+
+      const res = await request(app)
+        .put('/styles/style1')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ name: 'New', visibility: 'public' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.name).toBe('New');
+      expect(mockUpdate).toHaveBeenCalledWith(expect.objectContaining({ name: 'New', visibility: 'public' }));
+    });
+
+    test('should return 403 for another user\'s style', async () => {
+      mockGet.mockResolvedValue({
+        exists: true,
+        data: () => ({ name: 'Theirs', userId: 'otherUser' }),
+      });
+
+      const res = await request(app)
+        .put('/styles/style1')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ name: 'Mine now' });
+
+      expect(res.status).toBe(403);
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to modify built-in styles', async () => {
+      const res = await request(app)
+        .put('/styles/dirty-haiku')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ name: 'Clean Haiku' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('DELETE /styles/:id', () => {
+    test('should delete an owned style', async () => {
+      mockGet.mockResolvedValue({
+        exists: true,
+        data: () => ({ userId: 'testUser' }),
+      });
+
+      const res = await request(app)
+        .delete('/styles/style1')
+        .set('Authorization', 'Bearer validtoken');
+
+      expect(res.status).toBe(200);
+      expect(mockDelete).toHaveBeenCalled();
+    });
+
+    test('should return 404 for a missing style', async () => {
+      mockGet.mockResolvedValue({ exists: false });
+
+      const res = await request(app)
+        .delete('/styles/missing')
+        .set('Authorization', 'Bearer validtoken');
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
+
+describe('resolveStyle', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should default to the basic style', async () => {
+    expect((await resolveStyle(undefined, 'testUser')).id).toBe('basic');
+    expect(mockGet).not.toHaveBeenCalled();
+  });
+
+  test('should resolve built-in styles without Firestore', async () => {
+    expect((await resolveStyle('dirty-haiku', 'testUser')).maxLines).toBe(5);
+    expect(mockGet).not.toHaveBeenCalled();
+  });
+
+  test('should resolve the user\'s own private style', async () => {
+    mockGet.mockResolvedValue({
+      exists: true,
+      id: 'style1',
+      data: () => ({ name: 'Ode', instructions: 'Write an ode.', maxLines: 10, userId: 'testUser', visibility: 'private' }),
+    });
+
+    const style = await resolveStyle('style1', 'testUser');
+    expect(style.name).toBe('Ode');
+  });
+
+  test('should only trust the declared intensity on the user\'s own style', async () => {
+    mockGet.mockResolvedValue({
+      exists: true,
+      id: 'style1',
+      data: () => ({ name: 'Ode', userId: 'otherUser', visibility: 'public', intensity: 'clean' }),
+    });
+
+    expect((await resolveStyle('style1', 'otherUser')).intensity).toBe('clean');
+    expect((await resolveStyle('style1', 'testUser')).intensity).toBe('uncensored');
+  });
+
+  test('should not resolve another user\'s private style', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockGet.mockResolvedValue({
+      exists: true,
+      id: 'style1',
+      data: () => ({ name: 'Ode', userId: 'otherUser', visibility: 'private' }),
+    });
+
+    expect((await resolveStyle('style1', 'testUser')).id).toBe('basic');
+    warnSpy.mockRestore();
+  });
+
+  test('should append line limit and output instructions to the prompt', () => {
+    const prompt = buildSystemPrompt({ instructions: 'Write an ode.', maxLines: 10 });
+    expect(prompt).toMatch(/^Write an ode\./);
+    expect(prompt).toContain('no more than 10 lines');
+    expect(prompt).toContain('Return ONLY a JSON object');
+  });
+});
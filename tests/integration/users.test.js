@@ -88,6 +88,30 @@ describe('User Routes Integration', () => {
       expect(res.body.hasGeminiApiKey).toBe(true);
     });
 
+    test('should report the key source and remaining shared key budget', async () => {
+      const originalEnv = process.env;
+      process.env = { ...originalEnv, GEMINI_API_KEY: 'server-key' };
+      mockGet
+        .mockResolvedValueOnce({
+          empty: false,
+          docs: [{
+            data: () => ({ apiKeySource: 'fallback', sharedKeyBudget: 50 })
+          }],
+        })
+        .mockResolvedValueOnce({ exists: true, data: () => ({ sharedKeyGenerations: 20 }) });
+
+      const res = await request(app)
+        .get('/get-settings')
+        .set('Authorization', 'Bearer validtoken');
+
+      process.env = originalEnv;
+      expect(res.status).toBe(200);
+      expect(res.body.apiKeySource).toBe('fallback');
+      expect(res.body.activeKeySource).toBe('shared');
+      expect(res.body.sharedKey).toMatchObject({ monthlyBudget: 50, used: 20, remaining: 30 });
+      expect(res.body).not.toHaveProperty('sharedKeyBudget');
+    });
+
     test('should return empty object if user not found', async () => {
       mockGet.mockResolvedValue({
         empty: true,
@@ -124,6 +148,105 @@ describe('User Routes Integration', () => {
       expect(mockUpdate).toHaveBeenCalledWith({ timezone: 'PST', themeMode: 'light' });
     });
 
+    test('should not let users pick the fake provider', async () => {
+      const res = await request(app)
+        .post('/update-settings')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ settings: { aiProvider: 'fake' } });
+
+      expect(res.status).toBe(400);
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should reject an unknown aiProvider', async () => {
+      const res = await request(app)
+        .post('/update-settings')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ settings: { aiProvider: 'skynet' } });
+
+      expect(res.status).toBe(400);
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should store a supported language as its code', async () => {
+      mockGet.mockResolvedValue({
+        empty: false,
+        docs: [{
+          id: 'docId',
+          ref: { update: mockUpdate },
+          data: () => ({ uid: 'testUser' })
+        }],
+      });
+
+      const res = await request(app)
+        .post('/update-settings')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ settings: { language: 'es-MX' } });
+
+      expect(res.status).toBe(200);
+      expect(mockUpdate).toHaveBeenCalledWith({ language: 'es' });
+    });
+
+    test('should reject an unsupported language', async () => {
+      const res = await request(app)
+        .post('/update-settings')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ settings: { language: 'klingon' } });
+
+      expect(res.status).toBe(400);
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should reject an unknown content profile', async () => {
+      const res = await request(app)
+        .post('/update-settings')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ settings: { contentProfile: 'family' } });
+
+      expect(res.status).toBe(400);
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should reject an unknown paletteSource', async () => {
+      const res = await request(app)
+        .post('/update-settings')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ settings: { paletteSource: 'rainbow' } });
+
+      expect(res.status).toBe(400);
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown contextSettings toggles', async () => {
+      const res = await request(app)
+        .post('/update-settings')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ settings: { contextSettings: { location: 'yes' } } });
+
+      expect(res.status).toBe(400);
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should reject a non-boolean allowLegacyDevices', async () => {
+      const res = await request(app)
+        .post('/update-settings')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ settings: { allowLegacyDevices: 'no' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/allowLegacyDevices/);
+    });
+
+    test('should reject an unknown apiKeySource', async () => {
+      const res = await request(app)
+        .post('/update-settings')
+        .set('Authorization', 'Bearer validtoken')
+        .send({ settings: { apiKeySource: 'borrowed' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/apiKeySource/);
+    });
+
     test('should return 404 if user not found in allowlist', async () => {
       mockGet.mockResolvedValue({
         empty: true,
@@ -148,6 +271,38 @@ describe('User Routes Integration', () => {
     });
   });
 
+  describe('GET /usage', () => {
+    test('should return daily and monthly consumption with the quota', async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      mockGet
+        .mockResolvedValueOnce({
+          docs: [
+            { data: () => ({ userId: 'testUser', period: today, generations: 2, inputTokens: 600, outputTokens: 80, styles: { basic: 2 } }) },
+            { data: () => ({ userId: 'testUser', period: today.slice(0, 7), generations: 9, inputTokens: 2700, outputTokens: 360, styles: { basic: 9 } }) },
+          ],
+        })
+        .mockResolvedValueOnce({ empty: false, docs: [{ data: () => ({ uid: 'testUser', quotas: { daily: 5 } }) }] });
+
+      const res = await request(app)
+        .get('/usage?days=7')
+        .set('Authorization', 'Bearer validtoken');
+
+      expect(res.status).toBe(200);
+      expect(res.body.daily).toHaveLength(7);
+      expect(res.body.daily[6]).toMatchObject({ period: today, generations: 2, inputTokens: 600 });
+      expect(res.body.monthly[11]).toMatchObject({ generations: 9 });
+      expect(res.body.quota).toEqual({ daily: { limit: 5, used: 2, remaining: 3 } });
+    });
+
+    test('should reject an out of range days', async () => {
+      const res = await request(app)
+        .get('/usage?days=365')
+        .set('Authorization', 'Bearer validtoken');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
   describe('GET /uses-web-display', () => {
     afterEach(() => {
       delete process.env.WEB_DISPLAY_USER;
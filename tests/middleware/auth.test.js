@@ -1,10 +1,13 @@
 import { jest } from '@jest/globals';
 
 let snapshotCallback = null;
+const mockDeviceGet = jest.fn();
 
 // Define mocks first, before any imports
 const mockDb = {
   collection: jest.fn().mockReturnThis(),
+  doc: jest.fn().mockReturnThis(),
+  get: mockDeviceGet,
   onSnapshot: jest.fn((cb) => {
     snapshotCallback = cb;
     return () => {}; // unsubscribe function
@@ -24,7 +27,8 @@ jest.unstable_mockModule('firebase-admin/auth', () => ({
 }));
 
 // Now import the module under test
-const { authenticate } = await import('../../middleware/auth.js');
+const { authenticate, authenticateTokenOrUserId } = await import('../../middleware/auth.js');
+const { signingKeyFor, signDeviceRequest, hashDeviceBody } = await import('../../utils/deviceAuth.js');
 
 describe('Authentication Middleware', () => {
   let req, res, next;
@@ -157,3 +161,118 @@ describe('Authentication Middleware', () => {
     expect(next).not.toHaveBeenCalled();
   });
 });
+
+describe('authenticateTokenOrUserId', () => {
+  const signingKey = signingKeyFor('device-secret');
+  let req, res, next;
+
+  let secondsAgo = 0;
+  const signedRequest = ({ timestamp = Math.floor(Date.now() / 1000) - secondsAgo++, url = '/generate-poem?type=haiku', rawBody = Buffer.from('jpeg bytes') } = {}) => ({
+    method: 'POST',
+    originalUrl: url,
+    query: {},
+    rawBody,
+    headers: {
+      'x-device-id': 'device1',
+      'x-device-timestamp': String(timestamp),
+      'x-device-content-sha256': hashDeviceBody('jpeg bytes'),
+      'x-device-signature': signDeviceRequest({ signingKey, method: 'POST', url: '/generate-poem?type=haiku', timestamp, bodyHash: hashDeviceBody('jpeg bytes') }),
+    },
+  });
+
+  const allowlist = (...entries) => {
+    const mockSnapshot = entries.map(data => ({ data: () => data }));
+    snapshotCallback(mockSnapshot);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    allowlist({ uid: 'user1' }, { uid: 'user2', allowLegacyDevices: false });
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+    next = jest.fn();
+    mockDeviceGet.mockResolvedValue({
+      exists: true,
+      id: 'device1',
+      data: () => ({ userId: 'user1', name: 'Kitchen camera', signingKey, revokedAt: null }),
+    });
+  });
+
+  test('should accept a signed device request', async () => {
+    req = signedRequest();
+
+    await authenticateTokenOrUserId(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual({ uid: 'user1' });
+    expect(req.authMethod).toBe('device');
+    expect(req.device).toEqual({ id: 'device1', userId: 'user1', name: 'Kitchen camera', revokedAt: null });
+  });
+
+  test('should reject a tampered or stale signature', async () => {
+    req = signedRequest({ url: '/generate-poem?type=dirty-limerick' });
+    await authenticateTokenOrUserId(req, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid device signature', code: 'INVALID_DEVICE_SIGNATURE' });
+
+    req = signedRequest({ timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    await authenticateTokenOrUserId(req, res, next);
+    // A stale timestamp is rejected before the device is looked up
+    expect(mockDeviceGet).toHaveBeenCalledTimes(1);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should reject a body the signature does not cover', async () => {
+    req = signedRequest({ rawBody: Buffer.from('other bytes') });
+
+    await authenticateTokenOrUserId(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid device signature', code: 'INVALID_DEVICE_SIGNATURE' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should reject a replayed signature', async () => {
+    const timestamp = Math.floor(Date.now() / 1000) - 120;
+
+    req = signedRequest({ timestamp });
+    await authenticateTokenOrUserId(req, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    req = signedRequest({ timestamp });
+    await authenticateTokenOrUserId(req, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'DEVICE_SIGNATURE_REPLAYED' }));
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject a revoked device', async () => {
+    mockDeviceGet.mockResolvedValue({
+      exists: true,
+      id: 'device1',
+      data: () => ({ userId: 'user1', signingKey, revokedAt: new Date() }),
+    });
+    req = signedRequest();
+
+    await authenticateTokenOrUserId(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'DEVICE_REVOKED' }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should only accept a bare userid while the user allows legacy devices', async () => {
+    req = { method: 'POST', headers: {}, query: { userid: 'user1' } };
+    await authenticateTokenOrUserId(req, res, next);
+    expect(next).toHaveBeenCalled();
+    expect(req.authMethod).toBe('userid');
+
+    req = { method: 'POST', headers: {}, query: { userid: 'user2' } };
+    await authenticateTokenOrUserId(req, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'LEGACY_DEVICES_DISABLED' }));
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
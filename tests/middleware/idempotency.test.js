@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  db: { collection: jest.fn() },
+}));
+
+const { idempotent } = await import('../../middleware/idempotency.js');
+
+describe('Idempotency Middleware', () => {
+  let app;
+  let handler;
+
+  beforeEach(() => {
+    handler = jest.fn((req, res) => res.status(201).json({ count: handler.mock.calls.length }));
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { uid: req.get('X-Test-User') || 'testUser' };
+      next();
+    });
+    app.post('/things', idempotent, (req, res) => handler(req, res));
+  });
+
+  test('should pass requests without a key straight through', async () => {
+    await request(app).post('/things').send({ a: 1 });
+    const res = await request(app).post('/things').send({ a: 1 });
+
+    expect(res.body.count).toBe(2);
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('should replay the first response for a repeated key', async () => {
+    const first = await request(app).post('/things').set('Idempotency-Key', 'replay-1').send({ a: 1 });
+    const second = await request(app).post('/things').set('Idempotency-Key', 'replay-1').send({ a: 1 });
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect(second.body).toEqual(first.body);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should scope keys to the user', async () => {
+    await request(app).post('/things').set('Idempotency-Key', 'scoped-1').send({ a: 1 });
+    const res = await request(app)
+      .post('/things')
+      .set('Idempotency-Key', 'scoped-1')
+      .set('X-Test-User', 'otherUser')
+      .send({ a: 1 });
+
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should return 409 when a key is reused with a different payload', async () => {
+    await request(app).post('/things').set('Idempotency-Key', 'reused-1').send({ a: 1 });
+    const res = await request(app).post('/things').set('Idempotency-Key', 'reused-1').send({ a: 2 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should return 409 while the first request is in progress', async () => {
+    let finish;
+    handler.mockImplementationOnce((req, res) => { finish = () => res.json({ done: true }); });
+
+    const first = request(app).post('/things').set('Idempotency-Key', 'slow-1').send({ a: 1 }).then(res => res);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const second = await request(app).post('/things').set('Idempotency-Key', 'slow-1').send({ a: 1 });
+    finish();
+
+    expect(second.status).toBe(409);
+    expect(second.body.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    expect((await first).body).toEqual({ done: true });
+  });
+
+  test('should replay a response the client disconnected before receiving', async () => {
+    let finish;
+    const responded = new Promise(resolve => {
+      handler.mockImplementationOnce((req, res) => {
+        finish = () => { res.status(201).json({ done: true }); resolve(); };
+      });
+    });
+
+    await expect(
+      request(app).post('/things').set('Idempotency-Key', 'aborted-1').timeout(50).send({ a: 1 }),
+    ).rejects.toThrow(/timeout/i);
+    finish();
+    await responded;
+
+    const retry = await request(app).post('/things').set('Idempotency-Key', 'aborted-1').send({ a: 1 });
+
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual({ done: true });
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should release the key when the client disconnects mid-stream', async () => {
+    handler.mockImplementationOnce((req, res) => {
+      res.status(200).type('text/event-stream');
+      res.write('event: received\n\n');
+    });
+
+    await expect(
+      request(app).post('/things').set('Idempotency-Key', 'aborted-2').timeout(50).send({ a: 1 }),
+    ).rejects.toThrow(/timeout/i);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const retry = await request(app).post('/things').set('Idempotency-Key', 'aborted-2').send({ a: 1 });
+
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not store server errors', async () => {
+    handler.mockImplementationOnce((req, res) => res.status(500).json({ error: 'Internal server error' }));
+
+    const first = await request(app).post('/things').set('Idempotency-Key', 'error-1').send({ a: 1 });
+    const second = await request(app).post('/things').set('Idempotency-Key', 'error-1').send({ a: 1 });
+
+    expect(first.status).toBe(500);
+    expect(second.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('should replay binary responses byte for byte', async () => {
+    const receipt = Buffer.from([0x1b, 0x40, 0x00, 0xff, 0x1d, 0x56]);
+    handler.mockImplementation((req, res) => res.type('application/octet-stream').send(receipt));
+
+    const first = await request(app).post('/things').set('Idempotency-Key', 'binary-1').send({ a: 1 });
+    const second = await request(app).post('/things').set('Idempotency-Key', 'binary-1').send({ a: 1 });
+
+    expect(second.status).toBe(200);
+    expect(second.headers['content-type']).toBe('application/octet-stream');
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body).toEqual(first.body);
+    expect(Buffer.compare(second.body, receipt)).toBe(0);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject an empty or oversized key', async () => {
+    const res = await request(app).post('/things').set('Idempotency-Key', 'x'.repeat(256)).send({});
+
+    expect(res.status).toBe(400);
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
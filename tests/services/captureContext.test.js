@@ -0,0 +1,109 @@
+import sharp from 'sharp';
+import { buildCaptureContext, contextPrompt, seasonFor } from '../../services/captureContext.js';
+import { readExif } from '../../utils/exif.js';
+
+const plainImage = await sharp({
+  create: { width: 8, height: 8, channels: 3, background: '#336699' },
+}).jpeg().toBuffer();
+
+// Taken on a Sunday morning in Sydney
+const sydneyImage = await sharp(plainImage).withExifMerge({
+  IFD0: { Make: 'PoetryCam' },
+  IFD2: { DateTimeOriginal: '2024:05:12 08:30:00', OffsetTimeOriginal: '+10:00' },
+  IFD3: { GPSLatitudeRef: 'S', GPSLatitude: '33/1 52/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '151/1 12/1 36/1' },
+}).toBuffer();
+
+// A Wednesday afternoon in January, UTC
+const now = new Date('2025-01-15T15:00:00Z');
+const allOn = { timeOfDay: true, weekday: true, season: true, captureTime: true, location: true };
+
+describe('readExif', () => {
+  test('should read capture time and GPS position', async () => {
+    const { exif } = await sharp(sydneyImage).metadata();
+
+    const data = readExif(exif);
+
+    expect(data.dateTimeOriginal).toBe('2024:05:12 08:30:00');
+    expect(data.offsetTimeOriginal).toBe('+10:00');
+    expect(data.latitude).toBeCloseTo(-33.8667, 3);
+    expect(data.longitude).toBeCloseTo(151.21, 3);
+  });
+
+  test('should return nulls without EXIF', () => {
+    expect(readExif(undefined)).toEqual({ dateTimeOriginal: null, offsetTimeOriginal: null, latitude: null, longitude: null });
+    expect(readExif(Buffer.from('Exif\0\0garbage-garbage'))).toMatchObject({ dateTimeOriginal: null, latitude: null });
+  });
+});
+
+describe('seasonFor', () => {
+  test('should flip seasons for the southern hemisphere', () => {
+    expect(seasonFor(1)).toBe('winter');
+    expect(seasonFor(7)).toBe('summer');
+    expect(seasonFor(1, 'southern')).toBe('summer');
+    expect(seasonFor(10, 'southern')).toBe('spring');
+  });
+});
+
+describe('buildCaptureContext', () => {
+  test('should return null when the user has not enabled any context', async () => {
+    const images = [{ data: sydneyImage }];
+
+    expect(await buildCaptureContext({ userData: null, images, now })).toBeNull();
+    expect(await buildCaptureContext({ userData: { contextSettings: { location: false } }, images, now })).toBeNull();
+  });
+
+  test('should use the current time in the user timezone', async () => {
+    const context = await buildCaptureContext({
+      userData: { timezone: 'America/New_York', contextSettings: { timeOfDay: true, weekday: true, season: true } },
+      images: [{ data: plainImage }],
+      now,
+    });
+
+    expect(context).toEqual({ timeOfDay: 'morning', weekday: 'Wednesday', season: 'winter', hemisphere: 'northern' });
+  });
+
+  test('should prefer the EXIF capture time and GPS hemisphere', async () => {
+    const context = await buildCaptureContext({
+      userData: { timezone: 'UTC', contextSettings: allOn },
+      // Uploads are re-encoded without metadata; EXIF comes from the original
+      images: [{ data: plainImage, original: { data: sydneyImage } }],
+      now,
+    });
+
+    expect(context).toEqual({
+      capturedAt: '2024-05-12T08:30:00+10:00',
+      location: { latitude: -33.87, longitude: 151.21 },
+      timeOfDay: 'morning',
+      weekday: 'Sunday',
+      season: 'autumn',
+      hemisphere: 'southern',
+    });
+  });
+
+  test('should not read EXIF the user has not allowed', async () => {
+    const context = await buildCaptureContext({
+      userData: { timezone: 'UTC', hemisphere: 'southern', contextSettings: { weekday: true, season: true } },
+      images: [{ data: sydneyImage }],
+      now,
+    });
+
+    expect(context).toEqual({ weekday: 'Wednesday', season: 'summer', hemisphere: 'southern' });
+  });
+});
+
+describe('contextPrompt', () => {
+  test('should describe each piece of context', () => {
+    const prompt = contextPrompt({
+      timeOfDay: 'morning',
+      weekday: 'Sunday',
+      season: 'autumn',
+      hemisphere: 'southern',
+      location: { latitude: -33.87, longitude: 151.21 },
+    });
+
+    expect(prompt).toContain('It is Sunday morning.');
+    expect(prompt).toContain('It is autumn (southern hemisphere).');
+    expect(prompt).toContain('latitude -33.87, longitude 151.21');
+    expect(contextPrompt(null)).toBeUndefined();
+  });
+});
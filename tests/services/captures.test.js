@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  storage: { bucket: jest.fn() },
+}));
+
+const {
+  storeCaptures,
+  loadCaptureImages,
+  removeCaptures,
+  signCaptureUrl,
+  verifyCaptureSignature,
+  withSignedCaptureUrls,
+} = await import('../../services/captures.js');
+
+describe('capture storage (local backend)', () => {
+  const originalEnv = process.env;
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'captures-'));
+    process.env = { ...originalEnv, STORAGE_BACKEND: 'local', LOCAL_STORAGE_DIR: dir, CAPTURE_URL_SECRET: 'secret' };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.env = originalEnv;
+  });
+
+  test('should store the original with small and medium thumbnails', async () => {
+    const data = await sharp({ create: { width: 1200, height: 800, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+
+    const [capture] = await storeCaptures('poem1', [{ data, mimeType: 'image/jpeg' }]);
+
+    expect(capture.original).toEqual({
+      path: 'captures/poem1/0/original.jpg',
+      contentType: 'image/jpeg',
+      url: '/captures/poem1/0/original',
+    });
+    const stored = fs.readFileSync(path.join(dir, capture.original.path));
+    expect((await sharp(stored).metadata()).width).toBe(1200);
+
+    const small = await sharp(path.join(dir, capture.small.path)).metadata();
+    const medium = await sharp(path.join(dir, capture.medium.path)).metadata();
+    expect([small.width, small.height]).toEqual([160, 107]);
+    expect(medium.width).toBe(640);
+
+    const [loaded] = await loadCaptureImages({ captures: [capture] });
+    expect(loaded).toEqual({ data: stored, mimeType: 'image/jpeg' });
+
+    await removeCaptures({ captures: [capture] });
+    expect(fs.existsSync(path.join(dir, capture.medium.path))).toBe(false);
+  });
+
+  test('should store the original without its EXIF', async () => {
+    const data = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#336699' } })
+      .withExif({ IFD0: { Make: 'Poetry Cam' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' } })
+      .jpeg()
+      .toBuffer();
+    expect((await sharp(data).metadata()).exif).toBeDefined();
+
+    const [capture] = await storeCaptures('poem3', [{ data, mimeType: 'image/jpeg' }]);
+
+    const stored = await sharp(path.join(dir, capture.original.path)).metadata();
+    expect(stored.format).toBe('jpeg');
+    expect(stored.exif).toBeUndefined();
+  });
+
+  test('should keep the original when thumbnails cannot be generated', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const [capture] = await storeCaptures('poem2', [{ data: Buffer.from('not an image'), mimeType: 'image/jpeg' }]);
+
+    expect(capture.original.path).toBe('captures/poem2/0/original.jpg');
+    expect(capture.small).toBeUndefined();
+    expect(errorSpy).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+});
+
+describe('signed capture URLs', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, CAPTURE_URL_SECRET: 'secret' };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should verify only the signed capture until it expires', () => {
+    const url = new URL(signCaptureUrl('poem1', 0, 'small', 60), 'http://localhost');
+    const expires = url.searchParams.get('expires');
+    const sig = url.searchParams.get('sig');
+
+    expect(url.pathname).toBe('/captures/poem1/0/small');
+    expect(verifyCaptureSignature('poem1', '0', 'small', expires, sig)).toBe(true);
+    expect(verifyCaptureSignature('poem1', '0', 'original', expires, sig)).toBe(false);
+    expect(verifyCaptureSignature('poem2', '0', 'small', expires, sig)).toBe(false);
+    expect(verifyCaptureSignature('poem1', '0', 'small', String(Number(expires) + 1), sig)).toBe(false);
+    expect(verifyCaptureSignature('poem1', '0', 'small', '1', sig)).toBe(false);
+  });
+
+  test('should add signed URLs to every stored variant', () => {
+    const poem = withSignedCaptureUrls({
+      id: 'poem1',
+      captures: [{ original: { url: '/captures/poem1/0/original' }, small: { url: '/captures/poem1/0/small' } }],
+    });
+
+    expect(poem.captures[0].original.signedUrl).toMatch(/^\/captures\/poem1\/0\/original\?expires=\d+&sig=[0-9a-f]{64}$/);
+    expect(poem.captures[0].small.signedUrl).toContain('/small?');
+    expect(poem.captures[0].medium).toBeUndefined();
+  });
+});
@@ -0,0 +1,73 @@
+import { jest } from '@jest/globals';
+import { resolveContentProfile, isStyleAllowed, enforceContentProfile } from '../../services/contentProfiles.js';
+
+const basic = { id: 'basic', intensity: 'clean' };
+const limerick = { id: 'dirty-limerick', intensity: 'cheeky' };
+
+describe('resolveContentProfile', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.DEFAULT_CONTENT_PROFILE;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test("should prefer the device config's profile over the user profile", () => {
+    const userData = { contentProfile: 'uncensored' };
+    expect(resolveContentProfile(userData, { contentProfile: 'clean' })).toBe('clean');
+    expect(resolveContentProfile(userData, { contentProfile: null })).toBe('uncensored');
+    expect(resolveContentProfile(userData)).toBe('uncensored');
+  });
+
+  test('should fall back to the server default', () => {
+    expect(resolveContentProfile(null)).toBe('uncensored');
+    process.env.DEFAULT_CONTENT_PROFILE = 'clean';
+    expect(resolveContentProfile({ contentProfile: 'bogus' })).toBe('clean');
+  });
+});
+
+describe('enforceContentProfile', () => {
+  test('should allow styles at or below the profile', () => {
+    expect(isStyleAllowed(basic, 'clean')).toBe(true);
+    expect(isStyleAllowed(limerick, 'cheeky')).toBe(true);
+    expect(isStyleAllowed(limerick, 'clean')).toBe(false);
+    // Custom styles without an intensity count as cheeky
+    expect(isStyleAllowed({ id: 'custom' }, 'clean')).toBe(false);
+  });
+
+  test('should downgrade a blocked style by default', () => {
+    expect(enforceContentProfile(limerick, 'clean', { fallback: basic })).toEqual({ style: basic, downgradedFrom: 'dirty-limerick' });
+    expect(enforceContentProfile(limerick, 'uncensored', { fallback: basic })).toEqual({ style: limerick, downgradedFrom: null });
+  });
+
+  test('should log a blocked style as a structured event', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      enforceContentProfile(limerick, 'clean', { fallback: basic });
+      enforceContentProfile(basic, 'clean', { fallback: basic });
+
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(warn.mock.calls[0][0])).toEqual({
+        event: 'content_profile_blocked',
+        style: 'dirty-limerick',
+        contentProfile: 'clean',
+        action: 'downgrade',
+        fallback: 'basic',
+      });
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test('should reject a blocked style with STYLE_BLOCKED', () => {
+    expect(() => enforceContentProfile(limerick, 'clean', { fallback: basic, action: 'reject' })).toThrow(expect.objectContaining({
+      status: 403,
+      code: 'STYLE_BLOCKED',
+      message: expect.stringContaining("'clean' content profile"),
+    }));
+  });
+});
@@ -0,0 +1,74 @@
+import { jest } from '@jest/globals';
+
+const mockWhereGet = jest.fn();
+const mockWhere = jest.fn(() => ({ get: mockWhereGet }));
+
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  db: {
+    collection: jest.fn(() => ({ where: mockWhere })),
+  },
+  storage: { bucket: jest.fn() },
+}));
+
+const { compareVersions, isValidVersion, getFirmwareManifest } = await import('../../services/firmware.js');
+
+const releases = (...entries) => ({
+  docs: entries.map(([version, channel]) => ({ data: () => ({ version, channel, size: 4, sha256: 'abc', storageKey: `firmware/${version}.bin` }) })),
+});
+
+describe('firmware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('compareVersions', () => {
+    test('should order versions by semver precedence', () => {
+      const sorted = ['1.10.0', '1.2.0', '1.10.0-rc.2', '1.10.0-rc.10', '1.10.0-beta', '0.9.9'].sort(compareVersions);
+      expect(sorted).toEqual(['0.9.9', '1.2.0', '1.10.0-beta', '1.10.0-rc.2', '1.10.0-rc.10', '1.10.0']);
+      expect(compareVersions('1.2.3', '1.2.3')).toBe(0);
+    });
+  });
+
+  test('isValidVersion should accept releases and pre-releases only', () => {
+    expect(isValidVersion('1.4.0')).toBe(true);
+    expect(isValidVersion('1.5.0-rc.1')).toBe(true);
+    expect(isValidVersion('1.4')).toBe(false);
+    expect(isValidVersion('../1.4.0')).toBe(false);
+  });
+
+  describe('getFirmwareManifest', () => {
+    test('should offer stable devices the newest stable release', async () => {
+      mockWhereGet.mockResolvedValue(releases(['1.2.0', 'stable'], ['1.3.0', 'stable']));
+
+      const manifest = await getFirmwareManifest({ id: 'device1', firmwareVersion: '1.2.0' });
+
+      expect(mockWhere).toHaveBeenCalledWith('channel', 'in', ['stable']);
+      expect(manifest).toMatchObject({ channel: 'stable', currentVersion: '1.2.0', updateAvailable: true });
+      expect(manifest.release).toMatchObject({ version: '1.3.0', url: '/device/firmware/1.3.0' });
+      expect(manifest.release).not.toHaveProperty('storageKey');
+    });
+
+    test('should offer beta devices the newest release on either channel', async () => {
+      mockWhereGet.mockResolvedValue(releases(['1.3.0', 'stable'], ['1.4.0-rc.1', 'beta']));
+
+      const manifest = await getFirmwareManifest({ id: 'device1', firmwareChannel: 'beta' }, '1.3.0');
+
+      expect(mockWhere).toHaveBeenCalledWith('channel', 'in', ['stable', 'beta']);
+      expect(manifest.release.version).toBe('1.4.0-rc.1');
+      expect(manifest.updateAvailable).toBe(true);
+    });
+
+    test('should not offer an older or equal release', async () => {
+      mockWhereGet.mockResolvedValue(releases(['1.3.0', 'stable']));
+
+      expect((await getFirmwareManifest({ id: 'device1' }, '1.3.0')).updateAvailable).toBe(false);
+      expect((await getFirmwareManifest({ id: 'device1' }, '1.4.0-rc.1')).updateAvailable).toBe(false);
+    });
+
+    test('should report no release when the channel is empty', async () => {
+      mockWhereGet.mockResolvedValue(releases());
+
+      expect(await getFirmwareManifest({ id: 'device1' })).toEqual({ channel: 'stable', currentVersion: null, updateAvailable: false, release: null });
+    });
+  });
+});
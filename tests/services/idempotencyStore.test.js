@@ -0,0 +1,48 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  db: { collection: jest.fn() },
+}));
+
+const { createMemoryStore } = await import('../../services/idempotencyStore.js');
+
+describe('memory idempotency store', () => {
+  const inAMinute = () => new Date(Date.now() + 60 * 1000);
+
+  test('should refuse a second create for a live record', async () => {
+    const store = createMemoryStore();
+
+    expect(await store.create('a', { state: 'pending' }, inAMinute())).toBe(true);
+    expect(await store.create('a', { state: 'pending' }, inAMinute())).toBe(false);
+    expect(await store.create('b', { state: 'pending' }, new Date(Date.now() - 1))).toBe(true);
+    expect(await store.create('b', { state: 'pending' }, inAMinute())).toBe(true);
+  });
+
+  test('should drop expired records first once full', async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+
+    await store.create('live', { state: 'done' }, inAMinute());
+    await store.create('expired', { state: 'done' }, new Date(Date.now() - 1));
+    await store.create('new', { state: 'done' }, inAMinute());
+
+    expect(await store.get('live')).toEqual({ state: 'done' });
+    expect(await store.get('new')).toEqual({ state: 'done' });
+  });
+
+  test('should refuse new keys rather than drop live records once full', async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+
+    await store.create('a', { state: 'pending' }, inAMinute());
+    await store.create('b', { state: 'done' }, inAMinute());
+
+    await expect(store.create('c', { state: 'pending' }, inAMinute())).rejects.toMatchObject({
+      status: 503,
+      code: 'IDEMPOTENCY_STORE_FULL',
+    });
+    expect(await store.create('a', { state: 'pending' }, inAMinute())).toBe(false);
+    expect(await store.get('b')).toEqual({ state: 'done' });
+
+    await store.set('a', { state: 'done' }, inAMinute());
+    expect(await store.get('a')).toEqual({ state: 'done' });
+  });
+});
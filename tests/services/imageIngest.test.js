@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+import sharp from 'sharp';
+import { detectImageFormat, ingestImage } from '../../services/imageIngest.js';
+
+const makeImage = (format, { width = 40, height = 20, channels = 3 } = {}) => sharp({
+  create: { width, height, channels, background: channels === 4 ? { r: 0, g: 0, b: 0, alpha: 0 } : '#cc3300' },
+})[format]().toBuffer();
+
+describe('detectImageFormat', () => {
+  test('should detect formats from magic bytes', async () => {
+    expect(detectImageFormat(await makeImage('jpeg'))).toBe('jpeg');
+    expect(detectImageFormat(await makeImage('png'))).toBe('png');
+    expect(detectImageFormat(await makeImage('webp'))).toBe('webp');
+    expect(detectImageFormat(await makeImage('gif'))).toBe('gif');
+  });
+
+  test('should detect HEIC and AVIF by ftyp brand', () => {
+    const box = (brand) => Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from(`ftyp${brand}`), Buffer.alloc(8)]);
+    expect(detectImageFormat(box('heic'))).toBe('heic');
+    expect(detectImageFormat(box('avif'))).toBe('avif');
+  });
+
+  test('should return null for anything else', () => {
+    expect(detectImageFormat(Buffer.from('definitely not an image'))).toBeNull();
+    expect(detectImageFormat(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe('ingestImage', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.IMAGE_MAX_EDGE;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test('should re-encode to JPEG and keep the original upload', async () => {
+    const png = await makeImage('png');
+    const image = await ingestImage(png);
+
+    expect(image.mimeType).toBe('image/jpeg');
+    expect(detectImageFormat(image.data)).toBe('jpeg');
+    expect(image.original).toEqual({ data: png, mimeType: 'image/png' });
+  });
+
+  test('should downscale to the configured max edge without enlarging', async () => {
+    process.env.IMAGE_MAX_EDGE = '100';
+
+    const large = await ingestImage(await makeImage('jpeg', { width: 400, height: 200 }));
+    expect([large.width, large.height]).toEqual([100, 50]);
+
+    const small = await ingestImage(await makeImage('jpeg', { width: 40, height: 20 }));
+    expect([small.width, small.height]).toEqual([40, 20]);
+  });
+
+  test('should apply EXIF orientation', async () => {
+    const rotated = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#000' } })
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .toBuffer();
+
+    const image = await ingestImage(rotated);
+    expect([image.width, image.height]).toEqual([20, 40]);
+  });
+
+  test('should reject unsupported bytes with 415', async () => {
+    await expect(ingestImage(Buffer.from('definitely not an image'))).rejects.toMatchObject({
+      status: 415,
+      code: 'UNSUPPORTED_MEDIA_TYPE',
+    });
+  });
+
+  test('should reject HEIC with 415 rather than fail to decode it', async () => {
+    const heic = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic'), Buffer.alloc(8)]);
+    await expect(ingestImage(heic)).rejects.toMatchObject({
+      status: 415,
+      code: 'UNSUPPORTED_MEDIA_TYPE',
+      message: expect.stringMatching(/HEIC images are not supported/),
+    });
+  });
+
+  test('should decode AVIF', async () => {
+    const image = await ingestImage(await makeImage('avif'));
+    expect(image.mimeType).toBe('image/jpeg');
+    expect(image.original.mimeType).toBe('image/avif');
+  });
+
+  test('should reject a corrupt image with 415', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const truncated = (await makeImage('jpeg')).subarray(0, 20);
+
+    await expect(ingestImage(truncated)).rejects.toMatchObject({ status: 415 });
+    errorSpy.mockRestore();
+  });
+});
@@ -0,0 +1,80 @@
+import sharp from 'sharp';
+import { extractImagePalette, displayPaletteFor } from '../../services/imagePalette.js';
+import { contrastRatio } from '../../utils/color.js';
+
+// Left 3/4 red, right 1/4 blue
+const twoColourImage = () => sharp({
+  create: { width: 40, height: 40, channels: 3, background: '#ff0000' },
+})
+  .composite([{
+    input: { create: { width: 10, height: 40, channels: 3, background: '#0000ff' } },
+    left: 30,
+    top: 0,
+  }])
+  .png()
+  .toBuffer();
+
+describe('extractImagePalette', () => {
+  test('should return dominant colours with proportions, largest first', async () => {
+    const palette = await extractImagePalette(await twoColourImage());
+
+    expect(palette.length).toBeGreaterThanOrEqual(3);
+    // Resampling blends a few edge pixels, so proportions are approximate
+    expect(palette[0].hex).toBe('#ff0000');
+    expect(palette[0].proportion).toBeCloseTo(0.75, 1);
+    expect(palette[1].hex).toBe('#0000ff');
+    expect(palette[1].proportion).toBeCloseTo(0.25, 1);
+  });
+
+  test('should pad a single-colour image to three colours', async () => {
+    const solid = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+    const palette = await extractImagePalette(solid);
+
+    expect(palette).toHaveLength(3);
+    expect(palette[0].proportion).toBe(1);
+    expect(palette.slice(1).every(entry => entry.proportion === 0)).toBe(true);
+  });
+
+  test('should be deterministic', async () => {
+    const image = await twoColourImage();
+    expect(await extractImagePalette(image)).toEqual(await extractImagePalette(image));
+  });
+
+  test('should suggest legible text colours', async () => {
+    const palette = await extractImagePalette(await twoColourImage());
+
+    palette.forEach(({ hex, textColor, contrast }) => {
+      expect(['#000000', '#ffffff']).toContain(textColor);
+      expect(contrastRatio(hex, textColor)).toBeGreaterThanOrEqual(4.5);
+      expect(contrast).toBeGreaterThanOrEqual(4.5);
+    });
+  });
+});
+
+describe('displayPaletteFor', () => {
+  const poem = {
+    palette: ['#FFFFFF', '#111111', 'not-a-colour'],
+    imagePalette: [{ hex: '#ff0000', proportion: 1, textColor: '#000000', contrast: 5.25 }],
+  };
+
+  test('should use the model palette by default', () => {
+    expect(displayPaletteFor(poem, null)).toEqual({
+      source: 'model',
+      colors: [
+        { hex: '#ffffff', textColor: '#000000', contrast: 21 },
+        { hex: '#111111', textColor: '#ffffff', contrast: 18.88 },
+      ],
+    });
+  });
+
+  test('should use the image palette when the user prefers it', () => {
+    expect(displayPaletteFor(poem, { paletteSource: 'image' })).toEqual({
+      source: 'image',
+      colors: [{ hex: '#ff0000', textColor: '#000000', contrast: 5.25 }],
+    });
+  });
+
+  test('should fall back to the model palette for poems without an image palette', () => {
+    expect(displayPaletteFor({ palette: ['#000000'] }, { paletteSource: 'image' }).source).toBe('model');
+  });
+});
@@ -0,0 +1,66 @@
+import { createJobQueue } from '../../services/jobQueue.js';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createJobQueue', () => {
+  test('should never run more than `concurrency` tasks at once', async () => {
+    const queue = createJobQueue({ concurrency: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+
+    gates.forEach((gate, i) => queue.enqueue(async () => {
+      started.push(i);
+      await gate.promise;
+    }));
+
+    await flush();
+    expect(started).toEqual([0, 1]);
+    expect(queue.running()).toBe(2);
+    expect(queue.size()).toBe(1);
+
+    gates[0].resolve();
+    await flush();
+    expect(started).toEqual([0, 1, 2]);
+
+    gates[1].resolve();
+    gates[2].resolve();
+    await flush();
+    expect(queue.running()).toBe(0);
+  });
+
+  test('should keep going after a task fails', async () => {
+    const queue = createJobQueue({ concurrency: 1 });
+    const ran = [];
+    const originalError = console.error;
+    console.error = () => {};
+
+    queue.enqueue(async () => { throw new Error('boom'); });
+    queue.enqueue(async () => { ran.push('second'); });
+
+    await flush();
+    await flush();
+    console.error = originalError;
+    expect(ran).toEqual(['second']);
+  });
+
+  test('should refuse tasks beyond `maxPending`', async () => {
+    const queue = createJobQueue({ concurrency: 1, maxPending: 1 });
+    const gate = deferred();
+
+    expect(queue.enqueue(() => gate.promise)).toBe(true);
+    expect(queue.enqueue(async () => {})).toBe(true);
+    expect(queue.isFull()).toBe(true);
+    expect(queue.enqueue(async () => {})).toBe(false);
+    expect(queue.size()).toBe(1);
+
+    gate.resolve();
+    await flush();
+    expect(queue.isFull()).toBe(false);
+  });
+});
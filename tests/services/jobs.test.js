@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+
+// One job runs and one waits; any more are refused
+process.env.JOB_CONCURRENCY = '1';
+process.env.JOB_QUEUE_MAX = '1';
+
+const mockJobsAdd = jest.fn();
+const mockJobsGet = jest.fn();
+
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  db: {
+    collection: jest.fn(() => ({
+      add: mockJobsAdd,
+      where: jest.fn(() => ({ get: mockJobsGet })),
+    })),
+  },
+}));
+
+let releaseGeneration;
+const mockGeneratePoemForUser = jest.fn(() => new Promise(resolve => {
+  releaseGeneration = () => resolve({ poem: { title: 'T', poem: 'p' }, userData: {} });
+}));
+
+jest.unstable_mockModule('../../services/poemGeneration.js', () => ({
+  generatePoemForUser: mockGeneratePoemForUser,
+  savePoem: jest.fn(async () => 'poem1'),
+}));
+
+const { createPoemJob, failInterruptedJobs } = await import('../../services/jobs.js');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('jobs', () => {
+  test('should refuse a job with 503 once the queue is full', async () => {
+    let counter = 0;
+    mockJobsAdd.mockImplementation(async () => ({ id: `job${++counter}`, update: jest.fn(async () => {}) }));
+    const job = { userId: 'u1', images: [{ data: Buffer.from('x'), mimeType: 'image/jpeg' }] };
+
+    await createPoemJob(job);
+    await flush();
+    await createPoemJob(job);
+
+    await expect(createPoemJob(job)).rejects.toMatchObject({
+      status: 503,
+      code: 'JOB_QUEUE_FULL',
+      headers: { 'Retry-After': '30' },
+    });
+    expect(mockJobsAdd).toHaveBeenCalledTimes(2);
+
+    // Room again once the running job finishes
+    releaseGeneration();
+    await flush();
+    await flush();
+    await expect(createPoemJob(job)).resolves.toBe('job3');
+  });
+
+  test('should fail jobs left queued or running by an earlier run', async () => {
+    const stale = { ref: { update: jest.fn(async () => {}) }, data: () => ({ status: 'running', createdAt: new Date(Date.now() - 60 * 1000) }) };
+    const fresh = { ref: { update: jest.fn(async () => {}) }, data: () => ({ status: 'queued', createdAt: new Date(Date.now() + 60 * 1000) }) };
+    mockJobsGet.mockResolvedValue({ docs: [stale, fresh] });
+
+    await expect(failInterruptedJobs()).resolves.toBe(1);
+
+    expect(stale.ref.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', code: 'JOB_INTERRUPTED' }));
+    expect(fresh.ref.update).not.toHaveBeenCalled();
+  });
+});
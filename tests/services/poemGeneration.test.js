@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  db: { collection: jest.fn() },
+  storage: { bucket: jest.fn() },
+}));
+
+const { generateValidatedPoem } = await import('../../services/poemGeneration.js');
+
+const validText = JSON.stringify({ title: 'T', poem: 'a\nb', palette: ['#000', '#fff', '#f00'] });
+
+describe('generateValidatedPoem', () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  test('should return the first valid poem', async () => {
+    const provider = { name: 'test', generatePoem: jest.fn().mockResolvedValue({ text: validText }) };
+
+    const poem = await generateValidatedPoem({ provider, systemPrompt: 'p' });
+
+    expect(poem.palette).toEqual(['#000000', '#ffffff', '#ff0000']);
+    expect(provider.generatePoem).toHaveBeenCalledTimes(1);
+  });
+
+  test('should re-prompt with the failure reasons', async () => {
+    const provider = {
+      name: 'test',
+      generatePoem: jest.fn()
+        .mockResolvedValueOnce({ text: '{"poem": "a"}' })
+        .mockResolvedValueOnce({ text: validText }),
+    };
+
+    const poem = await generateValidatedPoem({ provider, systemPrompt: 'p', maxAttempts: 3 });
+
+    expect(poem.title).toBe('T');
+    expect(provider.generatePoem).toHaveBeenCalledTimes(2);
+    expect(provider.generatePoem.mock.calls[1][0].prompt).toMatch(/title: title must be a non-empty string/);
+
+    const logged = JSON.parse(warnSpy.mock.calls[0][0]);
+    expect(logged).toMatchObject({ event: 'poem_validation_failed', attempt: 1, maxAttempts: 3 });
+  });
+
+  test('should give up after the configured number of attempts', async () => {
+    const provider = { name: 'test', generatePoem: jest.fn().mockResolvedValue({ text: 'garbage' }) };
+
+    await expect(generateValidatedPoem({ provider, systemPrompt: 'p', maxAttempts: 2 }))
+      .rejects.toMatchObject({ code: 'INVALID_MODEL_OUTPUT' });
+    expect(provider.generatePoem).toHaveBeenCalledTimes(2);
+  });
+
+  describe('with a form', () => {
+    const haikuText = (poem) => JSON.stringify({ title: 'Pond', poem, palette: ['#000', '#fff', '#f00'] });
+    const goodHaiku = 'An old silent pond\nA frog jumps into the pond\nSplash! Silence again';
+    const brokenHaiku = 'An old silent pond where nothing at all is moving today\nA frog';
+
+    test('should score a poem that keeps the form', async () => {
+      const provider = { name: 'test', generatePoem: jest.fn().mockResolvedValue({ text: haikuText(goodHaiku) }) };
+
+      const poem = await generateValidatedPoem({ provider, systemPrompt: 'p', form: 'haiku' });
+
+      expect(poem).toMatchObject({ formScore: 1, formIssues: [] });
+      expect(provider.generatePoem).toHaveBeenCalledTimes(1);
+    });
+
+    test('should re-prompt with specific feedback when the form is badly broken', async () => {
+      const provider = {
+        name: 'test',
+        generatePoem: jest.fn()
+          .mockResolvedValueOnce({ text: haikuText(brokenHaiku) })
+          .mockResolvedValueOnce({ text: haikuText(goodHaiku) }),
+      };
+
+      const poem = await generateValidatedPoem({ provider, systemPrompt: 'p', form: 'haiku', maxAttempts: 3 });
+
+      expect(poem.formScore).toBe(1);
+      expect(provider.generatePoem).toHaveBeenCalledTimes(2);
+      const feedback = provider.generatePoem.mock.calls[1][0].prompt;
+      expect(feedback).toContain('the haiku has 2 lines, needs 3');
+      expect(feedback).toMatch(/line 1 has \d+ syllables, needs 5/);
+    });
+
+    test('should keep the best attempt once re-prompts are used up', async () => {
+      const provider = { name: 'test', generatePoem: jest.fn().mockResolvedValue({ text: haikuText(brokenHaiku) }) };
+
+      const poem = await generateValidatedPoem({ provider, systemPrompt: 'p', form: 'haiku', maxAttempts: 3 });
+
+      // FORM_MAX_REPROMPTS defaults to one re-prompt
+      expect(provider.generatePoem).toHaveBeenCalledTimes(2);
+      expect(poem.formScore).toBeLessThan(0.6);
+      expect(poem.formIssues.length).toBeGreaterThan(0);
+    });
+  });
+});
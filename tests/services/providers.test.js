@@ -0,0 +1,171 @@
+import { jest } from '@jest/globals';
+import { getProvider, resolveProviderName, getProviderForUser, resolveApiKey, providerConfigError } from '../../services/providers/index.js';
+
+describe('resolveProviderName', () => {
+  const originalEnv = process.env;
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should prefer the user setting', () => {
+    process.env = { ...originalEnv, AI_PROVIDER: 'openai' };
+    expect(resolveProviderName({ aiProvider: 'gemini' })).toBe('gemini');
+  });
+
+  test('should only use the fake provider in tests or when allowed', () => {
+    expect(resolveProviderName({ aiProvider: 'fake' })).toBe('fake');
+
+    process.env = { ...originalEnv, NODE_ENV: 'production', AI_PROVIDER: 'fake' };
+    expect(resolveProviderName({ aiProvider: 'fake' })).toBe('gemini');
+
+    process.env = { ...originalEnv, NODE_ENV: 'production', AI_PROVIDER: 'openai' };
+    expect(resolveProviderName({ aiProvider: 'fake' })).toBe('openai');
+
+    process.env = { ...originalEnv, NODE_ENV: 'development', ALLOW_FAKE_PROVIDER: 'true' };
+    expect(resolveProviderName({ aiProvider: 'fake' })).toBe('fake');
+  });
+
+  test('should fall back to server config, then gemini', () => {
+    process.env = { ...originalEnv, AI_PROVIDER: 'openai' };
+    expect(resolveProviderName({})).toBe('openai');
+
+    process.env = { ...originalEnv };
+    delete process.env.AI_PROVIDER;
+    expect(resolveProviderName({ aiProvider: 'unknown' })).toBe('gemini');
+  });
+});
+
+describe('getProviderForUser', () => {
+  test('should only consider gemini configured with an API key', () => {
+    expect(getProviderForUser({ aiProvider: 'gemini' }).isConfigured()).toBe(false);
+    expect(getProviderForUser({ aiProvider: 'gemini', geminiApiKey: 'key' }).isConfigured()).toBe(true);
+  });
+
+  test('should need an admin grant for a provider on a server key', () => {
+    const originalEnv = process.env;
+    process.env = { ...originalEnv, OPENAI_BASE_URL: 'http://llm.local/v1', OPENAI_API_KEY: 'server-openai-key' };
+
+    const ungranted = getProviderForUser({ aiProvider: 'openai' });
+    expect(ungranted.isConfigured()).toBe(false);
+    expect(ungranted.keySource).toBeNull();
+    expect(providerConfigError(ungranted, { aiProvider: 'openai' })).toMatch(/Ask an admin/);
+
+    const granted = getProviderForUser({ aiProvider: 'openai', sharedKeyBudget: 10 });
+    expect(granted.isConfigured()).toBe(true);
+    expect(granted.keySource).toBe('shared');
+
+    // A local server without a key costs nothing and needs no grant
+    delete process.env.OPENAI_API_KEY;
+    const local = getProviderForUser({ aiProvider: 'openai' });
+    expect(local.isConfigured()).toBe(true);
+    expect(local.keySource).toBeNull();
+    process.env = originalEnv;
+  });
+
+  test('should throw for unknown providers', () => {
+    expect(() => getProvider('nope')).toThrow(/Unknown AI provider/);
+  });
+});
+
+describe('resolveApiKey', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, GEMINI_API_KEY: 'server-key' };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  test('should use the own key unless the user opts into the shared one', () => {
+    expect(resolveApiKey({ geminiApiKey: 'mine', sharedKeyBudget: 10 })).toEqual({ apiKey: 'mine', keySource: 'own' });
+    expect(resolveApiKey({ sharedKeyBudget: 10 })).toEqual({ apiKey: null, keySource: null });
+    expect(resolveApiKey({ apiKeySource: 'shared', geminiApiKey: 'mine', sharedKeyBudget: 10 })).toEqual({ apiKey: 'server-key', keySource: 'shared' });
+  });
+
+  test('should fall back to the shared key without an own key', () => {
+    expect(resolveApiKey({ apiKeySource: 'fallback', geminiApiKey: 'mine', sharedKeyBudget: 10 })).toEqual({ apiKey: 'mine', keySource: 'own' });
+    expect(resolveApiKey({ apiKeySource: 'fallback', sharedKeyBudget: 10 })).toEqual({ apiKey: 'server-key', keySource: 'shared' });
+  });
+
+  test('should need an admin grant and a server key for the shared key', () => {
+    expect(resolveApiKey({ apiKeySource: 'shared' }).keySource).toBeNull();
+
+    delete process.env.GEMINI_API_KEY;
+    expect(resolveApiKey({ apiKeySource: 'shared', sharedKeyBudget: 10 }).keySource).toBeNull();
+  });
+});
+
+describe('fake provider', () => {
+  test('should return the same poem for the same image', async () => {
+    const provider = getProvider('fake');
+    const image = { data: Buffer.from('image-bytes'), mimeType: 'image/jpeg' };
+
+    const first = await provider.generatePoem({ systemPrompt: 'prompt', images: [image] });
+    const second = await provider.generatePoem({ systemPrompt: 'prompt', images: [image] });
+
+    expect(first.text).toBe(second.text);
+    const data = JSON.parse(first.text);
+    expect(data.title).toBeTruthy();
+    expect(data.palette).toHaveLength(3);
+  });
+
+  test('should return PNG bytes for image generation', async () => {
+    const { data, mimeType } = await getProvider('fake').generateImage({ systemPrompt: 's', prompt: 'p' });
+    expect(mimeType).toBe('image/png');
+    expect(data.slice(1, 4).toString()).toBe('PNG');
+  });
+});
+
+describe('openai-compatible provider', () => {
+  const originalEnv = process.env;
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, OPENAI_BASE_URL: 'http://localhost:8080/v1/', OPENAI_POEM_MODEL: 'llava' };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+  });
+
+  test('should send the system prompt and image as a chat completion', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: '{"title":"T"}' } }] }),
+    });
+
+    const provider = getProvider('openai');
+    const { text } = await provider.generatePoem({
+      systemPrompt: 'Be a poet',
+      images: [{ data: Buffer.from('img'), mimeType: 'image/jpeg' }],
+    });
+
+    expect(text).toBe('{"title":"T"}');
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    const body = JSON.parse(init.body);
+    expect(body.model).toBe('llava');
+    expect(body.messages[0]).toEqual({ role: 'system', content: 'Be a poet' });
+    expect(body.messages[1].content[1].image_url.url).toMatch(/^data:image\/jpeg;base64,/);
+  });
+
+  test('should surface HTTP failures with their status', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 503,
+      text: async () => 'loading model',
+    });
+
+    await expect(getProvider('openai').generatePoem({ systemPrompt: 's', images: [] }))
+      .rejects.toMatchObject({ status: 503 });
+  });
+
+  test('should not be configured without a base URL', () => {
+    delete process.env.OPENAI_BASE_URL;
+    expect(getProvider('openai').isConfigured()).toBe(false);
+  });
+});
@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import { classifyProviderError, createCircuitBreaker, withResilience } from '../../services/providers/resilience.js';
+
+const httpError = (status, message = `failed with ${status}`, extra = {}) => Object.assign(new Error(message), { status }, extra);
+
+const providerWith = (generatePoem) => ({
+  name: 'test',
+  generatePoem,
+  generateImage: generatePoem,
+});
+
+describe('classifyProviderError', () => {
+  test('should recognise Gemini and OpenAI-compatible failures', () => {
+    expect(classifyProviderError(httpError(400, 'API key not valid. Please pass a valid API key.', { errorDetails: [{ reason: 'API_KEY_INVALID' }] }))).toBe('auth');
+    expect(classifyProviderError(httpError(401))).toBe('auth');
+    expect(classifyProviderError(httpError(429, 'Resource has been exhausted'))).toBe('quota');
+    expect(classifyProviderError(new Error('[GoogleGenerativeAI Error]: Text not available. Candidate was blocked due to SAFETY'))).toBe('safety');
+    expect(classifyProviderError(httpError(400, '{"error":{"code":"content_policy_violation"}}'))).toBe('safety');
+    expect(classifyProviderError(httpError(503, 'The model is overloaded'))).toBe('transient');
+    expect(classifyProviderError(new TypeError('fetch failed'))).toBe('transient');
+  });
+
+  test('should leave other errors alone', () => {
+    expect(classifyProviderError(new Error('No content generated'))).toBeNull();
+    expect(classifyProviderError(httpError(400, 'Bad request'))).toBeNull();
+    expect(classifyProviderError(new Error('Candidate was blocked due to RECITATION'))).toBeNull();
+  });
+});
+
+describe('withResilience', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, MODEL_RETRY_BASE_MS: '1', MODEL_RETRIES: '2' };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+  });
+
+  test('should retry transient failures', async () => {
+    const generatePoem = jest.fn()
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(500))
+      .mockResolvedValueOnce({ text: 'poem' });
+    const provider = withResilience(providerWith(generatePoem), { breaker: createCircuitBreaker() });
+
+    await expect(provider.generatePoem({})).resolves.toEqual({ text: 'poem' });
+    expect(generatePoem).toHaveBeenCalledTimes(3);
+  });
+
+  test('should give up with 503 PROVIDER_UNAVAILABLE after the last retry', async () => {
+    const generatePoem = jest.fn().mockRejectedValue(httpError(503));
+    const provider = withResilience(providerWith(generatePoem), { breaker: createCircuitBreaker() });
+
+    await expect(provider.generatePoem({})).rejects.toMatchObject({ status: 503, code: 'PROVIDER_UNAVAILABLE' });
+    expect(generatePoem).toHaveBeenCalledTimes(3);
+  });
+
+  test('should not retry key, quota or safety failures', async () => {
+    const generatePoem = jest.fn()
+      .mockRejectedValueOnce(httpError(403))
+      .mockRejectedValueOnce(httpError(429, 'quota', { errorDetails: [{ retryDelay: '36s' }] }))
+      .mockRejectedValueOnce(new Error('Response was blocked due to PROHIBITED_CONTENT'));
+    const provider = withResilience(providerWith(generatePoem), { breaker: createCircuitBreaker() });
+
+    await expect(provider.generatePoem({})).rejects.toMatchObject({ status: 401, code: 'INVALID_API_KEY' });
+    await expect(provider.generatePoem({})).rejects.toMatchObject({
+      status: 429,
+      code: 'PROVIDER_QUOTA_EXCEEDED',
+      headers: { 'Retry-After': '36' },
+    });
+    await expect(provider.generateImage({})).rejects.toMatchObject({ status: 422, code: 'CONTENT_BLOCKED' });
+    expect(generatePoem).toHaveBeenCalledTimes(3);
+  });
+
+  test('should pass unclassified errors through', async () => {
+    const provider = withResilience(providerWith(jest.fn().mockRejectedValue(new Error('No content generated'))), { breaker: createCircuitBreaker() });
+
+    await expect(provider.generatePoem({})).rejects.toThrow('No content generated');
+  });
+
+  test('should only retry a stream that failed before its first chunk', async () => {
+    const breaker = createCircuitBreaker();
+    const chunks = [];
+    let calls = 0;
+    const flaky = {
+      name: 'test',
+      streamPoem: async function* () {
+        calls++;
+        if (calls === 1) throw httpError(502);
+        yield 'one';
+        throw httpError(502);
+      },
+    };
+
+    await expect((async () => {
+      for await (const chunk of withResilience(flaky, { breaker }).streamPoem({})) chunks.push(chunk);
+    })()).rejects.toMatchObject({ code: 'PROVIDER_UNAVAILABLE' });
+    expect(calls).toBe(2);
+    expect(chunks).toEqual(['one']);
+  });
+
+  test('should open the circuit after repeated outages and close it after a trial call', async () => {
+    process.env.MODEL_RETRIES = '0';
+    process.env.CIRCUIT_FAILURE_THRESHOLD = '2';
+    process.env.CIRCUIT_COOLDOWN_SECONDS = '30';
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+    const generatePoem = jest.fn().mockRejectedValue(httpError(503));
+    const provider = withResilience(providerWith(generatePoem), { breaker: createCircuitBreaker() });
+
+    await expect(provider.generatePoem({})).rejects.toMatchObject({ code: 'PROVIDER_UNAVAILABLE' });
+    await expect(provider.generatePoem({})).rejects.toMatchObject({ code: 'PROVIDER_UNAVAILABLE' });
+    await expect(provider.generatePoem({})).rejects.toMatchObject({ status: 503, headers: { 'Retry-After': '30' } });
+    expect(generatePoem).toHaveBeenCalledTimes(2);
+
+    now.mockReturnValue(1_031_000);
+    generatePoem.mockResolvedValueOnce({ text: 'poem' });
+    await expect(provider.generatePoem({})).resolves.toEqual({ text: 'poem' });
+    generatePoem.mockResolvedValueOnce({ text: 'again' });
+    await expect(provider.generatePoem({})).resolves.toEqual({ text: 'again' });
+  });
+});
@@ -0,0 +1,232 @@
+import { jest } from '@jest/globals';
+import { FieldValue } from 'firebase-admin/firestore';
+
+const mockSet = jest.fn();
+const mockGet = jest.fn();
+const mockWhereGet = jest.fn();
+const mockDoc = jest.fn(() => ({ set: mockSet, get: mockGet }));
+const mockTransaction = { get: (ref) => ref.get(), set: jest.fn() };
+const mockRunTransaction = jest.fn((callback) => callback(mockTransaction));
+
+jest.unstable_mockModule('../../config/firebase.js', () => ({
+  db: {
+    collection: jest.fn(() => ({
+      doc: mockDoc,
+      where: () => ({ get: mockWhereGet }),
+    })),
+    runTransaction: mockRunTransaction,
+  },
+}));
+
+const { meterProvider, recordUsage, quotaLimitsFor, reserveQuota, quotaHeaders, getUsageHistory } = await import('../../services/usage.js');
+const { createFakeProvider } = await import('../../services/providers/fake.js');
+
+describe('usage', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    delete process.env.QUOTA_DAILY;
+    delete process.env.QUOTA_MONTHLY;
+    delete process.env.QUOTA_STYLE_LIMITS;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('meterProvider', () => {
+    test('should add up usage across calls, including streams', async () => {
+      const { provider, meter } = meterProvider(createFakeProvider());
+
+      const { usage } = await provider.generatePoem({ systemPrompt: 'p', images: [] });
+      for await (const chunk of provider.streamPoem({ systemPrompt: 'p', images: [] })) {
+        expect(typeof chunk).toBe('string');
+      }
+
+      expect(meter.calls).toBe(2);
+      expect(meter.model).toBe('fake');
+      expect(meter.inputTokens).toBe(usage.inputTokens * 2);
+      expect(meter.outputTokens).toBe(usage.outputTokens * 2);
+    });
+  });
+
+  describe('recordUsage', () => {
+    test('should write a ledger entry and count successes', async () => {
+      const meter = { calls: 2, model: 'fake', inputTokens: 300, outputTokens: 40 };
+
+      await recordUsage({ userId: 'u1', kind: 'poem', quotaKey: 'basic', provider: 'fake', meter, startedAt: Date.now(), outcome: 'success' });
+
+      expect(mockSet).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'u1',
+        kind: 'poem',
+        style: 'basic',
+        model: 'fake',
+        inputTokens: 300,
+        outputTokens: 40,
+        outcome: 'success',
+        latencyMs: expect.any(Number),
+      }));
+      const today = new Date().toISOString().slice(0, 10);
+      expect(mockDoc).toHaveBeenCalledWith(`u1_${today}`);
+      expect(mockDoc).toHaveBeenCalledWith(`u1_${today.slice(0, 7)}`);
+    });
+
+    test('should count successes on the shared key against its budget', async () => {
+      const meter = { calls: 1, model: 'gemini-flash-latest', inputTokens: 10, outputTokens: 5 };
+
+      await recordUsage({ userId: 'u1', kind: 'poem', quotaKey: 'basic', provider: 'gemini', keySource: 'shared', meter, startedAt: Date.now(), outcome: 'success' });
+
+      expect(mockSet).toHaveBeenCalledWith(expect.objectContaining({ keySource: 'shared' }));
+      expect(mockSet).toHaveBeenCalledWith(expect.objectContaining({ sharedKeyGenerations: FieldValue.increment(1) }), { merge: true });
+    });
+
+    test('should hand back a reserved generation that failed', async () => {
+      const reservedAt = new Date();
+
+      await recordUsage({
+        userId: 'u1', kind: 'poem', quotaKey: 'basic', provider: 'gemini', keySource: 'shared', reservedAt,
+        meter: { calls: 1, model: null, inputTokens: 10, outputTokens: 0 }, startedAt: Date.now(), outcome: 'error',
+      });
+
+      expect(mockSet).toHaveBeenCalledWith(expect.objectContaining({
+        generations: FieldValue.increment(-1),
+        styles: { basic: FieldValue.increment(-1) },
+        sharedKeyGenerations: FieldValue.increment(-1),
+      }), { merge: true });
+    });
+
+    test('should not count a reserved generation twice', async () => {
+      await recordUsage({
+        userId: 'u1', kind: 'poem', quotaKey: 'basic', provider: 'fake', reservedAt: new Date(),
+        meter: { calls: 1, model: null, inputTokens: 10, outputTokens: 5 }, startedAt: Date.now(), outcome: 'success',
+      });
+
+      expect(mockSet).toHaveBeenCalledWith(expect.objectContaining({ generations: FieldValue.increment(0) }), { merge: true });
+    });
+
+    test('should never throw', async () => {
+      mockSet.mockRejectedValueOnce(new Error('offline'));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(recordUsage({
+        userId: 'u1', kind: 'poem', quotaKey: 'basic', provider: 'fake',
+        meter: { calls: 1, model: null, inputTokens: 0, outputTokens: 0 }, startedAt: Date.now(), outcome: 'error',
+      })).resolves.toBeUndefined();
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('quotaLimitsFor', () => {
+    test('should prefer the user quotas over the server defaults', () => {
+      process.env.QUOTA_DAILY = '10';
+      process.env.QUOTA_MONTHLY = '100';
+      process.env.QUOTA_STYLE_LIMITS = JSON.stringify({ 'dirty-limerick': { daily: 2 } });
+
+      const limits = quotaLimitsFor({ quotas: { daily: 5, styles: { 'dirty-limerick': { monthly: 20 } } } }, 'dirty-limerick');
+
+      expect(limits).toEqual([
+        { period: 'daily', style: null, limit: 5 },
+        { period: 'daily', style: 'dirty-limerick', limit: 2 },
+        { period: 'monthly', style: null, limit: 100 },
+        { period: 'monthly', style: 'dirty-limerick', limit: 20 },
+      ]);
+    });
+
+    test('should be unlimited without configuration', () => {
+      expect(quotaLimitsFor(null, 'basic')).toEqual([]);
+    });
+  });
+
+  describe('reserveQuota', () => {
+    test('should not reserve anything when unlimited', async () => {
+      expect(await reserveQuota({ userId: 'u1', userData: null, styles: { basic: 1 } })).toEqual({ quota: [], reservedAt: null });
+      expect(mockRunTransaction).not.toHaveBeenCalled();
+    });
+
+    test('should report usage against each limit and count the generations', async () => {
+      mockGet.mockResolvedValue({ exists: true, data: () => ({ generations: 3, styles: { basic: 1 } }) });
+
+      const { quota, reservedAt } = await reserveQuota({ userId: 'u1', userData: { quotas: { daily: 5, styles: { basic: { daily: 2 } } } }, styles: { basic: 1 } });
+
+      expect(reservedAt).toBeInstanceOf(Date);
+      expect(quota).toEqual([
+        expect.objectContaining({ period: 'daily', style: null, limit: 5, used: 3 }),
+        expect.objectContaining({ period: 'daily', style: 'basic', limit: 2, used: 1 }),
+      ]);
+      expect(quotaHeaders(quota)).toMatchObject({
+        'X-Quota-Daily-Limit': '5',
+        'X-Quota-Daily-Remaining': '1',
+        'X-Quota-Style-Daily-Limit': '2',
+        'X-Quota-Style-Daily-Remaining': '0',
+      });
+      expect(mockTransaction.set).toHaveBeenCalledTimes(2);
+      expect(mockTransaction.set).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        generations: FieldValue.increment(1),
+        styles: { basic: FieldValue.increment(1) },
+      }), { merge: true });
+    });
+
+    test('should throw 429 once a limit is used up', async () => {
+      mockGet.mockResolvedValue({ exists: true, data: () => ({ generations: 5 }) });
+
+      const error = await reserveQuota({ userId: 'u1', userData: { quotas: { daily: 5 } }, styles: { basic: 1 } }).catch(e => e);
+
+      expect(error).toMatchObject({ status: 429, code: 'QUOTA_EXCEEDED' });
+      expect(error.headers['X-Quota-Daily-Remaining']).toBe('0');
+      expect(Number(error.headers['Retry-After'])).toBeGreaterThan(0);
+      expect(mockTransaction.set).not.toHaveBeenCalled();
+    });
+
+    test('should reserve several generations at once or none at all', async () => {
+      mockGet.mockResolvedValue({ exists: true, data: () => ({ generations: 4 }) });
+
+      const error = await reserveQuota({ userId: 'u1', userData: { quotas: { daily: 5 } }, styles: { basic: 2, haiku: 1 } }).catch(e => e);
+
+      expect(error).toMatchObject({ status: 429, code: 'QUOTA_EXCEEDED' });
+      expect(error.message).toMatch(/Only 1 .* not enough for 3/);
+      expect(mockTransaction.set).not.toHaveBeenCalled();
+    });
+
+    test('should only check the budget for generations on the shared key', async () => {
+      expect(await reserveQuota({ userId: 'u1', userData: { sharedKeyBudget: 0 }, styles: { basic: 1 }, keySource: 'own' })).toEqual({ quota: [], reservedAt: null });
+      expect(mockRunTransaction).not.toHaveBeenCalled();
+    });
+
+    test('should count generations on the shared key against the budget', async () => {
+      mockGet.mockResolvedValue({ exists: true, data: () => ({ generations: 12, sharedKeyGenerations: 7 }) });
+
+      await reserveQuota({ userId: 'u1', userData: { sharedKeyBudget: 10 }, styles: { basic: 3 }, keySource: 'shared' });
+
+      expect(mockDoc).toHaveBeenCalledWith(`u1_${new Date().toISOString().slice(0, 7)}`);
+      expect(mockTransaction.set).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ sharedKeyGenerations: FieldValue.increment(3) }), { merge: true });
+    });
+
+    test('should throw 429 once the shared key budget is used up', async () => {
+      mockGet.mockResolvedValue({ exists: true, data: () => ({ sharedKeyGenerations: 9 }) });
+
+      const error = await reserveQuota({ userId: 'u1', userData: { sharedKeyBudget: 10 }, styles: { basic: 2 }, keySource: 'shared' }).catch(e => e);
+
+      expect(error).toMatchObject({ status: 429, code: 'SHARED_KEY_BUDGET_EXCEEDED' });
+      expect(Number(error.headers['Retry-After'])).toBeGreaterThan(0);
+    });
+  });
+
+  describe('getUsageHistory', () => {
+    test('should fill periods without usage with zeros', async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      mockWhereGet.mockResolvedValue({
+        docs: [{ data: () => ({ userId: 'u1', period: today, generations: 4, inputTokens: 900, outputTokens: 120, styles: { basic: 4 } }) }],
+      });
+
+      const { daily, monthly } = await getUsageHistory('u1', { days: 7 });
+
+      expect(daily).toHaveLength(7);
+      expect(daily[6]).toEqual({ period: today, generations: 4, inputTokens: 900, outputTokens: 120, styles: { basic: 4 } });
+      expect(daily[0].generations).toBe(0);
+      expect(monthly).toHaveLength(12);
+      expect(monthly[11].period).toBe(today.slice(0, 7));
+    });
+  });
+});
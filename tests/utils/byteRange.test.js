@@ -0,0 +1,26 @@
+import { parseByteRange } from '../../utils/byteRange.js';
+
+describe('parseByteRange', () => {
+  test('should parse closed, open-ended and suffix ranges', () => {
+    expect(parseByteRange('bytes=0-99', 1000)).toEqual({ start: 0, end: 99 });
+    expect(parseByteRange('bytes=900-', 1000)).toEqual({ start: 900, end: 999 });
+    expect(parseByteRange('bytes=-100', 1000)).toEqual({ start: 900, end: 999 });
+  });
+
+  test('should clamp the end to the resource', () => {
+    expect(parseByteRange('bytes=500-5000', 1000)).toEqual({ start: 500, end: 999 });
+    expect(parseByteRange('bytes=-5000', 1000)).toEqual({ start: 0, end: 999 });
+  });
+
+  test('should report ranges past the end as unsatisfiable', () => {
+    expect(parseByteRange('bytes=1000-', 1000)).toBeNull();
+    expect(parseByteRange('bytes=-0', 1000)).toBeNull();
+  });
+
+  test('should ignore headers it does not support', () => {
+    expect(parseByteRange('bytes=0-99,200-299', 1000)).toBeUndefined();
+    expect(parseByteRange('items=0-9', 1000)).toBeUndefined();
+    expect(parseByteRange('bytes=-', 1000)).toBeUndefined();
+    expect(parseByteRange('bytes=99-0', 1000)).toBeUndefined();
+  });
+});
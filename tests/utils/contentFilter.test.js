@@ -0,0 +1,23 @@
+import { filterText, filterPoem } from '../../utils/contentFilter.js';
+
+describe('filterText', () => {
+  test('should mask whole words only', () => {
+    expect(filterText('Hello, damn button', 'clean')).toEqual({ text: 'Hello, d*** button', filtered: ['damn'] });
+  });
+
+  test('should only mask strong words for cheeky', () => {
+    expect(filterText('Damn this SHITTY day', 'cheeky')).toEqual({ text: 'Damn this S***** day', filtered: ['shitty'] });
+  });
+
+  test('should leave uncensored text alone', () => {
+    expect(filterText('damn shit', 'uncensored')).toEqual({ text: 'damn shit', filtered: [] });
+  });
+});
+
+describe('filterPoem', () => {
+  test('should filter the title and the poem', () => {
+    const { poem, filtered } = filterPoem({ title: 'Hell', poem: 'Line one\nBloody line two', palette: ['#000000'] }, 'clean');
+    expect(poem).toEqual({ title: 'H***', poem: 'Line one\nB***** line two', palette: ['#000000'] });
+    expect(filtered).toEqual(['hell', 'bloody']);
+  });
+});
@@ -0,0 +1,95 @@
+import { toCodepage, pickCodepage, encodeText, wrapText, rasterImage, paletteSwatches, buildReceipt } from '../../utils/escpos.js';
+
+describe('toCodepage', () => {
+  test('should keep characters the code page has and replace typography', () => {
+    expect(toCodepage('“Café” — naïve…', 'cp437')).toEqual({ text: '"Café" - naïve...', lossy: 0 });
+  });
+
+  test('should drop accents and transliterate letters the code page lacks', () => {
+    expect(toCodepage('Łódź', 'cp437')).toEqual({ text: 'Lódz', lossy: 2 });
+    expect(toCodepage('Łódź', 'cp852')).toEqual({ text: 'Łódź', lossy: 0 });
+  });
+
+  test('should print ? for characters it cannot map and drop control characters', () => {
+    expect(toCodepage('東京\u0007\r\nok', 'cp437')).toEqual({ text: '??\nok', lossy: 2 });
+  });
+});
+
+describe('pickCodepage', () => {
+  test('should pick the first code page that prints everything', () => {
+    expect(pickCodepage('plain text')).toBe('cp437');
+    expect(pickCodepage('Prix: 5 €, déjà vu')).toBe('cp858');
+    expect(pickCodepage('Zażółć gęślą jaźń')).toBe('cp852');
+  });
+});
+
+describe('encodeText', () => {
+  test('should map characters to their code page bytes', () => {
+    expect(encodeText('é€', 'cp858')).toEqual(Buffer.from([0x82, 0xd5]));
+    expect(encodeText('é€', 'cp1252')).toEqual(Buffer.from([0xe9, 0x80]));
+  });
+});
+
+describe('wrapText', () => {
+  test('should wrap at word boundaries and keep blank lines', () => {
+    expect(wrapText('the quick brown fox jumps\n\nover', 10)).toEqual(['the quick', 'brown fox', 'jumps', '', 'over']);
+  });
+
+  test('should break words longer than a line', () => {
+    expect(wrapText('a supercalifragilistic b', 8)).toEqual(['a', 'supercal', 'ifragili', 'stic b']);
+  });
+});
+
+describe('rasterImage', () => {
+  test('should pack black pixels most significant bit first', () => {
+    const pixels = Uint8Array.from([0, 255, 255, 255, 255, 255, 255, 255, 255, 0]);
+
+    expect(rasterImage(pixels, 10, 1)).toEqual(Buffer.from([0x1d, 0x76, 0x30, 0, 2, 0, 1, 0, 0x80, 0x40]));
+  });
+
+  test('should dither mid grey to about half black', () => {
+    const width = 64;
+    const raster = rasterImage(new Uint8Array(width * width).fill(128), width, width);
+
+    const black = [...raster.subarray(8)].reduce((count, byte) => count + byte.toString(2).split('1').length - 1, 0);
+    expect(black / (width * width)).toBeCloseTo(0.5, 1);
+  });
+
+  test('should split tall images into bands', () => {
+    const raster = rasterImage(new Uint8Array(8 * 200).fill(255), 8, 200);
+
+    expect(raster.subarray(0, 8)).toEqual(Buffer.from([0x1d, 0x76, 0x30, 0, 1, 0, 128, 0]));
+    expect(raster.subarray(8 + 128, 16 + 128)).toEqual(Buffer.from([0x1d, 0x76, 0x30, 0, 1, 0, 72, 0]));
+  });
+});
+
+describe('paletteSwatches', () => {
+  test('should outline each swatch', () => {
+    const pixels = paletteSwatches(['#ffffff', '#000000'], 40, 10);
+
+    expect(pixels[5 * 40 + 0]).toBe(0);
+    expect(pixels[5 * 40 + 8]).toBe(255);
+    expect(pixels[5 * 40 + 30]).toBe(0);
+  });
+});
+
+describe('buildReceipt', () => {
+  test('should wrap to the paper width and pick a code page', () => {
+    const { data, codepage } = buildReceipt(
+      { title: 'Été', body: 'word '.repeat(10).trim(), byline: 'Me' },
+      { paper: 58 },
+    );
+
+    expect(codepage).toBe('cp437');
+    expect(data.includes(Buffer.from('word word word word word word\nword word word word\n'))).toBe(true);
+    expect(data.includes(Buffer.from('- Me\n'))).toBe(true);
+    expect(data.subarray(-7)).toEqual(Buffer.from([0x1b, 0x64, 4, 0x1d, 0x56, 0x42, 0]));
+  });
+
+  test('should use the code page asked for', () => {
+    const { data } = buildReceipt({ title: 'Été', body: '' }, { paper: 80, codepage: 'cp1252' });
+
+    expect(data.subarray(0, 5)).toEqual(Buffer.from([0x1b, 0x40, 0x1b, 0x74, 16]));
+    expect(data.includes(Buffer.from([0xc9, 0x74, 0xe9]))).toBe(true);
+  });
+});
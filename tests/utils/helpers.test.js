@@ -54,4 +54,18 @@ describe('formatDate', () => {
 
     consoleSpy.mockRestore();
   });
+
+  test('should name the day and month in the requested locale', () => {
+    const result = formatDate('Europe/Madrid', 'es-ES');
+    expect(result.dayOfWeek).toBe('viernes');
+    expect(result.date).toBe(27);
+    expect(result.month).toBe('octubre');
+    expect(result.year).toBe(2023);
+  });
+
+  test('should localise names without a timezone', () => {
+    const result = formatDate(null, 'de-DE');
+    expect(['Freitag', 'Samstag', 'Donnerstag']).toContain(result.dayOfWeek);
+    expect(result.month).toBe('Oktober');
+  });
 });
@@ -0,0 +1,71 @@
+import sharp from 'sharp';
+import { differenceHash, hashCapture, combineHashes, hammingDistance } from '../../utils/imageHash.js';
+
+// Left half dark, right half light
+const gradient = await sharp({
+  create: { width: 64, height: 48, channels: 3, background: '#ffffff' },
+}).composite([{
+  input: { create: { width: 32, height: 48, channels: 3, background: '#000000' } },
+  left: 0,
+  top: 0,
+}]).png().toBuffer();
+
+describe('differenceHash', () => {
+  test('should survive re-encoding and resizing', async () => {
+    const reencoded = await sharp(gradient).resize(40).jpeg({ quality: 60 }).toBuffer();
+
+    const original = await differenceHash(gradient);
+    const copy = await differenceHash(reencoded);
+
+    expect(original).toMatch(/^[0-9a-f]{16}$/);
+    expect(hammingDistance(original, copy)).toBeLessThanOrEqual(4);
+  });
+
+  test('should differ for a different picture', async () => {
+    const flipped = await sharp(gradient).flop().png().toBuffer();
+
+    expect(hammingDistance(await differenceHash(gradient), await differenceHash(flipped))).toBeGreaterThan(4);
+  });
+});
+
+describe('hashCapture', () => {
+  test('should hash the exact bytes', async () => {
+    const reencoded = await sharp(gradient).jpeg().toBuffer();
+
+    const a = await hashCapture(gradient);
+    const b = await hashCapture(reencoded);
+
+    expect(a.sha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(a.sha256).not.toBe(b.sha256);
+  });
+});
+
+describe('combineHashes', () => {
+  const first = { sha256: 'a'.repeat(64), dHash: '00000000000000ff' };
+  const second = { sha256: 'b'.repeat(64), dHash: 'ff00000000000000' };
+
+  test('should keep a single hash as it is', () => {
+    expect(combineHashes([first])).toEqual(first);
+  });
+
+  test('should join several hashes in order', () => {
+    const combined = combineHashes([first, second]);
+
+    expect(combined.dHash).toBe('00000000000000ff-ff00000000000000');
+    expect(combined.sha256).not.toBe(combineHashes([second, first]).sha256);
+  });
+
+  test('should return null if any image is unhashed', () => {
+    expect(combineHashes([first, undefined])).toBeNull();
+    expect(combineHashes([])).toBeNull();
+  });
+});
+
+describe('hammingDistance', () => {
+  test('should count differing bits', () => {
+    expect(hammingDistance('00', '00')).toBe(0);
+    expect(hammingDistance('0f', '00')).toBe(4);
+    expect(hammingDistance('00-0f', '00-00')).toBe(4);
+    expect(hammingDistance('00', '0000')).toBe(Infinity);
+  });
+});
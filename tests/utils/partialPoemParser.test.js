@@ -0,0 +1,51 @@
+import { createPartialPoemParser } from '../../utils/partialPoemParser.js';
+
+const feed = (parser, text, size) => {
+  const events = [];
+  for (let i = 0; i < text.length; i += size) {
+    events.push(...parser.push(text.slice(i, i + size)));
+  }
+  return events;
+};
+
+describe('createPartialPoemParser', () => {
+  const text = JSON.stringify({
+    title: 'Kitchen "Light"',
+    poem: 'first line\nsecond line\nthird line',
+    palette: ['#ABC', '#112233', 'bogus'],
+  });
+
+  test('should emit title, each line and the palette once', () => {
+    const events = feed(createPartialPoemParser(), text, 3);
+
+    expect(events).toEqual([
+      { type: 'title', title: 'Kitchen "Light"' },
+      { type: 'line', index: 0, text: 'first line' },
+      { type: 'line', index: 1, text: 'second line' },
+      { type: 'line', index: 2, text: 'third line' },
+      { type: 'palette', palette: ['#aabbcc', '#112233'] },
+    ]);
+  });
+
+  test('should not emit a line until it is complete', () => {
+    const parser = createPartialPoemParser();
+    expect(parser.push('{"title": "T", "poem": "half a li')).toEqual([{ type: 'title', title: 'T' }]);
+    expect(parser.push('ne\\nnext')).toEqual([{ type: 'line', index: 0, text: 'half a line' }]);
+    expect(parser.push('"')).toEqual([{ type: 'line', index: 1, text: 'next' }]);
+  });
+
+  test('should not split escape sequences across chunks', () => {
+    const parser = createPartialPoemParser();
+    parser.push('{"poem": "a\\');
+    expect(parser.push('nb"')).toEqual([
+      { type: 'line', index: 0, text: 'a' },
+      { type: 'line', index: 1, text: 'b' },
+    ]);
+  });
+
+  test('should keep the full text for final validation', () => {
+    const parser = createPartialPoemParser();
+    feed(parser, text, 7);
+    expect(parser.text()).toBe(text);
+  });
+});
@@ -0,0 +1,81 @@
+import { parseModelJson, normalizeHex, validatePoem } from '../../utils/poemValidation.js';
+
+describe('parseModelJson', () => {
+  test('should strip markdown code fences', () => {
+    expect(parseModelJson('```json\n{"title":"A"}\n```')).toEqual({ title: 'A' });
+  });
+
+  test('should repair literal newlines inside strings', () => {
+    const text = '{"title": "A", "poem": "line one\nline two"}';
+    expect(parseModelJson(text).poem).toBe('line one\nline two');
+  });
+
+  test('should throw on unparseable text', () => {
+    expect(() => parseModelJson('not json')).toThrow();
+  });
+});
+
+describe('normalizeHex', () => {
+  test('should expand short hex and lowercase', () => {
+    expect(normalizeHex('#ABC')).toBe('#aabbcc');
+    expect(normalizeHex('A1B2C3')).toBe('#a1b2c3');
+  });
+
+  test('should reject invalid colours', () => {
+    expect(normalizeHex('#abcd')).toBeNull();
+    expect(normalizeHex('red')).toBeNull();
+    expect(normalizeHex(42)).toBeNull();
+  });
+});
+
+describe('validatePoem', () => {
+  const valid = {
+    title: ' Evening ',
+    poem: 'one\ntwo\nthree',
+    palette: ['#111111', '#222222', '#333333'],
+  };
+
+  test('should accept and trim a valid poem', () => {
+    const { poem, errors } = validatePoem(valid);
+    expect(errors).toEqual([]);
+    expect(poem).toEqual({ title: 'Evening', poem: 'one\ntwo\nthree', palette: valid.palette });
+  });
+
+  test('should report missing fields', () => {
+    const { poem, errors } = validatePoem({ palette: ['#fff'] });
+    expect(poem).toBeNull();
+    expect(errors.map(e => e.field)).toEqual(['title', 'poem']);
+  });
+
+  test('should reject non-object output', () => {
+    expect(validatePoem(['a']).errors[0].field).toBe('root');
+  });
+
+  test('should trim the poem to the style line limit', () => {
+    const { poem } = validatePoem({ ...valid, poem: '1\n2\n3\n4\n5\n6\n7' }, { maxLines: 5 });
+    expect(poem.poem.split('\n')).toHaveLength(5);
+  });
+
+  test('should join poems given as an array of lines', () => {
+    const { poem } = validatePoem({ ...valid, poem: ['a', 'b'] });
+    expect(poem.poem).toBe('a\nb');
+  });
+
+  test('should clamp long palettes to five colours', () => {
+    const palette = ['#010101', '#020202', '#030303', '#040404', '#050505', '#060606'];
+    expect(validatePoem({ ...valid, palette }).poem.palette).toHaveLength(5);
+  });
+
+  test('should pad short palettes and drop invalid entries', () => {
+    const { poem } = validatePoem({ ...valid, palette: ['#f00', 'nope'] });
+    expect(poem.palette).toHaveLength(3);
+    expect(poem.palette[0]).toBe('#ff0000');
+    poem.palette.forEach(hex => expect(hex).toMatch(/^#[0-9a-f]{6}$/));
+  });
+
+  test('should fail when no palette colour is valid', () => {
+    const { poem, errors } = validatePoem({ ...valid, palette: ['nope'] });
+    expect(poem).toBeNull();
+    expect(errors[0].field).toBe('palette');
+  });
+});
@@ -0,0 +1,74 @@
+import { countSyllables, countLineSyllables, rhymes, scoreForm } from '../../utils/poetics.js';
+
+describe('countSyllables', () => {
+  test.each([
+    ['cat', 1],
+    ['cake', 1],
+    ['baked', 1],
+    ['wanted', 2],
+    ['table', 2],
+    ['little', 2],
+    ['create', 2],
+    ['poet', 2],
+    ['shadows', 2],
+    ['evening', 3],
+    ['beautiful', 3],
+    ['syllable', 3],
+  ])('%s has %i', (word, expected) => {
+    expect(countSyllables(word)).toBe(expected);
+  });
+
+  test('should ignore punctuation and tokens without letters', () => {
+    expect(countSyllables('Splash!')).toBe(1);
+    expect(countSyllables('—')).toBe(0);
+    expect(countLineSyllables('A frog jumps into the pond')).toBe(7);
+  });
+});
+
+describe('rhymes', () => {
+  test('should compare the last words of lines', () => {
+    expect(rhymes('There was an old man with a beard', 'Who said it is just as I feared')).toBe(true);
+    expect(rhymes('in the night', 'a delight')).toBe(true);
+    expect(rhymes('a cake', 'the lake')).toBe(true);
+    expect(rhymes('the cat', 'the dog')).toBe(false);
+  });
+});
+
+describe('scoreForm', () => {
+  test('should pass a classic haiku', () => {
+    expect(scoreForm('An old silent pond\nA frog jumps into the pond\nSplash! Silence again', 'haiku'))
+      .toEqual({ form: 'haiku', score: 1, issues: [] });
+  });
+
+  test('should pass a classic limerick', () => {
+    const limerick = [
+      'There was an old man with a beard',
+      'Who said it is just as I feared',
+      'Two owls and a hen',
+      'Four larks and a wren',
+      'Have all built their nests in my beard',
+    ].join('\n');
+    expect(scoreForm(limerick, 'limerick').score).toBe(1);
+  });
+
+  test('should describe what is wrong', () => {
+    const result = scoreForm('The warm kitchen hums with the sound of the fridge\nA cat\nNaps', 'haiku');
+
+    expect(result.score).toBeLessThan(1);
+    expect(result.issues).toEqual([
+      'line 1 has 11 syllables, needs 5',
+      'line 2 has 2 syllables, needs 7',
+      'line 3 has 1 syllables, needs 5',
+    ]);
+  });
+
+  test('should flag broken rhymes', () => {
+    const result = scoreForm('One two three four five six seven eight\nOne two three four five six seven cat\nA b c d e\nA b c d f\nOne two three four five six seven dog', 'limerick');
+    expect(result.issues).toContain('line 2 should rhyme with line 1 (AABBA scheme)');
+    expect(result.issues).toContain('line 4 should rhyme with line 3 (AABBA scheme)');
+  });
+
+  test('should return null for unknown forms', () => {
+    expect(scoreForm('anything', 'sonnet')).toBeNull();
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Parse a single-range `Range: bytes=...` header against a resource size.
+ * Multiple ranges and other units aren't supported; servers may ignore a
+ * Range header (RFC 9110), so those get the whole resource.
+ * @param {string} header - e.g. 'bytes=0-1023', 'bytes=1024-' or 'bytes=-512'
+ * @param {number} size - resource size in bytes
+ * @returns {{ start: number, end: number }|null|undefined} inclusive byte
+ *   offsets; null if the range can't be satisfied (416); undefined if the
+ *   header should be ignored
+ */
+export const parseByteRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (!match[1] && !match[2])) {
+    return undefined;
+  }
+
+  let start;
+  let end = size - 1;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    const length = parseInt(match[2], 10);
+    if (length === 0) return null;
+    start = Math.max(size - length, 0);
+  } else {
+    start = parseInt(match[1], 10);
+    if (match[2]) {
+      const last = parseInt(match[2], 10);
+      if (last < start) return undefined;
+      end = Math.min(last, size - 1);
+    }
+  }
+
+  return start < size ? { start, end } : null;
+};
@@ -0,0 +1,61 @@
+/**
+ * Split a #rrggbb colour into [r, g, b] channels (0-255).
+ * @param {string} hex
+ * @returns {number[]}
+ */
+export const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+/**
+ * Join [r, g, b] channels into a lowercase #rrggbb colour.
+ * @param {number[]} rgb
+ * @returns {string}
+ */
+export const rgbToHex = (rgb) => '#' + rgb
+  .map(c => Math.max(0, Math.min(255, Math.round(c))).toString(16).padStart(2, '0'))
+  .join('');
+
+/**
+ * Blend a #rrggbb colour towards white (amount > 0) or black (amount < 0).
+ * @param {string} hex
+ * @param {number} amount - -1..1
+ * @returns {string}
+ */
+export const shade = (hex, amount) => {
+  const target = amount > 0 ? 255 : 0;
+  const ratio = Math.abs(amount);
+  return rgbToHex(hexToRgb(hex).map(c => c + (target - c) * ratio));
+};
+
+// WCAG 2.x relative luminance
+const relativeLuminance = (hex) => {
+  const [r, g, b] = hexToRgb(hex).map(c => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/**
+ * WCAG contrast ratio between two #rrggbb colours (1-21).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const contrastRatio = (a, b) => {
+  const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+/**
+ * Pick black or white text for a background colour, whichever contrasts
+ * more. Either choice always reaches at least 4.5:1 (WCAG AA body text).
+ * @param {string} background - #rrggbb
+ * @returns {{ textColor: string, contrast: number }}
+ */
+export const readableTextColor = (background) => {
+  const onBlack = contrastRatio(background, '#000000');
+  const onWhite = contrastRatio(background, '#ffffff');
+  return onBlack >= onWhite
+    ? { textColor: '#000000', contrast: Math.round(onBlack * 100) / 100 }
+    : { textColor: '#ffffff', contrast: Math.round(onWhite * 100) / 100 };
+};
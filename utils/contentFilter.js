@@ -0,0 +1,65 @@
+// Words masked in generated poems, grouped by how strong they are. Matching
+// is case-insensitive on whole words, so list inflections explicitly
+// (matching stems would also hit "hello", "button", "assume", ...).
+const STRONG_WORDS = [
+  'fuck', 'fucks', 'fucked', 'fucker', 'fuckers', 'fucking', 'motherfucker',
+  'shit', 'shits', 'shitty', 'shitting', 'bullshit',
+  'cunt', 'cunts', 'bitch', 'bitches', 'bastard', 'bastards',
+  'dick', 'dicks', 'cock', 'cocks', 'pussy', 'twat', 'wank', 'wanker',
+];
+const MILD_WORDS = [
+  'damn', 'damned', 'dammit', 'hell', 'crap', 'crappy',
+  'ass', 'asses', 'arse', 'arses', 'piss', 'pissed', 'bloody',
+  'sexy', 'boob', 'boobs', 'butt', 'butts', 'turd', 'bugger', 'drunk', 'booze',
+];
+
+const WORD_LISTS = {
+  clean: [...STRONG_WORDS, ...MILD_WORDS],
+  cheeky: STRONG_WORDS,
+  uncensored: [],
+};
+
+const escape = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const patterns = Object.fromEntries(Object.entries(WORD_LISTS).map(([profile, words]) => [
+  profile,
+  words.length ? new RegExp(`\\b(?:${words.map(escape).join('|')})\\b`, 'gi') : null,
+]));
+
+// "shitty" -> "s*****"
+const mask = (word) => word[0] + '*'.repeat(word.length - 1);
+
+/**
+ * Mask words a content profile doesn't allow.
+ * @param {string} text
+ * @param {string} profile - content profile
+ * @returns {{ text: string, filtered: string[] }} masked text and the words that were masked
+ */
+export const filterText = (text, profile) => {
+  const pattern = patterns[profile];
+  if (!pattern || typeof text !== 'string') {
+    return { text, filtered: [] };
+  }
+
+  const filtered = [];
+  const masked = text.replace(pattern, (word) => {
+    filtered.push(word.toLowerCase());
+    return mask(word);
+  });
+  return { text: masked, filtered };
+};
+
+/**
+ * Run filterText over a poem's title and text.
+ * @param {object} poem - { title, poem, ... }
+ * @param {string} profile
+ * @returns {{ poem: object, filtered: string[] }}
+ */
+export const filterPoem = (poem, profile) => {
+  const title = filterText(poem.title, profile);
+  const body = filterText(poem.poem, profile);
+  return {
+    poem: { ...poem, title: title.text, poem: body.text },
+    filtered: [...title.filtered, ...body.filtered],
+  };
+};
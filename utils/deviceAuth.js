@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+
+// Devices sign each request with HMAC-SHA256 over
+//   `${timestamp}\n${METHOD}\n${path and query}\n${hex sha256 of the body}`
+// keyed by sha256(deviceSecret), sent as
+//   X-Device-Id, X-Device-Timestamp (unix seconds), X-Device-Signature (hex)
+// and X-Device-Content-SHA256 (the body hash; optional without a body).
+// The server never stores the secret, but the key is just as good for
+// signing: it's a credential. With DEVICE_KEY_SECRET set, keys are stored
+// encrypted (sealSigningKey), so a copy of the `devices` collection alone
+// can't be used to forge requests.
+
+const SEALED_PREFIX = 'sealed:v1:';
+
+let warnedUnsealed = false;
+
+/**
+ * A new device secret, shown to the device once when it pairs.
+ * @returns {string} 64 hex characters
+ */
+export const generateDeviceSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * The key requests are signed with.
+ * @param {string} secret
+ * @returns {string} hex sha256 of the secret
+ */
+export const signingKeyFor = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sealingKey = (secret) => crypto.createHash('sha256').update(secret).digest();
+
+/**
+ * The form of a signing key to store: encrypted with AES-256-GCM under
+ * DEVICE_KEY_SECRET, or as is (with a warning) when that isn't set.
+ * @param {string} signingKey - from signingKeyFor
+ * @returns {string}
+ */
+export const sealSigningKey = (signingKey) => {
+  const secret = process.env.DEVICE_KEY_SECRET;
+  if (!secret) {
+    if (!warnedUnsealed) {
+      console.warn('DEVICE_KEY_SECRET not set; device signing keys are stored unencrypted');
+      warnedUnsealed = true;
+    }
+    return signingKey;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', sealingKey(secret), iv);
+  const sealed = Buffer.concat([cipher.update(signingKey, 'utf8'), cipher.final()]);
+  return `${SEALED_PREFIX}${[iv, cipher.getAuthTag(), sealed].map(part => part.toString('base64')).join(':')}`;
+};
+
+/**
+ * The signing key from its stored form. Keys stored before DEVICE_KEY_SECRET
+ * was set are returned as they are.
+ * @param {string} stored - from sealSigningKey
+ * @returns {string|null} null if the key can't be decrypted (no or another
+ *   DEVICE_KEY_SECRET)
+ */
+export const openSigningKey = (stored) => {
+  if (typeof stored !== 'string' || !stored.startsWith(SEALED_PREFIX)) {
+    return stored || null;
+  }
+
+  const secret = process.env.DEVICE_KEY_SECRET;
+  if (!secret) return null;
+  try {
+    const [iv, tag, sealed] = stored.slice(SEALED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', sealingKey(secret), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(sealed), decipher.final()]).toString('utf8');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Hash of a request body, as signed and sent in X-Device-Content-SHA256.
+ * @param {Buffer|string} [body] - raw body bytes; none for GET requests
+ * @returns {string} hex sha256
+ */
+export const hashDeviceBody = (body = '') => crypto.createHash('sha256').update(body).digest('hex');
+
+/**
+ * Sign a request, as the device firmware does.
+ * @param {object} request
+ * @param {string} request.signingKey - from signingKeyFor
+ * @param {string} request.method - e.g. 'POST'
+ * @param {string} request.url - path and query string, e.g. '/generate-poem?type=haiku'
+ * @param {number|string} request.timestamp - unix seconds
+ * @param {string} [request.bodyHash] - from hashDeviceBody; defaults to an empty body
+ * @returns {string} hex signature
+ */
+export const signDeviceRequest = ({ signingKey, method, url, timestamp, bodyHash = hashDeviceBody() }) =>
+  crypto.createHmac('sha256', signingKey).update(`${timestamp}\n${method.toUpperCase()}\n${url}\n${bodyHash}`).digest('hex');
+
+/**
+ * Check a device signature in constant time.
+ * @param {object} request - as for signDeviceRequest, plus `signature`
+ * @returns {boolean}
+ */
+export const verifyDeviceSignature = ({ signingKey, method, url, timestamp, bodyHash, signature }) => {
+  if (!signingKey) return false;
+  const expected = Buffer.from(signDeviceRequest({ signingKey, method, url, timestamp, bodyHash }));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
@@ -0,0 +1,35 @@
+/**
+ * Error carrying the HTTP status (and optional machine-readable code) it
+ * should be reported with. Thrown from services; controllers turn it into a
+ * `{ error, code }` JSON response with `sendApiError`.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - message returned to the client as `error`
+   * @param {string} [code] - machine-readable code returned as `code`
+   */
+  constructor(status, message, code) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Send an ApiError as a JSON response, with any `headers` set on the error
+ * (e.g. Retry-After).
+ * @param {object} res - Express response
+ * @param {ApiError} error
+ */
+export const sendApiError = (res, error) => {
+  if (error.headers) {
+    res.set(error.headers);
+  }
+  const body = { error: error.message };
+  if (error.code) {
+    body.code = error.code;
+  }
+  return res.status(error.status).json(body);
+};
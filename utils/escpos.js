@@ -0,0 +1,280 @@
+import { hexToRgb } from './color.js';
+
+// ESC/POS receipt building blocks for thermal printers: single-byte code
+// pages, word wrapping in Font A columns and dithered raster images
+// (GS v 0). Text is first reduced to characters the code page has, so the
+// column count of a line is its byte count.
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Font A is 12 dots wide; 58 mm paper prints 384 dots, 80 mm paper 576
+export const PAPER_WIDTHS = {
+  58: { columns: 32, dots: 384 },
+  80: { columns: 48, dots: 576 },
+};
+
+// Upper halves (0x80-0xFF) of the code pages, with their ESC t table numbers
+// on Epson-compatible printers. \ufffd marks unassigned bytes.
+export const CODEPAGES = {
+  cp437: {
+    table: 0,
+    chars: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0',
+  },
+  cp858: {
+    table: 19,
+    chars: 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈ€ÍÎÏ┘┌█▄¦Ì▀ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00ad±‗¾¶§÷¸°¨·¹³²■\u00a0',
+  },
+  cp852: {
+    table: 18,
+    chars: 'ÇüéâäůćçłëŐőîŹÄĆÉĹĺôöĽľŚśÖÜŤťŁ×čáíóúĄąŽžĘę¬źČş«»░▒▓│┤ÁÂĚŞ╣║╗╝Żż┐└┴┬├─┼Ăă╚╔╩╦╠═╬¤đĐĎËďŇÍÎě┘┌█▄ŢŮ▀ÓßÔŃńňŠšŔÚŕŰýÝţ´\u00ad˝˛ˇ˘§÷¸°¨˙űŘř■\u00a0',
+  },
+  cp1252: {
+    table: 16,
+    chars: '€\ufffd‚ƒ„…†‡ˆ‰Š‹Œ\ufffdŽ\ufffd\ufffd‘’“”•–—˜™š›œ\ufffdžŸ\u00a0¡¢£¤¥¦§¨©ª«¬\u00ad®¯°±²³´µ¶·¸¹º»¼½¾¿ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÐÑÒÓÔÕÖ×ØÙÚÛÜÝÞßàáâãäåæçèéêëìíîïðñòóôõö÷øùúûüýþÿ',
+  },
+  cp1250: {
+    table: 45,
+    chars: '€\ufffd‚\ufffd„…†‡\ufffd‰Š‹ŚŤŽŹ\ufffd‘’“”•–—\ufffd™š›śťžź\u00a0ˇ˘Ł¤Ą¦§¨©Ş«¬\u00ad®Ż°±˛ł´µ¶·¸ąş»Ľ˝ľżŔÁÂĂÄĹĆÇČÉĘËĚÍÎĎĐŃŇÓÔŐÖ×ŘŮÚŰÜÝŢßŕáâăäĺćçčéęëěíîďđńňóôőö÷řůúűüýţ˙',
+  },
+};
+
+// Code pages `auto` chooses from, in order: the ones nearly every printer has
+export const AUTO_CODEPAGES = ['cp437', 'cp858', 'cp852'];
+
+const byteMaps = Object.fromEntries(Object.entries(CODEPAGES).map(([name, { chars }]) => {
+  const map = new Map();
+  [...chars].forEach((char, i) => {
+    if (char !== '\ufffd') map.set(char, 0x80 + i);
+  });
+  return [name, map];
+}));
+
+// Typography the model likes that most code pages lack
+const SUBSTITUTES = {
+  '‘': "'", '’': "'", '‚': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '″': '"',
+  '–': '-', '—': '-', '‐': '-', '−': '-',
+  '…': '...', '•': '*', '\u00a0': ' ', '\u2009': ' ', '\u200b': '',
+};
+
+// Letters without a decomposition, for code pages that lack them
+const BASE_LETTERS = {
+  'Ł': 'L', 'ł': 'l', 'Đ': 'D', 'đ': 'd', 'Ø': 'O', 'ø': 'o', 'ı': 'i',
+  'Æ': 'AE', 'æ': 'ae', 'Œ': 'OE', 'œ': 'oe', 'ß': 'ss', 'Þ': 'Th', 'þ': 'th',
+};
+
+const isPrintableAscii = (char) => char >= ' ' && char <= '~';
+
+const printableChar = (char, map) => {
+  if (isPrintableAscii(char) || map.has(char)) return { text: char, lossy: false };
+  if (SUBSTITUTES[char] !== undefined) return { text: SUBSTITUTES[char], lossy: false };
+  // Drop accents the code page lacks: ś is s in cp437
+  const stripped = char.normalize('NFD').replace(/\p{M}/gu, '');
+  if (stripped && [...stripped].every(c => isPrintableAscii(c) || map.has(c))) {
+    return { text: stripped, lossy: true };
+  }
+  return { text: BASE_LETTERS[char] || '?', lossy: true };
+};
+
+/**
+ * Reduce text to characters a code page can print: typographic quotes and
+ * dashes become ASCII, accents it lacks are dropped, anything else is '?'.
+ * Line breaks are kept; other control characters are removed.
+ * @param {string} text
+ * @param {string} codepage - key of CODEPAGES
+ * @returns {{ text: string, lossy: number }} lossy counts characters that
+ *   lost their accent or became '?'
+ */
+export const toCodepage = (text, codepage) => {
+  const map = byteMaps[codepage];
+  let result = '';
+  let lossy = 0;
+  for (const char of String(text || '').replace(/\r\n?/g, '\n').replace(/\t/g, ' ')) {
+    if (char === '\n') {
+      result += char;
+    } else if (!/[\u0000-\u001f\u007f-\u009f]/.test(char)) {
+      const printable = printableChar(char, map);
+      result += printable.text;
+      if (printable.lossy) lossy++;
+    }
+  }
+  return { text: result, lossy };
+};
+
+/**
+ * The code page that prints the text with the fewest losses, trying
+ * AUTO_CODEPAGES in order.
+ * @param {string} text
+ * @returns {string} key of CODEPAGES
+ */
+export const pickCodepage = (text) => {
+  let best = AUTO_CODEPAGES[0];
+  let fewest = Infinity;
+  for (const codepage of AUTO_CODEPAGES) {
+    const { lossy } = toCodepage(text, codepage);
+    if (lossy < fewest) {
+      best = codepage;
+      fewest = lossy;
+    }
+    if (!lossy) break;
+  }
+  return best;
+};
+
+/**
+ * Encode text already reduced with toCodepage.
+ * @param {string} text
+ * @param {string} codepage - key of CODEPAGES
+ * @returns {Buffer}
+ */
+export const encodeText = (text, codepage) => {
+  const map = byteMaps[codepage];
+  return Buffer.from([...text].map(char => (map.has(char) ? map.get(char) : char.charCodeAt(0))));
+};
+
+/**
+ * Word-wrap text to a number of columns. Blank lines are kept; words longer
+ * than a line are broken.
+ * @param {string} text
+ * @param {number} columns
+ * @returns {string[]} lines
+ */
+export const wrapText = (text, columns) => text.split('\n').flatMap(line => {
+  const lines = [];
+  let current = '';
+  line.split(' ').filter(Boolean).forEach(word => {
+    while (word.length > columns) {
+      if (current) lines.push(current);
+      current = '';
+      lines.push(word.slice(0, columns));
+      word = word.slice(columns);
+    }
+    if (!word) return;
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= columns) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+  if (current || !lines.length) lines.push(current);
+  return lines;
+});
+
+// Rows per GS v 0 command; cheap printers have small receive buffers
+const RASTER_BAND_ROWS = 128;
+
+/**
+ * Floyd-Steinberg dither a greyscale image to black and white and wrap it in
+ * GS v 0 raster commands.
+ * @param {Uint8Array} pixels - one byte per pixel, 0 black to 255 white
+ * @param {number} width
+ * @param {number} height
+ * @returns {Buffer}
+ */
+export const rasterImage = (pixels, width, height) => {
+  const values = Float32Array.from(pixels);
+  const bytesPerRow = Math.ceil(width / 8);
+  const bits = Buffer.alloc(bytesPerRow * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const black = values[i] < 128;
+      const error = values[i] - (black ? 0 : 255);
+      if (black) bits[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+
+      if (x + 1 < width) values[i + 1] += error * 7 / 16;
+      if (y + 1 < height) {
+        if (x > 0) values[i + width - 1] += error * 3 / 16;
+        values[i + width] += error * 5 / 16;
+        if (x + 1 < width) values[i + width + 1] += error / 16;
+      }
+    }
+  }
+
+  const commands = [];
+  for (let top = 0; top < height; top += RASTER_BAND_ROWS) {
+    const rows = Math.min(RASTER_BAND_ROWS, height - top);
+    commands.push(
+      Buffer.from([GS, 0x76, 0x30, 0, bytesPerRow & 0xff, bytesPerRow >> 8, rows & 0xff, rows >> 8]),
+      bits.subarray(top * bytesPerRow, (top + rows) * bytesPerRow),
+    );
+  }
+  return Buffer.concat(commands);
+};
+
+/**
+ * Greyscale pixels for a row of palette swatches, each a flat tone with a
+ * black outline so light colours still show.
+ * @param {string[]} colors - #rrggbb
+ * @param {number} width - dots
+ * @param {number} [height] - dots
+ * @returns {Uint8Array} width * height pixels for rasterImage
+ */
+export const paletteSwatches = (colors, width, height = 48) => {
+  const pixels = new Uint8Array(width * height).fill(255);
+  const gap = 8;
+  const swatchWidth = Math.floor((width - gap * (colors.length - 1)) / colors.length);
+
+  colors.forEach((hex, index) => {
+    const [r, g, b] = hexToRgb(hex);
+    const tone = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+    const left = index * (swatchWidth + gap);
+    for (let y = 0; y < height; y++) {
+      for (let x = left; x < left + swatchWidth; x++) {
+        const edge = y < 2 || y >= height - 2 || x < left + 2 || x >= left + swatchWidth - 2;
+        pixels[y * width + x] = edge ? 0 : tone;
+      }
+    }
+  });
+  return pixels;
+};
+
+/**
+ * Build a receipt.
+ * @param {object} receipt
+ * @param {string} receipt.title
+ * @param {string} receipt.body - poem text, lines separated by \n
+ * @param {string} [receipt.byline] - e.g. the pen name
+ * @param {string} [receipt.footer] - e.g. the date
+ * @param {Buffer} [receipt.header] - rasterImage above the title
+ * @param {Buffer} [receipt.trailer] - rasterImage below the footer
+ * @param {object} options
+ * @param {number} options.paper - key of PAPER_WIDTHS
+ * @param {string} [options.codepage] - key of CODEPAGES, or 'auto' (default)
+ * @returns {{ data: Buffer, codepage: string }}
+ */
+export const buildReceipt = ({ title, body, byline, footer, header, trailer }, { paper, codepage = 'auto' }) => {
+  const { columns } = PAPER_WIDTHS[paper];
+  const chosen = codepage === 'auto' ? pickCodepage([title, body, byline, footer].join('\n')) : codepage;
+  const text = (value) => encodeText(wrapText(toCodepage(value, chosen).text, columns).join('\n') + '\n', chosen);
+
+  const parts = [
+    Buffer.from([ESC, 0x40]), // initialise
+    Buffer.from([ESC, 0x74, CODEPAGES[chosen].table]),
+    Buffer.from([ESC, 0x61, 1]), // centre
+  ];
+  if (header) parts.push(header, Buffer.from([LF]));
+
+  // Bold, double height: same width, so the column count still holds
+  parts.push(Buffer.from([ESC, 0x45, 1, GS, 0x21, 0x01]), text(title), Buffer.from([GS, 0x21, 0x00, ESC, 0x45, 0, LF]));
+  parts.push(text(body));
+
+  if (byline) {
+    parts.push(Buffer.from([LF, ESC, 0x61, 2]), text(`- ${byline}`), Buffer.from([ESC, 0x61, 1]));
+  }
+  if (footer) {
+    parts.push(Buffer.from([LF]), text(footer));
+  }
+  if (trailer) parts.push(Buffer.from([LF]), trailer);
+
+  // Feed past the tear bar and cut; printers without a cutter ignore GS V
+  parts.push(Buffer.from([ESC, 0x64, 4, GS, 0x56, 0x42, 0]));
+
+  return { data: Buffer.concat(parts), codepage: chosen };
+};
@@ -0,0 +1,86 @@
+// Minimal EXIF reader for the few tags capture context needs. `raw` is the
+// EXIF block as sharp's metadata() returns it ("Exif\0\0" + a TIFF file).
+
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATE_TIME = 0x0132;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const GPS_LATITUDE_REF = 0x0001;
+const GPS_LATITUDE = 0x0002;
+const GPS_LONGITUDE_REF = 0x0003;
+const GPS_LONGITUDE = 0x0004;
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const readIfd = (tiff, offset, little) => {
+  const u16 = (at) => (little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const u32 = (at) => (little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+
+  const entries = new Map();
+  const count = u16(offset);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const tag = u16(entry);
+    const type = u16(entry + 2);
+    const n = u32(entry + 4);
+    const size = (TYPE_SIZES[type] || 1) * n;
+    const valueOffset = size <= 4 ? entry + 8 : u32(entry + 8);
+    if (valueOffset + size > tiff.length) continue;
+
+    let value;
+    if (type === 2) {
+      value = tiff.toString('ascii', valueOffset, valueOffset + size).replace(/\0+$/, '');
+    } else if (type === 5) {
+      value = Array.from({ length: n }, (_, k) => {
+        const denominator = u32(valueOffset + k * 8 + 4);
+        return denominator ? u32(valueOffset + k * 8) / denominator : 0;
+      });
+    } else if (type === 3) {
+      value = u16(valueOffset);
+    } else if (type === 4) {
+      value = u32(valueOffset);
+    }
+    entries.set(tag, value);
+  }
+  return entries;
+};
+
+const toDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+};
+
+/**
+ * Read capture time and GPS position from an EXIF block.
+ * @param {Buffer} [raw] - EXIF data from sharp's metadata()
+ * @returns {{ dateTimeOriginal: string|null, offsetTimeOriginal: string|null,
+ *   latitude: number|null, longitude: number|null }} nulls for missing tags;
+ *   dateTimeOriginal is the camera's local time as "YYYY:MM:DD HH:MM:SS"
+ */
+export const readExif = (raw) => {
+  const result = { dateTimeOriginal: null, offsetTimeOriginal: null, latitude: null, longitude: null };
+  if (!Buffer.isBuffer(raw) || raw.length < 14) return result;
+
+  try {
+    const tiff = raw.toString('ascii', 0, 4) === 'Exif' ? raw.subarray(6) : raw;
+    const byteOrder = tiff.toString('ascii', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return result;
+    const little = byteOrder === 'II';
+
+    const ifd0 = readIfd(tiff, little ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), little);
+    const exifIfd = ifd0.has(TAG_EXIF_IFD) ? readIfd(tiff, ifd0.get(TAG_EXIF_IFD), little) : new Map();
+    const gpsIfd = ifd0.has(TAG_GPS_IFD) ? readIfd(tiff, ifd0.get(TAG_GPS_IFD), little) : new Map();
+
+    result.dateTimeOriginal = exifIfd.get(TAG_DATE_TIME_ORIGINAL) || ifd0.get(TAG_DATE_TIME) || null;
+    result.offsetTimeOriginal = exifIfd.get(TAG_OFFSET_TIME_ORIGINAL) || null;
+    result.latitude = toDegrees(gpsIfd.get(GPS_LATITUDE), gpsIfd.get(GPS_LATITUDE_REF));
+    result.longitude = toDegrees(gpsIfd.get(GPS_LONGITUDE), gpsIfd.get(GPS_LONGITUDE_REF));
+  } catch (error) {
+    // Truncated or malformed EXIF: use whatever was read before it broke
+    console.warn('Could not parse EXIF:', error.message);
+  }
+
+  return result;
+};
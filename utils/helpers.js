@@ -1,9 +1,10 @@
 /**
  * Format the current date or a given date based on timezone.
  * @param {string} [timezone] - user timezone
+ * @param {string} [locale] - BCP 47 locale for the day and month names (default en-US)
  * @returns {object} - { dayOfWeek, date, month, year }
  */
-export const formatDate = (timezone) => {
+export const formatDate = (timezone, locale = 'en-US') => {
   const now = new Date();
   const daysOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
@@ -32,6 +33,18 @@ export const formatDate = (timezone) => {
       yearNum = parseInt(getPart('year'), 10);
     } catch (e) {
       console.error(`Invalid timezone '${timezone}', falling back to server time.`);
+      timezone = undefined;
+    }
+  }
+
+  // Day and month names use the standalone form for the requested language
+  if (locale !== 'en-US') {
+    try {
+      const nameFormat = (field) => new Intl.DateTimeFormat(locale, { timeZone: timezone || undefined, [field]: 'long' }).format(now);
+      dayOfWeek = nameFormat('weekday');
+      month = nameFormat('month');
+    } catch (e) {
+      console.error(`Invalid locale '${locale}', falling back to en-US.`);
     }
   }
 
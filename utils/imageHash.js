@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+/**
+ * 64-bit difference hash: each bit says whether a pixel of a 9x8 greyscale
+ * thumbnail is brighter than its right-hand neighbour. Re-encoding, resizing
+ * or slight exposure changes leave it (nearly) the same.
+ * @param {Buffer} buffer - any image sharp can decode
+ * @returns {Promise<string>} 16 hex characters
+ */
+export const differenceHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hex = '';
+  for (let y = 0; y < 8; y++) {
+    let byte = 0;
+    for (let x = 0; x < 8; x++) {
+      byte = (byte << 1) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+};
+
+/**
+ * Hash an upload as received: sha256 for exact repeats, dHash for the same
+ * picture re-encoded.
+ * @param {Buffer} buffer
+ * @returns {Promise<{ sha256: string, dHash: string }>}
+ */
+export const hashCapture = async (buffer) => ({
+  sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+  dHash: await differenceHash(buffer),
+});
+
+/**
+ * The hash stored on a poem (`captureHash`). A poem from several images
+ * gets a sha256 over theirs and their dHashes joined with '-', in order.
+ * @param {Array<{ sha256: string, dHash: string }>} hashes - one per image
+ * @returns {{ sha256: string, dHash: string }|null} null if any image wasn't hashed
+ */
+export const combineHashes = (hashes) => {
+  if (!hashes.length || hashes.some(hash => !hash)) return null;
+  if (hashes.length === 1) return { sha256: hashes[0].sha256, dHash: hashes[0].dHash };
+  return {
+    sha256: crypto.createHash('sha256').update(hashes.map(hash => hash.sha256).join(':')).digest('hex'),
+    dHash: hashes.map(hash => hash.dHash).join('-'),
+  };
+};
+
+const bitCount = (nibble) => (nibble & 1) + ((nibble >> 1) & 1) + ((nibble >> 2) & 1) + ((nibble >> 3) & 1);
+
+/**
+ * Number of differing bits between two dHashes.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Infinity if they aren't comparable
+ */
+export const hammingDistance = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === '-' || b[i] === '-') {
+      if (a[i] !== b[i]) return Infinity;
+      continue;
+    }
+    distance += bitCount(parseInt(a[i], 16) ^ parseInt(b[i], 16));
+  }
+  return distance;
+};
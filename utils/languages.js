@@ -0,0 +1,30 @@
+// Languages poems can be written in. `name` goes into the prompt, `locale`
+// formats the date fields of the enriched poem.
+export const SUPPORTED_LANGUAGES = {
+  en: { name: 'English', locale: 'en-US' },
+  es: { name: 'Spanish', locale: 'es-ES' },
+  fr: { name: 'French', locale: 'fr-FR' },
+  de: { name: 'German', locale: 'de-DE' },
+  it: { name: 'Italian', locale: 'it-IT' },
+  pt: { name: 'Portuguese', locale: 'pt-BR' },
+  nl: { name: 'Dutch', locale: 'nl-NL' },
+  pl: { name: 'Polish', locale: 'pl-PL' },
+  sv: { name: 'Swedish', locale: 'sv-SE' },
+  ja: { name: 'Japanese', locale: 'ja-JP' },
+  zh: { name: 'Chinese', locale: 'zh-CN' },
+  ko: { name: 'Korean', locale: 'ko-KR' },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Map a language code or locale ('es', 'es-MX', 'pt_BR') to a supported
+ * language code.
+ * @param {*} value
+ * @returns {string|null} supported code, or null if not supported
+ */
+export const normalizeLanguage = (value) => {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toLowerCase().split(/[-_]/)[0];
+  return Object.hasOwn(SUPPORTED_LANGUAGES, code) ? code : null;
+};
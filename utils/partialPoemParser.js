@@ -0,0 +1,100 @@
+import { normalizeHex } from './poemValidation.js';
+
+/**
+ * Decode a JSON string body (the part after the opening quote) that may be
+ * cut off mid-stream.
+ * @param {string} source - raw JSON text starting just after the opening quote
+ * @returns {{ value: string, complete: boolean }}
+ */
+const decodePartialString = (source) => {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+  let value = '';
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '"') {
+      return { value, complete: true };
+    }
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+
+    const next = source[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const code = source.slice(i + 2, i + 6);
+      if (code.length < 4) break;
+      value += String.fromCharCode(parseInt(code, 16));
+      i += 5;
+    } else {
+      value += escapes[next] ?? next;
+      i += 1;
+    }
+  }
+
+  return { value, complete: false };
+};
+
+const stringField = (buffer, field) => {
+  const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(buffer);
+  if (!match) return null;
+  return decodePartialString(buffer.slice(match.index + match[0].length));
+};
+
+/**
+ * Incrementally extract poem fields from streamed model JSON so they can be
+ * shown before the response is complete. Feed it chunks with `push`; each
+ * call returns the events that became available:
+ *   { type: 'title', title }
+ *   { type: 'line', index, text }   - one per completed poem line
+ *   { type: 'palette', palette }    - normalised hex colours
+ * Output is provisional; the final poem is still validated as a whole.
+ */
+export const createPartialPoemParser = () => {
+  let buffer = '';
+  let titleSent = false;
+  let paletteSent = false;
+  let linesSent = 0;
+
+  return {
+    push: (chunk) => {
+      buffer += chunk;
+      const events = [];
+
+      if (!titleSent) {
+        const title = stringField(buffer, 'title');
+        if (title && title.complete) {
+          titleSent = true;
+          events.push({ type: 'title', title: title.value.trim() });
+        }
+      }
+
+      const poem = stringField(buffer, 'poem');
+      if (poem) {
+        const lines = poem.value.split('\n');
+        // The last line is only final once the string has closed
+        const ready = poem.complete ? lines.length : lines.length - 1;
+        for (; linesSent < ready; linesSent++) {
+          events.push({ type: 'line', index: linesSent, text: lines[linesSent].trim() });
+        }
+      }
+
+      if (!paletteSent) {
+        const match = /"palette"\s*:\s*\[([^\]]*)\]/.exec(buffer);
+        if (match) {
+          paletteSent = true;
+          const palette = (match[1].match(/"[^"]*"/g) || [])
+            .map(value => normalizeHex(value.slice(1, -1)))
+            .filter(Boolean);
+          events.push({ type: 'palette', palette });
+        }
+      }
+
+      return events;
+    },
+
+    /** Everything received so far */
+    text: () => buffer,
+  };
+};
@@ -0,0 +1,121 @@
+import { shade } from './color.js';
+
+export const MIN_PALETTE_SIZE = 3;
+export const MAX_PALETTE_SIZE = 5;
+
+/**
+ * Parse raw model text into an object. Strips markdown code fences and
+ * retries once with literal newlines inside strings escaped, which is the
+ * most common way models break JSON.
+ * @param {string} text - raw model output
+ * @returns {object} parsed value
+ * @throws {SyntaxError} if the text can't be parsed
+ */
+export const parseModelJson = (text) => {
+  const jsonString = String(text || '').replace(/```json/g, '').replace(/```/g, '').trim();
+
+  try {
+    return JSON.parse(jsonString);
+  } catch (parseError) {
+    const fixedJson = jsonString
+      .replace(/\n(?=([^"]*"[^"]*")*[^"]*$)/g, ' ')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r');
+    return JSON.parse(fixedJson);
+  }
+};
+
+/**
+ * Normalise a hex colour to lowercase #rrggbb.
+ * @param {*} value
+ * @returns {string|null} normalised colour, or null if invalid
+ */
+export const normalizeHex = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) return null;
+
+  let hex = match[1].toLowerCase();
+  if (hex.length === 3) {
+    hex = hex.split('').map(c => c + c).join('');
+  }
+  return `#${hex}`;
+};
+
+const normalizePalette = (palette, errors) => {
+  if (!Array.isArray(palette)) {
+    errors.push({ field: 'palette', reason: 'palette must be an array of hex colours' });
+    return [];
+  }
+
+  const colors = [];
+  palette.forEach(value => {
+    const hex = normalizeHex(value);
+    if (hex && !colors.includes(hex)) colors.push(hex);
+  });
+
+  if (colors.length === 0) {
+    errors.push({ field: 'palette', reason: 'palette contains no valid hex colours' });
+    return [];
+  }
+
+  // Pad short palettes with lighter/darker variants of the colours we have
+  const seeds = [...colors];
+  let i = 0;
+  while (colors.length < MIN_PALETTE_SIZE && i < seeds.length * 2) {
+    const candidate = shade(seeds[i % seeds.length], i < seeds.length ? 0.35 : -0.35);
+    if (!colors.includes(candidate)) colors.push(candidate);
+    i++;
+  }
+
+  return colors.slice(0, MAX_PALETTE_SIZE);
+};
+
+/**
+ * Validate and normalise a parsed model poem.
+ * - title and poem must be non-empty strings (a poem given as an array of lines is joined)
+ * - the poem is trimmed to `maxLines` lines
+ * - palette entries are normalised to #rrggbb; short palettes are padded and
+ *   long ones clamped to MIN_PALETTE_SIZE..MAX_PALETTE_SIZE colours
+ * @param {*} data - parsed model output
+ * @param {object} [options] - { maxLines }
+ * @returns {{ poem: object|null, errors: Array<{field: string, reason: string}> }}
+ */
+export const validatePoem = (data, { maxLines } = {}) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { poem: null, errors: [{ field: 'root', reason: 'response must be a JSON object' }] };
+  }
+
+  const title = typeof data.title === 'string' ? data.title.trim() : '';
+  if (!title) {
+    errors.push({ field: 'title', reason: 'title must be a non-empty string' });
+  }
+
+  let text = Array.isArray(data.poem) ? data.poem.join('\n') : data.poem;
+  let lines = [];
+  if (typeof text !== 'string' || !text.trim()) {
+    errors.push({ field: 'poem', reason: 'poem must be a non-empty string' });
+  } else {
+    lines = text.replace(/\r\n?/g, '\n').split('\n').map(line => line.trim());
+    // Drop leading/trailing blank lines but keep stanza breaks
+    while (lines.length && !lines[0]) lines.shift();
+    while (lines.length && !lines[lines.length - 1]) lines.pop();
+    if (maxLines && lines.length > maxLines) {
+      lines = lines.slice(0, maxLines);
+      while (lines.length && !lines[lines.length - 1]) lines.pop();
+    }
+  }
+
+  const palette = normalizePalette(data.palette, errors);
+
+  if (errors.length) {
+    return { poem: null, errors };
+  }
+
+  return {
+    poem: { title, poem: lines.join('\n'), palette },
+    errors,
+  };
+};
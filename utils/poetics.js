@@ -0,0 +1,152 @@
+// Heuristics for English verse. They're estimates (English spelling doesn't
+// map cleanly to sound), so form checks allow a little tolerance.
+
+const VOWEL_GROUPS = /[aeiouy]+/g;
+
+/**
+ * Estimate the number of syllables in an English word.
+ * @param {string} word
+ * @returns {number} 0 for tokens without letters
+ */
+export const countSyllables = (word) => {
+  const original = String(word).toLowerCase().replace(/[^a-z]/g, '');
+  if (!original) return 0;
+  if (original.length <= 3) return 1;
+
+  // Silent endings: "cake", "baked", "makes" (but not "table", "wanted")
+  const w = original
+    .replace(/(?:[^laeiouy]es|[^laeiouy]e)$/, match => match[0])
+    .replace(/([^aeiouy])ed$/, (match, consonant) => ('td'.includes(consonant) ? match : consonant))
+    .replace(/^y/, '');
+
+  const groups = w.match(VOWEL_GROUPS) || [];
+  let count = groups.length;
+
+  // Vowel pairs usually pronounced apart: "cre-ate", "po-et", "stu-di-o"
+  count += (original.match(/ia|io|eo|ua|uo|ie(?=r$)|oe(?=t)|ea(?=t(?:e|ive))/g) || []).length;
+
+  return Math.max(1, count);
+};
+
+const wordsOf = (line) => String(line).split(/[\s\-–—]+/).filter(token => /[a-z]/i.test(token));
+
+/**
+ * Estimate the syllables in a line of verse.
+ * @param {string} line
+ * @returns {number}
+ */
+export const countLineSyllables = (line) => wordsOf(line).reduce((total, word) => total + countSyllables(word), 0);
+
+/**
+ * The part of a word that has to match for a rhyme: its last vowel sound
+ * and everything after it ("cat" -> "at", "delight" -> "ight").
+ * @param {string} word
+ * @returns {string}
+ */
+export const rhymeKey = (word) => {
+  let w = String(word).toLowerCase().replace(/[^a-z]/g, '');
+  if (!w) return '';
+
+  // Silent final e: "cake" rhymes on "ak", like "lake"
+  const silentE = w.length > 3 && /[^aeiouy]e$/.test(w);
+  if (silentE) w = w.slice(0, -1);
+
+  // "feared" rhymes on "eard", like "beard"
+  w = w.replace(/([^aeiouytd])ed$/, '$1d').replace(/ck$/, 'k').replace(/ph/g, 'f');
+
+  const match = w.match(/[aeiouy]+[^aeiouy]*$/);
+  return match ? match[0] : w;
+};
+
+const lastWord = (line) => {
+  const words = wordsOf(line);
+  return words.length ? words[words.length - 1] : '';
+};
+
+/**
+ * Whether two words (or the last words of two lines) rhyme, by comparing
+ * rhyme keys, or failing that their last three letters.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export const rhymes = (a, b) => {
+  const wordA = lastWord(a).toLowerCase().replace(/[^a-z]/g, '');
+  const wordB = lastWord(b).toLowerCase().replace(/[^a-z]/g, '');
+  if (!wordA || !wordB) return false;
+
+  const keyA = rhymeKey(wordA);
+  const keyB = rhymeKey(wordB);
+  if (keyA && keyA === keyB) return true;
+  return wordA.length >= 3 && wordB.length >= 3 && wordA.slice(-3) === wordB.slice(-3);
+};
+
+// Line count, per-line syllable ranges and rhyme scheme for each form.
+// Rhyme scheme letters pair up lines that must rhyme with each other.
+export const FORM_RULES = {
+  haiku: {
+    lines: 3,
+    syllables: [[5, 5], [7, 7], [5, 5]],
+    tolerance: 1,
+  },
+  limerick: {
+    lines: 5,
+    syllables: [[8, 10], [8, 10], [5, 7], [5, 7], [8, 10]],
+    tolerance: 1,
+    rhymeScheme: 'AABBA',
+  },
+};
+
+const describeRange = ([min, max]) => (min === max ? `${min}` : `${min}-${max}`);
+
+/**
+ * Score a poem against a form. Every rule (line count, each line's
+ * syllables, each rhyme pair) is one check; the score is the share that pass.
+ * @param {string} text - poem text, lines separated by \n
+ * @param {string} form - key of FORM_RULES
+ * @returns {{ form: string, score: number, issues: string[] }|null} null for unknown forms;
+ *   issues are written as feedback for the model, e.g. "line 3 has 9 syllables, needs 5"
+ */
+export const scoreForm = (text, form) => {
+  const rules = FORM_RULES[form];
+  if (!rules) return null;
+
+  const lines = String(text).split('\n').map(line => line.trim()).filter(Boolean);
+  const issues = [];
+  let checks = 0;
+  let passed = 0;
+
+  const check = (ok, issue) => {
+    checks++;
+    if (ok) passed++;
+    else issues.push(issue);
+  };
+
+  check(lines.length === rules.lines, `the ${form} has ${lines.length} lines, needs ${rules.lines}`);
+
+  rules.syllables.forEach((range, i) => {
+    if (i >= lines.length) {
+      check(false, `line ${i + 1} is missing`);
+      return;
+    }
+    const count = countLineSyllables(lines[i]);
+    check(
+      count >= range[0] - rules.tolerance && count <= range[1] + rules.tolerance,
+      `line ${i + 1} has ${count} syllables, needs ${describeRange(range)}`
+    );
+  });
+
+  if (rules.rhymeScheme) {
+    const scheme = rules.rhymeScheme.split('');
+    scheme.forEach((letter, i) => {
+      const first = scheme.indexOf(letter);
+      if (first === i) return;
+      check(
+        i < lines.length && first < lines.length && rhymes(lines[first], lines[i]),
+        `line ${i + 1} should rhyme with line ${first + 1} (${rules.rhymeScheme} scheme)`
+      );
+    });
+  }
+
+  return { form, score: Math.round((passed / checks) * 100) / 100, issues };
+};
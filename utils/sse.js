@@ -0,0 +1,26 @@
+/**
+ * Switch a response into a Server-Sent Events stream.
+ * @param {object} res - Express response
+ * @returns {{ send: Function, close: Function }} send(event, data) writes one
+ *   event with a JSON payload; close() ends the stream
+ */
+export const openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // stop nginx/Cloudflare buffering the stream
+  });
+  res.flushHeaders();
+
+  return {
+    send: (event, data) => {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close: () => {
+      if (!res.writableEnded) res.end();
+    },
+  };
+};